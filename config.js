@@ -5,11 +5,81 @@ export default {
   NEO4J_USERNAME: process.env.NEO4J_USERNAME || 'neo4j',
   NEO4J_PASSWORD: process.env.NEO4J_PASSWORD || 'r6W5H2uXUB1chLC_lZ9rv4UAdCEVmbSnTsPGxb1hqzI',
   
+  // Workspace this server works in unless a tool call names another one
+  WORKSPACE: process.env.KNOWLEDGE_WORKSPACE || 'default',
+  
+  // Access control: JSON policy mapping clients to roles (see access-policy.example.json);
+  // without one every client may call every tool. Clients never name themselves:
+  // CLIENT_ID is the client of this server process, and SSE connections without it
+  // are identified by the bearer token they send, looked up in the JSON file
+  // CLIENT_TOKENS_FILE ({"<token>": "<client ID>"}). Unidentified clients are denied.
+  ACCESS_POLICY_FILE: process.env.KNOWLEDGE_ACCESS_POLICY || null,
+  CLIENT_ID: process.env.KNOWLEDGE_CLIENT_ID || null,
+  CLIENT_TOKENS_FILE: process.env.KNOWLEDGE_CLIENT_TOKENS || null,
+  
+  // Audit log: every tool call is stored as an AuditEvent node. Argument values under
+  // keys containing one of AUDIT_REDACTED_KEYS are replaced, long text is shortened.
+  AUDIT_LOG_ENABLED: process.env.KNOWLEDGE_AUDIT_LOG !== 'false',
+  AUDIT_REDACTED_KEYS: ['password', 'secret', 'token', 'apikey', 'api_key', 'credential', 'authorization'],
+  AUDIT_MAX_VALUE_LENGTH: 500,
+  
   // Knowledge processing settings
   DEFAULT_CONFIDENCE: 0.8,
   MAX_SEARCH_RESULTS: 100,
   MAX_EXPLORATION_DEPTH: 5,
   
+  // Longest path find-knowledge-paths searches, and the most paths it reads; with more
+  // paths than that its total count is a lower bound and pages come from the paths read
+  MAX_PATH_LENGTH: 6,
+  PATH_COUNT_LIMIT: 1000,
+  
+  // Index hits ranked by each search; every page of a search, and its total count,
+  // comes from these candidates
+  SEARCH_CANDIDATE_COUNT: 500,
+  
+  // The vector and fulltext indexes hold every workspace; a search reads more index
+  // hits, up to this many, until its own workspace has SEARCH_CANDIDATE_COUNT of them
+  SEARCH_INDEX_FETCH_LIMIT: 20000,
+  
+  // Confidence bands reported in search facets (min inclusive, max exclusive)
+  CONFIDENCE_BANDS: [
+    { name: 'high', min: 0.8 },
+    { name: 'medium', min: 0.5, max: 0.8 },
+    { name: 'low', max: 0.5 }
+  ],
+  
+  // Confidence model settings (see utils/confidence.js)
+  DEFAULT_SOURCE_RELIABILITY: 0.5,
+  CONFIDENCE_HALF_LIFE_DAYS: 730,
+  MIN_AGE_FACTOR: 0.5,
+  VERIFICATION_BOOST: 0.5,
+  REJECTION_FACTOR: 0.25,
+  
+  // Search ranking of reviewed facts (see verify-fact / reject-fact)
+  VERIFIED_RANK_BOOST: 0.25,
+  REJECTED_RANK_FACTOR: 0.5,
+  
+  // Recycle bin: deleted knowledge is purged after this many days (0 keeps it
+  // until purged by hand); the server checks every RECYCLE_BIN_PURGE_INTERVAL_HOURS
+  RECYCLE_BIN_RETENTION_DAYS: parseInt(process.env.RECYCLE_BIN_RETENTION_DAYS || '30', 10),
+  RECYCLE_BIN_PURGE_INTERVAL_HOURS: 24,
+  
+  // Domains created by setupSchema; a name may be a path ("Technology > Databases")
+  SEED_DOMAINS: [
+    { name: 'Financial Planning', description: 'Knowledge related to financial strategies and planning' },
+    { name: 'Technology', description: 'Technical knowledge and programming concepts' },
+    { name: 'Business', description: 'Business processes and strategies' },
+    { name: 'General', description: 'General knowledge not fitting other categories' }
+  ],
+  
+  // Fulltext search settings (boost factor per indexed field)
+  FULLTEXT_FIELD_BOOSTS: {
+    name: 3,
+    statement: 2,
+    content: 1,
+    description: 1
+  },
+  
   // Integration settings
   SUPPORTED_MCP_SOURCES: [
     'grok-assistant',
@@ -21,7 +91,14 @@ export default {
     'mongodb-custom'
   ],
   
-  // Vector embedding settings (for future implementation)
-  EMBEDDING_DIMENSION: 1536,
-  SIMILARITY_THRESHOLD: 0.7
+  // Vector embedding settings
+  EMBEDDING_PROVIDER: process.env.EMBEDDING_PROVIDER || 'local',
+  EMBEDDING_MODEL: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
+  EMBEDDING_DIMENSION: parseInt(process.env.EMBEDDING_DIMENSION || '1536', 10),
+  
+  // Lowest vector index score a semantic match needs. Neo4j reports cosine scores as
+  // (1 + cosine) / 2, so unrelated texts score about 0.5; the bar depends on the
+  // provider (default applies to custom ones). SIMILARITY_THRESHOLD overrides it.
+  SIMILARITY_THRESHOLDS: { local: 0.58, openai: 0.6, default: 0.6 },
+  SIMILARITY_THRESHOLD: process.env.SIMILARITY_THRESHOLD ? parseFloat(process.env.SIMILARITY_THRESHOLD) : null
 };
\ No newline at end of file
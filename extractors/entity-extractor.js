@@ -0,0 +1,94 @@
+// extractors/entity-extractor.js
+
+/**
+ * Heuristic recognition of people and organizations in free text.
+ * Like the concept extraction in McpExtractor this is deliberately simple:
+ * it only reports names with a clear signal (an honorific, a reporting verb
+ * or an organizational suffix) so that ordinary concepts are not mistaken
+ * for entities.
+ */
+
+const NAME = "[A-Z][a-zA-Z'-]+(?:\\s+(?:[A-Z]\\.\\s*)?[A-Z][a-zA-Z'-]+){0,3}";
+
+const HONORIFIC_PATTERN = new RegExp(`\\b(?:Dr|Mr|Mrs|Ms|Prof|Professor|Sir|Dame)\\.?\\s+(${NAME})`, 'g');
+
+/**
+ * Lets a trigger phrase also match with a capitalized first letter, at the start of a sentence
+ * @param {string[]} phrases - Lowercase trigger phrases
+ * @returns {string} - Alternation of the phrases
+ */
+function sentenceCase(phrases) {
+  return phrases.map(phrase => `[${phrase[0].toUpperCase()}${phrase[0]}]${phrase.slice(1)}`).join('|');
+}
+
+const REPORTING_PATTERNS = [
+  new RegExp(`\\b(?:${sentenceCase(['according to', 'by', 'said', 'wrote', 'argued', 'explained'])})\\s+(${NAME})`, 'g'),
+  new RegExp(`\\b(${NAME}),?\\s+(?:said|says|wrote|writes|argues|argued|explains|explained|notes|noted)\\b`, 'g')
+];
+
+const ORGANIZATION_PATTERN = new RegExp(
+  `\\b(${NAME}\\s+(?:Inc|Corp|Corporation|LLC|Ltd|Company|Co|Group|University|Institute|Foundation|Association|Bank|Agency|Department|Bureau|Council|Society))\\b\\.?`,
+  'g'
+);
+
+const LEADING_STOPWORDS = ['The', 'A', 'An', 'This', 'That', 'These', 'Those', 'According'];
+
+// Words that make a capitalized name a place or a body rather than a person ("United States said")
+const NON_PERSON_WORDS = [
+  'States', 'Kingdom', 'Nations', 'Union', 'Republic', 'Government', 'Ministry', 'Committee',
+  'Court', 'Commission', 'Parliament', 'Congress', 'Senate', 'Police', 'Army', 'Office', 'Party',
+  'Times', 'Post', 'News', 'Journal', 'City', 'County', 'Province', 'Island', 'Islands'
+];
+
+/**
+ * Removes leading articles picked up by the capitalized-name patterns
+ * @param {string} name - Raw matched name
+ * @returns {string} - Cleaned name
+ */
+function cleanName(name) {
+  const tokens = name.trim().split(/\s+/);
+  while (tokens.length > 1 && LEADING_STOPWORDS.includes(tokens[0])) {
+    tokens.shift();
+  }
+  return tokens.join(' ');
+}
+
+/**
+ * Finds people and organizations mentioned in a text
+ * @param {string} text - Text to scan
+ * @returns {Object[]} - Entities with name and type (person or organization)
+ */
+function extractEntities(text = '') {
+  const entities = new Map();
+  
+  const add = (name, type) => {
+    const cleaned = cleanName(name);
+    if (cleaned.length > 2 && !entities.has(cleaned)) {
+      entities.set(cleaned, { name: cleaned, type });
+    }
+  };
+  
+  // Organizations first, so "Reid Institute" is not also read as a person
+  for (const match of text.matchAll(ORGANIZATION_PATTERN)) {
+    add(match[1], 'organization');
+  }
+  
+  for (const pattern of [HONORIFIC_PATTERN, ...REPORTING_PATTERNS]) {
+    for (const match of text.matchAll(pattern)) {
+      const name = cleanName(match[1]);
+      const partOfOrganization = [...entities.values()].some(entity =>
+        entity.type === 'organization' && entity.name.includes(name)
+      );
+      const notAPerson = name.split(/\s+/).some(token => NON_PERSON_WORDS.includes(token));
+      
+      // A single capitalized word after "by" is too weak a signal for a person
+      if (!partOfOrganization && !notAPerson && (name.includes(' ') || pattern === HONORIFIC_PATTERN)) {
+        add(name, 'person');
+      }
+    }
+  }
+  
+  return [...entities.values()];
+}
+
+export { extractEntities };
@@ -1,5 +1,7 @@
 // extractors/mcp-extractor.js
 import KnowledgeStorage from "../knowledge/storage.js";
+import { extractEntities } from "./entity-extractor.js";
+import { resolveWorkspace } from "../utils/workspace.js";
 
 /**
  * Processes outputs from other MCP servers and extracts knowledge
@@ -23,10 +25,14 @@ class McpExtractor {
       mcpSource, 
       rawOutput, 
       processingInstructions = '', 
-      linkingStrategy = 'automatic' 
+      linkingStrategy = 'automatic',
+      processingChain = [mcpSource]
     } = params;
     
     try {
+      // Everything extracted from one output lands in the same workspace
+      const workspace = resolveWorkspace(params.workspace);
+      
       // This is a simplified extractor - in a real implementation, this would
       // use more sophisticated NLP techniques or even call an LLM
       
@@ -34,10 +40,16 @@ class McpExtractor {
       const extractionResults = {
         concepts: [],
         facts: [],
+        entities: [],
         processingMethod: 'heuristic'
       };
       
-      // 1. Extract potential concepts (capitalized multi-word terms)
+      // 1. Find people and organizations, which are stored as entities rather than concepts
+      const entities = extractEntities(rawOutput);
+      const entityNames = entities.map(entity => entity.name);
+      extractionResults.entities = entities;
+      
+      // 2. Extract potential concepts (capitalized multi-word terms)
       const conceptRegex = /\b[A-Z][a-zA-Z]*(?:\s+[A-Z][a-zA-Z]*)*\b/g;
       const rawConcepts = rawOutput.match(conceptRegex) || [];
       
@@ -45,11 +57,13 @@ class McpExtractor {
       const stopwords = ['The', 'A', 'An', 'This', 'That', 'These', 'Those', 'I', 'You', 'We', 'They'];
       const uniqueConcepts = [...new Set(rawConcepts)]
         .filter(concept => !stopwords.includes(concept) && concept.length > 3)
+        .filter(concept => !entityNames.some(name => name.includes(concept) || concept.includes(name)))
         .slice(0, 10);
       
       // Store extracted concepts
       for (const conceptName of uniqueConcepts) {
         const conceptResult = await this.storage.storeConcept({
+          workspace,
           name: conceptName,
           description: `Concept extracted from ${mcpSource}`,
           source: mcpSource,
@@ -68,7 +82,7 @@ class McpExtractor {
         }
       }
       
-      // 2. Extract potential factual statements (sentences with pattern indicators)
+      // 3. Extract potential factual statements (sentences with pattern indicators)
       const factIndicators = [
         'is a', 'are', 'was', 'were', 'will be', 'can be', 'should be',
         'has', 'have', 'had', 'contains', 'includes', 'consists of',
@@ -88,6 +102,7 @@ class McpExtractor {
       // Store extracted facts
       for (const factStatement of potentialFacts) {
         const factResult = await this.storage.storeFact({
+          workspace,
           statement: factStatement,
           source: mcpSource,
           confidence: 0.6,
@@ -99,25 +114,29 @@ class McpExtractor {
           // Try to link facts to extracted concepts
           concepts: extractionResults.concepts
             .filter(concept => factStatement.includes(concept.name))
-            .map(concept => concept.id)
+            .map(concept => concept.id),
+          mentions: entities.filter(entity => factStatement.includes(entity.name))
         });
         
         if (factResult.success) {
           extractionResults.facts.push({
             id: factResult.id,
-            statement: factStatement.substring(0, 100) + (factStatement.length > 100 ? '...' : '')
+            statement: factStatement.substring(0, 100) + (factStatement.length > 100 ? '...' : ''),
+            contradictions: factResult.contradictions
           });
         }
       }
       
-      // 3. Create source record for the MCP output
+      // 4. Create source record for the MCP output
       const sourceResult = await this.storage.storeSource({
+        workspace,
         title: `${mcpSource} Output`,
         url: `mcp://${mcpSource.toLowerCase().replace(/\s+/g, '-')}/${Date.now()}`,
         sourceType: 'mcp_processing',
-        author: mcpSource,
+        changedBy: mcpSource,
+        mentions: entities,
         publicationDate: new Date(),
-        reliability: 0.7,
+        defaultReliability: 0.7,
         metadata: {
           content_preview: rawOutput.substring(0, 200) + (rawOutput.length > 200 ? '...' : ''),
           processing_instructions: processingInstructions,
@@ -129,6 +148,7 @@ class McpExtractor {
       if (sourceResult.success) {
         for (const concept of extractionResults.concepts) {
           await this.storage.createRelationship({
+            workspace,
             sourceId: concept.id,
             targetId: sourceResult.id,
             type: 'DERIVED_FROM'
@@ -137,6 +157,7 @@ class McpExtractor {
         
         for (const fact of extractionResults.facts) {
           await this.storage.createRelationship({
+            workspace,
             sourceId: fact.id,
             targetId: sourceResult.id,
             type: 'CITED_FROM'
@@ -147,6 +168,21 @@ class McpExtractor {
           id: sourceResult.id,
           title: sourceResult.title
         };
+        
+        // Record which models produced the extracted knowledge
+        const chainResult = await this.storage.recordProcessingChain({
+          workspace,
+          sourceId: sourceResult.id,
+          processingChain,
+          producedIds: [...extractionResults.concepts, ...extractionResults.facts].map(item => item.id),
+          instructions: processingInstructions
+        });
+        
+        if (!chainResult.success) {
+          throw new Error(`Failed to record processing chain: ${chainResult.error}`);
+        }
+        
+        extractionResults.processingSteps = chainResult.steps;
       }
       
       return {
@@ -5,6 +5,7 @@ import express from "express";
 import cors from "cors";
 import neo4j from "neo4j-driver";
 import config from "./config.js";
+import { loadClientTokens } from "./utils/access-policy.js";
 
 // Initialize Neo4j driver
 const driver = neo4j.driver(
@@ -29,25 +30,31 @@ app.use(express.json());
 // Create transports map for session management
 const transports = {};
 
+// Bearer tokens of the clients that may connect without a configured CLIENT_ID
+const clientTokens = config.CLIENT_TOKENS_FILE ? loadClientTokens(config.CLIENT_TOKENS_FILE) : new Map();
+
+/**
+ * Identifies the client of an SSE connection: the configured CLIENT_ID, else the
+ * client its bearer token is issued to. What the request claims is never trusted.
+ * @param {express.Request} req - Connection request
+ * @returns {string|null} - Client identity, or null for an unidentified client
+ */
+function identifyClient(req) {
+  if (config.CLIENT_ID) {
+    return config.CLIENT_ID;
+  }
+  
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  return scheme === 'Bearer' && token ? clientTokens.get(token) || null : null;
+}
+
 // Set up SSE route for server-to-client communication
 app.get('/events', async (req, res) => {
   console.log('SSE connection request received');
   
-  // Get or create session ID
-  const sessionId = req.query.sessionId || require('crypto').randomUUID();
-  
-  // Set up SSE headers
-  res.writeHead(200, {
-    'Content-Type': 'text/event-stream',
-    'Cache-Control': 'no-cache',
-    'Connection': 'keep-alive',
-    'X-Accel-Buffering': 'no'
-  });
-  
-  res.write(`data: ${JSON.stringify({ type: 'connected', sessionId })}\n\n`);
-  
-  // Create a new SSE transport for this session
-  const transport = new SSEServerTransport(sessionId, res);
+  // The transport sends the client the message endpoint, with its session ID
+  const transport = new SSEServerTransport('/message', res);
+  const sessionId = transport.sessionId;
   transports[sessionId] = transport;
   
   // Set up a new server for this connection
@@ -56,8 +63,8 @@ app.get('/events', async (req, res) => {
     { capabilities: serverLogic.getCapabilities() }
   );
   
-  // Set up request handlers
-  serverLogic.setupRequestHandlers(server, driver);
+  // Set up request handlers; they check and audit every tool call as the stdio server does
+  serverLogic.setupRequestHandlers(server, driver, { clientId: identifyClient(req) });
   
   // Connect the server to this transport
   await server.connect(transport);
@@ -81,8 +88,8 @@ app.post('/message', async (req, res) => {
   }
   
   try {
-    const transport = transports[sessionId];
-    await transport.handlePostMessage(req, res);
+    // The body was already parsed by express.json
+    await transports[sessionId].handlePostMessage(req, res, req.body);
   } catch (error) {
     console.error(`Error in /message route:`, error);
     if (!res.headersSent) {
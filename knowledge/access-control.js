@@ -0,0 +1,146 @@
+// knowledge/access-control.js
+import * as cypherBuilder from "../utils/cypher-builder.js";
+import { resolveRole, toolDenial, toolOperation, writeScope } from "../utils/access-policy.js";
+import { parseDomainPath, domainName } from "../utils/domain-path.js";
+import { workspaceSession } from "../utils/workspace.js";
+import { resolveDomain } from "./domain-hierarchy.js";
+import config from "../config.js";
+
+/**
+ * Checks tool calls against an access policy (see utils/access-policy.js)
+ */
+class AccessControl {
+  /**
+   * @param {neo4j.Driver} driver - Neo4j driver instance
+   * @param {Object} policy - Validated access policy, or null to permit every call
+   */
+  constructor(driver, policy = null) {
+    this.driver = driver;
+    this.policy = policy;
+  }
+
+  /**
+   * Tells whether a client may use a tool at all, for listing the tools it can call
+   * @param {string} clientId - Client identity
+   * @param {string} tool - Tool name
+   * @returns {boolean} - Whether the client's role permits the tool
+   */
+  permitsTool(clientId, tool) {
+    if (!this.policy) {
+      return true;
+    }
+    
+    // Any permitted workspace will do, since calls can name their workspace
+    const role = resolveRole(this.policy, clientId);
+    return Boolean(role) && toolDenial(role, tool, {}, null) === null;
+  }
+
+  /**
+   * Checks a tool call. Roles limited to domains may only write where the call
+   * names their domains (or sub-domains of them) or changes nodes belonging to them.
+   * Domain limits apply to writes only: reads cover every domain of the workspaces
+   * the role may work in, so knowledge a client must not see belongs in another workspace.
+   * @param {Object} params - Call to check
+   * @param {string} params.clientId - Identity of the calling client
+   * @param {string} params.tool - Tool name
+   * @param {Object} params.args - Tool arguments
+   * @returns {Promise<Object>} - Whether the call is allowed, and why not
+   */
+  async authorize(params) {
+    const { clientId, tool, args = {} } = params;
+    
+    if (!this.policy) {
+      return {
+        success: true,
+        allowed: true
+      };
+    }
+    
+    const role = resolveRole(this.policy, clientId);
+    
+    if (!role) {
+      return {
+        success: true,
+        allowed: false,
+        reason: clientId
+          ? `Client ${clientId} has no role in the access policy`
+          : 'This connection has no client identity; set KNOWLEDGE_CLIENT_ID, or connect with a token from KNOWLEDGE_CLIENT_TOKENS'
+      };
+    }
+    
+    const denial = toolDenial(role, tool, args, config.WORKSPACE);
+    
+    if (denial || role.domains === '*' || toolOperation(tool, args) === 'read') {
+      return {
+        success: true,
+        allowed: !denial,
+        role: role.name,
+        ...(denial ? { reason: denial } : {})
+      };
+    }
+    
+    const allowedDomains = role.domains.map(domainName);
+    const { domains, nodeIds } = writeScope(tool, args);
+    
+    if (domains.length === 0 && nodeIds.length === 0) {
+      return {
+        success: true,
+        allowed: false,
+        role: role.name,
+        reason: `Role ${role.name} may only change the domains ${allowedDomains.join(', ')}, and this ${tool} call names none of them`
+      };
+    }
+    
+    const session = workspaceSession(this.driver.session(), args.workspace);
+    
+    try {
+      for (const reference of domains) {
+        // A domain that does not exist yet is placed by its path
+        const domain = await resolveDomain(session, reference);
+        const path = domain ? domain.path : parseDomainPath(reference);
+        
+        if (!path.some(name => allowedDomains.includes(name))) {
+          return {
+            success: true,
+            allowed: false,
+            role: role.name,
+            reason: `Role ${role.name} may not change domain "${reference}"`
+          };
+        }
+      }
+      
+      if (nodeIds.length > 0) {
+        const { query, params: queryParams } = cypherBuilder.nodeDomainsQuery({ nodeIds });
+        const result = await session.run(query, queryParams);
+        
+        // Nodes that do not exist are left to the tool to report
+        const outside = result.records.find(record => !record.get('domains').some(name => allowedDomains.includes(name)));
+        
+        if (outside) {
+          return {
+            success: true,
+            allowed: false,
+            role: role.name,
+            reason: `Role ${role.name} may not change ${outside.get('id')}: it belongs to none of the domains ${allowedDomains.join(', ')}`
+          };
+        }
+      }
+      
+      return {
+        success: true,
+        allowed: true,
+        role: role.name
+      };
+    } catch (error) {
+      return {
+        success: false,
+        allowed: false,
+        error: error.message
+      };
+    } finally {
+      await session.close();
+    }
+  }
+}
+
+export default AccessControl;
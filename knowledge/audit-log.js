@@ -0,0 +1,197 @@
+// knowledge/audit-log.js
+import { AsyncLocalStorage } from "async_hooks";
+import * as cypherBuilder from "../utils/cypher-builder.js";
+import { redactArguments } from "../utils/redaction.js";
+import { resolveWorkspace, workspaceSession } from "../utils/workspace.js";
+import config from "../config.js";
+
+/**
+ * Every tool call is recorded as an AuditEvent node in the workspace it
+ * worked in: tool, caller, redacted arguments, duration, outcome and the
+ * nodes and relationships it created or changed. Operations report those
+ * with recordChanges; whatever is reported while a call runs ends up in its
+ * event. Audit events are only ever created, never changed or deleted.
+ */
+
+/**
+ * Changes reported by the call running in the current async context
+ */
+const changeContext = new AsyncLocalStorage();
+
+/**
+ * Describes a relationship for the audit log
+ * @param {string} startId - ID of the start node
+ * @param {string} type - Relationship type
+ * @param {string} endId - ID of the end node
+ * @returns {string} - "startId-[:TYPE]->endId"
+ */
+function relationshipKey(startId, type, endId) {
+  return `${startId}-[:${type}]->${endId}`;
+}
+
+/**
+ * Reports nodes and relationships created or changed by the running call.
+ * Does nothing outside an audited call.
+ * @param {Object} changes - Changed graph elements
+ * @param {string[]} changes.nodeIds - IDs of created or changed nodes
+ * @param {string[]} changes.relationships - Created or removed relationships (see relationshipKey)
+ */
+function recordChanges(changes = {}) {
+  const collected = changeContext.getStore();
+  
+  if (!collected) {
+    return;
+  }
+  
+  (changes.nodeIds || []).filter(Boolean).forEach(id => collected.nodeIds.add(id));
+  (changes.relationships || []).filter(Boolean).forEach(key => collected.relationships.add(key));
+}
+
+/**
+ * Runs work and collects the changes it reports. The changes are not passed
+ * on to an enclosing call; report them with recordChanges once they are kept.
+ * @param {Function} work - Async function to run
+ * @returns {Promise<Object>} - Value returned by the work and the changes it reported
+ */
+async function collectChanges(work) {
+  const collected = { nodeIds: new Set(), relationships: new Set() };
+  const value = await changeContext.run(collected, work);
+  
+  return {
+    value,
+    changes: {
+      nodeIds: [...collected.nodeIds],
+      relationships: [...collected.relationships]
+    }
+  };
+}
+
+/**
+ * Append-only record of tool calls
+ */
+class AuditLog {
+  /**
+   * @param {neo4j.Driver} driver - Neo4j driver instance
+   */
+  constructor(driver) {
+    this.driver = driver;
+  }
+
+  /**
+   * Records one tool call
+   * @param {Object} params - Call details
+   * @param {string} params.tool - Tool name
+   * @param {Object} params.args - Tool arguments, redacted before they are stored
+   * @param {string} params.caller - Identity of the calling client
+   * @param {number} params.durationMs - How long the call took
+   * @param {string} params.outcome - success, error or denied
+   * @param {string} params.error - Error message of a failed or denied call
+   * @param {Object} params.changes - Nodes and relationships the call created or changed
+   * @returns {Promise<Object>} - Operation result with the event ID
+   */
+  async recordEvent(params) {
+    const { tool, args = {}, caller = null, durationMs = 0, outcome, error = null, changes = {} } = params;
+    
+    if (!config.AUDIT_LOG_ENABLED) {
+      return {
+        success: true,
+        id: null
+      };
+    }
+    
+    // A call naming an invalid workspace is recorded in the connection's workspace
+    let workspace = null;
+    try {
+      workspace = resolveWorkspace(args.workspace);
+    } catch (invalid) {
+      workspace = config.WORKSPACE;
+    }
+    
+    const session = workspaceSession(this.driver.session(), workspace);
+    
+    try {
+      const redacted = redactArguments(args, {
+        keys: config.AUDIT_REDACTED_KEYS,
+        maxLength: config.AUDIT_MAX_VALUE_LENGTH
+      });
+      
+      const { query, params: queryParams } = cypherBuilder.createAuditEventQuery({
+        tool: tool || null,
+        caller,
+        arguments: JSON.stringify(redacted),
+        durationMs,
+        outcome,
+        error,
+        nodeIds: changes.nodeIds || [],
+        relationships: changes.relationships || []
+      });
+      const result = await session.run(query, queryParams);
+      
+      return {
+        success: true,
+        id: result.records[0].get('id')
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Lists recorded tool calls, newest first
+   * @param {Object} params - Filter parameters
+   * @param {string} params.since - Only calls at or after this date (ISO 8601)
+   * @param {string} params.until - Only calls at or before this date (ISO 8601)
+   * @param {string} params.tool - Only calls of this tool
+   * @param {string} params.caller - Only calls by this client
+   * @param {string} params.nodeId - Only calls that created or changed this node
+   * @param {string} params.outcome - Only calls with this outcome (success, error or denied)
+   * @param {number} params.limit - Maximum number of events
+   * @returns {Promise<Object>} - Matching audit events
+   */
+  async queryAuditLog(params = {}) {
+    const session = workspaceSession(this.driver.session(), params.workspace);
+    
+    try {
+      const { query, params: queryParams } = cypherBuilder.auditEventsQuery(params);
+      const result = await session.run(query, queryParams);
+      
+      const events = result.records.map(record => {
+        const event = record.get('event');
+        
+        return {
+          id: event.id,
+          timestamp: event.timestamp,
+          tool: event.tool,
+          caller: event.caller,
+          arguments: JSON.parse(event.arguments || 'null'),
+          durationMs: event.duration_ms ? event.duration_ms.toNumber() : 0,
+          outcome: event.outcome,
+          error: event.error,
+          nodeIds: event.node_ids || [],
+          relationships: event.relationships || []
+        };
+      });
+      
+      return {
+        success: true,
+        events
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      await session.close();
+    }
+  }
+}
+
+export { relationshipKey, recordChanges, collectChanges };
+
+export default AuditLog;
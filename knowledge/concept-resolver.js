@@ -0,0 +1,152 @@
+// knowledge/concept-resolver.js
+import neo4j from "neo4j-driver";
+import * as cypherBuilder from "../utils/cypher-builder.js";
+import { normalizeName } from "../utils/text-similarity.js";
+
+/**
+ * Shared lookup of concepts by ID, name or alias.
+ *
+ * Candidates are ranked by how they matched the reference:
+ * - name: exact concept name (1.0)
+ * - name_key: same name after case-folding and plural stemming (0.95)
+ * - alias: an alias of the concept (0.9)
+ * - fuzzy: fulltext match on the concept name (below 0.7), only used
+ *   when nothing matched more precisely
+ *
+ * A reference resolves when exactly one candidate shares the best match
+ * type; otherwise the ranked candidates are returned so the caller can
+ * choose instead of silently using the first match.
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const MATCH_SCORES = {
+  name: 1,
+  name_key: 0.95,
+  alias: 0.9
+};
+
+const FUZZY_MAX_SCORE = 0.7;
+
+/**
+ * Checks whether a reference is a node ID rather than a name
+ * @param {string} reference - Concept reference
+ * @returns {boolean} - True for UUIDs
+ */
+function isNodeId(reference) {
+  return UUID_PATTERN.test(String(reference || ''));
+}
+
+/**
+ * Resolves a concept reference to a single concept or ranked candidates
+ * @param {neo4j.Session} session - Open session to run the lookup in
+ * @param {string} reference - Concept ID, name or alias
+ * @param {Object} options - Resolution options
+ * @param {number} options.limit - Maximum number of candidates to return
+ * @param {boolean} options.allowFuzzy - Whether to fall back to fulltext matching on the name
+ * @returns {Promise<Object>} - Status (resolved, ambiguous, not_found), concept and candidates
+ */
+async function resolveConcept(session, reference, options = {}) {
+  const { limit = 10, allowFuzzy = true } = options;
+  
+  if (isNodeId(reference)) {
+    const result = await session.run(
+      'MATCH (c:Knowledge {workspace: $workspace, id: $id}) RETURN c.id as id, coalesce(c.name, c.content) as name, c.confidence as confidence',
+      { id: reference }
+    );
+    
+    const candidates = result.records.map(record => ({
+      id: record.get('id'),
+      name: record.get('name'),
+      confidence: record.get('confidence'),
+      matchType: 'id',
+      score: 1
+    }));
+    
+    return toResolution(reference, candidates);
+  }
+  
+  const exactQuery = `
+    CALL {
+      MATCH (c:Concept {workspace: $workspace, name: $reference})
+      RETURN c, $scores.name as score
+      UNION
+      MATCH (c:Concept {workspace: $workspace, name_key: $key})
+      RETURN c, $scores.name_key as score
+      UNION
+      MATCH (:Alias {workspace: $workspace, key: $key})-[:ALIAS_OF]->(c:Concept {workspace: $workspace})
+      RETURN c, $scores.alias as score
+    }
+    WITH c, max(score) as score
+    RETURN c.id as id, c.name as name, c.confidence as confidence, score
+    ORDER BY score DESC, coalesce(c.confidence, 0) DESC
+    LIMIT $limit
+  `;
+  
+  const exact = await session.run(exactQuery, {
+    reference,
+    key: normalizeName(reference),
+    scores: MATCH_SCORES,
+    limit: neo4j.int(limit)
+  });
+  
+  let candidates = exact.records.map(record => {
+    const score = record.get('score');
+    return {
+      id: record.get('id'),
+      name: record.get('name'),
+      confidence: record.get('confidence'),
+      matchType: Object.keys(MATCH_SCORES).find(type => MATCH_SCORES[type] === score),
+      score
+    };
+  });
+  
+  if (candidates.length === 0 && allowFuzzy) {
+    // The fulltext index also covers facts and other knowledge, so over-fetch and keep concepts
+    const fuzzyQuery = `
+      CALL db.index.fulltext.queryNodes('${cypherBuilder.FULLTEXT_INDEX}', $luceneQuery, {limit: $fetchLimit}) YIELD node, score
+      WHERE node:Concept AND node.workspace = $workspace
+      RETURN node.id as id, node.name as name, node.confidence as confidence, score
+      ORDER BY score DESC
+      LIMIT $limit
+    `;
+    
+    const fuzzy = await session.run(fuzzyQuery, {
+      luceneQuery: cypherBuilder.buildFulltextQuery(reference, { fields: ['name'] }),
+      fetchLimit: neo4j.int(limit * 5),
+      limit: neo4j.int(limit)
+    });
+    
+    const maxScore = fuzzy.records.length > 0 ? fuzzy.records[0].get('score') : 1;
+    
+    candidates = fuzzy.records.map(record => ({
+      id: record.get('id'),
+      name: record.get('name'),
+      confidence: record.get('confidence'),
+      matchType: 'fuzzy',
+      score: FUZZY_MAX_SCORE * record.get('score') / maxScore
+    }));
+  }
+  
+  return toResolution(reference, candidates);
+}
+
+/**
+ * Builds the resolution result from ranked candidates
+ * @param {string} reference - Concept reference
+ * @param {Object[]} candidates - Candidates, best first
+ * @returns {Object} - Resolution result
+ */
+function toResolution(reference, candidates) {
+  if (candidates.length === 0) {
+    return { status: 'not_found', reference, concept: null, candidates };
+  }
+  
+  const tied = candidates.filter(candidate => candidate.matchType === candidates[0].matchType);
+  
+  return tied.length === 1
+    ? { status: 'resolved', reference, concept: candidates[0], candidates }
+    : { status: 'ambiguous', reference, concept: null, candidates };
+}
+
+export { isNodeId, resolveConcept };
@@ -0,0 +1,85 @@
+// knowledge/confidence-model.js
+import neo4j from "neo4j-driver";
+import * as cypherBuilder from "../utils/cypher-builder.js";
+import { deriveConfidence } from "../utils/confidence.js";
+import { recordChanges } from "./audit-log.js";
+
+/**
+ * Keeps fact confidence in line with the evidence behind it.
+ *
+ * Scores are derived by utils/confidence.js from the facts' sources, age and
+ * review verdict and stored on the fact with the derivation (as JSON text in
+ * confidence_derivation). The confidence a fact was stored with is kept as
+ * asserted_confidence and used while the fact has no sources.
+ */
+
+/**
+ * Recomputes and stores the confidence of facts
+ * @param {neo4j.Session} session - Open session or transaction to write in
+ * @param {string[]} factIds - IDs of the facts to recompute
+ * @param {Object} options - Recompute options
+ * @param {Date} options.now - Date the scores are computed for
+ * @returns {Promise<Object[]>} - Previous and new confidence per fact
+ */
+async function recomputeConfidence(session, factIds = [], options = {}) {
+  const { now = new Date() } = options;
+  
+  if (factIds.length === 0) {
+    return [];
+  }
+  
+  const { query, params } = cypherBuilder.factEvidenceQuery({ factIds });
+  const evidence = await session.run(query, params);
+  
+  const changes = evidence.records.map(record => {
+    const createdDate = record.get('createdDate');
+    const derivation = deriveConfidence({
+      asserted: record.get('asserted'),
+      sources: record.get('sources'),
+      createdDate: neo4j.isDateTime(createdDate) ? createdDate.toStandardDate() : null,
+      verification: record.get('verification'),
+      now
+    });
+    
+    return {
+      id: record.get('id'),
+      previous: record.get('confidence'),
+      confidence: derivation.confidence,
+      derivation
+    };
+  });
+  
+  const update = cypherBuilder.updateConfidenceQuery({
+    updates: changes.map(change => ({
+      id: change.id,
+      confidence: change.confidence,
+      derivation: JSON.stringify(change.derivation)
+    }))
+  });
+  
+  await session.run(update.query, update.params);
+  
+  recordChanges({ nodeIds: changes.filter(change => change.confidence !== change.previous).map(change => change.id) });
+  
+  return changes.map(({ id, previous, confidence }) => ({ id, previous, confidence }));
+}
+
+/**
+ * Recomputes the confidence of every fact cited from or derived from a source,
+ * after the source's reliability changed or the source was removed
+ * @param {neo4j.Session} session - Open session or transaction to write in
+ * @param {string[]} sourceIds - IDs of the changed sources
+ * @returns {Promise<Object[]>} - Previous and new confidence per fact
+ */
+async function recomputeSourceFacts(session, sourceIds = []) {
+  const result = await session.run(
+    `MATCH (f:Fact {workspace: $workspace})-[:CITED_FROM|DERIVED_FROM]->(s:Source)
+     WHERE s.id IN $sourceIds
+     RETURN collect(DISTINCT f.id) as factIds`,
+    { sourceIds }
+  );
+  
+  return recomputeConfidence(session, result.records[0].get('factIds'));
+}
+
+export { recomputeConfidence, recomputeSourceFacts };
@@ -0,0 +1,77 @@
+// knowledge/contradiction-detector.js
+import * as cypherBuilder from "../utils/cypher-builder.js";
+import { compareStatements } from "../utils/fact-comparison.js";
+
+/**
+ * Detection of facts that conflict with a newly stored fact.
+ *
+ * The new fact is compared with the facts about the same concepts whose
+ * validity overlaps its own (see utils/fact-comparison.js for the rules).
+ * Each conflict is recorded as a CONTRADICTS relationship carrying the kind
+ * of conflict and a human-readable reason, and stays open until one of the
+ * facts is superseded or stops being valid.
+ */
+
+/**
+ * Compares a fact with related facts and links the conflicting ones
+ * @param {neo4j.Session} session - Open session or transaction to write in
+ * @param {string} factId - ID of the fact to check
+ * @param {Object} options - Detection options
+ * @param {number} options.limit - Maximum number of related facts to compare
+ * @returns {Promise<Object[]>} - Detected contradictions with the conflicting fact, kind and reason
+ */
+async function detectContradictions(session, factId, options = {}) {
+  const { limit = 200 } = options;
+  
+  const { query, params } = cypherBuilder.contradictionCandidatesQuery({ factId, limit });
+  const candidates = await session.run(query, params);
+  
+  const contradictions = [];
+  
+  for (const record of candidates.records) {
+    const conflict = compareStatements(record.get('statement'), record.get('otherStatement'));
+    
+    if (!conflict) {
+      continue;
+    }
+    
+    const contradiction = cypherBuilder.createContradictionQuery({
+      factId,
+      otherId: record.get('id'),
+      kind: conflict.kind,
+      reason: conflict.reason
+    });
+    
+    await session.run(contradiction.query, contradiction.params);
+    
+    contradictions.push({
+      factId: record.get('id'),
+      statement: record.get('otherStatement'),
+      sharedConcepts: record.get('sharedConcepts'),
+      ...conflict
+    });
+  }
+  
+  return contradictions;
+}
+
+/**
+ * Checks a changed fact again: contradictions found by the detector are
+ * removed and detected anew, so conflicts that no longer hold disappear.
+ * Contradictions recorded by hand are kept.
+ * @param {neo4j.Session} session - Open session or transaction to write in
+ * @param {string} factId - ID of the changed fact
+ * @param {Object} options - Detection options (see detectContradictions)
+ * @returns {Promise<Object[]>} - Contradictions of the fact as changed
+ */
+async function recheckContradictions(session, factId, options = {}) {
+  await session.run(
+    `MATCH (:Fact {workspace: $workspace, id: $factId})-[r:CONTRADICTS {detected_by: 'contradiction-detector'}]-(:Fact)
+     DELETE r`,
+    { factId }
+  );
+  
+  return detectContradictions(session, factId, options);
+}
+
+export { detectContradictions, recheckContradictions };
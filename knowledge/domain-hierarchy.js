@@ -0,0 +1,101 @@
+// knowledge/domain-hierarchy.js
+import * as cypherBuilder from "../utils/cypher-builder.js";
+import { parseDomainPath, formatDomainPath } from "../utils/domain-path.js";
+
+/**
+ * Resolution of domain references ("Graph" or "Technology > Databases > Graph")
+ * to Domain nodes. Every domain has at most one parent (SUBDOMAIN_OF), so a
+ * path either matches the tree or is rejected; it is never used to create
+ * a second place for an existing domain.
+ */
+
+/**
+ * Finds the domain a reference points to
+ * @param {neo4j.Session} session - Open session or transaction to read in
+ * @param {string} reference - Domain name or path
+ * @returns {Promise<Object|null>} - Domain with id, name, properties and path, or null when it does not exist
+ */
+async function resolveDomain(session, reference) {
+  const names = parseDomainPath(reference);
+  
+  if (names.length === 0) {
+    throw new Error('Domain name is required');
+  }
+  
+  const { query, params } = cypherBuilder.findDomainQuery({ name: names[names.length - 1] });
+  const result = await session.run(query, params);
+  
+  if (result.records.length === 0) {
+    return null;
+  }
+  
+  const record = result.records[0];
+  const path = record.get('path');
+  
+  // A path must end with the domain's actual ancestors ("Databases > Graph" is fine under "Technology")
+  if (names.length > 1 && formatDomainPath(path.slice(-names.length)) !== formatDomainPath(names)) {
+    throw new Error(`Domain "${names[names.length - 1]}" is at "${formatDomainPath(path)}", not "${formatDomainPath(names)}"`);
+  }
+  
+  return {
+    id: record.get('id'),
+    name: record.get('name'),
+    properties: record.get('properties'),
+    path
+  };
+}
+
+/**
+ * Finds or creates the domain a reference points to. Missing domains along
+ * a path are created under their parent, and an existing top-level domain
+ * named in a path is placed under its parent.
+ * @param {neo4j.Session} session - Open session or transaction to write in
+ * @param {string} reference - Domain name or path
+ * @param {Object} options - Domain options
+ * @param {string} options.description - Description given to the domain when it has none
+ * @returns {Promise<Object>} - Domain with id, name, path and whether it was created
+ */
+async function ensureDomain(session, reference, options = {}) {
+  const { description = null } = options;
+  const names = parseDomainPath(reference);
+  
+  if (names.length === 0) {
+    throw new Error('Domain name is required');
+  }
+  
+  let parent = null;
+  let domain = null;
+  
+  for (const [level, name] of names.entries()) {
+    const { query, params } = cypherBuilder.ensureDomainQuery({
+      name,
+      parentId: parent ? parent.id : null,
+      description: level === names.length - 1 ? description : null
+    });
+    const result = await session.run(query, params);
+    const record = result.records[0];
+    
+    if (parent && record.get('parentId') !== parent.id) {
+      throw new Error(record.get('parentName')
+        ? `Domain "${name}" is a sub-domain of "${record.get('parentName')}", not of "${parent.name}"`
+        : `Domain "${name}" cannot be placed under its own sub-domain "${parent.name}"`);
+    }
+    
+    domain = {
+      id: record.get('id'),
+      name: record.get('name'),
+      created: record.get('created')
+    };
+    parent = domain;
+  }
+  
+  // Report the full path even when the reference named only part of it
+  const resolved = await resolveDomain(session, domain.name);
+  
+  return {
+    ...domain,
+    path: resolved.path
+  };
+}
+
+export { resolveDomain, ensureDomain };
@@ -0,0 +1,152 @@
+// knowledge/embeddings.js
+import config from "../config.js";
+
+/**
+ * Embedding providers used to vectorize knowledge content.
+ *
+ * A provider is any object exposing a `name`, a `dimension` and an
+ * async `embed(text)` method that resolves to an array of numbers of
+ * length `dimension`. Custom providers can be passed straight to
+ * KnowledgeStorage and KnowledgeRetrieval.
+ */
+
+/**
+ * Deterministic offline provider based on hashed word and character n-grams.
+ * Texts sharing vocabulary end up close in cosine space, which is enough for
+ * local development and tests without any network access.
+ */
+class HashEmbeddingProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {number} options.dimension - Length of the produced vectors
+   * @param {number} options.ngramSize - Character n-gram size
+   */
+  constructor({ dimension = config.EMBEDDING_DIMENSION, ngramSize = 3 } = {}) {
+    this.name = 'local';
+    this.dimension = dimension;
+    this.ngramSize = ngramSize;
+  }
+
+  /**
+   * Embeds a text into a normalized vector
+   * @param {string} text - Text to embed
+   * @returns {Promise<number[]>} - Embedding vector
+   */
+  async embed(text) {
+    const vector = new Array(this.dimension).fill(0);
+    const normalized = (text || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ');
+    const words = normalized.split(/\s+/).filter(Boolean);
+
+    // Whole words carry more signal than character fragments
+    for (const word of words) {
+      this.addFeature(vector, `w:${word}`, 2);
+
+      const padded = `#${word}#`;
+      for (let i = 0; i <= padded.length - this.ngramSize; i++) {
+        this.addFeature(vector, `c:${padded.substring(i, i + this.ngramSize)}`, 1);
+      }
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+
+  /**
+   * Adds a hashed feature to the vector using the signed hashing trick
+   * @param {number[]} vector - Vector being built
+   * @param {string} feature - Feature string
+   * @param {number} weight - Feature weight
+   */
+  addFeature(vector, feature, weight) {
+    const hash = fnv1a(feature);
+    const bucket = hash % this.dimension;
+    const sign = (hash >>> 31) === 0 ? 1 : -1;
+    vector[bucket] += sign * weight;
+  }
+}
+
+/**
+ * Provider backed by the OpenAI embeddings endpoint
+ */
+class OpenAIEmbeddingProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - OpenAI API key
+   * @param {string} options.model - Embedding model name
+   * @param {number} options.dimension - Requested vector length
+   */
+  constructor({ apiKey = process.env.OPENAI_API_KEY, model = config.EMBEDDING_MODEL, dimension = config.EMBEDDING_DIMENSION } = {}) {
+    if (!apiKey) {
+      throw new Error('OPENAI_API_KEY is required for the openai embedding provider');
+    }
+
+    this.name = 'openai';
+    this.apiKey = apiKey;
+    this.model = model;
+    this.dimension = dimension;
+  }
+
+  /**
+   * Embeds a text through the OpenAI API
+   * @param {string} text - Text to embed
+   * @returns {Promise<number[]>} - Embedding vector
+   */
+  async embed(text) {
+    const response = await fetch('https://api.openai.com/v1/embeddings', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.apiKey}`
+      },
+      body: JSON.stringify({
+        model: this.model,
+        input: text || '',
+        dimensions: this.dimension
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Embedding request failed: ${response.status} ${response.statusText}`);
+    }
+
+    const body = await response.json();
+    return body.data[0].embedding;
+  }
+}
+
+/**
+ * Creates the embedding provider selected in the configuration
+ * @param {Object} options - Provider options
+ * @param {string} options.provider - Provider name ('local' or 'openai')
+ * @returns {Object} - Embedding provider instance
+ */
+function createEmbeddingProvider(options = {}) {
+  const { provider = config.EMBEDDING_PROVIDER, ...providerOptions } = options;
+
+  switch (provider) {
+    case 'openai':
+      return new OpenAIEmbeddingProvider(providerOptions);
+    case 'local':
+      return new HashEmbeddingProvider(providerOptions);
+    default:
+      throw new Error(`Unknown embedding provider: ${provider}`);
+  }
+}
+
+/**
+ * Computes the 32-bit FNV-1a hash of a string
+ * @param {string} str - Input string
+ * @returns {number} - Unsigned 32-bit hash
+ */
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export { HashEmbeddingProvider,
+  OpenAIEmbeddingProvider,
+  createEmbeddingProvider };
@@ -0,0 +1,143 @@
+// knowledge/exporter.js
+import { writeFile } from "fs/promises";
+import * as cypherBuilder from "../utils/cypher-builder.js";
+import { JSON_PROPERTIES, formatExport } from "../utils/export-formats.js";
+import { isMetadataProperty, extractMetadata } from "../utils/metadata.js";
+import { workspaceSession } from "../utils/workspace.js";
+
+/**
+ * Parses a property stored as JSON text back into a nested value
+ * @param {*} value - Stored property value
+ * @returns {*} - Parsed value, or the original value when it is not JSON text
+ */
+function parseJsonProperty(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Prepares stored properties for export: drops nulls, collects the
+ * metadata.* properties into one nested metadata object and turns JSON text
+ * (revision snapshots, metadata not yet migrated) into nested objects
+ * @param {Object} properties - Properties returned by the driver
+ * @returns {Object} - Export properties
+ */
+function toExportProperties(properties = {}) {
+  const exported = Object.fromEntries(
+    Object.entries(properties)
+      .filter(([key, value]) => value !== null && value !== undefined && !isMetadataProperty(key))
+      .map(([key, value]) => [key, JSON_PROPERTIES.includes(key) ? parseJsonProperty(value) : value])
+  );
+  
+  const legacyMetadata = exported.metadata && typeof exported.metadata === 'object' ? exported.metadata : {};
+  const metadata = { ...legacyMetadata, ...extractMetadata(properties) };
+  if (Object.keys(metadata).length > 0) {
+    exported.metadata = metadata;
+  }
+  
+  return exported;
+}
+
+/**
+ * Export of scoped subgraphs to GraphML, JSON-LD or a replayable Cypher script
+ */
+class KnowledgeExporter {
+  /**
+   * @param {neo4j.Driver} driver - Neo4j driver instance
+   */
+  constructor(driver) {
+    this.driver = driver;
+  }
+
+  /**
+   * Exports the nodes matching a scope, their context and the relationships between them
+   * @param {Object} params - Export parameters
+   * @param {string} params.format - graphml, jsonld or cypher
+   * @param {string} params.domain - Only export knowledge belonging to this domain (name or path)
+   * @param {boolean} params.includeSubdomains - Let the domain scope cover its descendant domains
+   * @param {string} params.source - Only export knowledge derived from this source (ID, URL or source system)
+   * @param {string} params.label - Only export nodes with this label
+   * @param {string} params.since - Only export nodes created at or after this date
+   * @param {string} params.until - Only export nodes created at or before this date
+   * @param {boolean} params.includeContext - Add linked sources, domains, aliases, entities, processing steps and verifications
+   * @param {boolean} params.includeRevisions - Add the revision history of exported nodes
+   * @param {boolean} params.includeEmbeddings - Export embedding vectors
+   * @param {string} params.filePath - Write the export to this file instead of returning it (command line only,
+   *                                   never from tool arguments)
+   * @param {string} params.workspace - Workspace to export from
+   * @returns {Promise<Object>} - Export result with the serialized graph (or file path) and counts
+   */
+  async exportKnowledge(params) {
+    const { format = 'jsonld', filePath, workspace, ...scope } = params;
+    
+    const session = workspaceSession(this.driver.session(), workspace);
+    
+    try {
+      const { query: nodesQuery, params: nodesParams } = cypherBuilder.exportNodesQuery(scope);
+      const nodesResult = await session.run(nodesQuery, nodesParams);
+      
+      const nodes = nodesResult.records.map(record => ({
+        id: record.get('id'),
+        labels: [...record.get('labels')].sort(),
+        properties: toExportProperties(record.get('properties'))
+      }));
+      
+      const { query: relationshipsQuery, params: relationshipsParams } = cypherBuilder.exportRelationshipsQuery({
+        nodeIds: nodes.map(node => node.id)
+      });
+      const relationshipsResult = await session.run(relationshipsQuery, relationshipsParams);
+      
+      const relationships = relationshipsResult.records.map(record => ({
+        type: record.get('type'),
+        startId: record.get('startId'),
+        endId: record.get('endId'),
+        properties: toExportProperties(record.get('properties'))
+      }));
+      
+      const content = formatExport({ nodes, relationships }, format, {
+        description: `workspace=${session.workspace}, ${this.describeScope(scope)}`
+      });
+      
+      if (filePath) {
+        await writeFile(filePath, content, 'utf8');
+      }
+      
+      return {
+        success: true,
+        format,
+        nodeCount: nodes.length,
+        relationshipCount: relationships.length,
+        ...(filePath ? { filePath } : { content })
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Describes an export scope for the header of the exported file
+   * @param {Object} scope - Export scope
+   * @returns {string} - Human-readable scope
+   */
+  describeScope(scope) {
+    const parts = ['domain', 'source', 'label', 'since', 'until']
+      .filter(key => scope[key])
+      .map(key => `${key}=${scope[key]}`);
+    
+    return parts.length > 0 ? parts.join(', ') : 'entire graph';
+  }
+}
+
+export default KnowledgeExporter;
@@ -0,0 +1,440 @@
+// knowledge/importer.js
+import { readFile } from "fs/promises";
+import KnowledgeStorage from "./storage.js";
+import { isNodeId, resolveConcept } from "./concept-resolver.js";
+import { ensureDomain } from "./domain-hierarchy.js";
+import { collectChanges, recordChanges } from "./audit-log.js";
+import { parseImport, detectFormat } from "../utils/import-parsers.js";
+import { parseDomainPath, formatDomainPath } from "../utils/domain-path.js";
+import { resolveWorkspace, workspaceSession } from "../utils/workspace.js";
+
+/**
+ * Order in which row types are written, so rows can refer to domains,
+ * sources and concepts defined anywhere in the same file
+ */
+const ROW_TYPE_ORDER = ['domain', 'source', 'concept', 'fact', 'relationship'];
+
+/**
+ * Field that must be present for each row type
+ */
+const REQUIRED_FIELDS = {
+  domain: 'name',
+  source: 'url',
+  concept: 'name',
+  fact: 'statement',
+  relationship: 'relationshipType'
+};
+
+/**
+ * Bulk import of concepts, facts, sources, domains and relationships.
+ * Rows are written in batched transactions through KnowledgeStorage; when a
+ * batch fails its rows are retried one by one so only the bad rows are rejected.
+ */
+class KnowledgeImporter {
+  /**
+   * @param {neo4j.Driver} driver - Neo4j driver instance
+   * @param {Object} options - Importer options
+   * @param {KnowledgeStorage} options.storage - Storage used to write the rows
+   */
+  constructor(driver, options = {}) {
+    this.driver = driver;
+    this.storage = options.storage || new KnowledgeStorage(driver, options);
+  }
+
+  /**
+   * Imports knowledge from JSON Lines, CSV or JSON-LD content
+   * @param {Object} params - Import parameters
+   * @param {string} params.content - Content to import (alternative to filePath)
+   * @param {string} params.filePath - Path of a file to import (command line only, never from tool arguments)
+   * @param {string} params.format - jsonl, csv or jsonld (detected from the file name when omitted)
+   * @param {string} params.source - Source system recorded on imported knowledge
+   * @param {number} params.batchSize - Rows written per transaction
+   * @param {Object} params.columnMapping - CSV header to field name mapping
+   * @param {string} params.defaultType - Row type for CSV files without a type column
+   * @param {string} params.workspace - Workspace to import into
+   * @returns {Promise<Object>} - Import report with created, merged and rejected rows
+   */
+  async importKnowledge(params) {
+    const {
+      content,
+      filePath,
+      format = detectFormat(filePath),
+      source = 'import',
+      batchSize = 100,
+      columnMapping,
+      defaultType,
+      delimiter,
+      listSeparator
+    } = params;
+    
+    try {
+      if (content === undefined && !filePath) {
+        throw new Error('Either content or filePath is required');
+      }
+      
+      if (!format) {
+        throw new Error('Import format could not be detected; pass format (jsonl, csv or jsonld)');
+      }
+      
+      const workspace = resolveWorkspace(params.workspace);
+      
+      const text = content !== undefined ? content : await readFile(filePath, 'utf8');
+      const { rows, errors } = parseImport(text, format, { columnMapping, defaultType, delimiter, listSeparator });
+      
+      const report = {
+        format,
+        totalRows: rows.length + errors.length,
+        created: Object.fromEntries(ROW_TYPE_ORDER.map(type => [type, 0])),
+        merged: Object.fromEntries(ROW_TYPE_ORDER.map(type => [type, 0])),
+        rejected: errors.map(error => ({ ...error, type: null })),
+        warnings: [],
+        batches: 0
+      };
+      
+      const pending = [];
+      for (const row of rows) {
+        const record = this.normalizeRecord(row.record, source);
+        const problem = this.validateRecord(record);
+        
+        if (problem) {
+          report.rejected.push({ rowNumber: row.rowNumber, type: record.type || null, reason: problem });
+        } else {
+          pending.push({ rowNumber: row.rowNumber, record });
+        }
+      }
+      
+      // Stable sort keeps the file order within each row type
+      pending.sort((a, b) => ROW_TYPE_ORDER.indexOf(a.record.type) - ROW_TYPE_ORDER.indexOf(b.record.type));
+      
+      // References (JSON-LD @id, row refs and source URLs) to the IDs of written nodes
+      const refs = new Map();
+      const size = Math.max(1, parseInt(batchSize, 10) || 100);
+      
+      for (let i = 0; i < pending.length; i += size) {
+        await this.importBatch(pending.slice(i, i + size), refs, report, workspace);
+        report.batches++;
+      }
+      
+      report.rejected.sort((a, b) => a.rowNumber - b.rowNumber);
+      
+      return {
+        success: true,
+        ...report
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Writes one batch of rows in a single transaction. When the transaction
+   * fails, each row is retried in its own transaction to isolate the failures.
+   * @param {Object[]} batch - Rows to write
+   * @param {Map} refs - Known references, updated with the written nodes
+   * @param {Object} report - Import report to update
+   * @param {string} workspace - Workspace to write in
+   */
+  async importBatch(batch, refs, report, workspace) {
+    const session = workspaceSession(this.driver.session(), workspace);
+    
+    try {
+      try {
+        // Changes count for the audit log once the transaction that made them commits
+        const { value: outcomes, changes } = await session.executeWrite(tx => collectChanges(async () => {
+          const batchRefs = new Map(refs);
+          const results = [];
+          
+          for (const row of batch) {
+            results.push(await this.importRow(tx, row.record, batchRefs));
+          }
+          
+          return { results, batchRefs };
+        }));
+        
+        recordChanges(changes);
+        outcomes.batchRefs.forEach((id, ref) => refs.set(ref, id));
+        batch.forEach((row, index) => this.recordOutcome(report, row, outcomes.results[index]));
+        return;
+      } catch (error) {
+        // Fall through to row by row writes
+      }
+      
+      for (const row of batch) {
+        try {
+          const { value: outcome, changes } = await session.executeWrite(tx => collectChanges(async () => {
+            const rowRefs = new Map(refs);
+            const result = await this.importRow(tx, row.record, rowRefs);
+            return { result, rowRefs };
+          }));
+          
+          recordChanges(changes);
+          outcome.rowRefs.forEach((id, ref) => refs.set(ref, id));
+          this.recordOutcome(report, row, outcome.result);
+        } catch (error) {
+          report.rejected.push({ rowNumber: row.rowNumber, type: row.record.type, reason: error.message });
+        }
+      }
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Adds the outcome of a written row to the report
+   * @param {Object} report - Import report
+   * @param {Object} row - Written row
+   * @param {Object} outcome - Row outcome with status and warnings
+   */
+  recordOutcome(report, row, outcome) {
+    report[outcome.status][row.record.type]++;
+    
+    for (const warning of outcome.warnings || []) {
+      report.warnings.push({ rowNumber: row.rowNumber, type: row.record.type, warning });
+    }
+  }
+
+  /**
+   * Maps store-knowledge style rows (content and contentType) onto import fields
+   * @param {Object} record - Parsed row
+   * @param {string} defaultSource - Source system used when the row names none
+   * @returns {Object} - Normalized row
+   */
+  normalizeRecord(record, defaultSource) {
+    const type = String(record.type || record.contentType || '').toLowerCase();
+    const normalized = { ...record, type, source: record.source || defaultSource };
+    
+    if (record.content !== undefined) {
+      if (type === 'concept' && !normalized.name) {
+        normalized.name = record.content;
+      }
+      if (type === 'fact' && !normalized.statement) {
+        normalized.statement = record.content;
+      }
+    }
+    
+    if (type === 'relationship' && !normalized.relationshipType && record.relationship) {
+      normalized.relationshipType = record.relationship;
+    }
+    
+    return normalized;
+  }
+
+  /**
+   * Checks a normalized row before anything is written
+   * @param {Object} record - Normalized row
+   * @returns {string|null} - Reason the row is rejected, or null when valid
+   */
+  validateRecord(record) {
+    if (!ROW_TYPE_ORDER.includes(record.type)) {
+      return `Unknown row type: ${record.type || 'none'}. Expected one of: ${ROW_TYPE_ORDER.join(', ')}`;
+    }
+    
+    const required = REQUIRED_FIELDS[record.type];
+    if (!record[required] || !String(record[required]).trim()) {
+      return `Missing required field: ${required}`;
+    }
+    
+    if (record.type === 'relationship' && (!record.from || !record.to)) {
+      return 'Relationships need both from and to';
+    }
+    
+    if (record.confidence !== undefined && !(record.confidence >= 0 && record.confidence <= 1)) {
+      return `Confidence must be between 0 and 1, got ${record.confidence}`;
+    }
+    
+    return null;
+  }
+
+  /**
+   * Writes a single row inside an open transaction
+   * @param {neo4j.Transaction} tx - Open transaction
+   * @param {Object} record - Normalized row
+   * @param {Map} refs - Known references, updated with the written node
+   * @returns {Promise<Object>} - Status (created or merged), node ID and warnings
+   */
+  async importRow(tx, record, refs) {
+    const warnings = [];
+    let outcome;
+    
+    switch (record.type) {
+      case 'domain': {
+        // A parent (name or path) places the domain in the hierarchy, creating missing parents
+        const path = [...parseDomainPath(record.parent), ...parseDomainPath(record.name)];
+        const domain = await ensureDomain(tx, formatDomainPath(path), { description: record.description || null });
+        if (domain.created) {
+          recordChanges({ nodeIds: [domain.id] });
+        }
+        outcome = { id: domain.id, status: domain.created ? 'created' : 'merged' };
+        break;
+      }
+      
+      case 'source': {
+        const result = await this.storage.storeSource({
+          title: record.title || record.url,
+          url: record.url,
+          sourceType: record.sourceType || 'import',
+          author: record.author,
+          authors: record.authors,
+          publicationDate: record.publicationDate,
+          reliability: record.reliability,
+          metadata: record.metadata || {},
+          changedBy: record.source
+        }, tx);
+        
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        
+        refs.set(record.url, result.id);
+        outcome = { id: result.id, status: result.created ? 'created' : 'merged' };
+        break;
+      }
+      
+      case 'concept': {
+        const result = await this.storage.storeConcept({
+          name: record.name,
+          description: record.description,
+          source: record.source,
+          confidence: record.confidence,
+          domain: record.domain,
+          aliases: record.aliases || [],
+          metadata: record.metadata || {}
+        }, tx);
+        
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        
+        await this.linkSources(tx, result.id, record.sources, 'DERIVED_FROM', refs);
+        outcome = { id: result.id, status: result.created ? 'created' : 'merged' };
+        break;
+      }
+      
+      case 'fact': {
+        // Re-importing the same statement attaches its sources to the existing fact
+        const result = await this.storage.storeFact({
+          statement: record.statement,
+          source: record.source,
+          confidence: record.confidence ?? 0.8,
+          factType: record.factType,
+          domain: record.domain,
+          concepts: (record.concepts || []).map(concept => refs.get(concept) || concept),
+          mentions: record.mentions || [],
+          metadata: record.metadata || {},
+          validFrom: record.validFrom,
+          validTo: record.validTo
+        }, tx);
+        
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        
+        for (const unresolved of result.unresolvedConcepts) {
+          warnings.push(`Concept "${unresolved.reference}" is ambiguous and was not linked`);
+        }
+        
+        for (const contradiction of result.contradictions) {
+          warnings.push(`Contradicts fact ${contradiction.factId} ("${contradiction.statement}"): ${contradiction.reason}`);
+        }
+        
+        await this.linkSources(tx, result.id, record.sources, 'CITED_FROM', refs);
+        outcome = { id: result.id, status: result.created ? 'created' : 'merged' };
+        break;
+      }
+      
+      case 'relationship': {
+        const sourceId = await this.resolveReference(tx, record.from, refs);
+        const targetId = await this.resolveReference(tx, record.to, refs);
+        
+        const result = await this.storage.createRelationship({
+          sourceId,
+          targetId,
+          type: record.relationshipType,
+          properties: record.properties || {},
+          validFrom: record.validFrom,
+          validTo: record.validTo
+        }, tx);
+        
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        
+        outcome = { id: null, status: 'created' };
+        break;
+      }
+    }
+    
+    if (record.ref && outcome.id) {
+      refs.set(record.ref, outcome.id);
+    }
+    
+    return { ...outcome, warnings };
+  }
+
+  /**
+   * Resolves a row reference to a node ID: a ref or URL from the same import,
+   * a node ID, or an unambiguous concept name or alias
+   * @param {neo4j.Transaction} tx - Open transaction
+   * @param {string} reference - Reference from the row
+   * @param {Map} refs - Known references
+   * @returns {Promise<string>} - Node ID
+   */
+  async resolveReference(tx, reference, refs) {
+    if (refs.has(reference)) {
+      return refs.get(reference);
+    }
+    
+    if (isNodeId(reference)) {
+      return reference;
+    }
+    
+    const resolution = await resolveConcept(tx, reference, { allowFuzzy: false });
+    
+    if (resolution.status === 'ambiguous') {
+      throw new Error(`"${reference}" matches several concepts: ${resolution.candidates.map(c => `${c.name} (${c.id})`).join(', ')}`);
+    }
+    
+    if (resolution.status === 'not_found') {
+      throw new Error(`No node found for reference: ${reference}`);
+    }
+    
+    return resolution.concept.id;
+  }
+
+  /**
+   * Links an imported node to the sources it came from
+   * @param {neo4j.Transaction} tx - Open transaction
+   * @param {string} nodeId - ID of the imported node
+   * @param {string[]} sources - Source refs, URLs or IDs
+   * @param {string} relationshipType - DERIVED_FROM or CITED_FROM
+   * @param {Map} refs - Known references
+   */
+  async linkSources(tx, nodeId, sources = [], relationshipType, refs) {
+    for (const sourceRef of sources) {
+      let sourceId = refs.get(sourceRef) || (isNodeId(sourceRef) ? sourceRef : null);
+      
+      if (!sourceId) {
+        const existing = await tx.run('MATCH (s:Source {workspace: $workspace, url: $url}) RETURN s.id as id', { url: sourceRef });
+        if (existing.records.length === 0) {
+          throw new Error(`Source not found: ${sourceRef}`);
+        }
+        sourceId = existing.records[0].get('id');
+      }
+      
+      const result = await this.storage.createRelationship({
+        sourceId: nodeId,
+        targetId: sourceId,
+        type: relationshipType
+      }, tx);
+      
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+    }
+  }
+}
+
+export default KnowledgeImporter;
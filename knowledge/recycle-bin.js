@@ -0,0 +1,329 @@
+// knowledge/recycle-bin.js
+import { randomUUID } from "crypto";
+import * as cypherBuilder from "../utils/cypher-builder.js";
+import { recomputeConfidence, recomputeSourceFacts } from "./confidence-model.js";
+import { workspaceSession } from "../utils/workspace.js";
+import { recordChanges } from "./audit-log.js";
+import config from "../config.js";
+
+/**
+ * Deleted knowledge stays in the database until it is purged. A deleted node
+ * trades its labels for the Deleted label (remembering them in
+ * deleted_labels), so labeled queries and indexes no longer see it, and its
+ * relationships become DELETED_RELATIONSHIPs that remember their type.
+ * Everything removed by one operation shares a deletion_id.
+ */
+
+/**
+ * Relationships linking knowledge to the sources it rests on
+ */
+const EVIDENCE_RELATIONSHIPS = ['CITED_FROM', 'DERIVED_FROM'];
+
+/**
+ * Moves knowledge and source nodes to the recycle bin
+ * @param {neo4j.Session} session - Open session or transaction to write in
+ * @param {string[]} nodeIds - IDs of the nodes to delete
+ * @param {Object} options - Deletion options
+ * @param {string} options.deletedBy - Who deleted the nodes
+ * @param {string} options.deletionId - ID of the deletion (a new one by default)
+ * @returns {Promise<Object>} - Deletion ID and the number of nodes and relationships deleted
+ */
+async function softDeleteNodes(session, nodeIds = [], options = {}) {
+  const { deletedBy = null, deletionId = randomUUID() } = options;
+  
+  const labelsResult = await session.run(
+    `MATCH (n:Knowledge|Source) WHERE n.workspace = $workspace AND n.id IN $nodeIds
+     UNWIND labels(n) as label
+     RETURN collect(DISTINCT label) as labels`,
+    { nodeIds }
+  );
+  
+  const { query, params } = cypherBuilder.softDeleteNodesQuery({
+    nodeIds,
+    labels: labelsResult.records[0].get('labels'),
+    deletionId,
+    deletedBy
+  });
+  const result = await session.run(query, params);
+  const record = result.records[0];
+  
+  return {
+    deletionId,
+    nodeCount: record ? record.get('nodeCount').toNumber() : 0,
+    relationshipCount: record ? record.get('relationshipCount').toNumber() : 0
+  };
+}
+
+/**
+ * Listing, restoring and purging of deleted knowledge
+ */
+class RecycleBin {
+  /**
+   * @param {neo4j.Driver} driver - Neo4j driver instance
+   */
+  constructor(driver) {
+    this.driver = driver;
+  }
+
+  /**
+   * Lists the contents of the recycle bin, one entry per deletion, newest first
+   * @param {Object} params - Listing parameters
+   * @param {number} params.limit - Maximum number of deletions to return
+   * @returns {Promise<Object>} - Deletions with their nodes, relationships and purge date
+   */
+  async listDeleted(params = {}) {
+    const { limit = 20 } = params;
+    
+    const session = workspaceSession(this.driver.session(), params.workspace);
+    
+    try {
+      const { query, params: queryParams } = cypherBuilder.listDeletedQuery({ limit });
+      const result = await session.run(query, queryParams);
+      const retentionDays = config.RECYCLE_BIN_RETENTION_DAYS;
+      
+      const deletions = result.records.map(record => {
+        const deletedDate = record.get('deletedDate');
+        
+        return {
+          deletionId: record.get('deletionId'),
+          deletedDate,
+          deletedBy: record.get('deletedBy'),
+          purgeDate: retentionDays > 0
+            ? new Date(new Date(deletedDate).getTime() + retentionDays * 24 * 60 * 60 * 1000).toISOString()
+            : null,
+          nodes: record.get('nodes'),
+          relationships: record.get('relationships'),
+          relationshipCount: record.get('relationshipCount').toNumber()
+        };
+      });
+      
+      return {
+        success: true,
+        deletions
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Restores deleted knowledge with its relationships. A node ID restores that
+   * node; a deletion ID restores everything the deletion removed.
+   * Relationships to nodes still in the recycle bin come back with those nodes.
+   * @param {Object} params - Restore parameters
+   * @param {string} params.id - ID of a deleted node or of a deletion
+   * @returns {Promise<Object>} - Restored node IDs and relationship count
+   */
+  async restoreDeleted(params) {
+    const { id } = params;
+    
+    const session = workspaceSession(this.driver.session(), params.workspace);
+    
+    try {
+      const summary = await session.executeWrite(async tx => {
+        const deleted = await tx.run(
+          `MATCH (n:${cypherBuilder.DELETED_LABEL} {workspace: $workspace})
+           WHERE n.id = $id OR n.deletion_id = $id
+           RETURN n.id as id, n.deleted_labels as labels, n.deletion_id as deletionId,
+                  n.name as name, n.name_key as nameKey`,
+          { id }
+        );
+        
+        const nodes = deleted.records.map(record => ({
+          id: record.get('id'),
+          labels: record.get('labels'),
+          deletionId: record.get('deletionId'),
+          name: record.get('name'),
+          nameKey: record.get('nameKey')
+        }));
+        
+        // Without deleted nodes the ID can still name a deletion of relationships only
+        const deletionId = nodes.length > 0 ? nodes[0].deletionId : id;
+        
+        const types = await tx.run(
+          `MATCH (a)-[d:${cypherBuilder.DELETED_RELATIONSHIP} {deletion_id: $deletionId}]->(b)
+           WHERE a.workspace = $workspace OR b.workspace = $workspace
+           RETURN collect(DISTINCT d.relationship_type) as types`,
+          { deletionId }
+        );
+        const relationshipTypes = types.records[0].get('types');
+        
+        if (nodes.length === 0 && relationshipTypes.length === 0) {
+          throw new Error(`Nothing in the recycle bin with ID ${id}`);
+        }
+        
+        // Concept names are unique within the workspace, and the name may have been reused since the deletion
+        for (const node of nodes.filter(node => node.labels.includes('Concept'))) {
+          const conflict = await tx.run(
+            'MATCH (c:Concept {workspace: $workspace}) WHERE c.name = $name OR c.name_key = $nameKey RETURN c.id as id LIMIT 1',
+            { name: node.name, nameKey: node.nameKey }
+          );
+          
+          if (conflict.records.length > 0) {
+            throw new Error(`Cannot restore concept "${node.name}": concept ${conflict.records[0].get('id')} now has that name. Rename or merge it first`);
+          }
+        }
+        
+        // Nodes carrying the same labels are restored together
+        const groups = new Map();
+        for (const node of nodes) {
+          const key = [...node.labels].sort().join(':');
+          groups.set(key, [...(groups.get(key) || []), node]);
+        }
+        
+        for (const group of groups.values()) {
+          const { query, params: queryParams } = cypherBuilder.restoreNodesQuery({
+            nodeIds: group.map(node => node.id),
+            labels: group[0].labels
+          });
+          await tx.run(query, queryParams);
+        }
+        
+        const nodeIds = nodes.map(node => node.id);
+        
+        if (nodeIds.length > 0) {
+          const { query, params: queryParams } = cypherBuilder.reassignDeletedRelationshipsQuery({ deletionId, nodeIds });
+          await tx.run(query, queryParams);
+        }
+        
+        let relationshipCount = 0;
+        const evidenceFactIds = [];
+        
+        for (const type of relationshipTypes) {
+          const { query, params: queryParams } = cypherBuilder.restoreRelationshipsQuery({ deletionId, type });
+          const result = await tx.run(query, queryParams);
+          
+          relationshipCount += result.records[0].get('restored').toNumber();
+          if (EVIDENCE_RELATIONSHIPS.includes(type)) {
+            evidenceFactIds.push(...result.records[0].get('startIds'));
+          }
+        }
+        
+        // Restored facts and sources, and restored evidence, change fact confidence
+        const factIds = nodes.filter(node => node.labels.includes('Fact')).map(node => node.id);
+        await recomputeConfidence(tx, [...new Set([...factIds, ...evidenceFactIds])]);
+        await recomputeSourceFacts(tx, nodes.filter(node => node.labels.includes('Source')).map(node => node.id));
+        
+        return {
+          deletionId,
+          restoredIds: nodeIds,
+          relationshipCount
+        };
+      });
+      
+      recordChanges({ nodeIds: summary.restoredIds });
+      
+      return {
+        success: true,
+        id,
+        ...summary
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Permanently removes deleted knowledge: one node, one deletion or
+   * everything deleted more than a number of days ago
+   * @param {Object} params - Purge parameters
+   * @param {string} params.id - ID of a deleted node or of a deletion
+   * @param {number} params.olderThanDays - Purge everything deleted at least this many days ago
+   * @param {boolean} params.allWorkspaces - Purge by age in every workspace rather than the current one
+   *                                        (retention purge only, never from tool arguments)
+   * @returns {Promise<Object>} - Numbers of purged nodes and relationships
+   */
+  async purgeDeleted(params = {}) {
+    const { id, olderThanDays, allWorkspaces = false } = params;
+    
+    if (!id && (olderThanDays === undefined || olderThanDays === null)) {
+      return {
+        success: false,
+        error: 'Specify the ID to purge or olderThanDays'
+      };
+    }
+    
+    const session = allWorkspaces && !id
+      ? this.driver.session()
+      : workspaceSession(this.driver.session(), params.workspace);
+    
+    try {
+      let nodeId = null;
+      let deletionId = null;
+      
+      if (id) {
+        const lookup = await session.run(
+          `MATCH (n:${cypherBuilder.DELETED_LABEL} {workspace: $workspace, id: $id}) RETURN n.id as id`,
+          { id }
+        );
+        
+        if (lookup.records.length > 0) {
+          nodeId = id;
+        } else {
+          deletionId = id;
+        }
+      }
+      
+      const before = id ? null : new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000);
+      
+      const { query, params: queryParams } = cypherBuilder.purgeDeletedQuery({ nodeId, deletionId, before });
+      const result = await session.run(query, session.workspace === undefined ? { ...queryParams, workspace: null } : queryParams);
+      const record = result.records[0];
+      
+      const purgedNodes = record.get('purgedNodes').toNumber();
+      const purgedRelationships = record.get('purgedRelationships').toNumber();
+      
+      if (id && purgedNodes === 0 && purgedRelationships === 0) {
+        throw new Error(`Nothing in the recycle bin with ID ${id}`);
+      }
+      
+      recordChanges({ nodeIds: record.get('purgedIds') });
+      
+      return {
+        success: true,
+        purgedNodes,
+        purgedRelationships
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Purges everything kept longer than the configured retention, in every workspace
+   * (RECYCLE_BIN_RETENTION_DAYS; 0 keeps deleted knowledge until purged by hand)
+   * @returns {Promise<Object>} - Numbers of purged nodes and relationships
+   */
+  async purgeExpired() {
+    const retentionDays = config.RECYCLE_BIN_RETENTION_DAYS;
+    
+    if (!(retentionDays > 0)) {
+      return {
+        success: true,
+        purgedNodes: 0,
+        purgedRelationships: 0
+      };
+    }
+    
+    return this.purgeDeleted({ olderThanDays: retentionDays, allWorkspaces: true });
+  }
+}
+
+export { softDeleteNodes };
+
+export default RecycleBin;
@@ -1,6 +1,67 @@
 // knowledge/retrieval.js
 import neo4j from "neo4j-driver";
 import * as cypherBuilder from "../utils/cypher-builder.js";
+import { createEmbeddingProvider } from "./embeddings.js";
+import { relationshipRegistry } from "../schemas/relationship-registry.js";
+import { nameTokens, nameSimilarity, entityNameKey } from "../utils/text-similarity.js";
+import { resolveConcept } from "./concept-resolver.js";
+import { describeDerivation } from "../utils/confidence.js";
+import { formatDomainPath, domainName } from "../utils/domain-path.js";
+import { workspaceSession } from "../utils/workspace.js";
+import { queryFingerprint, decodeCursor, toPageSize, pageInfo } from "../utils/pagination.js";
+import { buildFacets } from "../utils/search-facets.js";
+import { compileFilter, contextFilterTree } from "../utils/search-filter.js";
+import config from "../config.js";
+
+/**
+ * Builds the failure result for a concept reference that did not resolve
+ * @param {Object} resolution - Result of resolveConcept
+ * @returns {Object} - Operation result listing the ranked candidates, if any
+ */
+function unresolvedConceptResult(resolution) {
+  if (resolution.status === 'ambiguous') {
+    return {
+      success: false,
+      ambiguous: true,
+      error: `"${resolution.reference}" matches several concepts; pass the ID of the intended one`,
+      reference: resolution.reference,
+      candidates: resolution.candidates
+    };
+  }
+  
+  return {
+    success: false,
+    error: `No concept found matching: ${resolution.reference}`
+  };
+}
+
+/**
+ * Explains how a node's confidence was derived
+ * @param {Object} node - Node properties
+ * @returns {Object} - Stored derivation (null when the confidence was never derived) and its description
+ */
+function confidenceExplanation(node) {
+  const derivation = node.confidence_derivation ? JSON.parse(node.confidence_derivation) : null;
+  
+  return {
+    confidenceDerivation: derivation,
+    confidenceExplanation: describeDerivation(derivation)
+  };
+}
+
+/**
+ * Reads the rows and total count of a query ending in cypherBuilder.pageClause
+ * @param {Object} result - Query result
+ * @returns {Object} - Rows of the page and the number of rows of the whole query
+ */
+function pageResult(result) {
+  const record = result.records[0];
+  
+  return {
+    page: record ? record.get('page') : [],
+    totalCount: record ? record.get('totalCount').toNumber() : 0
+  };
+}
 
 /**
  * Knowledge retrieval and search operations
@@ -8,9 +69,98 @@ import * as cypherBuilder from "../utils/cypher-builder.js";
 class KnowledgeRetrieval {
   /**
    * @param {neo4j.Driver} driver - Neo4j driver instance
+   * @param {Object} options - Retrieval options
+   * @param {Object} options.embeddingProvider - Provider used to embed search queries
    */
-  constructor(driver) {
+  constructor(driver, options = {}) {
     this.driver = driver;
+    this.embeddings = options.embeddingProvider || createEmbeddingProvider();
+    this.similarityThreshold = config.SIMILARITY_THRESHOLD ??
+      config.SIMILARITY_THRESHOLDS[this.embeddings.name] ?? config.SIMILARITY_THRESHOLDS.default;
+  }
+
+  /**
+   * Reads index hits of the session's workspace. Indexes hold every workspace,
+   * so hits of other workspaces can crowd out a small workspace's; the fetch
+   * grows until the workspace has its candidates, the index is exhausted or
+   * config.SEARCH_INDEX_FETCH_LIMIT hits have been read.
+   * @param {neo4j.Session} session - Open session to run the index query in
+   * @param {Function} indexQuery - Builds the index query reading a given number of hits
+   * @param {number} candidateCount - Number of workspace hits wanted
+   * @returns {Promise<Object[]>} - Workspace hits with id and score, best first
+   */
+  async findWorkspaceHits(session, indexQuery, candidateCount) {
+    let fetchCount = Math.min(candidateCount, config.SEARCH_INDEX_FETCH_LIMIT);
+    
+    for (;;) {
+      const { query, params } = indexQuery(fetchCount);
+      const result = await session.run(query, params);
+      const record = result.records[0];
+      const matches = record ? record.get('matches') : [];
+      
+      if (!record || record.get('exhausted') || matches.length >= candidateCount ||
+          fetchCount >= config.SEARCH_INDEX_FETCH_LIMIT) {
+        return matches;
+      }
+      
+      fetchCount = Math.min(fetchCount * 4, config.SEARCH_INDEX_FETCH_LIMIT);
+    }
+  }
+
+  /**
+   * Finds the nodes whose embeddings are closest to the query text
+   * @param {neo4j.Session} session - Open session to run the vector search in
+   * @param {string} text - Query text
+   * @param {number} candidateCount - Number of nearest neighbours to fetch per index
+   * @returns {Promise<Object>} - Map of node id to similarity score, (1 + cosine) / 2 as the index reports it
+   */
+  async findSimilarNodes(session, text, candidateCount) {
+    const embedding = await this.embeddings.embed(text);
+    const matches = await this.findWorkspaceHits(session, fetchCount => cypherBuilder.vectorSearchQuery({
+      embedding,
+      candidateCount,
+      fetchCount,
+      threshold: this.similarityThreshold
+    }), candidateCount);
+    
+    return matches.reduce((acc, match) => {
+      acc[match.id] = match.score;
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Finds the nodes matching a Lucene query in the fulltext index
+   * @param {neo4j.Session} session - Open session to run the fulltext search in
+   * @param {string} luceneQuery - Lucene query string
+   * @param {number} limit - Maximum number of hits to fetch
+   * @param {string} fallbackQuery - Lucene query to run instead when the index rejects luceneQuery
+   * @returns {Promise<Object>} - Map of node id to score, normalized against the best hit
+   */
+  async findTextMatches(session, luceneQuery, limit, fallbackQuery = null) {
+    const search = queryText => this.findWorkspaceHits(session, fetchCount => cypherBuilder.fulltextSearchQuery({
+      luceneQuery: queryText,
+      limit,
+      fetchCount
+    }), limit);
+    
+    let matches;
+    try {
+      matches = await search(luceneQuery);
+    } catch (error) {
+      // Syntax the query builder let through but Lucene cannot parse
+      if (!fallbackQuery || fallbackQuery === luceneQuery) {
+        throw error;
+      }
+      matches = await search(fallbackQuery);
+    }
+    
+    const maxScore = matches.length > 0 ? matches[0].score : 1;
+    
+    return matches.reduce((acc, match) => {
+      acc[match.id] = match.score / maxScore;
+      return acc;
+    }, {});
   }
 
   /**
@@ -24,72 +174,130 @@ class KnowledgeRetrieval {
       searchType = "hybrid", 
       contextFilters = {}, 
       maxResults = 10, 
-      includeContext = true 
+      includeContext = true,
+      fieldBoosts = {},
+      asOf = null,
+      explainConfidence = false,
+      facets = false,
+      filter = null,
+      cursor = null
     } = params;
     
-    const session = this.driver.session();
+    const session = workspaceSession(this.driver.session(), params.workspace);
     
     try {
+      const fingerprint = queryFingerprint('search', {
+        workspace: session.workspace,
+        query,
+        searchType,
+        contextFilters,
+        filter,
+        fieldBoosts,
+        asOf
+      });
+      const offset = decodeCursor(cursor, fingerprint);
+      
+      // contextFilters and filter both restrict the candidates, compiled into one condition
+      const contextFilter = contextFilterTree(contextFilters);
+      const { condition, params: filterParams } = compileFilter(
+        contextFilter && filter ? { and: [contextFilter, filter] } : contextFilter || filter
+      );
+      const scope = [
+        ...(condition ? [condition] : []),
+        ...(asOf ? [cypherBuilder.validAtCondition('n')] : [])
+      ].map(part => ` AND ${part}`).join('');
+      
       let cypherQuery = "";
-      let queryParams = { query, maxResults };
+      let queryParams = {
+        query,
+        ...cypherBuilder.pageParams(offset, toPageSize(maxResults, 10, config.MAX_SEARCH_RESULTS)),
+        verifiedRankBoost: config.VERIFIED_RANK_BOOST,
+        rejectedRankFactor: config.REJECTED_RANK_FACTOR,
+        ...filterParams,
+        ...(asOf ? { asOf: cypherBuilder.toDateTime(asOf, 'asOf') } : {})
+      };
+      
+      // Candidates are fetched from the indexes before filtering. Every page of a
+      // search ranks the same candidates, so pages never overlap or skip results.
+      const candidateCount = config.SEARCH_CANDIDATE_COUNT;
+      
+      // A full candidate pool may have left out further matches, so the total count is a lower bound
+      let candidatesCapped = false;
+      
+      // Facets count every hit, so the IDs of all of them are returned along with the page
+      const summaries = facets ? ['[row IN rows | row.n.id] as hitIds'] : [];
+      
+      // Every search type except "semantic" ranks text matches from the fulltext index.
+      // "exact" matches the query as a single phrase, the others accept Lucene syntax.
+      if (searchType !== "semantic") {
+        const fulltextOptions = {
+          fieldBoosts: { ...config.FULLTEXT_FIELD_BOOSTS, ...fieldBoosts },
+          phrase: searchType === "exact"
+        };
+        const luceneQuery = cypherBuilder.buildFulltextQuery(query, fulltextOptions);
+        const literalQuery = cypherBuilder.buildFulltextQuery(query, { ...fulltextOptions, literal: true });
+        const textScores = await this.findTextMatches(session, luceneQuery, candidateCount, literalQuery);
+        queryParams.textScores = textScores;
+        queryParams.textMatchIds = Object.keys(textScores);
+        candidatesCapped = candidatesCapped || queryParams.textMatchIds.length >= candidateCount;
+      }
+      
+      // Semantic and hybrid (the default) searches rank candidates by embedding similarity
+      if (!["exact", "fulltext", "graph"].includes(searchType)) {
+        const similarities = await this.findSimilarNodes(session, query, candidateCount);
+        queryParams.similarities = similarities;
+        queryParams.candidateIds = Object.keys(similarities);
+        candidatesCapped = candidatesCapped || queryParams.candidateIds.length >= candidateCount;
+      }
       
       switch (searchType) {
         case "exact":
+        case "fulltext":
           cypherQuery = `
             MATCH (n:Knowledge)
-            WHERE toLower(n.content) CONTAINS toLower($query) OR 
-                  toLower(n.name) CONTAINS toLower($query) OR 
-                  toLower(n.statement) CONTAINS toLower($query)
-            RETURN n, 
-                  CASE 
-                    WHEN n.confidence IS NOT NULL THEN n.confidence 
-                    ELSE 0.5 
-                  END as relevance
-            ORDER BY relevance DESC
-            LIMIT $maxResults
+            WHERE n.workspace = $workspace AND n.id IN $textMatchIds${scope}
+            WITH n, 
+                 $textScores[n.id] as textScore,
+                 CASE 
+                   WHEN n.confidence IS NOT NULL THEN n.confidence 
+                   ELSE 0.5 
+                 END as confidence
+            WITH n, (textScore * 0.7 + confidence * 0.3) as relevance
+            WITH n, [] as related, ${cypherBuilder.reviewedRelevance('relevance')} as relevance
+            ${cypherBuilder.pageClause(['n', 'related', 'relevance'], 'relevance DESC, n.id', summaries)}
           `;
           break;
           
         case "semantic":
-          // This would integrate with vector similarity in the future
-          // For now, use a text-based approach with some heuristics
           cypherQuery = `
             MATCH (n:Knowledge)
-            WHERE n.content =~ "(?i).*" + $query + ".*" OR 
-                  n.name =~ "(?i).*" + $query + ".*" OR 
-                  n.statement =~ "(?i).*" + $query + ".*"
+            WHERE n.workspace = $workspace AND n.id IN $candidateIds${scope}
             WITH n, 
-                 CASE 
-                   WHEN n.content IS NOT NULL THEN apoc.text.levenshteinSimilarity(toLower(n.content), toLower($query))
-                   WHEN n.name IS NOT NULL THEN apoc.text.levenshteinSimilarity(toLower(n.name), toLower($query))
-                   WHEN n.statement IS NOT NULL THEN apoc.text.levenshteinSimilarity(toLower(n.statement), toLower($query))
-                   ELSE 0.5
-                 END as textSimilarity,
+                 $similarities[n.id] as similarity,
                  CASE 
                    WHEN n.confidence IS NOT NULL THEN n.confidence 
                    ELSE 0.5 
                  END as confidence
-            RETURN n, (textSimilarity * 0.7 + confidence * 0.3) as relevance
-            ORDER BY relevance DESC
-            LIMIT $maxResults
+            WITH n, (similarity * 0.7 + confidence * 0.3) as relevance
+            WITH n, [] as related, ${cypherBuilder.reviewedRelevance('relevance')} as relevance
+            ${cypherBuilder.pageClause(['n', 'related', 'relevance'], 'relevance DESC, n.id', summaries)}
           `;
           break;
           
         case "graph":
           cypherQuery = `
             MATCH (n:Knowledge)
-            WHERE toLower(n.content) CONTAINS toLower($query) OR 
-                  toLower(n.name) CONTAINS toLower($query) OR 
-                  toLower(n.statement) CONTAINS toLower($query)
+            WHERE n.workspace = $workspace AND n.id IN $textMatchIds${scope}
             WITH n, 
                  CASE 
                    WHEN n.confidence IS NOT NULL THEN n.confidence 
                    ELSE 0.5 
                  END as confidence
             MATCH (n)-[r*1..2]-(connected:Knowledge)
-            RETURN DISTINCT n, collect(DISTINCT connected) as connections, confidence as relevance
-            ORDER BY relevance DESC
-            LIMIT $maxResults
+            WHERE all(rel IN r WHERE ${cypherBuilder.liveRelationshipCondition('rel')})
+            WITH n, collect(DISTINCT connected) as connections, confidence as relevance
+            WITH n, [] as related, ${cypherBuilder.reviewedRelevance('relevance')} as relevance
+            ${cypherBuilder.pageClause(['n', 'related', 'relevance'], 'relevance DESC, n.id', summaries)}
           `;
           break;
           
@@ -97,99 +305,30 @@ class KnowledgeRetrieval {
         default:
           cypherQuery = `
             MATCH (n:Knowledge)
-            WHERE toLower(n.content) CONTAINS toLower($query) OR 
-                  toLower(n.name) CONTAINS toLower($query) OR 
-                  toLower(n.statement) CONTAINS toLower($query)
+            WHERE n.workspace = $workspace AND (n.id IN $candidateIds OR n.id IN $textMatchIds)${scope}
             WITH n, 
-                 CASE 
-                   WHEN n.content IS NOT NULL THEN apoc.text.levenshteinSimilarity(toLower(n.content), toLower($query))
-                   WHEN n.name IS NOT NULL THEN apoc.text.levenshteinSimilarity(toLower(n.name), toLower($query))
-                   WHEN n.statement IS NOT NULL THEN apoc.text.levenshteinSimilarity(toLower(n.statement), toLower($query))
-                   ELSE 0.5
-                 END as textSimilarity,
+                 coalesce($similarities[n.id], 0.0) as similarity,
+                 coalesce($textScores[n.id], 0.0) as textScore,
                  CASE 
                    WHEN n.confidence IS NOT NULL THEN n.confidence 
                    ELSE 0.5 
                  END as confidence
             OPTIONAL MATCH (n)-[r]-(connected:Knowledge)
-            WITH n, collect(DISTINCT connected) as related, (textSimilarity * 0.7 + confidence * 0.3) as relevance
-            RETURN n, related, relevance
-            ORDER BY relevance DESC
-            LIMIT $maxResults
+            WHERE ${cypherBuilder.liveRelationshipCondition('r')}
+            WITH n, collect(DISTINCT connected) as related, (similarity * 0.4 + textScore * 0.3 + confidence * 0.3) as relevance
+            WITH n, related, ${cypherBuilder.reviewedRelevance('relevance')} as relevance
+            ${cypherBuilder.pageClause(['n', 'related', 'relevance'], 'relevance DESC, n.id', summaries)}
           `;
           break;
       }
       
-      // Apply context filters
-      if (contextFilters.domain) {
-        cypherQuery = cypherQuery.replace(
-          "MATCH (n:Knowledge)",
-          "MATCH (n:Knowledge)-[:BELONGS_TO]->(d:Domain {name: $domain})"
-        );
-        queryParams.domain = contextFilters.domain;
-      }
-      
-      if (contextFilters.minConfidence) {
-        const confidenceCheck = "AND n.confidence >= $minConfidence";
-        if (cypherQuery.includes("WHERE")) {
-          cypherQuery = cypherQuery.replace(
-            "WHERE",
-            "WHERE n.confidence >= $minConfidence AND"
-          );
-        } else {
-          cypherQuery = cypherQuery.replace(
-            "MATCH (n:Knowledge)",
-            "MATCH (n:Knowledge) WHERE n.confidence >= $minConfidence"
-          );
-        }
-        queryParams.minConfidence = contextFilters.minConfidence;
-      }
-      
-      if (contextFilters.contentType) {
-        // Handle multiple content types
-        if (Array.isArray(contextFilters.contentType)) {
-          const labels = contextFilters.contentType
-            .map(type => type.charAt(0).toUpperCase() + type.slice(1))
-            .join('|');
-          
-          cypherQuery = cypherQuery.replace(
-            "MATCH (n:Knowledge)",
-            `MATCH (n:Knowledge) WHERE ANY(label IN labels(n) WHERE label IN ['${labels}'])`
-          );
-        } else {
-          // Single content type
-          const label = contextFilters.contentType.charAt(0).toUpperCase() + 
-                        contextFilters.contentType.slice(1);
-          
-          cypherQuery = cypherQuery.replace(
-            "MATCH (n:Knowledge)",
-            `MATCH (n:Knowledge:${label})`
-          );
-        }
-      }
-      
-      if (contextFilters.source) {
-        const sourceCheck = "AND n.source = $source";
-        if (cypherQuery.includes("WHERE")) {
-          cypherQuery = cypherQuery.replace(
-            "WHERE",
-            "WHERE n.source = $source AND"
-          );
-        } else {
-          cypherQuery = cypherQuery.replace(
-            "MATCH (n:Knowledge)",
-            "MATCH (n:Knowledge) WHERE n.source = $source"
-          );
-        }
-        queryParams.source = contextFilters.source;
-      }
-      
       const result = await session.run(cypherQuery, queryParams);
+      const { page, totalCount } = pageResult(result);
       
-      const results = result.records.map(record => {
-        const node = record.get('n').properties;
-        const related = record.has('related') ? record.get('related') : [];
-        const nodeLabels = record.get('n').labels || [];
+      const results = page.map(row => {
+        const node = row.n.properties;
+        const related = row.related || [];
+        const nodeLabels = row.n.labels || [];
         
         // Determine node type from labels, excluding 'Knowledge'
         const nodeType = nodeLabels.find(label => label !== 'Knowledge') || 'Unknown';
@@ -212,7 +351,12 @@ class KnowledgeRetrieval {
           contentType: nodeType,
           source: node.source,
           confidence: node.confidence || 0.5,
-          relevance: record.get('relevance'),
+          validFrom: node.valid_from ? node.valid_from.toString() : null,
+          validTo: node.valid_to ? node.valid_to.toString() : null,
+          verificationStatus: node.verification_status || null,
+          verifiedDate: node.verified_date ? node.verified_date.toString() : null,
+          ...(explainConfidence ? confidenceExplanation(node) : {}),
+          relevance: row.relevance,
           relatedConcepts: related.map(r => {
             if (!r) return null;
             const props = r.properties;
@@ -224,12 +368,24 @@ class KnowledgeRetrieval {
         };
       });
       
+      let facetCounts = null;
+      if (facets) {
+        const hitIds = result.records.length > 0 ? result.records[0].get('hitIds') : [];
+        const { query: facetQuery, params: facetParams } = cypherBuilder.searchFacetsQuery({ nodeIds: hitIds });
+        const facetResult = await session.run(facetQuery, facetParams);
+        
+        facetCounts = buildFacets(facetResult.records.map(record => record.toObject()), config.CONFIDENCE_BANDS);
+      }
+      
       return {
         success: true,
         results,
-        totalCount: results.length,
+        ...pageInfo({ offset, pageSize: results.length, totalCount, fingerprint }),
+        totalCountCapped: candidatesCapped,
+        ...(facetCounts ? { facets: facetCounts } : {}),
         searchType,
-        includeContext
+        includeContext,
+        asOf
       };
     } catch (error) {
       return {
@@ -251,58 +407,71 @@ class KnowledgeRetrieval {
       startConcept, 
       relationshipTypes = [], 
       maxDepth = 3, 
-      visualize = false 
+      visualize = false,
+      asOf = null,
+      limit = 20,
+      cursor = null
     } = params;
     
-    const session = this.driver.session();
+    const session = workspaceSession(this.driver.session(), params.workspace);
     
     try {
-      // Build relationship type filter
-      const relFilter = relationshipTypes.length > 0 
-        ? `[r:${relationshipTypes.join('|')}*1..${maxDepth}]`
-        : `[r*1..${maxDepth}]`;
-      
-      // Determine how to match the start node
-      const isUuid = (str) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(str);
-      
-      let matchCondition;
-      if (isUuid(startConcept)) {
-        matchCondition = '(start:Knowledge {id: $startConcept})';
-      } else {
-        matchCondition = `(start:Knowledge) WHERE start.name = $startConcept OR 
-                                                  start.content = $startConcept OR 
-                                                  start.statement = $startConcept OR
-                                                  start.name CONTAINS $startConcept OR 
-                                                  start.content CONTAINS $startConcept OR 
-                                                  start.statement CONTAINS $startConcept`;
+      // Build relationship type filter from registered types only
+      const types = relationshipRegistry.validateTypes(relationshipTypes);
+      const depth = cypherBuilder.toPathLength(maxDepth, 3, config.MAX_EXPLORATION_DEPTH);
+      const relFilter = types.length > 0 
+        ? `[r:${types.join('|')}*1..${depth}]`
+        : `[r*1..${depth}]`;
+      
+      const resolution = await resolveConcept(session, startConcept);
+      
+      if (resolution.status !== 'resolved') {
+        return unresolvedConceptResult(resolution);
       }
       
+      const fingerprint = queryFingerprint('explore', {
+        workspace: session.workspace,
+        startId: resolution.concept.id,
+        relationshipTypes: types,
+        maxDepth: depth,
+        asOf
+      });
+      const offset = decodeCursor(cursor, fingerprint);
+      
+      // A node reached at several depths or over different relationships is listed once for each
       const cypherQuery = `
-        MATCH ${matchCondition}
+        MATCH (start:Knowledge {workspace: $workspace, id: $startId})
         MATCH path = (start)-${relFilter}-(connected:Knowledge)
-        WITH start, connected, relationships(path) as rels, length(path) as depth
-        RETURN 
-          start, 
-          collect(DISTINCT {
-            node: connected, 
-            depth: depth, 
-            relationships: [rel in rels WHERE startNode(rel) = start | type(rel)]
-          }) as connections
-        LIMIT 1
+        WHERE all(rel IN relationships(path) WHERE ${cypherBuilder.liveRelationshipCondition('rel')}) AND ($asOf IS NULL OR (
+          all(node IN nodes(path) WHERE ${cypherBuilder.validAtCondition('node')}) AND
+          all(rel IN relationships(path) WHERE ${cypherBuilder.validAtCondition('rel')})
+        ))
+        WITH DISTINCT start, connected, length(path) as depth,
+             [rel in relationships(path) WHERE startNode(rel) = start | type(rel)] as relationships
+        WITH start, connected, depth, relationships
+        ORDER BY depth, connected.id, relationships
+        WITH start, collect({node: connected, depth: depth, relationships: relationships}) as connections
+        RETURN start, size(connections) as totalCount, connections[$offset..$offset + $pageSize] as page
       `;
       
-      const result = await session.run(cypherQuery, { startConcept });
+      const result = await session.run(cypherQuery, { 
+        startId: resolution.concept.id,
+        asOf: cypherBuilder.toDateTime(asOf, 'asOf'),
+        ...cypherBuilder.pageParams(offset, toPageSize(limit, 20, config.MAX_SEARCH_RESULTS))
+      });
+      
+      const record = result.records[0];
+      const totalCount = record ? record.get('totalCount').toNumber() : 0;
       
-      if (result.records.length === 0) {
+      if (totalCount === 0) {
         return {
           success: false,
-          error: `No concept found matching: ${startConcept}`
+          error: `No connections found for concept: ${resolution.concept.name}`
         };
       }
       
-      const record = result.records[0];
       const startNode = record.get('start').properties;
-      const connections = record.get('connections');
+      const connections = record.get('page');
       
       // Format the results
       const startNodeType = record.get('start').labels.find(label => label !== 'Knowledge') || 'Unknown';
@@ -344,7 +513,7 @@ class KnowledgeRetrieval {
       // Generate visualization data if requested
       if (visualize) {
         // Create DOT graph format
-        const nodes = [explorationData.startNode, ...explorationData.connectedNodes.slice(0, 20)]
+        const nodes = [explorationData.startNode, ...explorationData.connectedNodes]
           .map(node => {
             // Escape quotes and special characters
             const label = (node.name || node.content || '')
@@ -367,7 +536,9 @@ class KnowledgeRetrieval {
       
       return {
         success: true,
-        explorationData
+        explorationData,
+        maxDepth: depth,
+        ...pageInfo({ offset, pageSize: connections.length, totalCount, fingerprint })
       };
     } catch (error) {
       return {
@@ -385,33 +556,58 @@ class KnowledgeRetrieval {
    * @returns {Promise<Object>} - Path results
    */
   async findKnowledgePaths(params) {
-    const { conceptA, conceptB, maxPathLength = 5, relationshipConstraints = [] } = params;
+    const { conceptA, conceptB, maxPathLength = 5, relationshipConstraints = [], asOf = null, limit = 10, cursor = null } = params;
     
-    const session = this.driver.session();
+    const session = workspaceSession(this.driver.session(), params.workspace);
     
     try {
+      const resolutionA = await resolveConcept(session, conceptA);
+      if (resolutionA.status !== 'resolved') {
+        return unresolvedConceptResult(resolutionA);
+      }
+      
+      const resolutionB = await resolveConcept(session, conceptB);
+      if (resolutionB.status !== 'resolved') {
+        return unresolvedConceptResult(resolutionB);
+      }
+      
+      const pathLength = cypherBuilder.toPathLength(maxPathLength, 5, config.MAX_PATH_LENGTH);
+      const fingerprint = queryFingerprint('paths', {
+        workspace: session.workspace,
+        conceptA: resolutionA.concept.id,
+        conceptB: resolutionB.concept.id,
+        maxPathLength: pathLength,
+        relationshipConstraints,
+        asOf
+      });
+      const offset = decodeCursor(cursor, fingerprint);
+      
       const { query, params: queryParams } = cypherBuilder.findPathsQuery({
-        conceptA,
-        conceptB,
-        maxPathLength,
+        conceptA: resolutionA.concept.id,
+        conceptB: resolutionB.concept.id,
+        maxPathLength: pathLength,
         relationshipTypes: relationshipConstraints,
-        includePathNodes: true
+        asOf,
+        offset,
+        pageSize: toPageSize(limit, 10, config.MAX_SEARCH_RESULTS),
+        maxLength: config.MAX_PATH_LENGTH,
+        countLimit: config.PATH_COUNT_LIMIT
       });
       
       const result = await session.run(query, queryParams);
+      const { page, totalCount } = pageResult(result);
       
-      if (result.records.length === 0) {
+      if (totalCount === 0) {
         return {
           success: true,
           found: false,
-          message: `No paths found between "${conceptA}" and "${conceptB}" within ${maxPathLength} steps.`
+          message: `No paths found between "${conceptA}" and "${conceptB}" within ${pathLength} steps.`,
+          maxPathLength: pathLength
         };
       }
       
-      const paths = result.records.map((record, index) => {
-        const pathNodes = record.get('pathNodes');
-        const rels = record.get('rels');
-        const pathLength = record.get('pathLength');
+      const paths = page.map((row, index) => {
+        const { pathNodes, relTypes, pathLength } = row;
         
         const pathSegments = [];
         
@@ -419,7 +615,7 @@ class KnowledgeRetrieval {
         for (let i = 0; i < pathNodes.length - 1; i++) {
           const sourceNode = pathNodes[i];
           const targetNode = pathNodes[i + 1];
-          const relationship = rels[i]?.type || 'RELATED_TO';
+          const relationship = relTypes[i] || 'RELATED_TO';
           
           pathSegments.push({
             source: {
@@ -437,8 +633,8 @@ class KnowledgeRetrieval {
         }
         
         return {
-          index: index + 1,
-          length: pathLength,
+          index: offset + index + 1,
+          length: pathLength.toNumber(),
           nodes: pathNodes,
           segments: pathSegments
         };
@@ -449,7 +645,10 @@ class KnowledgeRetrieval {
         found: true,
         paths,
         count: paths.length,
-        shortestPathLength: Math.min(...paths.map(p => p.length))
+        ...pageInfo({ offset, pageSize: paths.length, totalCount, fingerprint }),
+        totalCountCapped: totalCount >= config.PATH_COUNT_LIMIT,
+        maxPathLength: pathLength,
+        shortestPathLength: paths.length > 0 ? Math.min(...paths.map(p => p.length)) : null
       };
     } catch (error) {
       return {
@@ -467,15 +666,26 @@ class KnowledgeRetrieval {
    * @returns {Promise<Object>} - Analysis results
    */
   async analyzeKnowledgeGaps(params) {
-    const { domain, analysisType, threshold = 0.7 } = params;
+    const { domain, analysisType, threshold = 0.7, concept, includeSubdomains = true } = params;
     
-    const session = this.driver.session();
+    const session = workspaceSession(this.driver.session(), params.workspace);
     
     try {
+      let conceptId = null;
+      if (concept) {
+        const resolution = await resolveConcept(session, concept);
+        if (resolution.status !== 'resolved') {
+          return unresolvedConceptResult(resolution);
+        }
+        conceptId = resolution.concept.id;
+      }
+      
       const { query, params: queryParams } = cypherBuilder.analyzeGapsQuery({
         domain,
         analysisType,
-        threshold
+        threshold,
+        conceptId,
+        includeSubdomains
       });
       
       const result = await session.run(query, queryParams);
@@ -508,13 +718,28 @@ class KnowledgeRetrieval {
             confidence: record.get('confidence')
           }));
           break;
+          
+        case "unverified-claims":
+          analysisResults = result.records.map(record => ({
+            id: record.get('id'),
+            statement: record.get('statement'),
+            source: record.get('source'),
+            confidence: record.get('confidence'),
+            connectionCount: record.get('connectionCount').toNumber(),
+            contradictionCount: record.get('contradictionCount').toNumber(),
+            sourceCount: record.get('sourceCount').toNumber(),
+            impact: record.get('impact').toNumber()
+          }));
+          break;
       }
       
       return {
         success: true,
         domain,
+        includeSubdomains,
         analysisType,
         threshold,
+        concept: concept || null,
         results: analysisResults,
         count: analysisResults.length
       };
@@ -527,6 +752,442 @@ class KnowledgeRetrieval {
       await session.close();
     }
   }
+
+  /**
+   * Lists the relationship types allowed in the knowledge graph
+   * @returns {Object} - Registered relationship types
+   */
+  listRelationshipTypes() {
+    const relationshipTypes = relationshipRegistry.list();
+    
+    return {
+      success: true,
+      relationshipTypes,
+      count: relationshipTypes.length
+    };
+  }
+
+  /**
+   * Lists the revision history of a knowledge or source node
+   * @param {Object} params - History parameters
+   * @returns {Promise<Object>} - Revisions, newest first
+   */
+  async getKnowledgeHistory(params) {
+    const { id, limit = 20 } = params;
+    
+    const session = workspaceSession(this.driver.session(), params.workspace);
+    
+    try {
+      const { query, params: queryParams } = cypherBuilder.nodeHistoryQuery({
+        nodeId: id,
+        limit
+      });
+      
+      const result = await session.run(query, queryParams);
+      
+      const revisions = result.records.map(record => ({
+        id: record.get('id'),
+        operation: record.get('operation'),
+        changedFields: record.get('changedFields'),
+        previousValues: JSON.parse(record.get('previousValues')),
+        changedBy: record.get('changedBy'),
+        timestamp: record.get('timestamp')
+      }));
+      
+      return {
+        success: true,
+        id,
+        revisions,
+        count: revisions.length
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Proposes groups of concepts that probably name the same thing, using
+   * case-folding, plural stemming and string similarity on concept names
+   * @param {Object} params - Duplicate detection parameters
+   * @returns {Promise<Object>} - Candidate groups with a suggested canonical concept
+   */
+  async findDuplicateConcepts(params = {}) {
+    const { domain = null, includeSubdomains = true, threshold = 0.75, limit = 20 } = params;
+    
+    const session = workspaceSession(this.driver.session(), params.workspace);
+    
+    try {
+      const query = `
+        MATCH (c:Concept {workspace: $workspace})
+        WHERE $domain IS NULL OR ${cypherBuilder.inDomainCondition('c', includeSubdomains)}
+        RETURN c.id as id, 
+               c.name as name, 
+               coalesce(c.confidence, 0.5) as confidence,
+               COUNT { (c)-[r]-() WHERE ${cypherBuilder.liveRelationshipCondition('r')} } as degree
+      `;
+      
+      const result = await session.run(query, { domain: domainName(domain) });
+      
+      const concepts = result.records.map(record => ({
+        id: record.get('id'),
+        name: record.get('name'),
+        confidence: record.get('confidence'),
+        degree: record.get('degree').toNumber(),
+        tokens: nameTokens(record.get('name'))
+      }));
+      
+      // Only compare names that share a token or a prefix instead of every pair
+      const blocks = new Map();
+      concepts.forEach((concept, index) => {
+        const keys = [...concept.tokens, `prefix:${concept.tokens.join('').substring(0, 3)}`];
+        for (const key of keys) {
+          if (!blocks.has(key)) {
+            blocks.set(key, []);
+          }
+          blocks.get(key).push(index);
+        }
+      });
+      
+      // Union-find over matching pairs so transitive duplicates end up in one group
+      const parent = concepts.map((_, index) => index);
+      const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+      const compared = new Set();
+      
+      for (const members of blocks.values()) {
+        for (let i = 0; i < members.length; i++) {
+          for (let j = i + 1; j < members.length; j++) {
+            const pairKey = `${members[i]}:${members[j]}`;
+            if (compared.has(pairKey)) {
+              continue;
+            }
+            compared.add(pairKey);
+            
+            const { score } = nameSimilarity(concepts[members[i]].name, concepts[members[j]].name);
+            if (score >= threshold) {
+              parent[find(members[i])] = find(members[j]);
+            }
+          }
+        }
+      }
+      
+      const clusters = new Map();
+      concepts.forEach((concept, index) => {
+        const root = find(index);
+        if (!clusters.has(root)) {
+          clusters.set(root, []);
+        }
+        clusters.get(root).push(concept);
+      });
+      
+      const groups = [...clusters.values()]
+        .filter(members => members.length > 1)
+        .map(members => {
+          // Prefer the most trusted, best connected and shortest name as canonical
+          const [canonical, ...duplicates] = [...members].sort((a, b) =>
+            b.confidence - a.confidence || b.degree - a.degree || a.name.length - b.name.length
+          );
+          
+          return {
+            canonical: { id: canonical.id, name: canonical.name, confidence: canonical.confidence },
+            duplicates: duplicates.map(duplicate => ({
+              id: duplicate.id,
+              name: duplicate.name,
+              confidence: duplicate.confidence,
+              ...nameSimilarity(canonical.name, duplicate.name)
+            }))
+          };
+        })
+        .sort((a, b) =>
+          Math.max(...b.duplicates.map(d => d.score)) - Math.max(...a.duplicates.map(d => d.score))
+        )
+        .slice(0, limit);
+      
+      return {
+        success: true,
+        domain,
+        threshold,
+        groups,
+        count: groups.length
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Traces which AI models touched a knowledge node and in what order
+   * @param {Object} params - Trace parameters
+   * @returns {Promise<Object>} - Processing steps, oldest first
+   */
+  async traceProvenance(params) {
+    const { id } = params;
+    
+    const session = workspaceSession(this.driver.session(), params.workspace);
+    
+    try {
+      const nodeResult = await session.run(
+        'MATCH (n:Knowledge {workspace: $workspace, id: $id}) RETURN n.content as content, n.contentType as contentType, n.source as source',
+        { id }
+      );
+      
+      if (nodeResult.records.length === 0) {
+        throw new Error(`Knowledge node not found: ${id}`);
+      }
+      
+      const node = nodeResult.records[0];
+      
+      const { query, params: queryParams } = cypherBuilder.provenanceQuery({ nodeId: id });
+      const result = await session.run(query, queryParams);
+      
+      const steps = result.records.map(record => ({
+        id: record.get('id'),
+        chainId: record.get('chainId'),
+        model: record.get('model'),
+        stepOrder: record.get('stepOrder')?.toNumber(),
+        instructions: record.get('instructions'),
+        timestamp: record.get('timestamp'),
+        sources: record.get('sources')
+      }));
+      
+      return {
+        success: true,
+        id,
+        content: node.get('content'),
+        contentType: node.get('contentType'),
+        source: node.get('source'),
+        steps,
+        models: [...new Set(steps.map(step => step.model))]
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Answers "what do we know from or about this person or organization":
+   * knowledge derived from sources they authored and facts that mention them
+   * @param {Object} params - Entity lookup parameters
+   * @returns {Promise<Object>} - Matching knowledge, best supported first
+   */
+  async getEntityKnowledge(params) {
+    const { entity, entityType, direction = 'both', limit = 20 } = params;
+    
+    const session = workspaceSession(this.driver.session(), params.workspace);
+    
+    try {
+      if (!['from', 'about', 'both'].includes(direction)) {
+        throw new Error(`Unknown direction: ${direction}. Expected one of: from, about, both`);
+      }
+      
+      const labels = entityType ? [cypherBuilder.toEntityLabel(entityType)] : Object.values(cypherBuilder.ENTITY_LABELS);
+      
+      const lookupQuery = `
+        MATCH (e:Person|Organization {workspace: $workspace})
+        WHERE (e.id = $entity OR e.name_key = $nameKey) AND
+              any(label IN labels(e) WHERE label IN $labels)
+        RETURN e.id as id, 
+               e.name as name, 
+               labels(e)[0] as type,
+               COUNT { (e)<-[:AUTHORED_BY]-(:Source) } as authoredSources,
+               COUNT { (e)<-[:MENTIONS]-() } as mentionCount
+        ORDER BY authoredSources + mentionCount DESC
+      `;
+      
+      const lookup = await session.run(lookupQuery, { entity, nameKey: entityNameKey(entity), labels });
+      
+      const candidates = lookup.records.map(record => ({
+        id: record.get('id'),
+        name: record.get('name'),
+        type: record.get('type'),
+        authoredSources: record.get('authoredSources').toNumber(),
+        mentionCount: record.get('mentionCount').toNumber()
+      }));
+      
+      if (candidates.length === 0) {
+        throw new Error(`No person or organization found matching: ${entity}`);
+      }
+      
+      if (candidates.length > 1) {
+        return {
+          success: false,
+          ambiguous: true,
+          error: `"${entity}" matches several entities; pass the ID or entityType of the intended one`,
+          reference: entity,
+          candidates
+        };
+      }
+      
+      const [match] = candidates;
+      
+      const { query, params: queryParams } = cypherBuilder.entityKnowledgeQuery({
+        entityId: match.id,
+        direction,
+        limit
+      });
+      
+      const result = await session.run(query, queryParams);
+      
+      const knowledge = result.records.map(record => ({
+        id: record.get('id'),
+        content: record.get('content'),
+        contentType: record.get('contentType'),
+        confidence: record.get('confidence'),
+        relations: record.get('relations'),
+        sources: record.get('sources')
+      }));
+      
+      return {
+        success: true,
+        entity: match,
+        direction,
+        knowledge,
+        count: knowledge.length
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Lists contradictions between facts, open ones by default
+   * @param {Object} params - Listing parameters
+   * @param {string} params.domain - Only contradictions involving a fact of this domain (name or path)
+   * @param {boolean} params.includeSubdomains - Also list contradictions involving facts of descendant domains
+   * @param {string} params.concept - Only contradictions involving a fact about this concept (ID, name or alias)
+   * @param {boolean} params.includeResolved - Also list contradictions where a fact was superseded or expired
+   * @returns {Promise<Object>} - Contradicting fact pairs with the reason, newest first
+   */
+  async listContradictions(params = {}) {
+    const { domain = null, includeSubdomains = true, concept, includeResolved = false, limit = 50 } = params;
+    
+    const session = workspaceSession(this.driver.session(), params.workspace);
+    
+    try {
+      let conceptId = null;
+      if (concept) {
+        const resolution = await resolveConcept(session, concept);
+        if (resolution.status !== 'resolved') {
+          return unresolvedConceptResult(resolution);
+        }
+        conceptId = resolution.concept.id;
+      }
+      
+      const { query, params: queryParams } = cypherBuilder.listContradictionsQuery({
+        domain,
+        conceptId,
+        includeResolved,
+        includeSubdomains,
+        limit
+      });
+      
+      const result = await session.run(query, queryParams);
+      
+      const contradictions = result.records.map(record => ({
+        fact: record.get('fact'),
+        otherFact: record.get('otherFact'),
+        kind: record.get('kind'),
+        reason: record.get('reason'),
+        detectedDate: record.get('detectedDate'),
+        open: record.get('open'),
+        sharedConcepts: record.get('sharedConcepts')
+      }));
+      
+      return {
+        success: true,
+        domain,
+        concept: concept || null,
+        contradictions,
+        count: contradictions.length
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Lists domains as a tree, each with its path and the amount of knowledge
+   * belonging to it directly and including its descendants
+   * @param {Object} params - Listing parameters
+   * @param {string} params.root - Only list this domain (name or path) and its descendants
+   * @returns {Promise<Object>} - Domains in tree order (parents before their sub-domains)
+   */
+  async listDomains(params = {}) {
+    const { root = null } = params;
+    
+    const session = workspaceSession(this.driver.session(), params.workspace);
+    
+    try {
+      const { query, params: queryParams } = cypherBuilder.listDomainsQuery({ root });
+      const result = await session.run(query, queryParams);
+      
+      const domains = result.records
+        .map(record => ({
+          id: record.get('id'),
+          name: record.get('name'),
+          description: record.get('description'),
+          path: formatDomainPath(record.get('path')),
+          parent: record.get('path').length > 1 ? record.get('path')[record.get('path').length - 2] : null,
+          depth: record.get('path').length - 1,
+          knowledgeCount: record.get('knowledgeCount').toNumber(),
+          totalKnowledgeCount: record.get('totalKnowledgeCount').toNumber(),
+          segments: record.get('path')
+        }))
+        .sort((a, b) => {
+          const shared = Math.min(a.segments.length, b.segments.length);
+          for (let i = 0; i < shared; i++) {
+            const order = a.segments[i].localeCompare(b.segments[i]);
+            if (order !== 0) {
+              return order;
+            }
+          }
+          return a.segments.length - b.segments.length;
+        })
+        .map(({ segments, ...domain }) => domain);
+      
+      if (root && domains.length === 0) {
+        throw new Error(`Domain not found: ${root}`);
+      }
+      
+      return {
+        success: true,
+        root,
+        domains,
+        count: domains.length
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      await session.close();
+    }
+  }
 }
 
 export default KnowledgeRetrieval;
\ No newline at end of file
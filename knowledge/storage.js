@@ -1,6 +1,71 @@
 // knowledge/storage.js
+import { randomUUID } from "crypto";
 import neo4j from "neo4j-driver";
 import * as cypherBuilder from "../utils/cypher-builder.js";
+import { createEmbeddingProvider } from "./embeddings.js";
+import { relationshipRegistry } from "../schemas/relationship-registry.js";
+import { resolveConcept } from "./concept-resolver.js";
+import { detectContradictions, recheckContradictions } from "./contradiction-detector.js";
+import { recomputeConfidence, recomputeSourceFacts } from "./confidence-model.js";
+import { resolveDomain, ensureDomain } from "./domain-hierarchy.js";
+import { softDeleteNodes } from "./recycle-bin.js";
+import { recordChanges, relationshipKey } from "./audit-log.js";
+import { normalizeName, entityNameKey } from "../utils/text-similarity.js";
+import { statementKey } from "../utils/fact-comparison.js";
+import { resolveWorkspace, workspaceSession } from "../utils/workspace.js";
+import { parseDomainPath, formatDomainPath, domainName } from "../utils/domain-path.js";
+import { flattenMetadata, extractMetadata, metadataUpdates } from "../utils/metadata.js";
+
+/**
+ * Bookkeeping properties left out of revision snapshots
+ */
+const UNTRACKED_PROPERTIES = ['id', 'embedding', 'created_date', 'last_updated', 'processing_date', 'confidence_derivation', 'confidence_updated'];
+
+/**
+ * Relationships linking knowledge to the sources it rests on
+ */
+const EVIDENCE_RELATIONSHIPS = ['CITED_FROM', 'DERIVED_FROM'];
+
+/**
+ * Verdicts a reviewer can record on a fact
+ */
+const VERIFICATION_VERDICTS = ['verified', 'rejected'];
+
+/**
+ * Datetime properties of nodes, which revision snapshots hold as text
+ */
+const DATETIME_PROPERTIES = ['valid_from', 'valid_to', 'verified_date', 'rejected_date', 'publication_date'];
+
+/**
+ * Converts a Neo4j property value into a JSON-friendly value
+ * @param {*} value - Property value returned by the driver
+ * @returns {*} - Plain JavaScript value
+ */
+function toPlainValue(value) {
+  if (neo4j.isInt(value)) {
+    return value.toNumber();
+  }
+  if (neo4j.isDateTime(value) || neo4j.isDate(value) || neo4j.isLocalDateTime(value)) {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlainValue);
+  }
+  return value;
+}
+
+/**
+ * Captures the tracked properties of a node for a revision record
+ * @param {Object} properties - Node properties
+ * @returns {Object} - Snapshot of the tracked properties
+ */
+function snapshotProperties(properties = {}) {
+  return Object.fromEntries(
+    Object.entries(properties)
+      .filter(([key, value]) => !UNTRACKED_PROPERTIES.includes(key) && value !== null)
+      .map(([key, value]) => [key, toPlainValue(value)])
+  );
+}
 
 /**
  * Knowledge storage operations
@@ -8,68 +73,271 @@ import * as cypherBuilder from "../utils/cypher-builder.js";
 class KnowledgeStorage {
   /**
    * @param {neo4j.Driver} driver - Neo4j driver instance
+   * @param {Object} options - Storage options
+   * @param {Object} options.embeddingProvider - Provider used to embed content at write time
    */
-  constructor(driver) {
+  constructor(driver, options = {}) {
     this.driver = driver;
+    this.embeddings = options.embeddingProvider || createEmbeddingProvider();
+  }
+
+  /**
+   * Computes the embedding for a piece of knowledge content
+   * @param {...string} parts - Text fragments describing the node
+   * @returns {Promise<number[]>} - Embedding vector
+   */
+  async embed(...parts) {
+    const text = [...new Set(parts.filter(Boolean))].join('. ');
+    return this.embeddings.embed(text);
+  }
+
+  /**
+   * Records an immutable revision holding the values a node had before a mutation.
+   * Nothing is recorded when the mutation left every tracked property unchanged.
+   * @param {neo4j.Session} session - Open session to write the revision in
+   * @param {Object} params - Revision parameters
+   * @param {string} params.nodeId - ID of the mutated node
+   * @param {Object} params.previous - Node properties before the mutation
+   * @param {Object} params.current - Node properties after the mutation (omitted for deletes)
+   * @param {string} params.changedBy - Source responsible for the change
+   * @param {string} params.operation - Kind of mutation (update, restore, delete)
+   * @returns {Promise<string|null>} - Revision ID, or null when nothing changed
+   */
+  async recordRevision(session, params) {
+    const { nodeId, previous, current = {}, changedBy, operation } = params;
+    
+    const before = snapshotProperties(previous);
+    const after = snapshotProperties(current);
+    
+    const changedFields = operation === 'delete'
+      ? Object.keys(before)
+      : [...new Set([...Object.keys(before), ...Object.keys(after)])]
+          .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+    
+    if (changedFields.length === 0) {
+      return null;
+    }
+    
+    const { query, params: queryParams } = cypherBuilder.createRevisionQuery({
+      nodeId,
+      operation,
+      changedFields,
+      previousValues: before,
+      changedBy
+    });
+    
+    const result = await session.run(query, queryParams);
+    
+    recordChanges({ nodeIds: [nodeId] });
+    
+    return result.records.length > 0 ? result.records[0].get('id') : null;
+  }
+
+  /**
+   * Creates a concept or updates the existing one with the same name,
+   * recording a revision when an existing concept changes
+   * @param {neo4j.Session} session - Open session to write the concept in
+   * @param {Object} params - Concept parameters
+   * @returns {Promise<Object|null>} - Record with id, name, labels and properties, and whether the concept is new
+   */
+  async mergeConcept(session, params) {
+    const existing = await session.run(
+      'MATCH (c:Concept {workspace: $workspace, name: $name}) RETURN c {.*, embedding: null} as properties',
+      { name: params.name }
+    );
+    
+    const embedding = await this.embed(params.name, params.description);
+    const { query, params: queryParams } = cypherBuilder.createConceptQuery({ ...params, embedding });
+    const result = await session.run(query, queryParams);
+    
+    if (result.records.length === 0) {
+      return null;
+    }
+    
+    const record = result.records[0];
+    const created = existing.records.length === 0;
+    
+    if (!created) {
+      await this.recordRevision(session, {
+        nodeId: record.get('id'),
+        previous: existing.records[0].get('properties'),
+        current: record.get('properties'),
+        changedBy: params.source,
+        operation: 'update'
+      });
+    }
+    
+    return { record, created };
+  }
+
+  /**
+   * Attaches alternative names to a concept, skipping names that
+   * only differ from the concept name in case or plural form
+   * @param {neo4j.Session} session - Open session to write the aliases in
+   * @param {string} conceptId - ID of the concept
+   * @param {string[]} names - Alias names
+   * @returns {Promise<string[]>} - Names of the attached aliases
+   */
+  async addAliases(session, conceptId, names = []) {
+    if (names.length === 0) {
+      return [];
+    }
+    
+    const concept = await session.run(
+      'MATCH (c:Concept {workspace: $workspace, id: $conceptId}) RETURN c.name as name',
+      { conceptId }
+    );
+    
+    if (concept.records.length === 0) {
+      throw new Error(`Concept not found: ${conceptId}`);
+    }
+    
+    const nameKey = normalizeName(concept.records[0].get('name'));
+    const aliases = [...new Set(names.filter(name => typeof name === 'string' && name.trim()))]
+      .filter(name => normalizeName(name) && normalizeName(name) !== nameKey);
+    
+    if (aliases.length === 0) {
+      return [];
+    }
+    
+    const { query, params } = cypherBuilder.addAliasesQuery({ conceptId, aliases });
+    const result = await session.run(query, params);
+    
+    return result.records.map(record => record.get('name'));
+  }
+
+  /**
+   * Detaches alternative names from a concept
+   * @param {neo4j.Session} session - Open session to write the change in
+   * @param {string} conceptId - ID of the concept
+   * @param {string[]} names - Alias names
+   * @returns {Promise<string[]>} - Names of the detached aliases
+   */
+  async removeAliases(session, conceptId, names = []) {
+    const { query, params } = cypherBuilder.removeAliasesQuery({ conceptId, aliases: names });
+    const result = await session.run(query, params);
+    
+    return result.records.map(record => record.get('name'));
+  }
+
+  /**
+   * Finds or creates a person or organization by name
+   * @param {neo4j.Session} session - Open session to write the entity in
+   * @param {Object|string} entity - Entity name, or object with name and type (person or organization)
+   * @returns {Promise<Object>} - Entity id, name and type
+   */
+  async mergeEntity(session, entity) {
+    const { name, type = 'person' } = typeof entity === 'string' ? { name: entity } : entity;
+    
+    if (!name || !entityNameKey(name)) {
+      throw new Error('Entity name is required');
+    }
+    
+    const { query, params } = cypherBuilder.mergeEntityQuery({ name, entityType: type });
+    const result = await session.run(query, params);
+    const record = result.records[0];
+    
+    return {
+      id: record.get('id'),
+      name: record.get('name'),
+      type: record.get('type')
+    };
+  }
+
+  /**
+   * Links a knowledge node or source to the people and organizations it mentions
+   * @param {neo4j.Session} session - Open session to write the links in
+   * @param {string} nodeId - ID of the knowledge node or source
+   * @param {Array<Object|string>} mentions - Entity names, or objects with name and type
+   * @returns {Promise<Object[]>} - Linked entities
+   */
+  async linkMentions(session, nodeId, mentions = []) {
+    const linked = [];
+    
+    for (const mention of mentions) {
+      const entity = await this.mergeEntity(session, mention);
+      
+      await session.run(`
+        MATCH (k:Knowledge|Source {workspace: $workspace, id: $nodeId})
+        MATCH (e:Person|Organization {workspace: $workspace, id: $entityId})
+        MERGE (k)-[:MENTIONS]->(e)
+      `, { nodeId, entityId: entity.id });
+      
+      linked.push(entity);
+    }
+    
+    return linked;
+  }
+
+  /**
+   * Links a knowledge node to a domain, creating the domain (and the missing
+   * domains along its path) when needed
+   * @param {neo4j.Session} session - Open session to write the link in
+   * @param {string} nodeId - ID of the knowledge node
+   * @param {string} reference - Domain name or path, e.g. "Technology > Databases > Graph"
+   * @returns {Promise<Object>} - Domain with id, name and path
+   */
+  async linkDomain(session, nodeId, reference) {
+    const domain = await ensureDomain(session, reference);
+    
+    await session.run(`
+      MATCH (k:Knowledge {workspace: $workspace, id: $nodeId})
+      MATCH (d:Domain {workspace: $workspace, id: $domainId})
+      MERGE (k)-[:BELONGS_TO]->(d)
+    `, { nodeId, domainId: domain.id });
+    
+    return domain;
   }
 
   /**
    * Stores a concept in the knowledge graph
    * @param {Object} params - Concept parameters
+   * @param {neo4j.Transaction} transaction - Open transaction to write in instead of a new session
    * @returns {Promise<Object>} - Operation result
    */
-  async storeConcept(params) {
-    const session = this.driver.session();
+  async storeConcept(params, transaction = null) {
+    const session = workspaceSession(transaction || this.driver.session(), params.workspace);
     
     try {
-      const { query, params: queryParams } = cypherBuilder.createConceptQuery(params);
-      const result = await session.run(query, queryParams);
+      const merged = await this.mergeConcept(session, params);
       
-      if (result.records.length === 0) {
+      if (!merged) {
         throw new Error('Failed to create concept');
       }
       
-      const record = result.records[0];
+      const { record, created } = merged;
       
       // Add to domain if specified
       if (params.domain) {
-        const domainQuery = `
-          MATCH (c:Concept {id: $conceptId})
-          MERGE (d:Domain {name: $domain})
-          ON CREATE SET 
-            d.id = randomUUID(),
-            d.created_date = datetime()
-          MERGE (c)-[:BELONGS_TO]->(d)
-          RETURN d.name as domainName
-        `;
-        
-        await session.run(domainQuery, {
-          conceptId: record.get('id'),
-          domain: params.domain
-        });
+        await this.linkDomain(session, record.get('id'), params.domain);
       }
       
+      const aliases = await this.addAliases(session, record.get('id'), params.aliases);
+      
       // Create relationships if specified
       if (params.relationships && params.relationships.length > 0) {
         for (const rel of params.relationships) {
-          const relQuery = `
-            MATCH (a:Concept {id: $conceptId})
-            MATCH (b) WHERE id(b) = $targetId OR b.id = $targetId
-            MERGE (a)-[r:${rel.type}]->(b)
-            RETURN type(r) as relationship
-          `;
+          const relResult = await this.createRelationship({
+            workspace: params.workspace,
+            sourceId: record.get('id'),
+            targetId: rel.targetId,
+            type: rel.type
+          }, transaction);
           
-          await session.run(relQuery, {
-            conceptId: record.get('id'),
-            targetId: rel.targetId
-          });
+          if (!relResult.success) {
+            throw new Error(`Failed to create ${rel.type} relationship to ${rel.targetId}: ${relResult.error}`);
+          }
         }
       }
       
+      recordChanges({ nodeIds: [record.get('id')] });
+      
       return {
         success: true,
         id: record.get('id'),
-        name: record.get('name')
+        name: record.get('name'),
+        created,
+        aliases
       };
     } catch (error) {
       return {
@@ -77,44 +345,89 @@ class KnowledgeStorage {
         error: error.message
       };
     } finally {
-      await session.close();
+      if (!transaction) {
+        await session.close();
+      }
     }
   }
 
   /**
-   * Stores a fact in the knowledge graph
+   * Stores a fact in the knowledge graph. A statement already stored in the workspace
+   * (compared by statement key, with the same validity) is not stored again: the existing
+   * fact is returned with created false, so sources the caller cites it from corroborate it.
    * @param {Object} params - Fact parameters
+   * @param {neo4j.Transaction} transaction - Open transaction to write in instead of a new session
    * @returns {Promise<Object>} - Operation result
    */
-  async storeFact(params) {
-    const session = this.driver.session();
+  async storeFact(params, transaction = null) {
+    const session = workspaceSession(transaction || this.driver.session(), params.workspace);
     
     try {
-      const { query, params: queryParams } = cypherBuilder.createFactQuery(params);
-      const result = await session.run(query, queryParams);
+      const matching = cypherBuilder.matchingFactQuery(params);
+      const existing = await session.run(matching.query, matching.params);
+      const created = existing.records.length === 0;
       
-      if (result.records.length === 0) {
-        throw new Error('Failed to create fact');
+      let record;
+      
+      if (created) {
+        const embedding = await this.embed(params.statement);
+        const { query, params: queryParams } = cypherBuilder.createFactQuery({ ...params, embedding });
+        const result = await session.run(query, queryParams);
+        
+        if (result.records.length === 0) {
+          throw new Error('Failed to create fact');
+        }
+        
+        record = result.records[0];
+      } else {
+        const { query, params: queryParams } = cypherBuilder.corroborateFactQuery({
+          factId: existing.records[0].get('id'),
+          confidence: params.confidence,
+          metadata: params.metadata
+        });
+        const result = await session.run(query, queryParams);
+        
+        record = result.records[0];
+        
+        await this.recordRevision(session, {
+          nodeId: record.get('id'),
+          previous: existing.records[0].get('properties'),
+          current: record.get('properties'),
+          changedBy: params.source,
+          operation: 'update'
+        });
       }
       
-      const record = result.records[0];
       const factId = record.get('id');
       
       // Connect fact to concepts if specified
+      const unresolvedConcepts = [];
       if (params.concepts && params.concepts.length > 0) {
         for (const concept of params.concepts) {
-          // If concept is a string (name), find or create it
+          // If concept is a string (ID, name or alias), resolve it or create it
           if (typeof concept === 'string') {
-            const conceptQuery = cypherBuilder.createConceptQuery({
-              name: concept,
-              source: params.source,
-              confidence: params.confidence * 0.9 // Slightly lower confidence
-            });
+            const resolution = await resolveConcept(session, concept, { allowFuzzy: false });
             
-            const conceptResult = await session.run(conceptQuery.query, conceptQuery.params);
-            if (conceptResult.records.length > 0) {
-              const conceptId = conceptResult.records[0].get('id');
-              
+            // Never guess between several matching concepts
+            if (resolution.status === 'ambiguous') {
+              unresolvedConcepts.push({
+                reference: concept,
+                candidates: resolution.candidates
+              });
+              continue;
+            }
+            
+            let conceptId = resolution.concept?.id;
+            if (!conceptId) {
+              const merged = await this.mergeConcept(session, {
+                name: concept,
+                source: params.source,
+                confidence: params.confidence * 0.9 // Slightly lower confidence
+              });
+              conceptId = merged?.record.get('id');
+            }
+            
+            if (conceptId) {
               // Create relationship
               const relQuery = cypherBuilder.createFactConceptRelationQuery({
                 factId,
@@ -139,26 +452,27 @@ class KnowledgeStorage {
       
       // Add to domain if specified
       if (params.domain) {
-        const domainQuery = `
-          MATCH (f:Fact {id: $factId})
-          MERGE (d:Domain {name: $domain})
-          ON CREATE SET 
-            d.id = randomUUID(),
-            d.created_date = datetime()
-          MERGE (f)-[:BELONGS_TO]->(d)
-          RETURN d.name as domainName
-        `;
-        
-        await session.run(domainQuery, {
-          factId,
-          domain: params.domain
-        });
+        await this.linkDomain(session, factId, params.domain);
       }
       
+      const mentions = await this.linkMentions(session, factId, params.mentions);
+      
+      // Compare with the facts about the same concepts once the fact is linked to them
+      const contradictions = await detectContradictions(session, factId);
+      
+      const [scored] = await recomputeConfidence(session, [factId]);
+      
+      recordChanges({ nodeIds: [factId] });
+      
       return {
         success: true,
         id: factId,
-        statement: record.get('statement')
+        created,
+        statement: record.get('statement'),
+        confidence: scored?.confidence,
+        unresolvedConcepts,
+        mentions,
+        contradictions
       };
     } catch (error) {
       return {
@@ -166,23 +480,45 @@ class KnowledgeStorage {
         error: error.message
       };
     } finally {
-      await session.close();
+      if (!transaction) {
+        await session.close();
+      }
     }
   }
 
   /**
-   * Stores a source reference in the knowledge graph
+   * Stores a source reference in the knowledge graph. An existing source keeps its
+   * reliability unless params.reliability is given; params.defaultReliability (0.8)
+   * only applies to a new source.
    * @param {Object} params - Source parameters
+   * @param {neo4j.Transaction} transaction - Open transaction to write in instead of a new session
    * @returns {Promise<Object>} - Operation result
    */
-  async storeSource(params) {
-    const { title, url, sourceType, author, publicationDate, reliability = 0.8, metadata = {} } = params;
+  async storeSource(params, transaction = null) {
+    const { 
+      title, 
+      url, 
+      sourceType, 
+      author, 
+      authors = author ? [author] : [], 
+      mentions = [],
+      publicationDate, 
+      reliability = null, 
+      defaultReliability = 0.8, 
+      metadata = {}, 
+      changedBy = author 
+    } = params;
     
-    const session = this.driver.session();
+    const session = workspaceSession(transaction || this.driver.session(), params.workspace);
     
     try {
+      const existing = await session.run(
+        'MATCH (s:Source {workspace: $workspace, url: $url}) RETURN properties(s) as properties',
+        { url }
+      );
+      
       const query = `
-        MERGE (s:Source {url: $url})
+        MERGE (s:Source {workspace: $workspace, url: $url})
         ON CREATE SET 
           s.id = randomUUID(),
           s.title = $title,
@@ -190,23 +526,24 @@ class KnowledgeStorage {
           s.author = $author,
           s.publication_date = $publicationDate,
           s.processing_date = datetime(),
-          s.reliability_score = $reliability,
-          s.metadata = $metadata
+          s.reliability_score = coalesce($reliability, $defaultReliability),
+          s += $metadata
         ON MATCH SET
           s.title = CASE WHEN $title IS NOT NULL THEN $title ELSE s.title END,
           s.author = CASE WHEN $author IS NOT NULL THEN $author ELSE s.author END,
-          s.reliability_score = $reliability
-        RETURN s.id as id, s.title as title
+          s.reliability_score = CASE WHEN $reliability IS NOT NULL THEN $reliability ELSE s.reliability_score END
+        RETURN s.id as id, s.title as title, properties(s) as properties
       `;
       
       const result = await session.run(query, {
         url,
         title,
         sourceType,
-        author,
+        author: author || authors.map(entry => (typeof entry === 'string' ? entry : entry.name)).join(', ') || null,
         publicationDate: publicationDate ? new Date(publicationDate).toISOString() : null,
-        reliability,
-        metadata: JSON.stringify(metadata)
+        reliability: reliability ?? null,
+        defaultReliability,
+        metadata: flattenMetadata(metadata)
       });
       
       if (result.records.length === 0) {
@@ -215,10 +552,45 @@ class KnowledgeStorage {
       
       const record = result.records[0];
       
+      if (existing.records.length > 0) {
+        await this.recordRevision(session, {
+          nodeId: record.get('id'),
+          previous: existing.records[0].get('properties'),
+          current: record.get('properties'),
+          changedBy,
+          operation: 'update'
+        });
+      }
+      
+      const linkedAuthors = [];
+      for (const sourceAuthor of authors) {
+        const entity = await this.mergeEntity(session, sourceAuthor);
+        
+        await session.run(`
+          MATCH (s:Source {workspace: $workspace, id: $sourceId})
+          MATCH (e:Person|Organization {workspace: $workspace, id: $entityId})
+          MERGE (s)-[:AUTHORED_BY]->(e)
+        `, { sourceId: record.get('id'), entityId: entity.id });
+        
+        linkedAuthors.push(entity);
+      }
+      
+      const linkedMentions = await this.linkMentions(session, record.get('id'), mentions);
+      
+      const reliabilityChanged = existing.records.length > 0 &&
+        existing.records[0].get('properties').reliability_score !== record.get('properties').reliability_score;
+      const rescored = reliabilityChanged ? await recomputeSourceFacts(session, [record.get('id')]) : [];
+      
+      recordChanges({ nodeIds: [record.get('id')] });
+      
       return {
         success: true,
         id: record.get('id'),
-        title: record.get('title')
+        title: record.get('title'),
+        created: existing.records.length === 0,
+        rescoredFacts: rescored.length,
+        authors: linkedAuthors,
+        mentions: linkedMentions
       };
     } catch (error) {
       return {
@@ -226,33 +598,73 @@ class KnowledgeStorage {
         error: error.message
       };
     } finally {
-      await session.close();
+      if (!transaction) {
+        await session.close();
+      }
     }
   }
 
   /**
-   * Creates a relationship between knowledge nodes
+   * Creates a relationship between knowledge nodes. The target may be in
+   * another workspace when params.targetWorkspace names it, which is the only
+   * way relationships cross workspaces.
    * @param {Object} params - Relationship parameters
+   * @param {neo4j.Transaction} transaction - Open transaction to write in instead of a new session
    * @returns {Promise<Object>} - Operation result
    */
-  async createRelationship(params) {
-    const { sourceId, targetId, type, properties = {} } = params;
+  async createRelationship(params, transaction = null) {
+    const { sourceId, targetId, targetWorkspace, type, properties = {}, validFrom, validTo } = params;
     
-    const session = this.driver.session();
+    const session = workspaceSession(transaction || this.driver.session(), params.workspace);
     
     try {
+      const relationshipProperties = {
+        ...properties,
+        ...cypherBuilder.validityProperties({
+          validFrom: validFrom !== undefined ? validFrom : properties.valid_from,
+          validTo: validTo !== undefined ? validTo : properties.valid_to
+        })
+      };
+      
+      const workspaces = {
+        source: session.workspace,
+        target: targetWorkspace ? resolveWorkspace(targetWorkspace) : session.workspace
+      };
+      
+      // Nodes in the recycle bin cannot be linked until they are restored
+      const endpointsQuery = `
+        MATCH (source) WHERE source.id = $sourceId AND source.workspace = $workspace AND NOT source:${cypherBuilder.DELETED_LABEL}
+        MATCH (target) WHERE target.id = $targetId AND target.workspace = $targetWorkspace AND NOT target:${cypherBuilder.DELETED_LABEL}
+        RETURN labels(source) as sourceLabels, labels(target) as targetLabels
+      `;
+      
+      const endpoints = await session.run(endpointsQuery, { sourceId, targetId, targetWorkspace: workspaces.target });
+      
+      if (endpoints.records.length === 0) {
+        throw new Error(`Cannot create relationship: node ${sourceId} or ${targetId} not found${workspaces.target !== workspaces.source ? ` in workspace ${workspaces.target}` : ''}`);
+      }
+      
+      // Only registered types reach the query text; inverse names flip the direction
+      const { type: relationshipType, reversed } = relationshipRegistry.resolve(
+        type,
+        endpoints.records[0].get('sourceLabels'),
+        endpoints.records[0].get('targetLabels')
+      );
+      
       const query = `
-        MATCH (source) WHERE source.id = $sourceId
-        MATCH (target) WHERE target.id = $targetId
-        MERGE (source)-[r:${type}]->(target)
+        MATCH (source) WHERE source.id = $sourceId AND source.workspace = $sourceWorkspace AND NOT source:${cypherBuilder.DELETED_LABEL}
+        MATCH (target) WHERE target.id = $targetId AND target.workspace = $targetWorkspace AND NOT target:${cypherBuilder.DELETED_LABEL}
+        MERGE (source)-[r:${relationshipType}]->(target)
         SET r += $properties
         RETURN type(r) as relationship, source.id as sourceId, target.id as targetId
       `;
       
       const result = await session.run(query, {
-        sourceId,
-        targetId,
-        properties
+        sourceId: reversed ? targetId : sourceId,
+        targetId: reversed ? sourceId : targetId,
+        sourceWorkspace: reversed ? workspaces.target : workspaces.source,
+        targetWorkspace: reversed ? workspaces.source : workspaces.target,
+        properties: relationshipProperties
       });
       
       if (result.records.length === 0) {
@@ -261,11 +673,23 @@ class KnowledgeStorage {
       
       const record = result.records[0];
       
+      // New evidence changes the confidence of the fact resting on it (when the fact is in this workspace)
+      const factLabels = endpoints.records[0].get(reversed ? 'targetLabels' : 'sourceLabels');
+      const factWorkspace = reversed ? workspaces.target : workspaces.source;
+      if (EVIDENCE_RELATIONSHIPS.includes(relationshipType) && factLabels.includes('Fact') && factWorkspace === session.workspace) {
+        await recomputeConfidence(session, [record.get('sourceId')]);
+      }
+      
+      recordChanges({
+        relationships: [relationshipKey(record.get('sourceId'), record.get('relationship'), record.get('targetId'))]
+      });
+      
       return {
         success: true,
         relationship: record.get('relationship'),
         sourceId: record.get('sourceId'),
-        targetId: record.get('targetId')
+        targetId: record.get('targetId'),
+        ...(workspaces.target !== workspaces.source ? { targetWorkspace: workspaces.target } : {})
       };
     } catch (error) {
       return {
@@ -273,8 +697,40 @@ class KnowledgeStorage {
         error: error.message
       };
     } finally {
-      await session.close();
+      if (!transaction) {
+        await session.close();
+      }
+    }
+  }
+
+  /**
+   * Creates the relationships given with stored knowledge, from the stored node
+   * @param {string} workspace - Workspace of the stored node
+   * @param {string} nodeId - ID of the stored node
+   * @param {Object[]} relationships - targetNode, targetWorkspace, relationshipType, properties, validFrom and validTo
+   * @returns {Promise<string[]>} - Errors of the relationships that could not be created
+   */
+  async linkRelationships(workspace, nodeId, relationships = []) {
+    const relationshipErrors = [];
+    
+    for (const rel of relationships) {
+      const relResult = await this.createRelationship({
+        workspace,
+        sourceId: nodeId,
+        targetId: rel.targetNode,
+        targetWorkspace: rel.targetWorkspace,
+        type: rel.relationshipType,
+        properties: rel.properties || {},
+        validFrom: rel.validFrom,
+        validTo: rel.validTo
+      });
+      
+      if (!relResult.success) {
+        relationshipErrors.push(`${rel.relationshipType} -> ${rel.targetNode}: ${relResult.error}`);
+      }
     }
+    
+    return relationshipErrors;
   }
 
   /**
@@ -283,48 +739,87 @@ class KnowledgeStorage {
    * @returns {Promise<Object>} - Operation result
    */
   async storeKnowledge(params) {
-    const { content, contentType, source, metadata = {}, relationships = [] } = params;
+    const { content, contentType, source, metadata = {}, relationships = [], aliases = metadata.aliases || [] } = params;
     
     switch (contentType.toLowerCase()) {
       case 'concept':
         return this.storeConcept({
+          workspace: params.workspace,
           name: content,
           source,
           confidence: metadata.confidence,
           domain: metadata.domain,
+          aliases,
           metadata
         });
         
-      case 'fact':
-        return this.storeFact({
+      case 'fact': {
+        // Reject unknown relationship types before anything is written
+        try {
+          for (const rel of relationships) {
+            relationshipRegistry.lookup(rel.relationshipType);
+          }
+        } catch (error) {
+          return {
+            success: false,
+            error: error.message
+          };
+        }
+        
+        const stored = await this.storeFact({
+          workspace: params.workspace,
           statement: content,
           source,
           confidence: metadata.confidence,
           factType: metadata.factType || 'general',
           domain: metadata.domain,
           concepts: metadata.concepts || [],
+          mentions: params.mentions || metadata.mentions || [],
+          validFrom: params.validFrom,
+          validTo: params.validTo,
           metadata
         });
         
+        if (!stored.success || relationships.length === 0) {
+          return stored;
+        }
+        
+        // Sources the fact is cited from also corroborate a fact stored before
+        const relationshipErrors = await this.linkRelationships(params.workspace, stored.id, relationships);
+        
+        return {
+          ...stored,
+          relationshipsCreated: relationships.length - relationshipErrors.length,
+          relationshipErrors
+        };
+      }
+        
       default:
         // Generic knowledge node
-        const session = this.driver.session();
+        const session = workspaceSession(this.driver.session(), params.workspace);
         
         try {
+          // Reject unknown relationship types before anything is written
+          for (const rel of relationships) {
+            relationshipRegistry.lookup(rel.relationshipType);
+          }
+          
           // Upper case first letter of contentType for label
           const nodeLabel = contentType.charAt(0).toUpperCase() + contentType.slice(1);
           
           const query = `
             CREATE (n:Knowledge:${nodeLabel} {
               id: randomUUID(),
+              workspace: $workspace,
               content: $content,
               source: $source,
               contentType: $contentType,
               confidence: $confidence,
               created_date: datetime(),
               last_updated: datetime(),
-              metadata: $metadata
+              embedding: $embedding
             })
+            SET n += $metadata
             RETURN n.id as nodeId
           `;
           
@@ -333,7 +828,8 @@ class KnowledgeStorage {
             source,
             contentType,
             confidence: metadata.confidence || 0.8,
-            metadata: JSON.stringify(metadata)
+            metadata: flattenMetadata(metadata),
+            embedding: await this.embed(content)
           });
           
           if (result.records.length === 0) {
@@ -343,38 +839,21 @@ class KnowledgeStorage {
           const nodeId = result.records[0].get('nodeId');
           
           // Create relationships if specified
-          for (const rel of relationships) {
-            await this.createRelationship({
-              sourceId: nodeId,
-              targetId: rel.targetNode,
-              type: rel.relationshipType,
-              properties: rel.properties || {}
-            });
-          }
+          const relationshipErrors = await this.linkRelationships(params.workspace, nodeId, relationships);
           
           // Add to domain if specified
           if (metadata.domain) {
-            const domainQuery = `
-              MATCH (k:Knowledge {id: $nodeId})
-              MERGE (d:Domain {name: $domain})
-              ON CREATE SET 
-                d.id = randomUUID(),
-                d.created_date = datetime()
-              MERGE (k)-[:BELONGS_TO]->(d)
-              RETURN d.name as domainName
-            `;
-            
-            await session.run(domainQuery, {
-              nodeId,
-              domain: metadata.domain
-            });
+            await this.linkDomain(session, nodeId, metadata.domain);
           }
           
+          recordChanges({ nodeIds: [nodeId] });
+          
           return {
             success: true,
             id: nodeId,
             contentType,
-            relationshipsCreated: relationships.length
+            relationshipsCreated: relationships.length - relationshipErrors.length,
+            relationshipErrors
           };
         } catch (error) {
           return {
@@ -386,6 +865,1235 @@ class KnowledgeStorage {
         }
     }
   }
+
+  /**
+   * Updates an existing knowledge node
+   * @param {Object} params - Update parameters
+   * @returns {Promise<Object>} - Operation result
+   */
+  async updateKnowledge(params) {
+    const { 
+      id, 
+      content, 
+      confidence, 
+      metadata, 
+      domain, 
+      addRelationships = [], 
+      removeRelationships = [],
+      addAliases = [],
+      removeAliases = [],
+      validFrom,
+      validTo,
+      changedBy
+    } = params;
+    
+    const session = workspaceSession(this.driver.session(), params.workspace);
+    
+    try {
+      // One transaction, so a failing step leaves the node as it was
+      const { updates, deletionId, aliasesAdded, aliasesRemoved, contradictions } = await session.executeWrite(async tx => {
+        const existing = await tx.run(
+          'MATCH (n:Knowledge {workspace: $workspace, id: $id}) RETURN n {.*, embedding: null} as properties, labels(n) as labels',
+          { id }
+        );
+        
+        if (existing.records.length === 0) {
+          throw new Error(`Knowledge node not found: ${id}`);
+        }
+        
+        const previous = existing.records[0].get('properties');
+        const labels = existing.records[0].get('labels');
+        const updates = {};
+        
+        if ((addAliases.length > 0 || removeAliases.length > 0) && !labels.includes('Concept')) {
+          throw new Error('Aliases can only be managed on concepts');
+        }
+        
+        // A fact with sources derives its confidence from them, so a set value would be replaced at once
+        if (confidence !== undefined && labels.includes('Fact')) {
+          const removedSources = removeRelationships
+            .filter(rel => EVIDENCE_RELATIONSHIPS.includes(relationshipRegistry.lookup(rel.relationshipType).type))
+            .map(rel => rel.targetNode);
+          const sources = await tx.run(`
+            MATCH (n:Fact {workspace: $workspace, id: $id})-[:${EVIDENCE_RELATIONSHIPS.join('|')}]->(s:Source)
+            WHERE NOT s.id IN $removedSources
+            RETURN count(s) as count
+          `, { id, removedSources });
+          
+          if (sources.records[0].get('count').toNumber() > 0) {
+            throw new Error('The confidence of a fact with sources is derived from them and cannot be set; change it with set-source-reliability, verify-fact or reject-fact');
+          }
+        }
+        
+        if (content !== undefined) {
+          // Keep the subtype's own text field in sync with the normalized content
+          updates.content = content;
+          if (labels.includes('Concept')) {
+            updates.name = content;
+            updates.name_key = normalizeName(content);
+          }
+          if (labels.includes('Fact')) {
+            updates.statement = content;
+            updates.statement_key = statementKey(content);
+          }
+          updates.embedding = await this.embed(content, previous.description);
+        }
+        
+        if (confidence !== undefined) {
+          updates.confidence = confidence;
+          if (labels.includes('Fact')) {
+            updates.asserted_confidence = confidence;
+          }
+        }
+        
+        if (metadata !== undefined) {
+          Object.assign(updates, metadataUpdates(previous, metadata));
+        }
+        
+        Object.assign(updates, cypherBuilder.validityProperties({ validFrom, validTo }));
+        
+        const validFromAfter = updates.valid_from !== undefined ? updates.valid_from : previous.valid_from;
+        const validToAfter = updates.valid_to !== undefined ? updates.valid_to : previous.valid_to;
+        if (validFromAfter && validToAfter && validFromAfter.toStandardDate() > validToAfter.toStandardDate()) {
+          throw new Error('valid_from must not be after valid_to');
+        }
+        
+        const updateQuery = `
+          MATCH (n:Knowledge {workspace: $workspace, id: $id})
+          SET n += $updates, n.last_updated = datetime()
+          RETURN n {.*, embedding: null} as properties
+        `;
+        
+        const updated = await tx.run(updateQuery, { id, updates });
+        
+        await this.recordRevision(tx, {
+          nodeId: id,
+          previous,
+          current: updated.records[0].get('properties'),
+          changedBy,
+          operation: 'update'
+        });
+        
+        // Move the node to a different domain (an empty domain removes it from all domains)
+        if (domain !== undefined) {
+          const clearDomainQuery = `
+            MATCH (n:Knowledge {workspace: $workspace, id: $id})-[old:BELONGS_TO]->(:Domain)
+            DELETE old
+          `;
+          
+          await tx.run(clearDomainQuery, { id });
+          
+          if (domain) {
+            await this.linkDomain(tx, id, domain);
+          }
+        }
+        
+        // Removed relationships go to the recycle bin as one deletion
+        const deletionId = removeRelationships.length > 0 ? randomUUID() : null;
+        
+        for (const rel of removeRelationships) {
+          const { type: relationshipType, reversed } = relationshipRegistry.lookup(rel.relationshipType);
+          const pattern = reversed
+            ? `(target {id: $targetId})-[r:${relationshipType}]->(n:Knowledge {workspace: $workspace, id: $id})`
+            : `(n:Knowledge {workspace: $workspace, id: $id})-[r:${relationshipType}]->(target {id: $targetId})`;
+          
+          const removeQuery = `
+            MATCH ${pattern}
+            ${cypherBuilder.softDeleteRelationshipClause('r')}
+          `;
+          
+          await tx.run(removeQuery, {
+            id,
+            targetId: rel.targetNode,
+            deletionId,
+            deletedBy: changedBy || null
+          });
+        }
+        
+        // Facts derive their confidence from their sources; added sources rescore in createRelationship
+        const evidenceRemoved = removeRelationships
+          .some(rel => EVIDENCE_RELATIONSHIPS.includes(relationshipRegistry.lookup(rel.relationshipType).type));
+        if (labels.includes('Fact') && (confidence !== undefined || evidenceRemoved)) {
+          await recomputeConfidence(tx, [id]);
+        }
+        
+        for (const rel of addRelationships) {
+          const relResult = await this.createRelationship({
+            workspace: params.workspace,
+            sourceId: id,
+            targetId: rel.targetNode,
+            targetWorkspace: rel.targetWorkspace,
+            type: rel.relationshipType,
+            properties: rel.properties || {},
+            validFrom: rel.validFrom,
+            validTo: rel.validTo
+          }, tx);
+          
+          if (!relResult.success) {
+            throw new Error(`Failed to create ${rel.relationshipType} relationship to ${rel.targetNode}: ${relResult.error}`);
+          }
+        }
+        
+        const aliasesRemoved = await this.removeAliases(tx, id, removeAliases);
+        const aliasesAdded = await this.addAliases(tx, id, addAliases);
+        
+        // A corrected statement or validity may resolve old conflicts or cause new ones
+        const factChanged = labels.includes('Fact') &&
+          (content !== undefined || updates.valid_from !== undefined || updates.valid_to !== undefined);
+        const contradictions = factChanged ? await recheckContradictions(tx, id) : [];
+        
+        return { updates, deletionId, aliasesAdded, aliasesRemoved, contradictions };
+      });
+      
+      const updatedFields = Object.keys(updates).filter(field => !['embedding', 'name_key', 'statement_key', 'asserted_confidence'].includes(field));
+      if (domain !== undefined) {
+        updatedFields.push('domain');
+      }
+      
+      recordChanges({
+        nodeIds: [id],
+        relationships: removeRelationships.map(rel => {
+          const { type: relationshipType, reversed } = relationshipRegistry.lookup(rel.relationshipType);
+          return reversed ? relationshipKey(rel.targetNode, relationshipType, id) : relationshipKey(id, relationshipType, rel.targetNode);
+        })
+      });
+      
+      return {
+        success: true,
+        id,
+        updatedFields,
+        relationshipsAdded: addRelationships.length,
+        relationshipsRemoved: removeRelationships.length,
+        ...(deletionId ? { deletionId } : {}),
+        aliasesAdded,
+        aliasesRemoved,
+        contradictions
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Moves a knowledge node to the recycle bin, optionally cascading to
+   * dependent nodes. Everything deleted together can be restored or purged
+   * together through the returned deletion ID.
+   * Cascade modes:
+   * - detach: remove the node and its relationships only
+   * - orphaned-facts: also remove facts left without any other knowledge connection
+   * - source: treat the id as a Source and remove it with every node derived only from it
+   * @param {Object} params - Delete parameters
+   * @returns {Promise<Object>} - Operation result
+   */
+  async deleteKnowledge(params) {
+    const { id, cascade = 'detach', changedBy } = params;
+    
+    const session = workspaceSession(this.driver.session(), params.workspace);
+    
+    try {
+      // Collect the nodes to delete first so each one can be snapshotted
+      let query;
+      
+      switch (cascade) {
+        case 'detach':
+          query = `
+            MATCH (n:Knowledge {workspace: $workspace, id: $id})
+            RETURN [n {.*, embedding: null}] as targets
+          `;
+          break;
+          
+        case 'orphaned-facts':
+          query = `
+            MATCH (n:Knowledge {workspace: $workspace, id: $id})
+            OPTIONAL MATCH (n)-[link]-(f:Fact {workspace: $workspace})
+            WHERE ${cypherBuilder.liveRelationshipCondition('link')}
+              AND NOT EXISTS { MATCH (f)-[r]-(other:Knowledge) WHERE other <> n AND ${cypherBuilder.liveRelationshipCondition('r')} }
+            WITH n, collect(DISTINCT f {.*, embedding: null}) as orphans
+            RETURN [n {.*, embedding: null}] + orphans as targets
+          `;
+          break;
+          
+        case 'source':
+          query = `
+            MATCH (s:Source {workspace: $workspace, id: $id})
+            OPTIONAL MATCH (k:Knowledge {workspace: $workspace})-[:DERIVED_FROM|CITED_FROM]->(s)
+            WHERE NOT EXISTS { MATCH (k)-[:DERIVED_FROM|CITED_FROM]->(other:Source) WHERE other <> s }
+            WITH s, collect(DISTINCT k {.*, embedding: null}) as derived
+            RETURN [properties(s)] + derived as targets
+          `;
+          break;
+          
+        default:
+          throw new Error(`Unknown cascade mode: ${cascade}`);
+      }
+      
+      // One transaction, so a node is never deleted without its revision or left half-deleted
+      const { targetIds, deletionId } = await session.executeWrite(async tx => {
+        const result = await tx.run(query, { id });
+        
+        if (result.records.length === 0) {
+          throw new Error(`${cascade === 'source' ? 'Source' : 'Knowledge node'} not found: ${id}`);
+        }
+        
+        const targets = result.records[0].get('targets');
+        
+        for (const target of targets) {
+          await this.recordRevision(tx, {
+            nodeId: target.id,
+            previous: target,
+            changedBy,
+            operation: 'delete'
+          });
+        }
+        
+        const targetIds = targets.map(target => target.id);
+        
+        // Facts that keep other sources lose evidence and are rescored afterwards
+        const affected = await tx.run(
+          `MATCH (f:Fact {workspace: $workspace})-[:CITED_FROM|DERIVED_FROM]->(s:Source)
+           WHERE s.id IN $targetIds AND NOT f.id IN $targetIds
+           RETURN collect(DISTINCT f.id) as factIds`,
+          { targetIds }
+        );
+        
+        const { deletionId } = await softDeleteNodes(tx, targetIds, { deletedBy: changedBy });
+        
+        await recomputeConfidence(tx, affected.records[0].get('factIds'));
+        
+        return { targetIds, deletionId };
+      });
+      
+      const cascadedIds = targetIds.filter(targetId => targetId !== id);
+      
+      recordChanges({ nodeIds: targetIds });
+      
+      return {
+        success: true,
+        id,
+        cascade,
+        cascadedIds,
+        deletedCount: targetIds.length,
+        deletionId
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Restores a node to the values it had before the given revision.
+   * The restore itself is recorded as a new revision. A fact's confidence is
+   * derived again from its restored asserted confidence and its current sources.
+   * @param {Object} params - Restore parameters
+   * @returns {Promise<Object>} - Operation result
+   */
+  async restoreRevision(params) {
+    const { id, revisionId, changedBy } = params;
+    
+    const session = workspaceSession(this.driver.session(), params.workspace);
+    
+    try {
+      // One transaction, so the node is never restored without its revision
+      const { updates, restored, current, newRevisionId } = await session.executeWrite(async tx => {
+        const lookupQuery = `
+          MATCH (r:Revision {workspace: $workspace, id: $revisionId, node_id: $id})
+          MATCH (n:Knowledge|Source|Domain {workspace: $workspace, id: $id})
+          RETURN r.previous_values as previousValues, 
+                 n {.*, embedding: null} as properties, 
+                 labels(n) as labels
+        `;
+        
+        const lookup = await tx.run(lookupQuery, { id, revisionId });
+        
+        if (lookup.records.length === 0) {
+          throw new Error(`Revision ${revisionId} not found for node ${id}`);
+        }
+        
+        const record = lookup.records[0];
+        const labels = record.get('labels');
+        const properties = record.get('properties');
+        const restored = JSON.parse(record.get('previousValues'));
+        const current = snapshotProperties(properties);
+        
+        // Tracked properties missing from the snapshot did not exist yet, so clear them
+        const updates = {};
+        for (const field of new Set([...Object.keys(current), ...Object.keys(restored)])) {
+          updates[field] = restored[field] !== undefined ? restored[field] : null;
+        }
+        
+        // Snapshots hold datetimes as text; they must come back as datetimes
+        for (const [field, value] of Object.entries(updates)) {
+          if (typeof value === 'string' && (DATETIME_PROPERTIES.includes(field) || neo4j.isDateTime(properties[field]))) {
+            updates[field] = cypherBuilder.toDateTime(value, field);
+          }
+        }
+        
+        // Lookup keys follow the restored text, also for snapshots taken before they existed
+        if (labels.includes('Concept') && typeof updates.name === 'string') {
+          updates.name_key = normalizeName(updates.name);
+        }
+        if (labels.includes('Fact') && typeof updates.statement === 'string') {
+          updates.statement_key = statementKey(updates.statement);
+        }
+        
+        // A fact's confidence is derived below rather than copied from the snapshot
+        if (labels.includes('Fact')) {
+          delete updates.confidence;
+        }
+        
+        if (labels.includes('Knowledge') && updates.content !== current.content) {
+          updates.embedding = await this.embed(updates.content, updates.description);
+        }
+        
+        const restoreQuery = `
+          MATCH (n:Knowledge|Source|Domain {workspace: $workspace, id: $id})
+          SET n += $updates, n.last_updated = datetime()
+          RETURN n {.*, embedding: null} as properties
+        `;
+        
+        await tx.run(restoreQuery, { id, updates });
+        
+        if (labels.includes('Fact')) {
+          await recomputeConfidence(tx, [id]);
+          
+          // A restored statement or validity may resolve old conflicts or cause new ones
+          if (['statement', 'valid_from', 'valid_to'].some(field => JSON.stringify(restored[field] ?? null) !== JSON.stringify(current[field] ?? null))) {
+            await recheckContradictions(tx, id);
+          }
+        }
+        
+        const result = await tx.run(
+          'MATCH (n:Knowledge|Source|Domain {workspace: $workspace, id: $id}) RETURN n {.*, embedding: null} as properties',
+          { id }
+        );
+        
+        const newRevisionId = await this.recordRevision(tx, {
+          nodeId: id,
+          previous: properties,
+          current: result.records[0].get('properties'),
+          changedBy,
+          operation: 'restore'
+        });
+        
+        return { updates, restored, current, newRevisionId };
+      });
+      
+      return {
+        success: true,
+        id,
+        restoredFrom: revisionId,
+        revisionId: newRevisionId,
+        restoredFields: Object.keys(updates).filter(field => 
+          !['embedding', 'name_key', 'statement_key'].includes(field) &&
+          JSON.stringify(restored[field] ?? null) !== JSON.stringify(current[field] ?? null)
+        )
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Folds duplicate concepts into one canonical concept. Every relationship of
+   * the duplicates is moved to the canonical node, metadata is combined, the
+   * higher confidence wins and the duplicate names become aliases of the canonical concept.
+   * @param {Object} params - Merge parameters
+   * @returns {Promise<Object>} - Operation result
+   */
+  async mergeConcepts(params) {
+    const { canonicalId, duplicateIds = [], changedBy } = params;
+    
+    const session = workspaceSession(this.driver.session(), params.workspace);
+    
+    try {
+      const mergeIds = duplicateIds.filter(id => id !== canonicalId);
+      
+      if (mergeIds.length === 0) {
+        throw new Error('At least one duplicate concept other than the canonical one is required');
+      }
+      
+      // One transaction, so a failing step leaves the duplicates unmerged and without merge revisions
+      const { canonical, updates, aliases } = await session.executeWrite(async tx => {
+        const lookupQuery = `
+          MATCH (c:Concept {workspace: $workspace})
+          WHERE c.id = $canonicalId OR c.id IN $mergeIds
+          RETURN c {.*, embedding: null} as properties
+        `;
+        
+        const lookup = await tx.run(lookupQuery, { canonicalId, mergeIds });
+        const nodes = lookup.records.map(record => record.get('properties'));
+        
+        const canonical = nodes.find(node => node.id === canonicalId);
+        const duplicates = nodes.filter(node => node.id !== canonicalId);
+        
+        if (!canonical) {
+          throw new Error(`Canonical concept not found: ${canonicalId}`);
+        }
+        
+        const missing = mergeIds.filter(id => !duplicates.some(node => node.id === id));
+        if (missing.length > 0) {
+          throw new Error(`Duplicate concepts not found: ${missing.join(', ')}`);
+        }
+        
+        // Canonical metadata wins on conflicting keys
+        const metadata = [...duplicates, canonical].reduce((acc, node) => ({
+          ...acc,
+          ...extractMetadata(node)
+        }), {});
+        
+        const updates = {
+          confidence: Math.max(...[canonical, ...duplicates].map(node => node.confidence || 0)),
+          ...metadataUpdates(canonical, metadata)
+        };
+        
+        // Snapshot the duplicates while they still exist
+        for (const duplicate of duplicates) {
+          await this.recordRevision(tx, {
+            nodeId: duplicate.id,
+            previous: duplicate,
+            changedBy,
+            operation: 'merge'
+          });
+        }
+        
+        const mergeQuery = `
+          MATCH (canonical:Concept {workspace: $workspace, id: $canonicalId})
+          MATCH (duplicate:Concept {workspace: $workspace}) WHERE duplicate.id IN $mergeIds
+          WITH canonical, collect(duplicate) as duplicates
+          CALL apoc.refactor.mergeNodes([canonical] + duplicates, {properties: 'discard', mergeRels: true}) YIELD node
+          SET node += $updates, node.last_updated = datetime()
+          WITH node
+          OPTIONAL MATCH (node)-[loop]->(node)
+          DELETE loop
+          RETURN DISTINCT node {.*, embedding: null} as properties
+        `;
+        
+        const result = await tx.run(mergeQuery, { canonicalId, mergeIds, updates });
+        
+        // Aliases of the duplicates were moved along with their other relationships
+        await this.addAliases(tx, canonicalId, duplicates.map(duplicate => duplicate.name));
+        
+        const aliasResult = await tx.run(
+          'MATCH (a:Alias)-[:ALIAS_OF]->(:Concept {workspace: $workspace, id: $canonicalId}) RETURN a.name as name ORDER BY name',
+          { canonicalId }
+        );
+        
+        await this.recordRevision(tx, {
+          nodeId: canonicalId,
+          previous: canonical,
+          current: result.records[0].get('properties'),
+          changedBy,
+          operation: 'merge'
+        });
+        
+        return {
+          canonical,
+          updates,
+          aliases: aliasResult.records.map(record => record.get('name'))
+        };
+      });
+      
+      return {
+        success: true,
+        id: canonicalId,
+        name: canonical.name,
+        mergedIds: mergeIds,
+        aliases,
+        confidence: updates.confidence
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Creates a domain, or places it in the hierarchy. Missing domains along
+   * the path are created too, so "Technology > Databases > Graph" builds the
+   * whole branch.
+   * @param {Object} params - Domain parameters
+   * @param {string} params.name - Domain name, or a path ending with the domain
+   * @param {string} params.parent - Parent domain (name or path) the name is relative to
+   * @param {string} params.description - Description of the domain
+   * @returns {Promise<Object>} - Operation result with the domain's path
+   */
+  async createDomain(params) {
+    const { name, parent = null, description = null } = params;
+    
+    const session = workspaceSession(this.driver.session(), params.workspace);
+    
+    try {
+      const names = [...parseDomainPath(parent), ...parseDomainPath(name)];
+      const domain = await ensureDomain(session, formatDomainPath(names), { description });
+      
+      if (domain.created) {
+        recordChanges({ nodeIds: [domain.id] });
+      }
+      
+      return {
+        success: true,
+        id: domain.id,
+        name: domain.name,
+        path: formatDomainPath(domain.path),
+        created: domain.created
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Renames a domain. Knowledge and sub-domains stay attached to it.
+   * @param {Object} params - Rename parameters
+   * @param {string} params.domain - Domain to rename (name or path)
+   * @param {string} params.newName - New name; must not be used by another domain
+   * @param {string} params.changedBy - Who renamed the domain, recorded in the revision
+   * @returns {Promise<Object>} - Operation result with the previous and new path
+   */
+  async renameDomain(params) {
+    const { domain, newName, changedBy } = params;
+    
+    const session = workspaceSession(this.driver.session(), params.workspace);
+    
+    try {
+      if (parseDomainPath(newName).length !== 1) {
+        throw new Error(`Invalid domain name: "${newName}". Use move-domain to change where a domain belongs`);
+      }
+      
+      const name = parseDomainPath(newName)[0];
+      const existing = await resolveDomain(session, domain);
+      
+      if (!existing) {
+        throw new Error(`Domain not found: ${domain}`);
+      }
+      
+      if (name !== existing.name && await resolveDomain(session, name)) {
+        throw new Error(`Domain already exists: ${name}. Use merge-domains to combine the two`);
+      }
+      
+      const result = await session.run(
+        `MATCH (d:Domain {workspace: $workspace, id: $id})
+         SET d.name = $name, d.last_updated = datetime()
+         RETURN properties(d) as properties`,
+        { id: existing.id, name }
+      );
+      
+      await this.recordRevision(session, {
+        nodeId: existing.id,
+        previous: existing.properties,
+        current: result.records[0].get('properties'),
+        changedBy,
+        operation: 'update'
+      });
+      
+      return {
+        success: true,
+        id: existing.id,
+        previousPath: formatDomainPath(existing.path),
+        path: formatDomainPath([...existing.path.slice(0, -1), name])
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Moves a domain, with its sub-domains and knowledge, under another domain
+   * or to the top level
+   * @param {Object} params - Move parameters
+   * @param {string} params.domain - Domain to move (name or path)
+   * @param {string} params.parent - New parent domain (name or path); empty for a top-level domain
+   * @returns {Promise<Object>} - Operation result with the previous and new path
+   */
+  async moveDomain(params) {
+    const { domain, parent = null } = params;
+    
+    const session = workspaceSession(this.driver.session(), params.workspace);
+    
+    try {
+      const existing = await resolveDomain(session, domain);
+      
+      if (!existing) {
+        throw new Error(`Domain not found: ${domain}`);
+      }
+      
+      const target = parseDomainPath(parent).length > 0 ? await resolveDomain(session, parent) : null;
+      
+      if (parseDomainPath(parent).length > 0 && !target) {
+        throw new Error(`Parent domain not found: ${parent}`);
+      }
+      
+      if (target && target.path.includes(existing.name)) {
+        throw new Error(`Cannot move "${existing.name}" under ${target.name === existing.name ? 'itself' : `its own sub-domain "${target.name}"`}`);
+      }
+      
+      const { query, params: queryParams } = cypherBuilder.moveDomainQuery({
+        domainId: existing.id,
+        parentId: target ? target.id : null
+      });
+      
+      await session.run(query, queryParams);
+      
+      recordChanges({ nodeIds: [existing.id] });
+      
+      return {
+        success: true,
+        id: existing.id,
+        previousPath: formatDomainPath(existing.path),
+        path: formatDomainPath([...(target ? target.path : []), existing.name])
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Merges domains into a target domain: their knowledge and sub-domains move
+   * to the target and the merged domains are deleted, keeping a revision of each
+   * (knowledge-history still lists it under the deleted domain's ID)
+   * @param {Object} params - Merge parameters
+   * @param {string} params.target - Domain that remains (name or path)
+   * @param {string[]} params.domains - Domains merged into the target (names or paths)
+   * @param {string} params.changedBy - Who merged the domains, recorded in the revisions
+   * @returns {Promise<Object>} - Operation result with the moved knowledge and sub-domain counts
+   */
+  async mergeDomains(params) {
+    const { target, domains = [], changedBy } = params;
+    
+    const session = workspaceSession(this.driver.session(), params.workspace);
+    
+    try {
+      const summary = await session.executeWrite(async tx => {
+        const kept = await resolveDomain(tx, target);
+        
+        if (!kept) {
+          throw new Error(`Domain not found: ${target}`);
+        }
+        
+        const merged = [];
+        for (const reference of domains) {
+          const domain = await resolveDomain(tx, reference);
+          
+          if (!domain) {
+            throw new Error(`Domain not found: ${reference}`);
+          }
+          if (kept.path.includes(domain.name)) {
+            throw new Error(`Cannot merge "${domain.name}" into ${domain.id === kept.id ? 'itself' : `its own sub-domain "${kept.name}"`}`);
+          }
+          
+          merged.push(domain);
+        }
+        
+        if (merged.length === 0) {
+          throw new Error('At least one domain to merge into the target is required');
+        }
+        
+        let movedKnowledge = 0;
+        let movedSubdomains = 0;
+        
+        for (const domain of merged) {
+          // Snapshot the domain while it still exists
+          await this.recordRevision(tx, {
+            nodeId: domain.id,
+            previous: domain.properties,
+            changedBy,
+            operation: 'merge'
+          });
+          
+          const { query, params: queryParams } = cypherBuilder.mergeDomainsQuery({
+            sourceId: domain.id,
+            targetId: kept.id
+          });
+          const result = await tx.run(query, queryParams);
+          
+          movedKnowledge += result.records[0].get('movedKnowledge').toNumber();
+          movedSubdomains += result.records[0].get('movedSubdomains').toNumber();
+        }
+        
+        recordChanges({ nodeIds: [kept.id] });
+        
+        return {
+          id: kept.id,
+          path: formatDomainPath(kept.path),
+          mergedDomains: merged.map(domain => formatDomainPath(domain.path)),
+          movedKnowledge,
+          movedSubdomains
+        };
+      });
+      
+      return {
+        success: true,
+        ...summary
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Records the AI models or steps that processed a source as AIProcessing nodes,
+   * linked to the source and to the knowledge nodes produced from it
+   * @param {Object} params - Processing chain parameters
+   * @param {string} params.sourceId - ID of the processed source
+   * @param {Array<string|Object>} params.processingChain - Model names or steps with model, instructions and timestamp
+   * @param {string[]} params.producedIds - IDs of the concepts and facts produced by the chain
+   * @param {string} params.instructions - Instructions used for steps that do not specify their own
+   * @returns {Promise<Object>} - Operation result with the created steps in order
+   */
+  async recordProcessingChain(params) {
+    const { sourceId, processingChain = [], producedIds = [], instructions = null } = params;
+    
+    const session = workspaceSession(this.driver.session(), params.workspace);
+    
+    try {
+      const steps = processingChain
+        .map(step => (typeof step === 'string' ? { model: step } : step))
+        .map(step => ({
+          model: step.model || step.name,
+          instructions: step.instructions || instructions,
+          timestamp: step.timestamp
+        }));
+      
+      const invalid = steps.findIndex(step => !step.model);
+      if (invalid !== -1) {
+        throw new Error(`Processing step ${invalid + 1} has no model name`);
+      }
+      
+      if (steps.length === 0) {
+        return { success: true, steps: [] };
+      }
+      
+      const { query, params: queryParams } = cypherBuilder.createProcessingChainQuery({
+        sourceId,
+        steps,
+        producedIds
+      });
+      
+      const result = await session.run(query, queryParams);
+      
+      if (result.records.length === 0) {
+        throw new Error(`Source not found: ${sourceId}`);
+      }
+      
+      recordChanges({ nodeIds: result.records.map(record => record.get('id')) });
+      
+      return {
+        success: true,
+        chainId: result.records[0].get('chainId'),
+        steps: result.records.map(record => ({
+          id: record.get('id'),
+          model: record.get('model'),
+          stepOrder: record.get('stepOrder').toNumber()
+        }))
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Replaces a fact with a newer one: the old fact stops being valid when the
+   * new one starts, and the two are linked with SUPERSEDED_BY. The newer fact
+   * is either an existing fact or created from a statement, in which case it
+   * inherits the concepts and domain of the old fact.
+   * @param {Object} params - Supersede parameters
+   * @param {string} params.oldFactId - ID of the fact being replaced
+   * @param {string} params.newFactId - ID of an existing replacement fact
+   * @param {string} params.statement - Statement of a new replacement fact (instead of newFactId)
+   * @param {string} params.effectiveDate - When the replacement took effect (default: now)
+   * @returns {Promise<Object>} - Operation result
+   */
+  async supersedeFact(params) {
+    const { oldFactId, newFactId, statement, effectiveDate, source, confidence, changedBy } = params;
+    
+    const session = workspaceSession(this.driver.session(), params.workspace);
+    
+    try {
+      if (!newFactId && !statement) {
+        throw new Error('Either newFactId or statement is required');
+      }
+      
+      const effective = cypherBuilder.toDateTime(effectiveDate || new Date(), 'effectiveDate');
+      
+      const lookupQuery = `
+        MATCH (f:Fact {workspace: $workspace, id: $oldFactId})
+        OPTIONAL MATCH (f)-[:SUPERSEDED_BY]->(newer:Fact)
+        RETURN f {.*, embedding: null} as properties,
+               newer.id as supersededBy,
+               [(f)-[:ABOUT]->(c:Concept) | c.id] as conceptIds,
+               [(f)-[:BELONGS_TO]->(d:Domain) | d.name][0] as domain
+      `;
+      
+      const lookup = await session.run(lookupQuery, { oldFactId });
+      
+      if (lookup.records.length === 0) {
+        throw new Error(`Fact not found: ${oldFactId}`);
+      }
+      
+      const record = lookup.records[0];
+      const previous = record.get('properties');
+      
+      if (record.get('supersededBy')) {
+        throw new Error(`Fact ${oldFactId} is already superseded by ${record.get('supersededBy')}`);
+      }
+      
+      if (previous.valid_from && previous.valid_from.toStandardDate() > effective.toStandardDate()) {
+        throw new Error(`effectiveDate is before the old fact became valid (${previous.valid_from.toString()})`);
+      }
+      
+      if (newFactId === oldFactId) {
+        throw new Error('A fact cannot supersede itself');
+      }
+      
+      if (newFactId) {
+        const replacement = await session.run('MATCH (f:Fact {workspace: $workspace, id: $id}) RETURN f.id as id', { id: newFactId });
+        
+        if (replacement.records.length === 0) {
+          throw new Error(`Replacement fact not found: ${newFactId}`);
+        }
+      }
+      
+      // Close the old fact first, so the new one does not overlap it and is not flagged as contradicting it
+      const closeQuery = `
+        MATCH (f:Fact {workspace: $workspace, id: $oldFactId})
+        SET f.valid_to = $effective, f.last_updated = datetime()
+        RETURN f {.*, embedding: null} as properties
+      `;
+      
+      const closed = await session.run(closeQuery, { oldFactId, effective });
+      
+      await this.recordRevision(session, {
+        nodeId: oldFactId,
+        previous,
+        current: closed.records[0].get('properties'),
+        changedBy,
+        operation: 'supersede'
+      });
+      
+      let replacementId = newFactId;
+      let created = false;
+      
+      if (!replacementId) {
+        const stored = await this.storeFact({
+          statement,
+          source: source || previous.source,
+          confidence: confidence ?? previous.confidence,
+          factType: previous.fact_type,
+          domain: record.get('domain'),
+          concepts: record.get('conceptIds').map(id => ({ id })),
+          validFrom: effective
+        }, session);
+        
+        if (!stored.success) {
+          throw new Error(stored.error);
+        }
+        
+        replacementId = stored.id;
+        created = true;
+      } else {
+        await session.run(
+          'MATCH (f:Fact {workspace: $workspace, id: $id}) SET f.valid_from = coalesce(f.valid_from, $effective)',
+          { id: replacementId, effective }
+        );
+      }
+      
+      const link = await this.createRelationship({
+        sourceId: oldFactId,
+        targetId: replacementId,
+        type: 'SUPERSEDED_BY',
+        properties: { superseded_date: effective }
+      }, session);
+      
+      if (!link.success) {
+        throw new Error(link.error);
+      }
+      
+      return {
+        success: true,
+        oldFactId,
+        newFactId: replacementId,
+        created,
+        effectiveDate: effective.toString()
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Changes the reliability of a source and recomputes the confidence of the
+   * facts resting on it
+   * @param {Object} params - Reliability parameters
+   * @param {string} params.source - Source ID or URL
+   * @param {number} params.reliability - New reliability score between 0 and 1
+   * @returns {Promise<Object>} - Operation result with the rescored facts
+   */
+  async setSourceReliability(params) {
+    const { source, reliability, changedBy } = params;
+    
+    const session = workspaceSession(this.driver.session(), params.workspace);
+    
+    try {
+      if (typeof reliability !== 'number' || reliability < 0 || reliability > 1) {
+        throw new Error(`Reliability must be a number between 0 and 1, got ${reliability}`);
+      }
+      
+      const existing = await session.run(
+        'MATCH (s:Source {workspace: $workspace}) WHERE s.id = $source OR s.url = $source RETURN properties(s) as properties',
+        { source }
+      );
+      
+      if (existing.records.length === 0) {
+        throw new Error(`Source not found: ${source}`);
+      }
+      
+      const previous = existing.records[0].get('properties');
+      
+      const updated = await session.run(
+        `MATCH (s:Source {workspace: $workspace, id: $id})
+         SET s.reliability_score = $reliability, s.last_updated = datetime()
+         RETURN properties(s) as properties`,
+        { id: previous.id, reliability }
+      );
+      
+      await this.recordRevision(session, {
+        nodeId: previous.id,
+        previous,
+        current: updated.records[0].get('properties'),
+        changedBy,
+        operation: 'update'
+      });
+      
+      const rescoredFacts = await recomputeSourceFacts(session, [previous.id]);
+      
+      return {
+        success: true,
+        id: previous.id,
+        title: previous.title,
+        previousReliability: previous.reliability_score ?? null,
+        reliability,
+        rescoredFacts
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Recomputes the confidence of facts from their current sources and age.
+   * Scores decay with age, so this is run periodically as well as after bulk changes.
+   * @param {Object} params - Scope of the recomputation
+   * @param {string} params.domain - Only facts belonging to this domain (name or path)
+   * @param {boolean} params.includeSubdomains - Also recompute the facts of descendant domains
+   * @param {string} params.source - Only facts cited from or derived from this source (ID or URL)
+   * @returns {Promise<Object>} - Number of facts recomputed and changed
+   */
+  async recomputeFactConfidence(params = {}) {
+    const { domain = null, includeSubdomains = true, source = null, batchSize = 500 } = params;
+    
+    const session = workspaceSession(this.driver.session(), params.workspace);
+    
+    try {
+      const scope = await session.run(
+        `MATCH (f:Fact {workspace: $workspace})
+         WHERE ($domain IS NULL OR ${cypherBuilder.inDomainCondition('f', includeSubdomains)}) AND
+               ($source IS NULL OR EXISTS {
+                 MATCH (f)-[:CITED_FROM|DERIVED_FROM]->(s:Source) WHERE s.id = $source OR s.url = $source
+               })
+         RETURN collect(f.id) as factIds`,
+        { domain: domainName(domain), source }
+      );
+      
+      const factIds = scope.records[0].get('factIds');
+      let changed = 0;
+      
+      for (let start = 0; start < factIds.length; start += batchSize) {
+        const batch = factIds.slice(start, start + batchSize);
+        const results = await session.executeWrite(tx => recomputeConfidence(tx, batch));
+        changed += results.filter(result => result.previous !== result.confidence).length;
+      }
+      
+      return {
+        success: true,
+        domain,
+        source,
+        recomputed: factIds.length,
+        changed
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Records a reviewer's verdict on a fact. Every review is kept as a
+   * Verification node; the fact carries the latest verdict and its
+   * confidence is recomputed with it.
+   * @param {Object} params - Verification parameters
+   * @param {string} params.factId - ID of the reviewed fact
+   * @param {string} params.verdict - verified or rejected
+   * @param {string} params.verifiedBy - Who reviewed the fact
+   * @param {string} params.source - Source (ID or URL) the fact was checked against
+   * @param {string} params.notes - Reviewer notes, e.g. why a fact was rejected
+   * @returns {Promise<Object>} - Operation result with the new confidence
+   */
+  async recordVerification(params) {
+    const { factId, verdict, verifiedBy, source, notes } = params;
+    
+    const session = workspaceSession(this.driver.session(), params.workspace);
+    
+    try {
+      if (!VERIFICATION_VERDICTS.includes(verdict)) {
+        throw new Error(`Unknown verdict: ${verdict}. Expected one of: ${VERIFICATION_VERDICTS.join(', ')}`);
+      }
+      
+      if (!verifiedBy) {
+        throw new Error('verifiedBy is required');
+      }
+      
+      const existing = await session.run(
+        'MATCH (f:Fact {workspace: $workspace, id: $factId}) RETURN f {.*, embedding: null} as properties',
+        { factId }
+      );
+      
+      if (existing.records.length === 0) {
+        throw new Error(`Fact not found: ${factId}`);
+      }
+      
+      let sourceId = null;
+      if (source) {
+        const sourceResult = await session.run(
+          'MATCH (s:Source {workspace: $workspace}) WHERE s.id = $source OR s.url = $source RETURN s.id as id',
+          { source }
+        );
+        
+        if (sourceResult.records.length === 0) {
+          throw new Error(`Source not found: ${source}`);
+        }
+        
+        sourceId = sourceResult.records[0].get('id');
+      }
+      
+      const { query, params: queryParams } = cypherBuilder.createVerificationQuery({
+        factId,
+        verdict,
+        sourceId,
+        verifiedBy,
+        notes
+      });
+      
+      const result = await session.run(query, queryParams);
+      const record = result.records[0];
+      
+      await this.recordRevision(session, {
+        nodeId: factId,
+        previous: existing.records[0].get('properties'),
+        current: record.get('properties'),
+        changedBy: verifiedBy,
+        operation: verdict === 'verified' ? 'verify' : 'reject'
+      });
+      
+      const [scored] = await recomputeConfidence(session, [factId]);
+      
+      recordChanges({ nodeIds: [record.get('id')] });
+      
+      return {
+        success: true,
+        factId,
+        verificationId: record.get('id'),
+        verdict,
+        verifiedBy,
+        sourceId,
+        verifiedDate: record.get('verifiedDate'),
+        previousConfidence: scored.previous,
+        confidence: scored.confidence
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Marks a fact as verified by a reviewer
+   * @param {Object} params - Verification parameters (see recordVerification)
+   * @returns {Promise<Object>} - Operation result
+   */
+  async verifyFact(params) {
+    return this.recordVerification({ ...params, verdict: 'verified' });
+  }
+
+  /**
+   * Marks a fact as rejected by a reviewer
+   * @param {Object} params - Verification parameters (see recordVerification)
+   * @returns {Promise<Object>} - Operation result
+   */
+  async rejectFact(params) {
+    return this.recordVerification({ ...params, verdict: 'rejected' });
+  }
 }
 
 export default KnowledgeStorage;
\ No newline at end of file
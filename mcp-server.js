@@ -118,8 +118,12 @@ server.fallbackRequestHandler = async (request) => {
                 },
                 searchType: {
                   type: "string",
-                  enum: ["semantic", "graph", "hybrid", "exact"],
-                  description: "Type of search to perform"
+                  enum: ["semantic", "graph", "hybrid", "exact", "fulltext"],
+                  description: "Type of search to perform. fulltext accepts Lucene syntax: phrases, AND/OR/NOT and field:term^boost"
+                },
+                fieldBoosts: {
+                  type: "object",
+                  description: "Boost factor per text field (name, statement, content, description) for fulltext ranking"
                 },
                 contextFilters: {
                   type: "object",
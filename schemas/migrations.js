@@ -0,0 +1,422 @@
+// schemas/migrations.js
+import neo4j from "neo4j-driver";
+import { normalizeName, entityNameKey } from "../utils/text-similarity.js";
+import { statementKey } from "../utils/fact-comparison.js";
+import { flattenMetadata } from "../utils/metadata.js";
+import { DEFAULT_WORKSPACE } from "../utils/workspace.js";
+import { createEmbeddingProvider } from "../knowledge/embeddings.js";
+
+/**
+ * Data migrations that bring existing graphs in line with the current model.
+ * Every migration is idempotent and safe to run on each startup.
+ */
+
+/**
+ * Gives every Concept and Fact the shared :Knowledge label and a normalized
+ * content field, so all tools see the same population of nodes
+ * @param {neo4j.Session} session - Open session to run the migration in
+ * @returns {Promise<Object>} - Number of nodes updated
+ */
+async function migrateKnowledgeLabels(session) {
+  const relabelQuery = `
+    MATCH (n)
+    WHERE (n:Concept OR n:Fact) AND (NOT n:Knowledge OR n.content IS NULL)
+    CALL {
+      WITH n
+      SET n:Knowledge,
+          n.content = CASE WHEN n:Concept THEN n.name ELSE n.statement END,
+          n.contentType = coalesce(n.contentType, CASE WHEN n:Concept THEN 'concept' ELSE 'fact' END)
+    } IN TRANSACTIONS OF 1000 ROWS
+    RETURN count(n) as updated
+  `;
+
+  const result = await session.run(relabelQuery);
+
+  // Per-label vector indexes are superseded by the single knowledge_embedding index
+  for (const indexName of ['concept_embedding', 'fact_embedding']) {
+    await session.run(`DROP INDEX ${indexName} IF EXISTS`);
+  }
+
+  return {
+    updated: result.records[0].get('updated').toNumber()
+  };
+}
+
+/**
+ * Puts the nodes written before workspaces existed into the default workspace
+ * @param {neo4j.Session} session - Open session to run the migration in
+ * @returns {Promise<Object>} - Number of nodes updated
+ */
+async function migrateWorkspaces(session) {
+  const migrateQuery = `
+    MATCH (n)
+    WHERE n.workspace IS NULL AND
+          (n:Knowledge OR n:Source OR n:Domain OR n:Alias OR n:Person OR n:Organization OR
+           n:AIProcessing OR n:Revision OR n:Verification OR n:Deleted)
+    CALL {
+      WITH n
+      SET n.workspace = $workspace
+    } IN TRANSACTIONS OF 1000 ROWS
+    RETURN count(n) as updated
+  `;
+  
+  const result = await session.run(migrateQuery, { workspace: DEFAULT_WORKSPACE });
+  
+  return {
+    updated: result.records[0].get('updated').toNumber()
+  };
+}
+
+/**
+ * Gives every concept the normalized name key used for lookups and turns
+ * alias lists stored as a property into Alias nodes
+ * @param {neo4j.Session} session - Open session to run the migration in
+ * @returns {Promise<Object>} - Number of concepts updated
+ */
+async function migrateConceptAliases(session) {
+  const pending = await session.run(`
+    MATCH (c:Concept)
+    WHERE c.name_key IS NULL OR c.aliases IS NOT NULL
+    RETURN c.id as id, c.name as name, c.aliases as aliases
+  `);
+  
+  // Name keys are computed in JavaScript so they match the keys used at lookup time
+  const rows = pending.records.map(record => ({
+    id: record.get('id'),
+    nameKey: normalizeName(record.get('name')),
+    aliases: (record.get('aliases') || [])
+      .filter(alias => normalizeName(alias))
+      .map(alias => ({ key: normalizeName(alias), name: alias }))
+  }));
+  
+  const migrateQuery = `
+    UNWIND $rows as row
+    MATCH (c:Concept {id: row.id})
+    SET c.name_key = row.nameKey
+    REMOVE c.aliases
+    WITH c, row
+    UNWIND row.aliases as alias
+    MERGE (a:Alias {workspace: c.workspace, key: alias.key})
+    ON CREATE SET 
+      a.id = randomUUID(),
+      a.name = alias.name,
+      a.created_date = datetime()
+    MERGE (a)-[:ALIAS_OF]->(c)
+  `;
+  
+  for (let i = 0; i < rows.length; i += 1000) {
+    await session.run(migrateQuery, { rows: rows.slice(i, i + 1000) });
+  }
+  
+  return {
+    updated: rows.length
+  };
+}
+
+/**
+ * Turns the plain author strings of existing sources into Person nodes
+ * linked with AUTHORED_BY. Sources of MCP output name the producing server
+ * as author, which is recorded as AI processing instead.
+ * @param {neo4j.Session} session - Open session to run the migration in
+ * @returns {Promise<Object>} - Number of sources linked
+ */
+async function migrateSourceAuthors(session) {
+  const pending = await session.run(`
+    MATCH (s:Source)
+    WHERE s.author IS NOT NULL AND 
+          coalesce(s.source_type, '') <> 'mcp_processing' AND
+          NOT EXISTS { (s)-[:AUTHORED_BY]->() }
+    RETURN s.id as id, s.author as author
+  `);
+  
+  const rows = pending.records
+    .map(record => ({
+      id: record.get('id'),
+      name: String(record.get('author')).trim(),
+      nameKey: entityNameKey(record.get('author'))
+    }))
+    .filter(row => row.nameKey);
+  
+  const migrateQuery = `
+    UNWIND $rows as row
+    MATCH (s:Source {id: row.id})
+    MERGE (p:Person {workspace: s.workspace, name_key: row.nameKey})
+    ON CREATE SET 
+      p.id = randomUUID(),
+      p.name = row.name,
+      p.created_date = datetime()
+    MERGE (s)-[:AUTHORED_BY]->(p)
+  `;
+  
+  for (let i = 0; i < rows.length; i += 1000) {
+    await session.run(migrateQuery, { rows: rows.slice(i, i + 1000) });
+  }
+  
+  return {
+    updated: rows.length
+  };
+}
+
+/**
+ * Recomputes the name keys of people and organizations, which earlier versions
+ * singularized like concept names ("Andrews" became "andrew")
+ * @param {neo4j.Session} session - Open session to run the migration in
+ * @returns {Promise<Object>} - Number of entities updated
+ */
+async function migrateEntityNameKeys(session) {
+  const entities = await session.run(`
+    MATCH (e:Person|Organization)
+    WHERE e.name IS NOT NULL
+    RETURN e.id as id, e.name as name, e.name_key as nameKey
+  `);
+  
+  // Old keys only ever merged more names than the new ones, so new keys cannot collide
+  const rows = entities.records
+    .map(record => ({
+      id: record.get('id'),
+      nameKey: entityNameKey(record.get('name')),
+      previous: record.get('nameKey')
+    }))
+    .filter(row => row.nameKey && row.nameKey !== row.previous);
+  
+  const migrateQuery = `
+    UNWIND $rows as row
+    MATCH (e:Person|Organization {id: row.id})
+    SET e.name_key = row.nameKey
+  `;
+  
+  for (let i = 0; i < rows.length; i += 1000) {
+    await session.run(migrateQuery, { rows: rows.slice(i, i + 1000).map(({ id, nameKey }) => ({ id, nameKey })) });
+  }
+  
+  return {
+    updated: rows.length
+  };
+}
+
+/**
+ * Gives every fact, deleted ones included, the statement key a newly stored
+ * statement is matched against, so it corroborates the fact instead of duplicating it
+ * @param {neo4j.Session} session - Open session to run the migration in
+ * @returns {Promise<Object>} - Number of facts updated
+ */
+async function migrateFactStatementKeys(session) {
+  const pending = await session.run(`
+    MATCH (f:Fact|Deleted)
+    WHERE (f:Fact OR 'Fact' IN coalesce(f.deleted_labels, [])) AND
+          f.statement IS NOT NULL AND f.statement_key IS NULL
+    RETURN f.id as id, f.statement as statement
+  `);
+  
+  // Statement keys are computed in JavaScript so they match the keys used when storing
+  const rows = pending.records.map(record => ({
+    id: record.get('id'),
+    statementKey: statementKey(record.get('statement'))
+  }));
+  
+  const migrateQuery = `
+    UNWIND $rows as row
+    MATCH (f:Fact|Deleted {id: row.id})
+    WHERE f:Fact OR 'Fact' IN coalesce(f.deleted_labels, [])
+    SET f.statement_key = row.statementKey
+  `;
+  
+  for (let i = 0; i < rows.length; i += 1000) {
+    await session.run(migrateQuery, { rows: rows.slice(i, i + 1000) });
+  }
+  
+  return {
+    updated: rows.length
+  };
+}
+
+/**
+ * Parses metadata stored as a JSON string by earlier versions
+ * @param {string} text - Stored metadata
+ * @returns {Object} - Metadata object; text that is not a JSON object is kept under "raw"
+ */
+function parseLegacyMetadata(text) {
+  try {
+    const metadata = JSON.parse(text);
+    return metadata && typeof metadata === 'object' && !Array.isArray(metadata) ? metadata : { raw: text };
+  } catch (error) {
+    return { raw: text };
+  }
+}
+
+/**
+ * Converts metadata stored as one JSON string into the prefixed, typed
+ * metadata.* properties, on nodes and in the snapshots of their revisions
+ * @param {neo4j.Session} session - Open session to run the migration in
+ * @returns {Promise<Object>} - Number of nodes and revisions updated
+ */
+async function migrateMetadataProperties(session) {
+  const pending = await session.run(`
+    MATCH (n:Knowledge|Source)
+    WHERE n.metadata IS NOT NULL
+    RETURN n.id as id, n.metadata as metadata
+  `);
+  
+  const rows = pending.records.map(record => ({
+    id: record.get('id'),
+    properties: flattenMetadata(parseLegacyMetadata(String(record.get('metadata'))))
+  }));
+  
+  const migrateQuery = `
+    UNWIND $rows as row
+    MATCH (n:Knowledge|Source {id: row.id})
+    SET n += row.properties
+    REMOVE n.metadata
+  `;
+  
+  for (let i = 0; i < rows.length; i += 1000) {
+    await session.run(migrateQuery, { rows: rows.slice(i, i + 1000) });
+  }
+  
+  // Revision snapshots are JSON themselves; restoring one must not bring the string back
+  const revisions = await session.run(`
+    MATCH (r:Revision)
+    WHERE r.previous_values CONTAINS '"metadata"'
+    RETURN r.id as id, r.previous_values as previousValues, r.changed_fields as changedFields
+  `);
+  
+  const revisionRows = revisions.records
+    .map(record => ({
+      id: record.get('id'),
+      previousValues: JSON.parse(record.get('previousValues')),
+      changedFields: record.get('changedFields') || []
+    }))
+    .filter(row => typeof row.previousValues.metadata === 'string')
+    .map(row => {
+      const { metadata, ...previousValues } = row.previousValues;
+      const flattened = flattenMetadata(parseLegacyMetadata(metadata));
+      const values = Object.fromEntries(
+        Object.entries(flattened).map(([key, value]) => [key, neo4j.isInt(value) ? value.toNumber() : value])
+      );
+      
+      return {
+        id: row.id,
+        previousValues: JSON.stringify({ ...previousValues, ...values }),
+        changedFields: row.changedFields.flatMap(field => (field === 'metadata' ? Object.keys(values) : [field]))
+      };
+    });
+  
+  const revisionQuery = `
+    UNWIND $rows as row
+    MATCH (r:Revision {id: row.id})
+    SET r.previous_values = row.previousValues,
+        r.changed_fields = row.changedFields
+  `;
+  
+  for (let i = 0; i < revisionRows.length; i += 1000) {
+    await session.run(revisionQuery, { rows: revisionRows.slice(i, i + 1000) });
+  }
+  
+  return {
+    updated: rows.length,
+    revisions: revisionRows.length
+  };
+}
+
+/**
+ * Embeds the knowledge nodes written before embeddings existed, from the same
+ * text the store methods embed (content or name, and description), so
+ * semantic search can find them
+ * @param {neo4j.Session} session - Open session to run the migration in
+ * @param {Object} embeddingProvider - Provider to embed the nodes with
+ * @returns {Promise<Object>} - Number of nodes embedded
+ */
+async function migrateEmbeddings(session, embeddingProvider) {
+  const pendingQuery = `
+    MATCH (n:Knowledge)
+    WHERE n.embedding IS NULL AND coalesce(n.content, n.name, n.statement) IS NOT NULL AND NOT n.id IN $skipped
+    RETURN n.id as id, coalesce(n.content, n.name, n.statement) as text, n.description as description
+    LIMIT 500
+  `;
+  
+  const migrateQuery = `
+    UNWIND $rows as row
+    MATCH (n:Knowledge {id: row.id})
+    SET n.embedding = row.embedding
+  `;
+  
+  let updated = 0;
+  const skipped = [];
+  
+  for (;;) {
+    const pending = await session.run(pendingQuery, { skipped });
+    if (pending.records.length === 0) {
+      break;
+    }
+    
+    const rows = [];
+    for (const record of pending.records) {
+      const parts = [...new Set([record.get('text'), record.get('description')].filter(Boolean))];
+      const embedding = await embeddingProvider.embed(parts.join('. '));
+      
+      // A vector the index cannot hold would be picked up again on every pass
+      if (embedding.length === embeddingProvider.dimension) {
+        rows.push({ id: record.get('id'), embedding });
+      } else {
+        skipped.push(record.get('id'));
+      }
+    }
+    
+    await session.run(migrateQuery, { rows });
+    updated += rows.length;
+  }
+  
+  return {
+    updated,
+    skipped: skipped.length
+  };
+}
+
+/**
+ * Runs all data migrations in order
+ * @param {neo4j.Driver} driver - The Neo4j driver instance
+ * @param {Object} options - Migration options
+ * @param {Object} options.embeddingProvider - Provider to embed existing knowledge with
+ * @returns {Promise<Object>} - Operation result
+ */
+async function runMigrations(driver, options = {}) {
+  const session = driver.session();
+
+  try {
+    const labels = await migrateKnowledgeLabels(session);
+    console.log(`✓ Knowledge labels migrated (${labels.updated} nodes updated)`);
+    
+    const workspaces = await migrateWorkspaces(session);
+    console.log(`✓ Workspaces migrated (${workspaces.updated} nodes moved to workspace ${DEFAULT_WORKSPACE})`);
+    
+    const aliases = await migrateConceptAliases(session);
+    console.log(`✓ Concept name keys and aliases migrated (${aliases.updated} concepts updated)`);
+    
+    const authors = await migrateSourceAuthors(session);
+    console.log(`✓ Source authors migrated (${authors.updated} sources linked)`);
+    
+    const entityKeys = await migrateEntityNameKeys(session);
+    console.log(`✓ Person and organization name keys migrated (${entityKeys.updated} entities updated)`);
+    
+    const statementKeys = await migrateFactStatementKeys(session);
+    console.log(`✓ Fact statement keys migrated (${statementKeys.updated} facts updated)`);
+    
+    const metadata = await migrateMetadataProperties(session);
+    console.log(`✓ Metadata properties migrated (${metadata.updated} nodes, ${metadata.revisions} revisions updated)`);
+    
+    const embeddings = await migrateEmbeddings(session, options.embeddingProvider || createEmbeddingProvider());
+    console.log(`✓ Embeddings backfilled (${embeddings.updated} nodes embedded${embeddings.skipped > 0 ? `, ${embeddings.skipped} skipped` : ''})`);
+
+    return { success: true };
+  } catch (error) {
+    console.error('Migration failed:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  } finally {
+    await session.close();
+  }
+}
+
+export { migrateWorkspaces, migrateKnowledgeLabels, migrateConceptAliases, migrateSourceAuthors, migrateEntityNameKeys, migrateFactStatementKeys, migrateMetadataProperties, migrateEmbeddings, runMigrations };
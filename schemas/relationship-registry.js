@@ -0,0 +1,291 @@
+// schemas/relationship-registry.js
+import { editDistance } from "../utils/text-similarity.js";
+
+/**
+ * Relationship ontology for the knowledge graph.
+ *
+ * Every relationship type written or traversed by the server must be
+ * registered here. A definition lists the labels allowed at each end,
+ * whether the relationship is directed or symmetric, and optionally an
+ * inverse name that callers may use instead of the canonical one
+ * (e.g. "HAS_PART" from a to b is stored as PART_OF from b to a).
+ */
+const DEFAULT_RELATIONSHIP_TYPES = {
+  IS_A: {
+    description: 'Source concept is a kind of the target concept',
+    direction: 'directed',
+    from: ['Concept'],
+    to: ['Concept'],
+    inverse: 'HAS_SUBTYPE'
+  },
+  RELATED_TO: {
+    description: 'General association between two knowledge items',
+    direction: 'symmetric',
+    from: ['Knowledge'],
+    to: ['Knowledge']
+  },
+  PART_OF: {
+    description: 'Source is a component of the target',
+    direction: 'directed',
+    from: ['Knowledge'],
+    to: ['Knowledge'],
+    inverse: 'HAS_PART'
+  },
+  ENABLES: {
+    description: 'Source makes the target possible',
+    direction: 'directed',
+    from: ['Knowledge'],
+    to: ['Knowledge'],
+    inverse: 'ENABLED_BY'
+  },
+  REQUIRES: {
+    description: 'Source depends on the target',
+    direction: 'directed',
+    from: ['Knowledge'],
+    to: ['Knowledge'],
+    inverse: 'REQUIRED_BY'
+  },
+  ABOUT: {
+    description: 'Knowledge item describes the target concept',
+    direction: 'directed',
+    from: ['Knowledge'],
+    to: ['Concept']
+  },
+  CONTRADICTS: {
+    description: 'Two knowledge items make conflicting claims',
+    direction: 'symmetric',
+    from: ['Knowledge'],
+    to: ['Knowledge']
+  },
+  SUPPORTS: {
+    description: 'Source provides evidence for the target',
+    direction: 'directed',
+    from: ['Knowledge'],
+    to: ['Knowledge'],
+    inverse: 'SUPPORTED_BY'
+  },
+  DERIVED_FROM: {
+    description: 'Knowledge item was extracted from the target source',
+    direction: 'directed',
+    from: ['Knowledge'],
+    to: ['Source']
+  },
+  CITED_FROM: {
+    description: 'Statement is quoted from the target source',
+    direction: 'directed',
+    from: ['Knowledge'],
+    to: ['Source']
+  },
+  AUTHORED_BY: {
+    description: 'Source was written or published by the target person or organization',
+    direction: 'directed',
+    from: ['Source'],
+    to: ['Person', 'Organization']
+  },
+  MENTIONS: {
+    description: 'Knowledge item or source refers to the target person or organization',
+    direction: 'directed',
+    from: ['Knowledge', 'Source'],
+    to: ['Person', 'Organization']
+  },
+  PROCESSED_BY: {
+    description: 'Source was processed, or knowledge produced, by the target AI processing step',
+    direction: 'directed',
+    from: ['Source', 'Knowledge'],
+    to: ['AIProcessing']
+  },
+  BELONGS_TO: {
+    description: 'Knowledge item is part of the target domain',
+    direction: 'directed',
+    from: ['Knowledge'],
+    to: ['Domain']
+  },
+  SUBDOMAIN_OF: {
+    description: 'Domain is nested inside the target domain',
+    direction: 'directed',
+    from: ['Domain'],
+    to: ['Domain'],
+    inverse: 'HAS_SUBDOMAIN'
+  },
+  PRECEDED_BY: {
+    description: 'Source came after the target in time',
+    direction: 'directed',
+    from: ['Knowledge'],
+    to: ['Knowledge'],
+    inverse: 'FOLLOWED_BY'
+  },
+  ALIAS_OF: {
+    description: 'Alternative name that refers to the target concept',
+    direction: 'directed',
+    from: ['Alias'],
+    to: ['Concept']
+  },
+  SUPERSEDED_BY: {
+    description: 'Source has been replaced by the target',
+    direction: 'directed',
+    from: ['Knowledge'],
+    to: ['Knowledge'],
+    inverse: 'SUPERSEDES'
+  },
+  HAS_VERIFICATION: {
+    description: 'Fact was reviewed with the target verdict',
+    direction: 'directed',
+    from: ['Fact'],
+    to: ['Verification']
+  },
+  VERIFIED_AGAINST: {
+    description: 'Review checked the fact against the target source',
+    direction: 'directed',
+    from: ['Verification'],
+    to: ['Source']
+  }
+};
+
+/**
+ * Registry of the relationship types allowed in the knowledge graph
+ */
+class RelationshipRegistry {
+  /**
+   * @param {Object} definitions - Relationship definitions keyed by canonical type
+   */
+  constructor(definitions = DEFAULT_RELATIONSHIP_TYPES) {
+    this.types = new Map();
+    this.inverses = new Map();
+
+    for (const [type, definition] of Object.entries(definitions)) {
+      this.register(type, definition);
+    }
+  }
+
+  /**
+   * Adds a relationship type to the registry
+   * @param {string} type - Canonical relationship type
+   * @param {Object} definition - Direction, allowed labels, inverse name and description
+   */
+  register(type, definition) {
+    const name = normalizeRelationshipType(type);
+    const inverse = definition.inverse ? normalizeRelationshipType(definition.inverse) : null;
+
+    if (!/^[A-Z][A-Z0-9_]*$/.test(name) || (inverse && !/^[A-Z][A-Z0-9_]*$/.test(inverse))) {
+      throw new Error(`Invalid relationship type name: ${type}`);
+    }
+
+    this.types.set(name, {
+      direction: 'directed',
+      from: ['Knowledge'],
+      to: ['Knowledge'],
+      ...definition,
+      inverse
+    });
+
+    if (inverse) {
+      this.inverses.set(inverse, name);
+    }
+  }
+
+  /**
+   * Resolves a caller-supplied type to its canonical name
+   * @param {string} type - Relationship type or inverse name
+   * @returns {Object} - Canonical type and whether the endpoints must be swapped
+   */
+  lookup(type) {
+    const name = normalizeRelationshipType(type);
+
+    if (this.types.has(name)) {
+      return { type: name, reversed: false, definition: this.types.get(name) };
+    }
+
+    if (this.inverses.has(name)) {
+      const canonical = this.inverses.get(name);
+      return { type: canonical, reversed: true, definition: this.types.get(canonical) };
+    }
+
+    const suggestion = this.closestType(name);
+    throw new Error(`Unknown relationship type: ${type}${suggestion ? `. Did you mean ${suggestion}?` : ''}`);
+  }
+
+  /**
+   * Validates a relationship to be written between two nodes
+   * @param {string} type - Relationship type or inverse name
+   * @param {string[]} sourceLabels - Labels of the source node
+   * @param {string[]} targetLabels - Labels of the target node
+   * @returns {Object} - Canonical type and whether the endpoints must be swapped
+   */
+  resolve(type, sourceLabels, targetLabels) {
+    const { type: canonical, reversed, definition } = this.lookup(type);
+
+    const [fromLabels, toLabels] = reversed
+      ? [targetLabels, sourceLabels]
+      : [sourceLabels, targetLabels];
+
+    const allowed = (labels, accepted) => labels.some(label => accepted.includes(label));
+    const valid = allowed(fromLabels, definition.from) && allowed(toLabels, definition.to);
+    const validSymmetric = definition.direction === 'symmetric' &&
+      allowed(toLabels, definition.from) && allowed(fromLabels, definition.to);
+
+    if (!valid && !validSymmetric) {
+      throw new Error(
+        `${canonical} must connect ${definition.from.join('|')} to ${definition.to.join('|')}, ` +
+        `got ${fromLabels.join(':') || 'unlabeled'} to ${toLabels.join(':') || 'unlabeled'}`
+      );
+    }
+
+    return { type: canonical, reversed };
+  }
+
+  /**
+   * Validates relationship types used to filter a traversal
+   * @param {string[]} types - Relationship types or inverse names
+   * @returns {string[]} - Canonical relationship types
+   */
+  validateTypes(types = []) {
+    return [...new Set(types.map(type => this.lookup(type).type))];
+  }
+
+  /**
+   * Lists the registered relationship types
+   * @returns {Object[]} - Relationship type definitions
+   */
+  list() {
+    return [...this.types.entries()].map(([type, definition]) => ({
+      type,
+      ...definition
+    }));
+  }
+
+  /**
+   * Finds the registered name closest to a misspelled type
+   * @param {string} name - Normalized relationship type
+   * @returns {string|null} - Closest registered name, if reasonably close
+   */
+  closestType(name) {
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (const candidate of [...this.types.keys(), ...this.inverses.keys()]) {
+      const distance = editDistance(name, candidate);
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+
+    return bestDistance <= Math.max(2, Math.floor(name.length / 4)) ? best : null;
+  }
+}
+
+/**
+ * Normalizes a relationship type to upper snake case
+ * @param {string} type - Relationship type as supplied by a caller
+ * @returns {string} - Normalized type
+ */
+function normalizeRelationshipType(type) {
+  return String(type || '').trim().toUpperCase().replace(/[\s-]+/g, '_');
+}
+
+const relationshipRegistry = new RelationshipRegistry();
+
+export { DEFAULT_RELATIONSHIP_TYPES,
+  RelationshipRegistry,
+  relationshipRegistry,
+  normalizeRelationshipType };
@@ -1,6 +1,10 @@
 // schemas/schema-setup.js
 import neo4j from "neo4j-driver";
 import config from "../config.js";
+import { VECTOR_INDEX, FULLTEXT_INDEX, FULLTEXT_FIELDS } from "../utils/cypher-builder.js";
+import { runMigrations } from "./migrations.js";
+import { ensureDomain } from "../knowledge/domain-hierarchy.js";
+import { workspaceSession } from "../utils/workspace.js";
 
 /**
  * Sets up the knowledge graph schema in Neo4j
@@ -13,16 +17,31 @@ async function setupSchema(driver) {
   try {
     console.log('Setting up Neo4j knowledge graph schema...');
     
+    // Names used to be unique across the database; they are now unique per workspace
+    const droppedConstraints = ['concept_name', 'person_name_key', 'organization_name_key', 'domain_name', 'alias_key'];
+    
+    for (const name of droppedConstraints) {
+      await session.run(`DROP CONSTRAINT ${name} IF EXISTS`);
+    }
+    
     // Create constraints for core node types
     const constraints = [
       'CREATE CONSTRAINT knowledge_id IF NOT EXISTS FOR (k:Knowledge) REQUIRE k.id IS UNIQUE',
       'CREATE CONSTRAINT concept_id IF NOT EXISTS FOR (c:Concept) REQUIRE c.id IS UNIQUE',
-      'CREATE CONSTRAINT concept_name IF NOT EXISTS FOR (c:Concept) REQUIRE c.name IS UNIQUE',
+      'CREATE CONSTRAINT concept_workspace_name IF NOT EXISTS FOR (c:Concept) REQUIRE (c.workspace, c.name) IS UNIQUE',
       'CREATE CONSTRAINT fact_id IF NOT EXISTS FOR (f:Fact) REQUIRE f.id IS UNIQUE',
       'CREATE CONSTRAINT source_id IF NOT EXISTS FOR (s:Source) REQUIRE s.id IS UNIQUE',
       'CREATE CONSTRAINT person_id IF NOT EXISTS FOR (p:Person) REQUIRE p.id IS UNIQUE',
+      'CREATE CONSTRAINT person_workspace_name_key IF NOT EXISTS FOR (p:Person) REQUIRE (p.workspace, p.name_key) IS UNIQUE',
+      'CREATE CONSTRAINT organization_id IF NOT EXISTS FOR (o:Organization) REQUIRE o.id IS UNIQUE',
+      'CREATE CONSTRAINT organization_workspace_name_key IF NOT EXISTS FOR (o:Organization) REQUIRE (o.workspace, o.name_key) IS UNIQUE',
       'CREATE CONSTRAINT domain_id IF NOT EXISTS FOR (d:Domain) REQUIRE d.id IS UNIQUE',
-      'CREATE CONSTRAINT ai_processing_id IF NOT EXISTS FOR (a:AIProcessing) REQUIRE a.id IS UNIQUE'
+      'CREATE CONSTRAINT domain_workspace_name IF NOT EXISTS FOR (d:Domain) REQUIRE (d.workspace, d.name) IS UNIQUE',
+      'CREATE CONSTRAINT ai_processing_id IF NOT EXISTS FOR (a:AIProcessing) REQUIRE a.id IS UNIQUE',
+      'CREATE CONSTRAINT revision_id IF NOT EXISTS FOR (r:Revision) REQUIRE r.id IS UNIQUE',
+      'CREATE CONSTRAINT verification_id IF NOT EXISTS FOR (v:Verification) REQUIRE v.id IS UNIQUE',
+      'CREATE CONSTRAINT audit_event_id IF NOT EXISTS FOR (e:AuditEvent) REQUIRE e.id IS UNIQUE',
+      'CREATE CONSTRAINT alias_workspace_key IF NOT EXISTS FOR (a:Alias) REQUIRE (a.workspace, a.key) IS UNIQUE'
     ];
     
     for (const constraint of constraints) {
@@ -38,12 +57,25 @@ async function setupSchema(driver) {
     
     // Create indexes for performance optimization
     const indexes = [
+      'CREATE INDEX knowledge_workspace IF NOT EXISTS FOR (k:Knowledge) ON (k.workspace)',
+      'CREATE INDEX source_workspace IF NOT EXISTS FOR (s:Source) ON (s.workspace, s.url)',
+      'CREATE INDEX deleted_workspace IF NOT EXISTS FOR (d:Deleted) ON (d.workspace)',
       'CREATE INDEX knowledge_content IF NOT EXISTS FOR (k:Knowledge) ON (k.content)',
       'CREATE INDEX knowledge_source IF NOT EXISTS FOR (k:Knowledge) ON (k.source)',
       'CREATE INDEX knowledge_confidence IF NOT EXISTS FOR (k:Knowledge) ON (k.confidence)',
       'CREATE INDEX concept_name_idx IF NOT EXISTS FOR (c:Concept) ON (c.name)',
+      'CREATE INDEX concept_name_key IF NOT EXISTS FOR (c:Concept) ON (c.name_key)',
       'CREATE INDEX fact_statement IF NOT EXISTS FOR (f:Fact) ON (f.statement)',
-      'CREATE INDEX source_type IF NOT EXISTS FOR (s:Source) ON (s.source_type)'
+      'CREATE INDEX fact_statement_key IF NOT EXISTS FOR (f:Fact) ON (f.workspace, f.statement_key)',
+      'CREATE INDEX fact_verification IF NOT EXISTS FOR (f:Fact) ON (f.verification_status)',
+      'CREATE INDEX source_type IF NOT EXISTS FOR (s:Source) ON (s.source_type)',
+      'CREATE INDEX revision_node IF NOT EXISTS FOR (r:Revision) ON (r.node_id, r.timestamp)',
+      'CREATE INDEX ai_processing_chain IF NOT EXISTS FOR (a:AIProcessing) ON (a.chain_id, a.step_order)',
+      'CREATE INDEX deleted_id IF NOT EXISTS FOR (d:Deleted) ON (d.id)',
+      'CREATE INDEX deleted_deletion IF NOT EXISTS FOR (d:Deleted) ON (d.deletion_id, d.deleted_date)',
+      'CREATE INDEX audit_event_workspace IF NOT EXISTS FOR (e:AuditEvent) ON (e.workspace, e.timestamp)',
+      'CREATE INDEX audit_event_tool IF NOT EXISTS FOR (e:AuditEvent) ON (e.tool)',
+      'CREATE INDEX audit_event_caller IF NOT EXISTS FOR (e:AuditEvent) ON (e.caller)'
     ];
     
     for (const index of indexes) {
@@ -57,25 +89,53 @@ async function setupSchema(driver) {
       }
     }
     
-    // Define initial domain structure
-    const domains = [
-      { name: 'Financial Planning', description: 'Knowledge related to financial strategies and planning' },
-      { name: 'Technology', description: 'Technical knowledge and programming concepts' },
-      { name: 'Business', description: 'Business processes and strategies' },
-      { name: 'General', description: 'General knowledge not fitting other categories' }
-    ];
+    // Create the fulltext index used for ranked (BM25) text search
+    const fulltextIndex = `
+      CREATE FULLTEXT INDEX ${FULLTEXT_INDEX} IF NOT EXISTS
+      FOR (n:Knowledge)
+      ON EACH [${FULLTEXT_FIELDS.map(field => `n.${field}`).join(', ')}]
+    `;
+    
+    try {
+      await session.run(fulltextIndex);
+      console.log(`✓ ${FULLTEXT_INDEX}`);
+    } catch (err) {
+      if (!err.message.includes('already exists')) {
+        console.error(`✗ Failed to create fulltext index: ${err.message}`);
+      }
+    }
+    
+    // Create the vector index for embedding-based semantic search
+    const vectorIndex = `
+      CREATE VECTOR INDEX ${VECTOR_INDEX} IF NOT EXISTS
+      FOR (n:Knowledge) ON (n.embedding)
+      OPTIONS { indexConfig: {
+        \`vector.dimensions\`: ${config.EMBEDDING_DIMENSION},
+        \`vector.similarity_function\`: 'cosine'
+      } }
+    `;
+    
+    try {
+      await session.run(vectorIndex);
+      console.log(`✓ ${VECTOR_INDEX}`);
+    } catch (err) {
+      if (!err.message.includes('already exists')) {
+        console.error(`✗ Failed to create vector index: ${err.message}`);
+      }
+    }
+    
+    // Bring data written by earlier versions in line with the current model
+    const migrationResult = await runMigrations(driver);
+    if (!migrationResult.success) {
+      throw new Error(`Migrations failed: ${migrationResult.error}`);
+    }
     
-    for (const domain of domains) {
-      const domainQuery = `
-        MERGE (d:Domain {name: $name})
-        ON CREATE SET 
-          d.id = randomUUID(), 
-          d.description = $description, 
-          d.created_date = datetime()
-        RETURN d
-      `;
-      await session.run(domainQuery, domain);
-      console.log(`✓ Domain '${domain.name}' created or updated`);
+    // Seed the configured domains into this server's workspace, with their parents when
+    // given as paths. Runs after the migrations so existing domains are already in a workspace.
+    const workspace = workspaceSession(session, config.WORKSPACE);
+    for (const domain of config.SEED_DOMAINS) {
+      await ensureDomain(workspace, domain.name, { description: domain.description });
+      console.log(`✓ Domain '${domain.name}' created or updated in workspace ${workspace.workspace}`);
     }
     
     console.log('Knowledge graph schema setup complete!');
@@ -0,0 +1,116 @@
+// scripts/export-knowledge.js
+import neo4j from "neo4j-driver";
+import { fileURLToPath } from "url";
+import config from "../config.js";
+import KnowledgeExporter from "../knowledge/exporter.js";
+
+const USAGE = `Usage: npm run export-knowledge -- [options]
+
+Options:
+  --format <graphml|jsonld|cypher>   Output format (default: from the output extension, else jsonld)
+  --output <file>                    File to write (default: standard output)
+  --workspace <name>                 Workspace to export (default: KNOWLEDGE_WORKSPACE, else default)
+  --domain <name>                    Only knowledge belonging to this domain
+  --source <id|url|system>           Only knowledge derived from this source
+  --label <label>                    Only nodes with this label, e.g. Concept
+  --since <date>                     Only nodes created at or after this ISO 8601 date
+  --until <date>                     Only nodes created at or before this ISO 8601 date
+  --no-context                       Leave out linked sources, domains, aliases and entities
+  --revisions                        Include the revision history of exported nodes
+  --embeddings                       Include embedding vectors`;
+
+/**
+ * Guesses the export format from an output file name
+ * @param {string} filePath - Output file
+ * @returns {string|null} - Format name, or null when the extension is unknown
+ */
+function detectFormat(filePath = '') {
+  const extension = String(filePath).toLowerCase().split('.').pop();
+  const formats = { graphml: 'graphml', jsonld: 'jsonld', json: 'jsonld', cypher: 'cypher', cql: 'cypher' };
+  return formats[extension] || null;
+}
+
+/**
+ * Parses command line arguments into export parameters
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} - Export parameters
+ */
+function parseArguments(argv) {
+  const params = {};
+  const options = {
+    '--format': 'format',
+    '--output': 'filePath',
+    '--workspace': 'workspace',
+    '--domain': 'domain',
+    '--source': 'source',
+    '--label': 'label',
+    '--since': 'since',
+    '--until': 'until'
+  };
+  const flags = {
+    '--no-context': ['includeContext', false],
+    '--revisions': ['includeRevisions', true],
+    '--embeddings': ['includeEmbeddings', true]
+  };
+  
+  for (let i = 0; i < argv.length; i++) {
+    if (options[argv[i]]) {
+      params[options[argv[i]]] = argv[++i];
+    } else if (flags[argv[i]]) {
+      const [name, value] = flags[argv[i]];
+      params[name] = value;
+    } else {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  
+  params.format = params.format || detectFormat(params.filePath) || 'jsonld';
+  
+  return params;
+}
+
+/**
+ * Exports the configured Neo4j database, or a scoped part of it
+ */
+async function exportKnowledge() {
+  let params;
+  try {
+    params = parseArguments(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+  
+  const driver = neo4j.driver(
+    config.NEO4J_URI,
+    neo4j.auth.basic(config.NEO4J_USERNAME, config.NEO4J_PASSWORD)
+  );
+  
+  try {
+    await driver.verifyConnectivity();
+    
+    const exporter = new KnowledgeExporter(driver);
+    const result = await exporter.exportKnowledge(params);
+    
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    
+    if (result.filePath) {
+      console.error(`✓ Exported ${result.nodeCount} nodes and ${result.relationshipCount} relationships to ${result.filePath} (${result.format})`);
+    } else {
+      process.stdout.write(result.content);
+    }
+  } catch (error) {
+    console.error('Export failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await driver.close();
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  exportKnowledge();
+}
+
+export default exportKnowledge;
@@ -0,0 +1,127 @@
+// scripts/import-knowledge.js
+import neo4j from "neo4j-driver";
+import { readFile } from "fs/promises";
+import { fileURLToPath } from "url";
+import config from "../config.js";
+import KnowledgeImporter from "../knowledge/importer.js";
+
+const USAGE = `Usage: npm run import-knowledge -- <file> [options]
+
+Options:
+  --format <jsonl|csv|jsonld>   Input format (default: from the file extension)
+  --source <name>               Source system recorded on imported knowledge (default: import)
+  --workspace <name>            Workspace to import into (default: KNOWLEDGE_WORKSPACE, else default)
+  --type <rowType>              CSV row type when the file has no type column
+  --mapping <json|file>         CSV column mapping, inline JSON or a JSON file
+  --delimiter <char>            CSV cell delimiter (default: ,)
+  --list-separator <char>       CSV separator for list cells (default: ;)
+  --batch-size <n>              Rows written per transaction (default: 100)`;
+
+/**
+ * Parses command line arguments into import parameters
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<Object>} - Import parameters
+ */
+async function parseArguments(argv) {
+  const params = {};
+  const options = {
+    '--format': 'format',
+    '--source': 'source',
+    '--workspace': 'workspace',
+    '--type': 'defaultType',
+    '--mapping': 'columnMapping',
+    '--delimiter': 'delimiter',
+    '--list-separator': 'listSeparator',
+    '--batch-size': 'batchSize'
+  };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const option = options[argv[i]];
+    
+    if (option) {
+      params[option] = argv[++i];
+    } else if (!argv[i].startsWith('--') && !params.filePath) {
+      params.filePath = argv[i];
+    } else {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  
+  if (!params.filePath) {
+    throw new Error('An import file is required');
+  }
+  
+  if (params.columnMapping) {
+    const mapping = params.columnMapping.trim().startsWith('{')
+      ? params.columnMapping
+      : await readFile(params.columnMapping, 'utf8');
+    params.columnMapping = JSON.parse(mapping);
+  }
+  
+  if (params.batchSize) {
+    params.batchSize = parseInt(params.batchSize, 10);
+  }
+  
+  return params;
+}
+
+/**
+ * Imports a knowledge file into the configured Neo4j database
+ */
+async function importKnowledge() {
+  let params;
+  try {
+    params = await parseArguments(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+  
+  const driver = neo4j.driver(
+    config.NEO4J_URI,
+    neo4j.auth.basic(config.NEO4J_USERNAME, config.NEO4J_PASSWORD)
+  );
+  
+  try {
+    await driver.verifyConnectivity();
+    
+    const importer = new KnowledgeImporter(driver);
+    const report = await importer.importKnowledge(params);
+    
+    if (!report.success) {
+      throw new Error(report.error);
+    }
+    
+    console.log(`Imported ${params.filePath} (${report.format}): ${report.totalRows} rows in ${report.batches} batch(es)`);
+    for (const status of ['created', 'merged']) {
+      for (const [type, count] of Object.entries(report[status])) {
+        if (count > 0) {
+          console.log(`✓ ${count} ${type} row(s) ${status}`);
+        }
+      }
+    }
+    
+    for (const row of report.warnings) {
+      console.log(`! Row ${row.rowNumber}: ${row.warning}`);
+    }
+    
+    for (const row of report.rejected) {
+      console.log(`✗ Row ${row.rowNumber}${row.type ? ` (${row.type})` : ''}: ${row.reason}`);
+    }
+    
+    if (report.rejected.length > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('Import failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await driver.close();
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  importKnowledge();
+}
+
+export default importKnowledge;
@@ -0,0 +1,2775 @@
+// server-logic.js
+import config from './config.js';
+
+// Import knowledge management modules
+import KnowledgeStorage from './knowledge/storage.js';
+import KnowledgeRetrieval from './knowledge/retrieval.js';
+import McpExtractor from './extractors/mcp-extractor.js';
+import KnowledgeImporter from './knowledge/importer.js';
+import KnowledgeExporter from './knowledge/exporter.js';
+import RecycleBin from './knowledge/recycle-bin.js';
+import AccessControl from './knowledge/access-control.js';
+import AuditLog, { collectChanges } from './knowledge/audit-log.js';
+import { loadAccessPolicy } from './utils/access-policy.js';
+
+/**
+ * Tools and request handling shared by the stdio server (index.js) and the
+ * SSE server (inspector-compatible.js). Every transport runs tool calls through
+ * the same handler, so access control and the audit log apply to all of them.
+ */
+
+// Knowledge management services, created once per process for its driver
+let knowledgeStorage = null;
+let knowledgeRetrieval = null;
+let mcpExtractor = null;
+let knowledgeImporter = null;
+let knowledgeExporter = null;
+let recycleBin = null;
+let accessControl = null;
+let auditLog = null;
+
+/**
+ * Creates the knowledge management services on first use
+ * @param {neo4j.Driver} driver - Neo4j driver instance
+ */
+function initServices(driver) {
+  if (knowledgeStorage) {
+    return;
+  }
+  
+  knowledgeStorage = new KnowledgeStorage(driver);
+  knowledgeRetrieval = new KnowledgeRetrieval(driver);
+  mcpExtractor = new McpExtractor(driver);
+  knowledgeImporter = new KnowledgeImporter(driver, { storage: knowledgeStorage });
+  knowledgeExporter = new KnowledgeExporter(driver);
+  recycleBin = new RecycleBin(driver);
+  accessControl = new AccessControl(driver, config.ACCESS_POLICY_FILE ? loadAccessPolicy(config.ACCESS_POLICY_FILE) : null);
+  auditLog = new AuditLog(driver);
+}
+
+// Define available tools
+const TOOLS = [
+  {
+    name: "store-knowledge",
+    description: "Store processed knowledge into the Neo4j graph database",
+    inputSchema: {
+      type: "object",
+      properties: {
+        source: {
+          type: "string",
+          description: "Source system that generated this knowledge"
+        },
+        content: {
+          type: "string", 
+          description: "The knowledge content to store"
+        },
+        contentType: {
+          type: "string",
+          enum: ["concept", "fact", "procedure", "relationship"],
+          description: "Type of knowledge content"
+        },
+        metadata: {
+          type: "object",
+          description: "Additional metadata for the knowledge"
+        },
+        validFrom: {
+          type: "string",
+          description: "When a fact became true (ISO 8601). Omit for facts without a known start"
+        },
+        validTo: {
+          type: "string",
+          description: "When a fact stopped being true (ISO 8601). Omit while it still holds"
+        },
+        aliases: {
+          type: "array",
+          items: { type: "string" },
+          description: "Alternative names for a concept (e.g. abbreviations or synonyms)"
+        },
+        relationships: {
+          type: "array",
+          description: "Relationships to existing knowledge nodes (types must be registered, see list-relationship-types)",
+          items: {
+            type: "object",
+            properties: {
+              targetNode: { type: "string" },
+              targetWorkspace: { type: "string", description: "Workspace of the target node, to link across workspaces (default: the same workspace)" },
+              relationshipType: { type: "string" },
+              validFrom: { type: "string", description: "When the relationship started to hold (ISO 8601)" },
+              validTo: { type: "string", description: "When the relationship stopped holding (ISO 8601)" }
+            }
+          }
+        }
+      },
+      required: ["source", "content", "contentType"]
+    }
+  },
+  {
+    name: "search-knowledge",
+    description: "Search the knowledge graph using semantic and graph-based queries",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description: "Natural language query for knowledge search"
+        },
+        searchType: {
+          type: "string",
+          enum: ["semantic", "graph", "hybrid", "exact", "fulltext"],
+          description: "Type of search to perform. fulltext accepts Lucene syntax: phrases, AND/OR/NOT and field:term^boost"
+        },
+        fieldBoosts: {
+          type: "object",
+          description: "Boost factor per text field (name, statement, content, description) for fulltext ranking"
+        },
+        contextFilters: {
+          type: "object",
+          description: "Filters for domain (name or path such as \"Technology > Databases\"; knowledge of sub-domains is included unless includeSubdomains is false), source, confidence level (minConfidence, and maxConfidence exclusive), creation date (createdFrom, and createdBefore exclusive), contentType and metadata. metadata maps metadata keys (dotted for nested values) to a value or an expression: {\"project\": \"apollo\", \"priority\": {\"gte\": 2}, \"team\": {\"in\": [\"a\", \"b\"]}, \"reviewer\": {\"exists\": true}}"
+        },
+        filter: {
+          type: "object",
+          description: "Filter expression, combined with contextFilters. Combine filters with {\"and\": [...]}, {\"or\": [...]} and {\"not\": {...}}. A field condition is {\"field\": name, op: value} with eq, in, gt, gte, lt, lte, contains or exists; fields are node properties (\"confidence\", \"created_date\", \"metadata.project\"), \"type\", \"domain\" (with includeSubdomains) and \"sources\" (source ID or URL). A relationship condition is {\"relationship\": type or \"*\", \"direction\": \"out\"|\"in\"|\"any\", \"target\": node ID}. Example: {\"or\": [{\"field\": \"domain\", \"eq\": \"Technology\"}, {\"and\": [{\"field\": \"type\", \"eq\": \"fact\"}, {\"field\": \"confidence\", \"gte\": 0.9}]}]}"
+        },
+        asOf: {
+          type: "string",
+          description: "Only return knowledge that was valid at this ISO 8601 date"
+        },
+        maxResults: {
+          type: "integer",
+          description: "Maximum number of results per page",
+          minimum: 1,
+          maximum: 100,
+          default: 10
+        },
+        cursor: {
+          type: "string",
+          description: "Cursor of the next page, from a previous search with the same parameters"
+        },
+        includeContext: {
+          type: "boolean",
+          description: "Whether to include related context nodes",
+          default: true
+        },
+        explainConfidence: {
+          type: "boolean",
+          description: "Show how each result's confidence was derived from its sources, their independence and its age",
+          default: false
+        },
+        facets: {
+          type: "boolean",
+          description: "Also count all hits by domain, source, type, confidence band and creation month, each value with the contextFilters that narrow the search to it",
+          default: false
+        }
+      },
+      required: ["query"]
+    }
+  },
+  {
+    name: "explore-knowledge-graph",
+    description: "Interactively explore the knowledge graph from a starting concept",
+    inputSchema: {
+      type: "object",
+      properties: {
+        startConcept: {
+          type: "string",
+          description: "Starting concept for graph exploration (ID, name or alias)"
+        },
+        relationshipTypes: {
+          type: "array",
+          items: { type: "string" },
+          description: "Types of relationships to follow (registered types or their inverse names)"
+        },
+        maxDepth: {
+          type: "integer",
+          description: "Maximum traversal depth (at most 5)",
+          default: 3
+        },
+        asOf: {
+          type: "string",
+          description: "Only follow facts and relationships that were valid at this ISO 8601 date"
+        },
+        visualize: {
+          type: "boolean", 
+          description: "Whether to generate visualization data",
+          default: false
+        },
+        limit: {
+          type: "integer",
+          description: "Maximum number of connected nodes per page, nearest first",
+          minimum: 1,
+          maximum: 100,
+          default: 20
+        },
+        cursor: {
+          type: "string",
+          description: "Cursor of the next page, from a previous exploration with the same parameters"
+        }
+      },
+      required: ["startConcept"]
+    }
+  },
+  {
+    name: "find-knowledge-paths",
+    description: "Find connection paths between concepts in the knowledge graph",
+    inputSchema: {
+      type: "object", 
+      properties: {
+        conceptA: {
+          type: "string",
+          description: "First concept node (ID, name or alias)"
+        },
+        conceptB: {
+          type: "string",
+          description: "Second concept node (ID, name or alias)"
+        },
+        maxPathLength: {
+          type: "integer",
+          description: "Maximum path length to search (at most 6)",
+          default: 5
+        },
+        relationshipConstraints: {
+          type: "array",
+          items: { type: "string" },
+          description: "Relationship types to include (registered types or their inverse names)"
+        },
+        asOf: {
+          type: "string",
+          description: "Only use facts and relationships that were valid at this ISO 8601 date"
+        },
+        limit: {
+          type: "integer",
+          description: "Maximum number of paths per page, shortest first",
+          minimum: 1,
+          maximum: 100,
+          default: 10
+        },
+        cursor: {
+          type: "string",
+          description: "Cursor of the next page, from a previous search with the same concepts and parameters"
+        }
+      },
+      required: ["conceptA", "conceptB"]
+    }
+  },
+  {
+    name: "process-mcp-output",
+    description: "Process outputs from other MCP servers into the knowledge graph",
+    inputSchema: {
+      type: "object",
+      properties: {
+        mcpSource: {
+          type: "string",
+          description: "Source MCP server identifier"
+        },
+        rawOutput: {
+          type: "string",
+          description: "Raw output from the MCP server"
+        },
+        processingInstructions: {
+          type: "string",
+          description: "Instructions for knowledge extraction"
+        },
+        linkingStrategy: {
+          type: "string",
+          enum: ["automatic", "manual", "hybrid"],
+          description: "Strategy for linking to existing knowledge"
+        }
+      },
+      required: ["mcpSource", "rawOutput"]
+    }
+  },
+  {
+    name: "analyze-knowledge-gaps",
+    description: "Identify gaps in the knowledge graph for targeted research",
+    inputSchema: {
+      type: "object",
+      properties: {
+        domain: {
+          type: "string",
+          description: "Knowledge domain to analyze (name or path such as \"Technology > Databases\")"
+        },
+        includeSubdomains: {
+          type: "boolean",
+          description: "Also analyze the knowledge of the domain's sub-domains",
+          default: true
+        },
+        analysisType: {
+          type: "string",
+          enum: ["missing-connections", "weak-areas", "outdated-content", "unverified-claims"],
+          description: "Type of gap analysis to perform. unverified-claims lists the facts no one has verified yet that other knowledge relies on most or that are disputed"
+        },
+        concept: {
+          type: "string",
+          description: "Limit the analysis to one concept (ID, name or alias)"
+        },
+        threshold: {
+          type: "number",
+          description: "Confidence or connection strength threshold",
+          default: 0.7
+        }
+      },
+      required: ["domain", "analysisType"]
+    }
+  },
+  {
+    name: "store-document-knowledge", 
+    description: "Extract and store knowledge from documents processed by other MCP servers",
+    inputSchema: {
+      type: "object",
+      properties: {
+        documentId: {
+          type: "string",
+          description: "Unique identifier for the document"
+        },
+        extractedContent: {
+          type: "string",
+          description: "Knowledge extracted by AI analysis"
+        },
+        sourceMetadata: {
+          type: "object",
+          description: "Information about the source document"
+        },
+        processingChain: {
+          type: "array",
+          description: "AI models or steps that processed the content, in order. Each entry is a model name or a step object",
+          items: {
+            anyOf: [
+              { type: "string" },
+              {
+                type: "object",
+                properties: {
+                  model: { type: "string" },
+                  instructions: { type: "string" },
+                  timestamp: { type: "string", description: "ISO 8601 time the step ran" }
+                },
+                required: ["model"]
+              }
+            ]
+          }
+        }
+      },
+      required: ["documentId", "extractedContent"]
+    }
+  },
+  {
+    name: "update-knowledge",
+    description: "Correct an existing knowledge node: content, confidence, metadata, domain, relationships or concept aliases",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: {
+          type: "string",
+          description: "ID of the knowledge node to update"
+        },
+        content: {
+          type: "string",
+          description: "Replacement content (also updates a concept's name or a fact's statement)"
+        },
+        confidence: {
+          type: "number",
+          description: "New confidence score between 0 and 1. Rejected for facts with sources, whose confidence is derived from them (use set-source-reliability, verify-fact or reject-fact)"
+        },
+        metadata: {
+          type: "object",
+          description: "Metadata fields to merge into the existing metadata"
+        },
+        domain: {
+          type: "string",
+          description: "Domain to move the node to, as a name or a path such as \"Technology > Databases > Graph\" (empty string removes it from all domains)"
+        },
+        validFrom: {
+          type: "string",
+          description: "When the fact became true (ISO 8601, null clears it)"
+        },
+        validTo: {
+          type: "string",
+          description: "When the fact stopped being true (ISO 8601, null clears it)"
+        },
+        addRelationships: {
+          type: "array",
+          description: "Relationships to create from this node",
+          items: {
+            type: "object",
+            properties: {
+              targetNode: { type: "string" },
+              targetWorkspace: { type: "string", description: "Workspace of the target node, to link across workspaces (default: the same workspace)" },
+              relationshipType: { type: "string" },
+              validFrom: { type: "string", description: "When the relationship started to hold (ISO 8601)" },
+              validTo: { type: "string", description: "When the relationship stopped holding (ISO 8601)" }
+            }
+          }
+        },
+        removeRelationships: {
+          type: "array",
+          description: "Relationships from this node to remove",
+          items: {
+            type: "object",
+            properties: {
+              targetNode: { type: "string" },
+              relationshipType: { type: "string" }
+            }
+          }
+        },
+        addAliases: {
+          type: "array",
+          items: { type: "string" },
+          description: "Alternative names to add to a concept"
+        },
+        removeAliases: {
+          type: "array",
+          items: { type: "string" },
+          description: "Alternative names to remove from a concept"
+        },
+        changedBy: {
+          type: "string",
+          description: "Source making the change, recorded in the revision history"
+        }
+      },
+      required: ["id"]
+    }
+  },
+  {
+    name: "supersede-fact",
+    description: "Replace a fact with a newer one: the old fact stays in the graph but stops being valid at the effective date and is linked to its replacement with SUPERSEDED_BY",
+    inputSchema: {
+      type: "object",
+      properties: {
+        oldFactId: {
+          type: "string",
+          description: "ID of the fact being replaced"
+        },
+        newFactId: {
+          type: "string",
+          description: "ID of an existing fact that replaces it"
+        },
+        statement: {
+          type: "string",
+          description: "Statement of a new replacing fact (used when newFactId is not given; inherits the concepts and domain of the old fact)"
+        },
+        effectiveDate: {
+          type: "string",
+          description: "When the replacement took effect (ISO 8601, default: now)"
+        },
+        source: {
+          type: "string",
+          description: "Source of the new fact (default: the source of the old fact)"
+        },
+        confidence: {
+          type: "number",
+          description: "Confidence of the new fact (default: the confidence of the old fact)"
+        },
+        changedBy: {
+          type: "string",
+          description: "Source making the change, recorded in the revision history"
+        }
+      },
+      required: ["oldFactId"]
+    }
+  },
+  {
+    name: "list-contradictions",
+    description: "List facts that contradict each other (detected when facts are stored) so the conflicts can be resolved",
+    inputSchema: {
+      type: "object",
+      properties: {
+        domain: {
+          type: "string",
+          description: "Only conflicts involving a fact of this domain (name or path)"
+        },
+        includeSubdomains: {
+          type: "boolean",
+          description: "Also list conflicts involving facts of the domain's sub-domains",
+          default: true
+        },
+        concept: {
+          type: "string",
+          description: "Only conflicts involving a fact about this concept (ID, name or alias)"
+        },
+        includeResolved: {
+          type: "boolean",
+          description: "Also list conflicts where one fact was superseded or stopped being valid",
+          default: false
+        },
+        limit: {
+          type: "integer",
+          description: "Maximum number of conflicts to return",
+          default: 50
+        }
+      }
+    }
+  },
+  {
+    name: "set-source-reliability",
+    description: "Change how reliable a source is; the confidence of every fact cited from or derived from it is recomputed",
+    inputSchema: {
+      type: "object",
+      properties: {
+        source: {
+          type: "string",
+          description: "Source ID or URL"
+        },
+        reliability: {
+          type: "number",
+          description: "New reliability score between 0 and 1"
+        },
+        changedBy: {
+          type: "string",
+          description: "Source making the change, recorded in the revision history"
+        }
+      },
+      required: ["source", "reliability"]
+    }
+  },
+  {
+    name: "recompute-confidence",
+    description: "Recompute fact confidence from source reliability, independent corroboration and age (scores decay over time, so run this periodically)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        domain: {
+          type: "string",
+          description: "Only facts belonging to this domain (name or path)"
+        },
+        includeSubdomains: {
+          type: "boolean",
+          description: "Also recompute the facts of the domain's sub-domains",
+          default: true
+        },
+        source: {
+          type: "string",
+          description: "Only facts cited from or derived from this source (ID or URL)"
+        }
+      }
+    }
+  },
+  {
+    name: "verify-fact",
+    description: "Record that a reviewer verified a fact, optionally against a source. Verified facts gain confidence and rank as authoritative in search",
+    inputSchema: {
+      type: "object",
+      properties: {
+        factId: {
+          type: "string",
+          description: "ID of the reviewed fact"
+        },
+        verifiedBy: {
+          type: "string",
+          description: "Who reviewed the fact"
+        },
+        source: {
+          type: "string",
+          description: "Source (ID or URL) the fact was checked against"
+        },
+        notes: {
+          type: "string",
+          description: "Reviewer notes"
+        }
+      },
+      required: ["factId", "verifiedBy"]
+    }
+  },
+  {
+    name: "reject-fact",
+    description: "Record that a reviewer rejected a fact as wrong, optionally against a source. Rejected facts lose confidence and rank lower in search",
+    inputSchema: {
+      type: "object",
+      properties: {
+        factId: {
+          type: "string",
+          description: "ID of the reviewed fact"
+        },
+        verifiedBy: {
+          type: "string",
+          description: "Who reviewed the fact"
+        },
+        source: {
+          type: "string",
+          description: "Source (ID or URL) the fact was checked against"
+        },
+        notes: {
+          type: "string",
+          description: "Why the fact was rejected"
+        }
+      },
+      required: ["factId", "verifiedBy"]
+    }
+  },
+  {
+    name: "list-domains",
+    description: "List knowledge domains as a tree with their paths and how much knowledge belongs to each",
+    inputSchema: {
+      type: "object",
+      properties: {
+        root: {
+          type: "string",
+          description: "Only list this domain (name or path) and its sub-domains"
+        }
+      }
+    }
+  },
+  {
+    name: "create-domain",
+    description: "Create a knowledge domain, optionally as a sub-domain. A path such as \"Technology > Databases > Graph\" creates the missing domains along it",
+    inputSchema: {
+      type: "object",
+      properties: {
+        name: {
+          type: "string",
+          description: "Domain name, or a path ending with the new domain"
+        },
+        parent: {
+          type: "string",
+          description: "Parent domain (name or path) to create the domain under"
+        },
+        description: {
+          type: "string",
+          description: "What the domain covers"
+        }
+      },
+      required: ["name"]
+    }
+  },
+  {
+    name: "rename-domain",
+    description: "Rename a knowledge domain; its knowledge and sub-domains stay attached",
+    inputSchema: {
+      type: "object",
+      properties: {
+        domain: {
+          type: "string",
+          description: "Domain to rename (name or path)"
+        },
+        newName: {
+          type: "string",
+          description: "New domain name (must not be used by another domain)"
+        },
+        changedBy: {
+          type: "string",
+          description: "Source making the change, recorded in the revision history"
+        }
+      },
+      required: ["domain", "newName"]
+    }
+  },
+  {
+    name: "move-domain",
+    description: "Move a knowledge domain, with its sub-domains and knowledge, under another domain or to the top level",
+    inputSchema: {
+      type: "object",
+      properties: {
+        domain: {
+          type: "string",
+          description: "Domain to move (name or path)"
+        },
+        parent: {
+          type: "string",
+          description: "New parent domain (name or path). Omit or leave empty to make it a top-level domain"
+        }
+      },
+      required: ["domain"]
+    }
+  },
+  {
+    name: "merge-domains",
+    description: "Merge knowledge domains into a target domain: their knowledge and sub-domains move to the target and the merged domains are deleted",
+    inputSchema: {
+      type: "object",
+      properties: {
+        target: {
+          type: "string",
+          description: "Domain that remains (name or path)"
+        },
+        domains: {
+          type: "array",
+          items: { type: "string" },
+          description: "Domains to merge into the target (names or paths)"
+        },
+        changedBy: {
+          type: "string",
+          description: "Source making the change, recorded in the revision history"
+        }
+      },
+      required: ["target", "domains"]
+    }
+  },
+  {
+    name: "query-audit-log",
+    description: "List recorded tool calls, newest first: tool, caller, redacted arguments, duration, outcome and the nodes and relationships each call created or changed",
+    inputSchema: {
+      type: "object",
+      properties: {
+        since: {
+          type: "string",
+          description: "Only calls made at or after this date (ISO 8601)"
+        },
+        until: {
+          type: "string",
+          description: "Only calls made at or before this date (ISO 8601)"
+        },
+        tool: {
+          type: "string",
+          description: "Only calls of this tool"
+        },
+        caller: {
+          type: "string",
+          description: "Only calls by this client"
+        },
+        nodeId: {
+          type: "string",
+          description: "Only calls that created or changed this node"
+        },
+        outcome: {
+          type: "string",
+          enum: ["success", "error", "denied"],
+          description: "Only calls with this outcome"
+        },
+        limit: {
+          type: "number",
+          description: "Maximum number of calls to list",
+          default: 50
+        }
+      }
+    }
+  },
+  {
+    name: "list-deleted",
+    description: "List the contents of the recycle bin: deleted knowledge and relationships, grouped by deletion, newest first",
+    inputSchema: {
+      type: "object",
+      properties: {
+        limit: {
+          type: "number",
+          description: "Maximum number of deletions to list",
+          default: 20
+        }
+      }
+    }
+  },
+  {
+    name: "restore-deleted",
+    description: "Restore knowledge from the recycle bin together with its relationships",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: {
+          type: "string",
+          description: "ID of a deleted node (restores that node) or a deletion ID (restores everything deleted together)"
+        }
+      },
+      required: ["id"]
+    }
+  },
+  {
+    name: "purge-deleted",
+    description: "Permanently remove knowledge from the recycle bin",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: {
+          type: "string",
+          description: "ID of a deleted node or a deletion ID to purge"
+        },
+        olderThanDays: {
+          type: "number",
+          description: "Purge everything deleted at least this many days ago (0 empties the recycle bin). Used when no ID is given"
+        }
+      }
+    }
+  },
+  {
+    name: "delete-knowledge",
+    description: "Move a knowledge node to the recycle bin, optionally cascading to dependent knowledge. Deleted knowledge is hidden from every query until it is restored or purged",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: {
+          type: "string",
+          description: "ID of the knowledge node, or of the Source when cascade is \"source\""
+        },
+        cascade: {
+          type: "string",
+          enum: ["detach", "orphaned-facts", "source"],
+          description: "detach: remove only the node; orphaned-facts: also remove facts left unconnected; source: remove a Source and everything derived only from it",
+          default: "detach"
+        },
+        changedBy: {
+          type: "string",
+          description: "Source making the change, recorded in the revision history"
+        }
+      },
+      required: ["id"]
+    }
+  },
+  {
+    name: "knowledge-history",
+    description: "List the revision history of a knowledge or source node, or restore an earlier revision",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: {
+          type: "string",
+          description: "ID of the knowledge or source node"
+        },
+        action: {
+          type: "string",
+          enum: ["list", "restore"],
+          description: "List revisions or restore the values recorded in one",
+          default: "list"
+        },
+        revisionId: {
+          type: "string",
+          description: "Revision to restore (required for restore)"
+        },
+        changedBy: {
+          type: "string",
+          description: "Source performing the restore"
+        },
+        limit: {
+          type: "integer",
+          description: "Maximum number of revisions to list",
+          default: 20
+        }
+      },
+      required: ["id"]
+    }
+  },
+  {
+    name: "find-duplicate-concepts",
+    description: "Propose groups of concepts that probably name the same thing (case, plural and spelling variants)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        domain: {
+          type: "string",
+          description: "Only consider concepts in this domain (name or path)"
+        },
+        includeSubdomains: {
+          type: "boolean",
+          description: "Also consider concepts of the domain's sub-domains",
+          default: true
+        },
+        threshold: {
+          type: "number",
+          description: "Minimum name similarity between 0 and 1",
+          default: 0.75
+        },
+        limit: {
+          type: "integer",
+          description: "Maximum number of candidate groups to return",
+          default: 20
+        }
+      },
+      required: []
+    }
+  },
+  {
+    name: "merge-concepts",
+    description: "Merge duplicate concepts into one canonical concept, keeping every relationship and recording the duplicate names as aliases",
+    inputSchema: {
+      type: "object",
+      properties: {
+        canonicalId: {
+          type: "string",
+          description: "ID of the concept to keep"
+        },
+        duplicateIds: {
+          type: "array",
+          items: { type: "string" },
+          description: "IDs of the concepts to fold into the canonical one"
+        },
+        changedBy: {
+          type: "string",
+          description: "Source performing the merge, recorded in the revision history"
+        }
+      },
+      required: ["canonicalId", "duplicateIds"]
+    }
+  },
+  {
+    name: "import-knowledge",
+    description: "Bulk import concepts, facts, sources, domains and relationships from JSON Lines, CSV or JSON-LD",
+    inputSchema: {
+      type: "object",
+      properties: {
+        content: {
+          type: "string",
+          description: "Content to import"
+        },
+        format: {
+          type: "string",
+          enum: ["jsonl", "csv", "jsonld"],
+          description: "Input format"
+        },
+        source: {
+          type: "string",
+          description: "Source system recorded on imported knowledge",
+          default: "import"
+        },
+        columnMapping: {
+          type: "object",
+          description: "CSV only: maps column headers to fields, e.g. {\"Term\": \"name\", \"Synonyms\": \"aliases\"}"
+        },
+        defaultType: {
+          type: "string",
+          enum: ["concept", "fact", "source", "domain", "relationship"],
+          description: "CSV only: row type when the file has no type column"
+        },
+        delimiter: {
+          type: "string",
+          description: "CSV only: cell delimiter",
+          default: ","
+        },
+        listSeparator: {
+          type: "string",
+          description: "CSV only: separator for list cells such as aliases or concepts",
+          default: ";"
+        },
+        batchSize: {
+          type: "integer",
+          description: "Rows written per transaction",
+          default: 100
+        }
+      },
+      required: ["content", "format"]
+    }
+  },
+  {
+    name: "export-knowledge",
+    description: "Export the knowledge graph, or a scoped part of it, as GraphML, JSON-LD or an idempotent Cypher MERGE script",
+    inputSchema: {
+      type: "object",
+      properties: {
+        format: {
+          type: "string",
+          enum: ["graphml", "jsonld", "cypher"],
+          description: "graphml for Gephi and other graph tools, jsonld for semantic web tooling, cypher to recreate the subgraph in another database",
+          default: "jsonld"
+        },
+        domain: {
+          type: "string",
+          description: "Only export knowledge belonging to this domain (name or path)"
+        },
+        includeSubdomains: {
+          type: "boolean",
+          description: "Also export the domain's sub-domains and their knowledge",
+          default: true
+        },
+        source: {
+          type: "string",
+          description: "Only export knowledge derived from this source (ID, URL or source system)"
+        },
+        label: {
+          type: "string",
+          description: "Only export nodes with this label, e.g. Concept or Fact"
+        },
+        since: {
+          type: "string",
+          description: "Only export nodes created at or after this ISO 8601 date"
+        },
+        until: {
+          type: "string",
+          description: "Only export nodes created at or before this ISO 8601 date"
+        },
+        includeContext: {
+          type: "boolean",
+          description: "Include sources, domains, aliases, people, organizations and processing steps linked to exported knowledge",
+          default: true
+        },
+        includeRevisions: {
+          type: "boolean",
+          description: "Include the revision history of exported nodes",
+          default: false
+        },
+        includeEmbeddings: {
+          type: "boolean",
+          description: "Include embedding vectors",
+          default: false
+        }
+      }
+    }
+  },
+  {
+    name: "entity-knowledge",
+    description: "Show what we know from or about a person or organization: knowledge from sources they authored and facts that mention them",
+    inputSchema: {
+      type: "object",
+      properties: {
+        entity: {
+          type: "string",
+          description: "Name or ID of the person or organization"
+        },
+        entityType: {
+          type: "string",
+          enum: ["person", "organization"],
+          description: "Restrict the lookup to people or organizations"
+        },
+        direction: {
+          type: "string",
+          enum: ["from", "about", "both"],
+          description: "from: knowledge from their sources, about: facts mentioning them",
+          default: "both"
+        },
+        limit: {
+          type: "integer",
+          description: "Maximum number of knowledge items to return",
+          default: 20
+        }
+      },
+      required: ["entity"]
+    }
+  },
+  {
+    name: "trace-provenance",
+    description: "Show which AI models processed a fact or other knowledge node, and in what order",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: {
+          type: "string",
+          description: "ID of the knowledge node to trace"
+        }
+      },
+      required: ["id"]
+    }
+  },
+  {
+    name: "list-relationship-types",
+    description: "List the relationship types allowed in the knowledge graph with their direction, endpoint labels and inverse names",
+    inputSchema: {
+      type: "object",
+      properties: {},
+      required: []
+    }
+  },
+  {
+    name: "about",
+    description: "Get information about the Neo4j Knowledge Graph MCP server",
+    inputSchema: {
+      type: "object",
+      properties: {},
+      required: []
+    }
+  }
+];
+
+// Every tool that reads or writes knowledge works in the connection's workspace
+// unless the call names another one
+const WORKSPACE_FREE_TOOLS = ["list-relationship-types", "about"];
+
+for (const tool of TOOLS.filter(tool => !WORKSPACE_FREE_TOOLS.includes(tool.name))) {
+  tool.inputSchema.properties.workspace = {
+    type: "string",
+    description: `Workspace to work in (default: ${config.WORKSPACE})`
+  };
+}
+
+/**
+ * Capabilities the server announces: one entry per tool
+ * @returns {Object} - Server capabilities
+ */
+function getCapabilities() {
+  return {
+    tools: TOOLS.reduce((acc, tool) => {
+      acc[tool.name] = {};
+      return acc;
+    }, {})
+  };
+}
+
+/**
+ * Installs the request handler on a server. Tool calls are checked against the
+ * access policy and recorded in the audit log with the knowledge they changed.
+ * @param {Server} server - MCP server of a connection
+ * @param {neo4j.Driver} driver - Neo4j driver instance
+ * @param {Object} options - Connection options
+ * @param {string|null} options.clientId - Identity the access policy knows the connection by.
+ *                                         Only the server decides it; the name a client reports is not trusted.
+ */
+function setupRequestHandlers(server, driver, options = {}) {
+  const { clientId = null } = options;
+  
+  initServices(driver);
+  
+  // Fallback request handler
+  server.fallbackRequestHandler = async (request) => {
+    try {
+      const { method } = request;
+      
+      if (method === "initialize") {
+        return {
+          protocolVersion: "2024-11-05",
+          capabilities: getCapabilities(),
+          serverInfo: { name: "neo4j-knowledge-graph", version: "1.0.0" }
+        };
+      }
+      
+      if (method === "tools/list") {
+        return {
+          tools: TOOLS.filter(tool => accessControl.permitsTool(clientId, tool.name)).map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            inputSchema: tool.inputSchema
+          }))
+        };
+      }
+      
+      if (method === "tools/call") {
+        const { name, arguments: args } = request.params || {};
+        const started = Date.now();
+        
+        const access = await accessControl.authorize({ clientId, tool: name, args: args || {} });
+        if (!access.allowed) {
+          const denied = {
+            error: {
+              code: -32603,
+              message: "Access denied",
+              data: { details: access.reason || access.error }
+            }
+          };
+          
+          await recordToolCall({ tool: name, args, caller: clientId, started, response: denied, outcome: 'denied' });
+          return denied;
+        }
+        
+        const { value: response, changes } = await collectChanges(async () => {
+          try {
+            return await callTool(name, args);
+          } catch (error) {
+            return {
+              error: { 
+                code: -32603, 
+                message: "Internal error", 
+                data: { details: error.message } 
+              }
+            };
+          }
+        });
+        
+        await recordToolCall({ tool: name, args, caller: clientId, started, response, changes });
+        return response;
+      }
+      
+      return {
+        error: { code: -32601, message: `Method not found: ${method}` }
+      };
+    } catch (error) {
+      return {
+        error: { 
+          code: -32603, 
+          message: "Internal error", 
+          data: { details: error.message } 
+        }
+      };
+    }
+  };
+}
+
+/**
+ * Runs a tool
+ * @param {string} name - Tool name
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function callTool(name, args) {
+  switch (name) {
+    case "about":
+      return handleAbout();
+    case "store-knowledge":
+      return await handleStoreKnowledge(args);
+    case "search-knowledge":
+      return await handleSearchKnowledge(args);
+    case "explore-knowledge-graph":
+      return await handleExploreGraph(args);
+    case "process-mcp-output":
+      return await handleProcessMcpOutput(args);
+    case "find-knowledge-paths":
+      return await handleFindPaths(args);
+    case "analyze-knowledge-gaps":
+      return await handleAnalyzeGaps(args);
+    case "store-document-knowledge":
+      return await handleStoreDocumentKnowledge(args);
+    case "update-knowledge":
+      return await handleUpdateKnowledge(args);
+    case "supersede-fact":
+      return await handleSupersedeFact(args);
+    case "list-contradictions":
+      return await handleListContradictions(args);
+    case "set-source-reliability":
+      return await handleSetSourceReliability(args);
+    case "recompute-confidence":
+      return await handleRecomputeConfidence(args);
+    case "verify-fact":
+      return await handleVerifyFact(args);
+    case "reject-fact":
+      return await handleRejectFact(args);
+    case "list-domains":
+      return await handleListDomains(args);
+    case "create-domain":
+      return await handleCreateDomain(args);
+    case "rename-domain":
+      return await handleRenameDomain(args);
+    case "move-domain":
+      return await handleMoveDomain(args);
+    case "merge-domains":
+      return await handleMergeDomains(args);
+    case "query-audit-log":
+      return await handleQueryAuditLog(args);
+    case "list-deleted":
+      return await handleListDeleted(args);
+    case "restore-deleted":
+      return await handleRestoreDeleted(args);
+    case "purge-deleted":
+      return await handlePurgeDeleted(args);
+    case "delete-knowledge":
+      return await handleDeleteKnowledge(args);
+    case "knowledge-history":
+      return await handleKnowledgeHistory(args);
+    case "list-relationship-types":
+      return handleListRelationshipTypes();
+    case "find-duplicate-concepts":
+      return await handleFindDuplicateConcepts(args);
+    case "merge-concepts":
+      return await handleMergeConcepts(args);
+    case "trace-provenance":
+      return await handleTraceProvenance(args);
+    case "entity-knowledge":
+      return await handleEntityKnowledge(args);
+    case "import-knowledge":
+      return await handleImportKnowledge(args);
+    case "export-knowledge":
+      return await handleExportKnowledge(args);
+    default:
+      return {
+        error: { code: -32601, message: `Tool not found: ${name}` }
+      };
+  }
+}
+
+/**
+ * Records a tool call in the audit log. A call is not failed because it could not be recorded.
+ * @param {Object} params - Call details
+ * @param {string} params.tool - Tool name
+ * @param {Object} params.args - Tool arguments
+ * @param {string|null} params.caller - Client identity of the connection
+ * @param {number} params.started - When the call started (milliseconds since the epoch)
+ * @param {Object} params.response - Tool response
+ * @param {string} params.outcome - Outcome when the response does not tell it (denied)
+ * @param {Object} params.changes - Nodes and relationships the call created or changed
+ */
+async function recordToolCall(params) {
+  const { tool, args, caller, started, response, outcome, changes } = params;
+  
+  const result = await auditLog.recordEvent({
+    tool,
+    args: args || {},
+    caller,
+    durationMs: Date.now() - started,
+    outcome: outcome || (response.error ? 'error' : 'success'),
+    error: response.error ? (response.error.data && response.error.data.details) || response.error.message : null,
+    changes
+  });
+  
+  if (!result.success) {
+    console.error(`[WARN] Failed to record the ${tool} call in the audit log:`, result.error);
+  }
+}
+
+/**
+ * Handle the about tool
+ * @returns {Object} - Tool response
+ */
+function handleAbout() {
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Neo4j Knowledge Graph MCP Server v1.0.0
+
+This server provides sophisticated knowledge management capabilities using Neo4j as the backend graph database. It can:
+
+• Store and organize knowledge from multiple AI systems
+• Correct or remove stored knowledge
+• Perform semantic and graph-based knowledge search
+• Explore knowledge relationships interactively
+• Process outputs from other MCP servers
+• Identify knowledge gaps for targeted research
+• Find connection paths between concepts
+
+The system maintains a rich graph of concepts, facts, sources, and their relationships, enabling powerful knowledge discovery and analysis capabilities.
+
+Current connection: ${config.NEO4J_URI}
+Workspace: ${config.WORKSPACE}
+Database status: Connected`
+      }
+    ]
+  };
+}
+
+/**
+ * Builds the response for a concept reference that matched several concepts
+ * @param {Object} result - Failed operation result with ranked candidates
+ * @returns {Object} - Tool response
+ */
+function ambiguousConceptResponse(result) {
+  return {
+    content: [
+      {
+        type: "text",
+        text: `"${result.reference}" matches several concepts. Repeat the request with the ID of the intended concept:
+
+${result.candidates.map((candidate, index) => `${index + 1}. ${candidate.name} (${candidate.id})
+   Match: ${candidate.matchType}, score ${(candidate.score * 100).toFixed(1)}%`).join('\n')}`
+      }
+    ]
+  };
+}
+
+/**
+ * Handle the store-knowledge tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function handleStoreKnowledge(args) {
+  const result = await knowledgeStorage.storeKnowledge(args);
+  
+  if (!result.success) {
+    return {
+      error: { 
+        code: -32603, 
+        message: "Failed to store knowledge", 
+        data: { details: result.error } 
+      }
+    };
+  }
+  
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Knowledge stored successfully!
+          
+Node ID: ${result.id}
+${result.created === false ? 'The same statement was already stored: the existing fact was asserted again instead of duplicated\n' : ''}Content Type: ${args.contentType}
+Source: ${args.source}
+Relationships created: ${result.relationshipsCreated !== undefined ? result.relationshipsCreated : (args.relationships ? args.relationships.length : 0)}
+${result.aliases && result.aliases.length > 0 ? `Aliases: ${result.aliases.join(', ')}\n` : ''}${result.contradictions && result.contradictions.length > 0 ? `Contradicts existing facts:\n${result.contradictions.map(item => `• ${item.statement} (${item.factId}): ${item.reason}`).join('\n')}\n` : ''}${result.unresolvedConcepts && result.unresolvedConcepts.length > 0 ? `Ambiguous concepts not linked:\n${result.unresolvedConcepts.map(item => `• ${item.reference}: ${item.candidates.map(c => `${c.name} (${c.id})`).join(', ')}`).join('\n')}\n` : ''}${result.relationshipErrors && result.relationshipErrors.length > 0 ? `Rejected relationships:\n${result.relationshipErrors.map(err => `• ${err}`).join('\n')}\n` : ''}
+The knowledge has been integrated into the graph database and is now available for search and exploration.`
+      }
+    ]
+  };
+}
+
+/**
+ * Handle the search-knowledge tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function handleSearchKnowledge(args) {
+  const result = await knowledgeRetrieval.searchKnowledge(args);
+  
+  if (!result.success) {
+    return {
+      error: { 
+        code: -32603, 
+        message: "Failed to search knowledge", 
+        data: { details: result.error } 
+      }
+    };
+  }
+  
+  const searchResults = result.results;
+  const { offset, totalCount, totalCountCapped, nextCursor } = result;
+  const found = totalCountCapped ? `at least ${totalCount}` : `${totalCount}`;
+  
+  return {
+    content: [
+      {
+        type: "text", 
+        text: `Knowledge Search Results (${searchResults.length > 0 ? `${offset + 1}-${offset + searchResults.length} of ` : ''}${found} found)
+
+Query: "${args.query}"
+Search Type: ${args.searchType || 'hybrid'}
+${result.asOf ? `As of: ${result.asOf}\n` : ''}
+Results:
+${searchResults.map((result, index) => `
+${offset + index + 1}. [${result.contentType}] ${result.content.substring(0, 200)}${result.content.length > 200 ? '...' : ''}
+   Source: ${result.source || 'Unknown'}
+   Confidence: ${(result.confidence * 100).toFixed(1)}%${result.confidenceExplanation ? ` (${result.confidenceExplanation})` : ''}
+   Relevance: ${(result.relevance * 100).toFixed(1)}%
+   ${result.verificationStatus ? `Review: ${result.verificationStatus}${result.verifiedDate ? ` (${result.verifiedDate})` : ''}` : ''}
+   ${result.validFrom || result.validTo ? `Valid: ${result.validFrom || '…'} – ${result.validTo || 'now'}` : ''}
+   ${result.relatedConcepts && result.relatedConcepts.length > 0 ? `Related: ${result.relatedConcepts.slice(0, 3).map(c => c.content).join(', ')}` : ''}
+`).join('\n')}
+
+${result.facets ? `\nFacets (${totalCountCapped ? `the best ${totalCount}` : `all ${totalCount}`} hits):\n${formatFacets(result.facets)}\nNarrow the search to a value by repeating it with that value's contextFilters\n` : ''}${nextCursor ? `\nMore results: repeat the search with cursor="${nextCursor}"` : ''}${result.includeContext && searchResults.length > 0 ? `\nTo explore relationships, use: explore-knowledge-graph with startConcept="${searchResults[0].id}"` : ''}`
+      }
+    ]
+  };
+}
+
+/**
+ * Formats search facets, listing the most frequent values of each facet
+ * with the contextFilters that narrow the search to them
+ * @param {Object} facets - Facet values with counts and drill-down filters
+ * @returns {string} - One line per facet and one per value
+ */
+function formatFacets(facets) {
+  return Object.entries(facets)
+    .filter(([, values]) => values.length > 0)
+    .map(([facet, values]) => `• ${facet}:\n${values.slice(0, 10).map(entry => `   ${entry.value} (${entry.count}): contextFilters=${JSON.stringify(entry.filter)}`).join('\n')}${values.length > 10 ? `\n   … ${values.length - 10} more` : ''}`)
+    .join('\n');
+}
+
+/**
+ * Handle the explore-knowledge-graph tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function handleExploreGraph(args) {
+  const result = await knowledgeRetrieval.exploreKnowledgeGraph(args);
+  
+  if (result.ambiguous) {
+    return ambiguousConceptResponse(result);
+  }
+  
+  if (!result.success) {
+    return {
+      error: { 
+        code: -32603, 
+        message: "Failed to explore knowledge graph", 
+        data: { details: result.error } 
+      }
+    };
+  }
+  
+  const data = result.explorationData;
+  
+  // Generate text response
+  let responseText = `Knowledge Graph Exploration
+
+Starting Concept: ${data.startNode.name || data.startNode.content}
+Max Depth: ${result.maxDepth}
+${args.asOf ? `As of: ${args.asOf}\n` : ''}Found ${result.totalCount} connected concepts${result.totalCount > data.connectedNodes.length ? `, showing ${result.offset + 1}-${result.offset + data.connectedNodes.length}` : ''}
+
+Exploration Results:`;
+
+  responseText += data.connectedNodes
+    .map((node, index) => `
+${result.offset + index + 1}. [Depth ${node.depth}] ${node.content.substring(0, 150)}${node.content.length > 150 ? '...' : ''}
+   Type: ${node.type}
+   Source: ${node.source || 'Unknown'}
+   ${node.relationships && node.relationships.length > 0 ? `Relationships: ${node.relationships.join(', ')}` : ''}`)
+    .join('\n');
+  
+  // Add relationship summary
+  responseText += '\n\nRelationship Summary:';
+  const relationshipSummary = data.relationshipSummary;
+  responseText += Object.entries(relationshipSummary)
+    .map(([type, count]) => `\n• ${type}: ${count} connections`)
+    .join('');
+  
+  // Add visualization if requested
+  if (args.visualize && data.visualization) {
+    responseText += `\n\nDOT Graph Representation:\n\`\`\`\n${data.visualization}\n\`\`\``;
+  }
+  
+  if (result.nextCursor) {
+    responseText += `\n\nMore connections: repeat the exploration with cursor="${result.nextCursor}"`;
+  }
+  
+  responseText += `\n\nUse find-knowledge-paths to explore specific connections between concepts.`;
+  
+  return {
+    content: [
+      {
+        type: "text",
+        text: responseText
+      }
+    ]
+  };
+}
+
+/**
+ * Handle the process-mcp-output tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function handleProcessMcpOutput(args) {
+  const result = await mcpExtractor.processOutput(args);
+  
+  if (!result.success) {
+    return {
+      error: { 
+        code: -32603, 
+        message: "Failed to process MCP output", 
+        data: { details: result.error } 
+      }
+    };
+  }
+  
+  const extractionResults = result.extractionResults;
+  
+  return {
+    content: [
+      {
+        type: "text",
+        text: `MCP Output Processing Complete
+
+Source: ${args.mcpSource}
+Processing Strategy: ${args.linkingStrategy || 'automatic'}
+
+Extracted Knowledge:
+• Concepts: ${extractionResults.concepts.length} (${extractionResults.concepts.slice(0, 5).map(c => c.name).join(', ')}${extractionResults.concepts.length > 5 ? '...' : ''})
+• Facts: ${extractionResults.facts.length} statements
+• Contradictions with existing facts: ${extractionResults.facts.reduce((count, fact) => count + fact.contradictions.length, 0)} (see list-contradictions)
+• Processing Method: ${extractionResults.processingMethod || 'heuristic extraction'}
+
+The processed knowledge has been integrated into the graph database and is now searchable and explorable.
+
+Next Steps:
+• Use search-knowledge to query the newly processed information
+• Use explore-knowledge-graph to discover relationships
+• Process additional MCP outputs to build knowledge density`
+      }
+    ]
+  };
+}
+
+/**
+ * Handle the find-knowledge-paths tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function handleFindPaths(args) {
+  const result = await knowledgeRetrieval.findKnowledgePaths(args);
+  
+  if (result.ambiguous) {
+    return ambiguousConceptResponse(result);
+  }
+  
+  if (!result.success) {
+    return {
+      error: { 
+        code: -32603, 
+        message: "Failed to find knowledge paths", 
+        data: { details: result.error } 
+      }
+    };
+  }
+  
+  if (!result.found) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `No paths found between "${args.conceptA}" and "${args.conceptB}" within ${result.maxPathLength} steps.
+
+Try:
+• Increasing maxPathLength
+• Using broader concept terms
+• Checking if both concepts exist in the knowledge graph`
+        }
+      ]
+    };
+  }
+  
+  const paths = result.paths;
+  
+  // Generate text response
+  let responseText = `Knowledge Paths Found
+
+From: ${args.conceptA}
+To: ${args.conceptB}
+Max Path Length: ${result.maxPathLength}
+
+Found ${result.totalCountCapped ? 'at least ' : ''}${result.totalCount} path(s)${result.totalCount > paths.length ? `, showing ${result.offset + 1}-${result.offset + paths.length}` : ''}:`;
+
+  // Format each path
+  for (const path of paths) {
+    responseText += `\n\nPath ${path.index} (${path.length} steps, ${path.nodes.length} nodes):`;
+    
+    // Format path segments
+    for (const segment of path.segments) {
+      responseText += `\n  ${segment.source.name || segment.source.id} --[${segment.relationship}]--> ${segment.target.name || segment.target.id}`;
+    }
+  }
+  
+  // Paths come shortest first, so only the first page knows the shortest one
+  if (result.offset === 0) {
+    responseText += `\n\nShortest path has ${result.shortestPathLength} steps.`;
+  }
+  
+  if (result.nextCursor) {
+    responseText += `\n\nMore paths: repeat the search with cursor="${result.nextCursor}"`;
+  }
+  
+  responseText += `\n\nUse explore-knowledge-graph to examine nodes along these paths in detail.`;
+  
+  return {
+    content: [
+      {
+        type: "text",
+        text: responseText
+      }
+    ]
+  };
+}
+
+/**
+ * Handle the analyze-knowledge-gaps tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function handleAnalyzeGaps(args) {
+  const result = await knowledgeRetrieval.analyzeKnowledgeGaps(args);
+  
+  if (result.ambiguous) {
+    return ambiguousConceptResponse(result);
+  }
+  
+  if (!result.success) {
+    return {
+      error: { 
+        code: -32603, 
+        message: "Failed to analyze knowledge gaps", 
+        data: { details: result.error } 
+      }
+    };
+  }
+  
+  let analysisText = '';
+  
+  switch (args.analysisType) {
+    case "missing-connections":
+      analysisText = `Missing Connections Analysis for "${args.domain}"
+
+Found ${result.results.length} potential connections:
+
+${result.results.map((item, index) => {
+  return `${index + 1}. Similarity: ${(item.similarity * 100).toFixed(1)}%
+   A: ${item.concept1}
+   B: ${item.concept2}`;
+}).join('\n\n')}
+
+These concepts appear related but lack explicit connections in the knowledge graph.`;
+      break;
+      
+    case "weak-areas":
+      analysisText = `Weak Areas Analysis for "${args.domain}"
+
+Found ${result.results.length} weakly connected concepts:
+
+${result.results.map((item, index) => {
+  return `${index + 1}. ${item.concept}
+   Connections: ${item.connectionCount}
+   Confidence: ${(item.confidence * 100).toFixed(1)}%`;
+}).join('\n\n')}
+
+These concepts need more connections or validation to strengthen the knowledge graph.`;
+      break;
+      
+    case "outdated-content":
+      analysisText = `Outdated Content Analysis for "${args.domain}"
+
+Found ${result.results.length} potentially outdated concepts:
+
+${result.results.map((item, index) => {
+  return `${index + 1}. ${item.concept}
+   Source: ${item.source || 'Unknown'}
+   Days since update: ${item.daysSinceUpdate}
+   Confidence: ${(item.confidence * 100).toFixed(1)}%`;
+}).join('\n\n')}
+
+These concepts haven't been updated recently and may need verification.`;
+      break;
+      
+    case "unverified-claims":
+      analysisText = `Unverified Claims Analysis for "${args.domain}"
+
+Found ${result.results.length} unverified facts, highest impact first:
+
+${result.results.map((item, index) => {
+  return `${index + 1}. ${item.statement}
+   ID: ${item.id}
+   Source: ${item.source || 'Unknown'}
+   Confidence: ${(item.confidence * 100).toFixed(1)}%
+   Connections: ${item.connectionCount}, contradictions: ${item.contradictionCount}, sources: ${item.sourceCount}`;
+}).join('\n\n')}
+
+Review these facts with verify-fact or reject-fact.`;
+      break;
+  }
+  
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Knowledge Gap Analysis
+
+Domain: ${args.domain}
+Analysis Type: ${args.analysisType}
+Threshold: ${args.threshold || 0.7}
+
+${analysisText}
+
+Recommendations:
+• Research the identified gaps with targeted queries
+• Use other MCP servers to gather current information  
+• Update outdated content with fresh sources
+• Create explicit relationships between related concepts`
+      }
+    ]
+  };
+}
+
+/**
+ * Handle the store-document-knowledge tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function handleStoreDocumentKnowledge(args) {
+  const { documentId, extractedContent, sourceMetadata = {}, processingChain = [] } = args;
+  
+  try {
+    // 1. Create source record for the document
+    const sourceResult = await knowledgeStorage.storeSource({
+      workspace: args.workspace,
+      title: sourceMetadata.title || `Document ${documentId}`,
+      url: sourceMetadata.url || `doc://${documentId}`,
+      sourceType: sourceMetadata.type || 'document',
+      author: sourceMetadata.author,
+      authors: sourceMetadata.authors,
+      publicationDate: sourceMetadata.date,
+      reliability: sourceMetadata.reliability,
+      metadata: {
+        document_id: documentId,
+        content_type: sourceMetadata.contentType,
+        content_preview: extractedContent.substring(0, 200) + (extractedContent.length > 200 ? '...' : ''),
+        ...sourceMetadata
+      }
+    });
+    
+    if (!sourceResult.success) {
+      throw new Error(`Failed to create source record: ${sourceResult.error}`);
+    }
+    
+    // 2. Process the extracted content (similar to MCP output processing)
+    const chain = processingChain.length > 0 ? processingChain : ['document-processor'];
+    const processingResult = await mcpExtractor.processOutput({
+      workspace: args.workspace,
+      mcpSource: typeof chain[0] === 'string' ? chain[0] : chain[0].model,
+      rawOutput: extractedContent,
+      processingInstructions: 'Extract knowledge from document content',
+      linkingStrategy: 'automatic',
+      processingChain: chain
+    });
+    
+    if (!processingResult.success) {
+      throw new Error(`Failed to process document content: ${processingResult.error}`);
+    }
+    
+    const extractionResults = processingResult.extractionResults;
+    
+    // 3. Link all extracted entities to the document source
+    for (const concept of extractionResults.concepts) {
+      await knowledgeStorage.createRelationship({
+        workspace: args.workspace,
+        sourceId: concept.id,
+        targetId: sourceResult.id,
+        type: 'DERIVED_FROM'
+      });
+    }
+    
+    for (const fact of extractionResults.facts) {
+      await knowledgeStorage.createRelationship({
+        workspace: args.workspace,
+        sourceId: fact.id,
+        targetId: sourceResult.id,
+        type: 'CITED_FROM'
+      });
+    }
+    
+    const processingSteps = extractionResults.processingSteps || [];
+    for (const step of processingSteps) {
+      await knowledgeStorage.createRelationship({
+        workspace: args.workspace,
+        sourceId: sourceResult.id,
+        targetId: step.id,
+        type: 'PROCESSED_BY'
+      });
+    }
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Document Knowledge Processing Complete
+
+Document ID: ${documentId}
+Source: ${sourceResult.title}
+Processing Chain: ${processingSteps.map(step => step.model).join(' → ') || 'Direct processing'}
+
+Extracted Knowledge:
+• Concepts: ${extractionResults.concepts.length} (${extractionResults.concepts.slice(0, 5).map(c => c.name).join(', ')}${extractionResults.concepts.length > 5 ? '...' : ''})
+• Facts: ${extractionResults.facts.length} statements
+• Contradictions with existing facts: ${extractionResults.facts.reduce((count, fact) => count + fact.contradictions.length, 0)} (see list-contradictions)
+
+The document knowledge has been integrated into the graph database and is now searchable and explorable.
+
+Next Steps:
+• Use search-knowledge to query document information
+• Use explore-knowledge-graph to discover relationships
+• Use trace-provenance to see which models produced a fact
+• Process additional documents to build knowledge density`
+        }
+      ]
+    };
+  } catch (error) {
+    return {
+      error: { 
+        code: -32603, 
+        message: "Failed to store document knowledge", 
+        data: { details: error.message } 
+      }
+    };
+  }
+}
+
+/**
+ * Handle the update-knowledge tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function handleUpdateKnowledge(args) {
+  const result = await knowledgeStorage.updateKnowledge(args);
+  
+  if (!result.success) {
+    return {
+      error: { 
+        code: -32603, 
+        message: "Failed to update knowledge", 
+        data: { details: result.error } 
+      }
+    };
+  }
+  
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Knowledge updated successfully!
+
+Node ID: ${result.id}
+Updated fields: ${result.updatedFields.length > 0 ? result.updatedFields.join(', ') : 'none'}
+Relationships added: ${result.relationshipsAdded}
+Relationships removed: ${result.relationshipsRemoved}${result.deletionId ? ` (recycle bin deletion ID: ${result.deletionId})` : ''}
+Aliases added: ${result.aliasesAdded.length > 0 ? result.aliasesAdded.join(', ') : 'none'}
+Aliases removed: ${result.aliasesRemoved.length > 0 ? result.aliasesRemoved.join(', ') : 'none'}${result.contradictions.length > 0 ? `\nContradicts existing facts:\n${result.contradictions.map(item => `• ${item.statement} (${item.factId}): ${item.reason}`).join('\n')}` : ''}`
+      }
+    ]
+  };
+}
+
+/**
+ * Handle the supersede-fact tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function handleSupersedeFact(args) {
+  const result = await knowledgeStorage.supersedeFact(args);
+  
+  if (!result.success) {
+    return {
+      error: { 
+        code: -32603, 
+        message: "Failed to supersede fact", 
+        data: { details: result.error } 
+      }
+    };
+  }
+  
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Fact superseded successfully!
+
+Old fact: ${result.oldFactId} (valid until ${result.effectiveDate})
+New fact: ${result.newFactId}${result.created ? ' (created)' : ''}
+
+Searches with asOf before ${result.effectiveDate} still return the old fact.`
+      }
+    ]
+  };
+}
+
+/**
+ * Handle the list-contradictions tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function handleListContradictions(args = {}) {
+  const result = await knowledgeRetrieval.listContradictions(args);
+  
+  if (result.ambiguous) {
+    return ambiguousConceptResponse(result);
+  }
+  
+  if (!result.success) {
+    return {
+      error: { 
+        code: -32603, 
+        message: "Failed to list contradictions", 
+        data: { details: result.error } 
+      }
+    };
+  }
+  
+  if (result.count === 0) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `No ${args.includeResolved ? '' : 'open '}contradictions found${result.domain ? ` in domain "${result.domain}"` : ''}${result.concept ? ` about "${result.concept}"` : ''}.`
+        }
+      ]
+    };
+  }
+  
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Contradictions (${result.count} found)
+
+${result.contradictions.map((item, index) => `${index + 1}. [${item.kind}]${item.open ? '' : ' (resolved)'} ${item.reason}
+   A: ${item.fact.statement} (${item.fact.id}, ${item.fact.source || 'Unknown'}, ${(item.fact.confidence * 100).toFixed(1)}%${item.fact.verification_status ? `, ${item.fact.verification_status}` : ''})
+   B: ${item.otherFact.statement} (${item.otherFact.id}, ${item.otherFact.source || 'Unknown'}, ${(item.otherFact.confidence * 100).toFixed(1)}%${item.otherFact.verification_status ? `, ${item.otherFact.verification_status}` : ''})
+   ${item.sharedConcepts.length > 0 ? `About: ${item.sharedConcepts.join(', ')}` : ''}`).join('\n\n')}
+
+Resolve a conflict with supersede-fact (one fact replaced the other), update-knowledge (correct a statement) or delete-knowledge (remove a wrong fact).`
+      }
+    ]
+  };
+}
+
+/**
+ * Handle the set-source-reliability tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function handleSetSourceReliability(args) {
+  const result = await knowledgeStorage.setSourceReliability(args);
+  
+  if (!result.success) {
+    return {
+      error: { 
+        code: -32603, 
+        message: "Failed to set source reliability", 
+        data: { details: result.error } 
+      }
+    };
+  }
+  
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Source reliability updated!
+
+Source: ${result.title || result.id} (${result.id})
+Reliability: ${result.previousReliability ?? 'unset'} → ${result.reliability}
+Facts rescored: ${result.rescoredFacts.length}
+${result.rescoredFacts.slice(0, 20).map(fact => `• ${fact.id}: ${fact.previous} → ${fact.confidence}`).join('\n')}`
+      }
+    ]
+  };
+}
+
+/**
+ * Handle the recompute-confidence tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function handleRecomputeConfidence(args = {}) {
+  const result = await knowledgeStorage.recomputeFactConfidence(args);
+  
+  if (!result.success) {
+    return {
+      error: { 
+        code: -32603, 
+        message: "Failed to recompute confidence", 
+        data: { details: result.error } 
+      }
+    };
+  }
+  
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Confidence recomputed!
+
+Scope: ${[result.domain && `domain=${result.domain}`, result.source && `source=${result.source}`].filter(Boolean).join(', ') || 'all facts'}
+Facts recomputed: ${result.recomputed}
+Scores changed: ${result.changed}
+
+Use search-knowledge with explainConfidence=true to see how a score was derived.`
+      }
+    ]
+  };
+}
+
+/**
+ * Formats the result of a verify-fact or reject-fact review
+ * @param {Object} result - Result of the review
+ * @param {string} action - Name of the failed action for errors
+ * @returns {Object} - Tool response
+ */
+function verificationResponse(result, action) {
+  if (!result.success) {
+    return {
+      error: { 
+        code: -32603, 
+        message: `Failed to ${action} fact`, 
+        data: { details: result.error } 
+      }
+    };
+  }
+  
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Fact ${result.verdict}!
+
+Fact ID: ${result.factId}
+Reviewed by: ${result.verifiedBy} at ${result.verifiedDate}
+Checked against source: ${result.sourceId || 'none'}
+Confidence: ${(result.previousConfidence * 100).toFixed(1)}% → ${(result.confidence * 100).toFixed(1)}%`
+      }
+    ]
+  };
+}
+
+/**
+ * Handle the verify-fact tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function handleVerifyFact(args) {
+  return verificationResponse(await knowledgeStorage.verifyFact(args), 'verify');
+}
+
+/**
+ * Handle the reject-fact tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function handleRejectFact(args) {
+  return verificationResponse(await knowledgeStorage.rejectFact(args), 'reject');
+}
+
+/**
+ * Handle the list-domains tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function handleListDomains(args) {
+  const result = await knowledgeRetrieval.listDomains(args);
+  
+  if (!result.success) {
+    return {
+      error: { 
+        code: -32603, 
+        message: "Failed to list domains", 
+        data: { details: result.error } 
+      }
+    };
+  }
+  
+  if (result.count === 0) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "No domains found."
+        }
+      ]
+    };
+  }
+  
+  const rootDepth = result.domains[0].depth;
+  const tree = result.domains.map(domain =>
+    `${'  '.repeat(domain.depth - rootDepth)}- ${domain.name} (${domain.knowledgeCount} direct, ${domain.totalKnowledgeCount} total)${domain.description ? `: ${domain.description}` : ''}`
+  ).join('\n');
+  
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Domains${result.root ? ` under "${result.root}"` : ''} (${result.count}):
+
+${tree}`
+      }
+    ]
+  };
+}
+
+/**
+ * Handle the create-domain tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function handleCreateDomain(args) {
+  const result = await knowledgeStorage.createDomain(args);
+  
+  if (!result.success) {
+    return {
+      error: { 
+        code: -32603, 
+        message: "Failed to create domain", 
+        data: { details: result.error } 
+      }
+    };
+  }
+  
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Domain ${result.created ? 'created' : 'already exists'}: ${result.path}
+
+ID: ${result.id}`
+      }
+    ]
+  };
+}
+
+/**
+ * Handle the rename-domain tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function handleRenameDomain(args) {
+  const result = await knowledgeStorage.renameDomain(args);
+  
+  if (!result.success) {
+    return {
+      error: { 
+        code: -32603, 
+        message: "Failed to rename domain", 
+        data: { details: result.error } 
+      }
+    };
+  }
+  
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Domain renamed: ${result.previousPath} → ${result.path}`
+      }
+    ]
+  };
+}
+
+/**
+ * Handle the move-domain tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function handleMoveDomain(args) {
+  const result = await knowledgeStorage.moveDomain(args);
+  
+  if (!result.success) {
+    return {
+      error: { 
+        code: -32603, 
+        message: "Failed to move domain", 
+        data: { details: result.error } 
+      }
+    };
+  }
+  
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Domain moved: ${result.previousPath} → ${result.path}
+
+Its sub-domains and knowledge moved along with it.`
+      }
+    ]
+  };
+}
+
+/**
+ * Handle the merge-domains tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function handleMergeDomains(args) {
+  const result = await knowledgeStorage.mergeDomains(args);
+  
+  if (!result.success) {
+    return {
+      error: { 
+        code: -32603, 
+        message: "Failed to merge domains", 
+        data: { details: result.error } 
+      }
+    };
+  }
+  
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Domains merged into ${result.path}
+
+Merged domains: ${result.mergedDomains.join(', ')}
+Knowledge moved: ${result.movedKnowledge}
+Sub-domains moved: ${result.movedSubdomains}`
+      }
+    ]
+  };
+}
+
+/**
+ * Handle the query-audit-log tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function handleQueryAuditLog(args) {
+  const result = await auditLog.queryAuditLog(args);
+  
+  if (!result.success) {
+    return {
+      error: { 
+        code: -32603, 
+        message: "Failed to query the audit log", 
+        data: { details: result.error } 
+      }
+    };
+  }
+  
+  if (result.events.length === 0) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "No recorded tool calls match the filters."
+        }
+      ]
+    };
+  }
+  
+  const formatted = result.events.map(event => {
+    const changed = [
+      event.nodeIds.length > 0 ? `Nodes: ${event.nodeIds.join(', ')}` : null,
+      event.relationships.length > 0 ? `Relationships: ${event.relationships.join(', ')}` : null
+    ].filter(Boolean);
+    
+    return `${event.timestamp} ${event.tool} by ${event.caller || '(unidentified)'}: ${event.outcome} in ${event.durationMs} ms${event.error ? ` (${event.error})` : ''}
+Arguments: ${JSON.stringify(event.arguments)}${changed.length > 0 ? `\n${changed.join('\n')}` : ''}`;
+  }).join('\n\n');
+  
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Audit log (${result.events.length} calls):
+
+${formatted}`
+      }
+    ]
+  };
+}
+
+/**
+ * Handle the list-deleted tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function handleListDeleted(args) {
+  const result = await recycleBin.listDeleted(args);
+  
+  if (!result.success) {
+    return {
+      error: { 
+        code: -32603, 
+        message: "Failed to list deleted knowledge", 
+        data: { details: result.error } 
+      }
+    };
+  }
+  
+  if (result.deletions.length === 0) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: "The recycle bin is empty."
+        }
+      ]
+    };
+  }
+  
+  const formatted = result.deletions.map(deletion => {
+    const nodes = deletion.nodes.map(node => `  - ${node.type} ${node.id}: ${node.name}`);
+    const relationships = deletion.relationships.map(rel => `  - (${rel.from})-[${rel.type}]->(${rel.to})`);
+    
+    return `Deletion ${deletion.deletionId}
+Deleted: ${deletion.deletedDate}${deletion.deletedBy ? ` by ${deletion.deletedBy}` : ''}${deletion.purgeDate ? `\nPurged after: ${deletion.purgeDate}` : ''}
+Relationships: ${deletion.relationshipCount}
+${[...nodes, ...relationships].join('\n')}`;
+  }).join('\n\n');
+  
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Recycle bin (${result.deletions.length} deletions):
+
+${formatted}`
+      }
+    ]
+  };
+}
+
+/**
+ * Handle the restore-deleted tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function handleRestoreDeleted(args) {
+  const result = await recycleBin.restoreDeleted(args);
+  
+  if (!result.success) {
+    return {
+      error: { 
+        code: -32603, 
+        message: "Failed to restore deleted knowledge", 
+        data: { details: result.error } 
+      }
+    };
+  }
+  
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Knowledge restored successfully!
+
+Deletion ID: ${result.deletionId}
+Nodes restored: ${result.restoredIds.length > 0 ? result.restoredIds.join(', ') : 'none'}
+Relationships restored: ${result.relationshipCount}`
+      }
+    ]
+  };
+}
+
+/**
+ * Handle the purge-deleted tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function handlePurgeDeleted(args) {
+  // allWorkspaces is only for the server's own retention purge (recycleBin.purgeExpired)
+  const { id, olderThanDays, workspace } = args;
+  const result = await recycleBin.purgeDeleted({ id, olderThanDays, workspace });
+  
+  if (!result.success) {
+    return {
+      error: { 
+        code: -32603, 
+        message: "Failed to purge deleted knowledge", 
+        data: { details: result.error } 
+      }
+    };
+  }
+  
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Purged from the recycle bin: ${result.purgedNodes} nodes, ${result.purgedRelationships} relationships`
+      }
+    ]
+  };
+}
+
+/**
+ * Handle the delete-knowledge tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function handleDeleteKnowledge(args) {
+  const result = await knowledgeStorage.deleteKnowledge(args);
+  
+  if (!result.success) {
+    return {
+      error: { 
+        code: -32603, 
+        message: "Failed to delete knowledge", 
+        data: { details: result.error } 
+      }
+    };
+  }
+  
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Knowledge moved to the recycle bin.
+
+Node ID: ${result.id}
+Cascade mode: ${result.cascade}
+Nodes deleted: ${result.deletedCount}
+Deletion ID: ${result.deletionId}
+${result.cascadedIds.length > 0 ? `Cascaded deletions: ${result.cascadedIds.join(', ')}\n` : ''}
+Use restore-deleted with the deletion ID to undo, or purge-deleted to remove it permanently.`
+      }
+    ]
+  };
+}
+
+/**
+ * Handle the knowledge-history tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function handleKnowledgeHistory(args) {
+  if (args.action === "restore") {
+    if (!args.revisionId) {
+      return {
+        error: { code: -32602, message: "revisionId is required to restore a revision" }
+      };
+    }
+    
+    const result = await knowledgeStorage.restoreRevision(args);
+    
+    if (!result.success) {
+      return {
+        error: { 
+          code: -32603, 
+          message: "Failed to restore revision", 
+          data: { details: result.error } 
+        }
+      };
+    }
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Revision restored successfully!
+
+Node ID: ${result.id}
+Restored from revision: ${result.restoredFrom}
+Restored fields: ${result.restoredFields.length > 0 ? result.restoredFields.join(', ') : 'none (values already matched)'}
+${result.revisionId ? `Recorded as revision: ${result.revisionId}` : ''}`
+        }
+      ]
+    };
+  }
+  
+  const result = await knowledgeRetrieval.getKnowledgeHistory(args);
+  
+  if (!result.success) {
+    return {
+      error: { 
+        code: -32603, 
+        message: "Failed to load knowledge history", 
+        data: { details: result.error } 
+      }
+    };
+  }
+  
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Knowledge History (${result.count} revisions)
+
+Node ID: ${result.id}
+
+${result.revisions.map((revision, index) => `${index + 1}. [${revision.operation}] ${revision.timestamp} by ${revision.changedBy}
+   Revision ID: ${revision.id}
+   Changed: ${revision.changedFields.join(', ')}
+   Previous values: ${revision.changedFields.map(field => `${field}=${JSON.stringify(revision.previousValues[field])}`).join('; ')}`).join('\n\n')}
+
+To roll back, use: knowledge-history with id="${result.id}", action="restore", revisionId="<revision id>"`
+      }
+    ]
+  };
+}
+
+/**
+ * Handle the list-relationship-types tool
+ * @returns {Object} - Tool response
+ */
+function handleListRelationshipTypes() {
+  const result = knowledgeRetrieval.listRelationshipTypes();
+  
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Relationship Types (${result.count} registered)
+
+${result.relationshipTypes.map(rel => `• ${rel.type} (${rel.direction}): ${rel.from.join('|')} → ${rel.to.join('|')}${rel.inverse ? `, inverse: ${rel.inverse}` : ''}
+  ${rel.description || ''}`).join('\n')}
+
+Inverse names are accepted wherever a relationship type is expected and are stored using the canonical type with the endpoints swapped.`
+      }
+    ]
+  };
+}
+
+/**
+ * Handle the find-duplicate-concepts tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function handleFindDuplicateConcepts(args = {}) {
+  const result = await knowledgeRetrieval.findDuplicateConcepts(args);
+  
+  if (!result.success) {
+    return {
+      error: { 
+        code: -32603, 
+        message: "Failed to find duplicate concepts", 
+        data: { details: result.error } 
+      }
+    };
+  }
+  
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Duplicate Concept Candidates (${result.count} groups)
+
+${result.domain ? `Domain: ${result.domain}\n` : ''}Threshold: ${result.threshold}
+
+${result.groups.map((group, index) => `${index + 1}. Keep: ${group.canonical.name} (${group.canonical.id})
+${group.duplicates.map(duplicate => `   Merge: ${duplicate.name} (${duplicate.id}) - ${(duplicate.score * 100).toFixed(1)}%, ${duplicate.reason}`).join('\n')}`).join('\n\n')}
+
+To merge a group, use: merge-concepts with canonicalId="<id to keep>", duplicateIds=["<id>", ...]`
+      }
+    ]
+  };
+}
+
+/**
+ * Handle the merge-concepts tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function handleMergeConcepts(args) {
+  const result = await knowledgeStorage.mergeConcepts(args);
+  
+  if (!result.success) {
+    return {
+      error: { 
+        code: -32603, 
+        message: "Failed to merge concepts", 
+        data: { details: result.error } 
+      }
+    };
+  }
+  
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Concepts merged successfully!
+
+Canonical concept: ${result.name} (${result.id})
+Merged concepts: ${result.mergedIds.length}
+Aliases: ${result.aliases.join(', ') || 'none'}
+Confidence: ${(result.confidence * 100).toFixed(1)}%
+
+All relationships of the merged concepts now point to the canonical concept.`
+      }
+    ]
+  };
+}
+
+/**
+ * Handle the trace-provenance tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function handleTraceProvenance(args) {
+  const result = await knowledgeRetrieval.traceProvenance(args);
+  
+  if (!result.success) {
+    return {
+      error: { 
+        code: -32603, 
+        message: "Failed to trace provenance", 
+        data: { details: result.error } 
+      }
+    };
+  }
+  
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Provenance for ${result.contentType || 'knowledge'} ${result.id}
+
+Content: ${result.content}
+Stored by: ${result.source || 'Unknown'}
+Models: ${result.models.length > 0 ? result.models.join(' → ') : 'no AI processing recorded'}
+
+${result.steps.map((step, index) => `${index + 1}. ${step.model} (step ${step.stepOrder} of chain ${step.chainId})
+   Time: ${step.timestamp}
+   ${step.instructions ? `Instructions: ${step.instructions}\n   ` : ''}Sources: ${step.sources.map(source => source.title || source.id).join(', ') || 'none'}`).join('\n\n')}`
+      }
+    ]
+  };
+}
+
+/**
+ * Handle the entity-knowledge tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function handleEntityKnowledge(args) {
+  const result = await knowledgeRetrieval.getEntityKnowledge(args);
+  
+  if (result.ambiguous) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: `"${result.reference}" matches several entities. Repeat the request with the ID or entityType of the intended one:
+
+${result.candidates.map((candidate, index) => `${index + 1}. ${candidate.name} [${candidate.type}] (${candidate.id})
+   Authored sources: ${candidate.authoredSources}, mentions: ${candidate.mentionCount}`).join('\n')}`
+        }
+      ]
+    };
+  }
+  
+  if (!result.success) {
+    return {
+      error: { 
+        code: -32603, 
+        message: "Failed to look up entity knowledge", 
+        data: { details: result.error } 
+      }
+    };
+  }
+  
+  const relationLabels = { from: 'from their sources', about: 'mentions them' };
+  
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Knowledge ${result.direction === 'both' ? 'from or about' : result.direction} ${result.entity.name} [${result.entity.type}]
+
+Authored sources: ${result.entity.authoredSources}
+Mentioned by: ${result.entity.mentionCount} nodes
+Found ${result.count} knowledge item(s):
+
+${result.knowledge.map((item, index) => `${index + 1}. [${item.contentType}] ${item.content.substring(0, 200)}${item.content.length > 200 ? '...' : ''}
+   ID: ${item.id}
+   Confidence: ${item.confidence !== null && item.confidence !== undefined ? `${(item.confidence * 100).toFixed(1)}%` : 'unknown'}
+   Link: ${item.relations.map(relation => relationLabels[relation]).join(', ')}${item.sources.length > 0 ? ` (${item.sources.join(', ')})` : ''}`).join('\n\n')}`
+      }
+    ]
+  };
+}
+
+/**
+ * Handle the import-knowledge tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function handleImportKnowledge(args) {
+  // Only the import-knowledge script reads files; over MCP the content is passed in
+  const { filePath, ...params } = args;
+  
+  if (params.content === undefined) {
+    return {
+      error: { code: -32602, message: "content is required; files are only imported with npm run import-knowledge" }
+    };
+  }
+  
+  const result = await knowledgeImporter.importKnowledge(params);
+  
+  if (!result.success) {
+    return {
+      error: { 
+        code: -32603, 
+        message: "Failed to import knowledge", 
+        data: { details: result.error } 
+      }
+    };
+  }
+  
+  const counts = counter => Object.entries(counter)
+    .filter(([, count]) => count > 0)
+    .map(([type, count]) => `${type}: ${count}`)
+    .join(', ') || 'none';
+  
+  return {
+    content: [
+      {
+        type: "text",
+        text: `Knowledge Import Complete
+
+Format: ${result.format}
+Rows: ${result.totalRows} in ${result.batches} batch(es)
+Created: ${counts(result.created)}
+Merged into existing nodes: ${counts(result.merged)}
+Rejected: ${result.rejected.length}
+${result.rejected.slice(0, 20).map(row => `• Row ${row.rowNumber}${row.type ? ` (${row.type})` : ''}: ${row.reason}`).join('\n')}${result.rejected.length > 20 ? `\n• ... ${result.rejected.length - 20} more` : ''}
+${result.warnings.length > 0 ? `\nWarnings:\n${result.warnings.slice(0, 20).map(row => `• Row ${row.rowNumber}: ${row.warning}`).join('\n')}` : ''}`
+      }
+    ]
+  };
+}
+
+/**
+ * Handle the export-knowledge tool
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function handleExportKnowledge(args) {
+  // Only the export-knowledge script writes files; over MCP the export is always returned
+  const { filePath, ...params } = args;
+  const result = await knowledgeExporter.exportKnowledge(params);
+  
+  if (!result.success) {
+    return {
+      error: { 
+        code: -32603, 
+        message: "Failed to export knowledge", 
+        data: { details: result.error } 
+      }
+    };
+  }
+  
+  const summary = `Exported ${result.nodeCount} nodes and ${result.relationshipCount} relationships (${result.format})`;
+  
+  return {
+    content: [
+      {
+        type: "text",
+        text: `${summary}:\n\n${result.content}`
+      }
+    ]
+  };
+}
+
+export default {
+  getCapabilities,
+  setupRequestHandlers
+};
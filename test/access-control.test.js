@@ -0,0 +1,98 @@
+// test/access-control.test.js
+import AccessControl from '../knowledge/access-control.js';
+import { parseAccessPolicy } from '../utils/access-policy.js';
+
+const policy = parseAccessPolicy({
+  roles: {
+    'finance-editor': { operations: ['read', 'create', 'update'], domains: ['Financial Planning'] }
+  },
+  clients: {
+    'finance-assistant': { role: 'finance-editor', workspaces: ['default'] }
+  }
+});
+
+/**
+ * Minimal stand-in for the database: no domain exists yet, and the given
+ * nodes belong to the given domains (with their ancestors)
+ */
+function createDriver(nodeDomains = {}) {
+  const queries = [];
+  const record = values => ({ get: key => values[key] });
+  
+  const run = async (query, params) => {
+    queries.push(query);
+    
+    if (query.includes('RETURN n.id as id, collect(DISTINCT d.name) as domains')) {
+      return {
+        records: params.nodeIds
+          .filter(id => nodeDomains[id])
+          .map(id => record({ id, domains: nodeDomains[id] }))
+      };
+    }
+    
+    return { records: [] };
+  };
+  
+  return {
+    driver: { session: () => ({ run, close: async () => {} }) },
+    queries
+  };
+}
+
+describe('AccessControl domain limits', () => {
+  test('apply to writes only: a domain-limited role reads every domain', async () => {
+    const { driver, queries } = createDriver();
+    const accessControl = new AccessControl(driver, policy);
+    
+    for (const [tool, args] of [
+      ['search-knowledge', { query: 'index funds', contextFilters: { domain: 'Technology' } }],
+      ['explore-knowledge-graph', { startConcept: 'Neo4j' }],
+      ['export-knowledge', { format: 'json', domain: 'Technology' }],
+      ['knowledge-history', { id: 'node-1' }]
+    ]) {
+      expect(await accessControl.authorize({ clientId: 'finance-assistant', tool, args })).toMatchObject({ allowed: true });
+    }
+    
+    expect(queries).toEqual([]);
+  });
+  
+  test('allow writes to the role\'s domains and their sub-domains', async () => {
+    const { driver } = createDriver({ 'fact-1': ['Retirement', 'Financial Planning'] });
+    const accessControl = new AccessControl(driver, policy);
+    
+    expect(await accessControl.authorize({
+      clientId: 'finance-assistant',
+      tool: 'store-knowledge',
+      args: { content: 'Index funds track an index', contentType: 'fact', source: 'test', metadata: { domain: 'Financial Planning > Investing' } }
+    })).toMatchObject({ allowed: true });
+    
+    expect(await accessControl.authorize({
+      clientId: 'finance-assistant',
+      tool: 'update-knowledge',
+      args: { id: 'fact-1', confidence: 0.9 }
+    })).toMatchObject({ allowed: true });
+  });
+  
+  test('deny writes outside the role\'s domains or naming no domain', async () => {
+    const { driver } = createDriver({ 'concept-1': ['Databases', 'Technology'] });
+    const accessControl = new AccessControl(driver, policy);
+    
+    expect(await accessControl.authorize({
+      clientId: 'finance-assistant',
+      tool: 'store-knowledge',
+      args: { content: 'Neo4j', contentType: 'concept', source: 'test', metadata: { domain: 'Technology' } }
+    })).toMatchObject({ allowed: false, reason: 'Role finance-editor may not change domain "Technology"' });
+    
+    expect((await accessControl.authorize({
+      clientId: 'finance-assistant',
+      tool: 'update-knowledge',
+      args: { id: 'concept-1', content: 'Neo4j Database' }
+    })).reason).toContain('may not change concept-1');
+    
+    expect((await accessControl.authorize({
+      clientId: 'finance-assistant',
+      tool: 'import-knowledge',
+      args: { format: 'jsonl', content: '' }
+    })).reason).toContain('names none of them');
+  });
+});
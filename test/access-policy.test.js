@@ -0,0 +1,199 @@
+// test/access-policy.test.js
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  OPERATIONS,
+  TOOL_OPERATIONS,
+  toolOperation,
+  parseAccessPolicy,
+  loadAccessPolicy,
+  loadClientTokens,
+  resolveRole,
+  toolDenial,
+  writeScope
+} from '../utils/access-policy.js';
+
+const DOCUMENT = {
+  roles: {
+    'finance-editor': { operations: ['read', 'create', 'update'], workspaces: ['finance'], domains: ['Financial Planning'] },
+    'search-only': { tools: ['about', 'search-knowledge'] }
+  },
+  clients: {
+    'finance-assistant': { role: 'finance-editor' },
+    'research-assistant': 'reader',
+    'tax-assistant': { role: 'finance-editor', workspaces: ['finance', 'tax'], domains: ['Tax'] }
+  },
+  defaultRole: 'reader'
+};
+
+describe('parseAccessPolicy', () => {
+  test('adds the default roles and fills in role defaults', () => {
+    const policy = parseAccessPolicy(DOCUMENT);
+    
+    expect(Object.keys(policy.roles)).toEqual(['reader', 'contributor', 'curator', 'admin', 'finance-editor', 'search-only']);
+    expect(policy.roles.admin.operations).toEqual(OPERATIONS);
+    expect(policy.roles['search-only']).toEqual({
+      name: 'search-only',
+      tools: ['about', 'search-knowledge'],
+      operations: ['read'],
+      workspaces: '*',
+      domains: '*'
+    });
+    expect(policy.clients['research-assistant']).toEqual({ role: 'reader' });
+    expect(policy.defaultRole).toBe('reader');
+  });
+  
+  test('treats "*" anywhere in a list as everything', () => {
+    const policy = parseAccessPolicy({ roles: { editor: { operations: '*', workspaces: ['finance', '*'] } } });
+    
+    expect(policy.roles.editor.operations).toEqual(OPERATIONS);
+    expect(policy.roles.editor.workspaces).toBe('*');
+    expect(parseAccessPolicy().defaultRole).toBeNull();
+  });
+  
+  test('rejects malformed policies', () => {
+    expect(() => parseAccessPolicy({ roles: { editor: { operations: ['read', 'write'] } } }))
+      .toThrow('Access policy: role editor has unknown operations write');
+    expect(() => parseAccessPolicy({ roles: { editor: { tools: 'search-knowledge' } } }))
+      .toThrow('Access policy: tools of role editor must be "*" or a list of names');
+    expect(() => parseAccessPolicy({ roles: { editor: { domains: ['Tax', 3] } } }))
+      .toThrow('Access policy: domains of role editor must be "*" or a list of names');
+    expect(() => parseAccessPolicy({ clients: { assistant: { role: 'owner' } } }))
+      .toThrow('Access policy: client assistant has unknown role owner');
+    expect(() => parseAccessPolicy({ clients: { assistant: { role: 'reader', workspaces: 'finance' } } }))
+      .toThrow('Access policy: workspaces of client assistant must be "*" or a list of names');
+    expect(() => parseAccessPolicy({ defaultRole: 'guest' })).toThrow('Access policy: unknown default role guest');
+  });
+});
+
+describe('policy files', () => {
+  let directory;
+  
+  beforeEach(() => {
+    directory = mkdtempSync(join(tmpdir(), 'access-policy-'));
+  });
+  
+  afterEach(() => {
+    rmSync(directory, { recursive: true, force: true });
+  });
+  
+  const write = (name, content) => {
+    const filePath = join(directory, name);
+    writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+    return filePath;
+  };
+  
+  test('loads and validates an access policy', () => {
+    expect(loadAccessPolicy(write('policy.json', DOCUMENT))).toEqual(parseAccessPolicy(DOCUMENT));
+    expect(() => loadAccessPolicy(write('broken.json', '{"roles":'))).toThrow(/^Cannot read access policy .*broken\.json: /);
+    expect(() => loadAccessPolicy(join(directory, 'missing.json'))).toThrow(/^Cannot read access policy .*missing\.json: /);
+    expect(() => loadAccessPolicy(write('invalid.json', { defaultRole: 'guest' }))).toThrow('unknown default role guest');
+  });
+  
+  test('loads client tokens', () => {
+    const tokens = loadClientTokens(write('tokens.json', { 's3cret': 'finance-assistant', 'other': 'research-assistant' }));
+    
+    expect(tokens).toEqual(new Map([['s3cret', 'finance-assistant'], ['other', 'research-assistant']]));
+  });
+  
+  test('rejects malformed client tokens', () => {
+    expect(() => loadClientTokens(write('broken.json', '{'))).toThrow(/^Cannot read client tokens /);
+    expect(() => loadClientTokens(write('list.json', ['finance-assistant']))).toThrow('must map tokens to client IDs');
+    expect(() => loadClientTokens(write('null.json', 'null'))).toThrow('must map tokens to client IDs');
+    expect(() => loadClientTokens(write('empty-token.json', { '': 'finance-assistant' }))).toThrow('must map non-empty tokens to client IDs');
+    expect(() => loadClientTokens(write('empty-client.json', { token: '' }))).toThrow('must map non-empty tokens to client IDs');
+    expect(() => loadClientTokens(write('number.json', { token: 42 }))).toThrow('must map non-empty tokens to client IDs');
+  });
+});
+
+describe('resolveRole', () => {
+  const policy = parseAccessPolicy(DOCUMENT);
+  
+  test('finds the role of a named client', () => {
+    expect(resolveRole(policy, 'finance-assistant')).toMatchObject({
+      name: 'finance-editor',
+      workspaces: ['finance'],
+      domains: ['Financial Planning']
+    });
+  });
+  
+  test('narrows the role by the client\'s own workspaces and domains', () => {
+    expect(resolveRole(policy, 'tax-assistant')).toMatchObject({
+      name: 'finance-editor',
+      operations: ['read', 'create', 'update'],
+      workspaces: ['finance', 'tax'],
+      domains: ['Tax']
+    });
+    expect(policy.roles['finance-editor'].domains).toEqual(['Financial Planning']);
+  });
+  
+  test('gives unknown clients the default role and unidentified clients none', () => {
+    expect(resolveRole(policy, 'someone-else')).toMatchObject({ name: 'reader' });
+    expect(resolveRole(policy, null)).toBeNull();
+    expect(resolveRole(policy, '')).toBeNull();
+    expect(resolveRole(parseAccessPolicy({}), 'someone-else')).toBeNull();
+  });
+});
+
+describe('tool permissions', () => {
+  const policy = parseAccessPolicy(DOCUMENT);
+  
+  test('assigns an operation to every tool', () => {
+    expect(Object.values(TOOL_OPERATIONS).every(operation => OPERATIONS.includes(operation))).toBe(true);
+    expect(toolOperation('store-knowledge')).toBe('create');
+    expect(toolOperation('knowledge-history', { id: 'node-1' })).toBe('read');
+    expect(toolOperation('knowledge-history', { id: 'node-1', action: 'restore' })).toBe('update');
+    expect(toolOperation('drop-database')).toBeNull();
+  });
+  
+  test('permits the tools and operations of a role', () => {
+    const reader = resolveRole(policy, 'research-assistant');
+    const editor = resolveRole(policy, 'finance-assistant');
+    
+    expect(toolDenial(reader, 'search-knowledge', {}, 'default')).toBeNull();
+    expect(toolDenial(editor, 'store-knowledge', {}, 'finance')).toBeNull();
+    expect(toolDenial(policy.roles.admin, 'purge-deleted', {}, 'default')).toBeNull();
+  });
+  
+  test('denies tools without a rule, tools outside the role and operations it lacks', () => {
+    const reader = resolveRole(policy, 'research-assistant');
+    
+    expect(toolDenial(reader, 'drop-database', {}, 'default')).toBe('Tool drop-database has no access rule');
+    expect(toolDenial(policy.roles['search-only'], 'list-domains', {}, 'default')).toBe('Role search-only may not use list-domains');
+    expect(toolDenial(reader, 'store-knowledge', {}, 'default')).toBe('Role reader may not perform create operations (store-knowledge)');
+    expect(toolDenial(reader, 'knowledge-history', { id: 'node-1', action: 'restore' }, 'default'))
+      .toBe('Role reader may not perform update operations (knowledge-history)');
+  });
+  
+  test('denies workspaces outside the role, including those relationships link into', () => {
+    const editor = resolveRole(policy, 'finance-assistant');
+    
+    expect(toolDenial(editor, 'search-knowledge', {}, 'default')).toBe('Role finance-editor may not work in workspace default');
+    expect(toolDenial(editor, 'search-knowledge', { workspace: 'hr' }, 'finance')).toBe('Role finance-editor may not work in workspace hr');
+    expect(toolDenial(editor, 'store-knowledge', {
+      relationships: [{ targetId: 'concept-1', targetWorkspace: 'hr' }]
+    }, 'finance')).toBe('Role finance-editor may not work in workspace hr');
+    expect(toolDenial(editor, 'update-knowledge', {
+      addRelationships: [{ targetId: 'concept-1', targetWorkspace: 'finance' }]
+    }, 'finance')).toBeNull();
+  });
+});
+
+describe('writeScope', () => {
+  test('collects the domains named and the nodes changed by a write', () => {
+    expect(writeScope('store-knowledge', { metadata: { domain: 'Financial Planning' } })).toEqual({ domains: ['Financial Planning'], nodeIds: [] });
+    expect(writeScope('create-domain', { name: 'Retirement', parent: 'Financial Planning' }))
+      .toEqual({ domains: ['Financial Planning > Retirement'], nodeIds: [] });
+    expect(writeScope('update-knowledge', { id: 'fact-1' })).toEqual({ domains: [], nodeIds: ['fact-1'] });
+    expect(writeScope('merge-concepts', { canonicalId: 'concept-1', duplicateIds: ['concept-2'] }))
+      .toEqual({ domains: [], nodeIds: ['concept-1', 'concept-2'] });
+    expect(writeScope('move-domain', { domain: 'Retirement', parent: 'Financial Planning' }))
+      .toEqual({ domains: ['Retirement', 'Financial Planning'], nodeIds: [] });
+  });
+  
+  test('names nothing for writes without a scope', () => {
+    expect(writeScope('import-knowledge', { format: 'jsonl' })).toEqual({ domains: [], nodeIds: [] });
+    expect(writeScope('store-knowledge')).toEqual({ domains: [], nodeIds: [] });
+  });
+});
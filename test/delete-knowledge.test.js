@@ -0,0 +1,91 @@
+// test/delete-knowledge.test.js
+import neo4j from 'neo4j-driver';
+import KnowledgeStorage from '../knowledge/storage.js';
+
+/**
+ * Minimal stand-in for the database holding one source and the fact cited
+ * only from it. Writes are buffered per transaction and only applied when
+ * the transaction's work succeeds, so a failing step leaves nothing behind.
+ */
+function createGraph(options = {}) {
+  const { failOn = null } = options;
+  const nodes = {
+    'source-1': { id: 'source-1', workspace: 'default', title: 'Report', url: 'https://example.com/report' },
+    'fact-1': { id: 'fact-1', workspace: 'default', statement: 'Neo4j supports ACID transactions', confidence: 0.8 }
+  };
+  const committed = { revisions: [], deleted: [] };
+  const record = values => ({ get: key => values[key] });
+  
+  const transaction = pending => async (query, params) => {
+    if (failOn && query.includes(failOn)) {
+      throw new Error('Connection lost');
+    }
+    
+    if (query.includes('MATCH (s:Source {workspace: $workspace, id: $id})')) {
+      return { records: [record({ targets: [{ ...nodes['source-1'] }, { ...nodes['fact-1'] }] })] };
+    }
+    
+    if (query.includes('CREATE (r:Revision')) {
+      pending.revisions.push(params.nodeId);
+      return { records: [record({ id: `revision-${params.nodeId}` })] };
+    }
+    
+    if (query.includes('RETURN collect(DISTINCT f.id) as factIds')) {
+      return { records: [record({ factIds: [] })] };
+    }
+    
+    if (query.includes('RETURN collect(DISTINCT label) as labels')) {
+      return { records: [record({ labels: ['Source', 'Knowledge', 'Fact'] })] };
+    }
+    
+    if (query.includes('SET n.deleted_labels = labels(n)')) {
+      pending.deleted.push(...params.nodeIds);
+      return { records: [record({ nodeCount: neo4j.int(params.nodeIds.length), relationshipCount: neo4j.int(1) })] };
+    }
+    
+    throw new Error(`Unexpected query: ${query}`);
+  };
+  
+  const session = {
+    run: async () => {
+      throw new Error('Deletes write in a transaction');
+    },
+    executeWrite: async work => {
+      const pending = { revisions: [], deleted: [] };
+      const result = await work({ run: transaction(pending) });
+      committed.revisions.push(...pending.revisions);
+      committed.deleted.push(...pending.deleted);
+      return result;
+    },
+    close: async () => {}
+  };
+  
+  return {
+    driver: { session: () => session },
+    committed
+  };
+}
+
+describe('deleteKnowledge', () => {
+  test('snapshots and deletes a source with the knowledge derived only from it', async () => {
+    const graph = createGraph();
+    const storage = new KnowledgeStorage(graph.driver);
+    
+    const result = await storage.deleteKnowledge({ id: 'source-1', cascade: 'source', changedBy: 'tester' });
+    
+    expect(result).toMatchObject({ success: true, cascadedIds: ['fact-1'], deletedCount: 2 });
+    expect(graph.committed.revisions).toEqual(['source-1', 'fact-1']);
+    expect(graph.committed.deleted).toEqual(['source-1', 'fact-1']);
+  });
+  
+  test('leaves no revision behind when the delete fails', async () => {
+    const graph = createGraph({ failOn: 'SET n.deleted_labels = labels(n)' });
+    const storage = new KnowledgeStorage(graph.driver);
+    
+    const result = await storage.deleteKnowledge({ id: 'source-1', cascade: 'source' });
+    
+    expect(result).toMatchObject({ success: false, error: 'Connection lost' });
+    expect(graph.committed.revisions).toEqual([]);
+    expect(graph.committed.deleted).toEqual([]);
+  });
+});
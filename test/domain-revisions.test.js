@@ -0,0 +1,89 @@
+// test/domain-revisions.test.js
+import KnowledgeStorage from '../knowledge/storage.js';
+import KnowledgeRetrieval from '../knowledge/retrieval.js';
+
+/**
+ * Minimal stand-in for the database, answering the queries a domain rename
+ * and a history lookup run. A revision is only written when its MATCH pattern
+ * names one of the node's labels, as in Neo4j.
+ */
+function createGraph() {
+  const nodes = {
+    'domain-1': { labels: ['Domain'], properties: { id: 'domain-1', workspace: 'default', name: 'Databases', description: 'Data stores' } }
+  };
+  const revisions = [];
+  const record = values => ({ get: key => values[key] });
+  
+  const run = async (query, params) => {
+    if (query.includes('MATCH (d:Domain {workspace: $workspace, name: $name})')) {
+      const domain = Object.values(nodes).find(node => node.labels.includes('Domain') && node.properties.name === params.name);
+      return {
+        records: domain
+          ? [record({ id: domain.properties.id, name: domain.properties.name, properties: { ...domain.properties }, path: [domain.properties.name] })]
+          : []
+      };
+    }
+    
+    if (query.includes('SET d.name = $name')) {
+      const domain = nodes[params.id];
+      domain.properties = { ...domain.properties, name: params.name };
+      return { records: [record({ properties: { ...domain.properties } })] };
+    }
+    
+    if (query.includes('CREATE (r:Revision')) {
+      const labels = query.match(/MATCH \(n:([\w|]+) \{workspace: \$workspace, id: \$nodeId\}\)/)[1].split('|');
+      const node = nodes[params.nodeId];
+      
+      if (!node || !node.labels.some(label => labels.includes(label))) {
+        return { records: [] };
+      }
+      
+      const revision = { id: `revision-${revisions.length + 1}`, nodeId: params.nodeId, ...params };
+      revisions.push(revision);
+      return { records: [record({ id: revision.id })] };
+    }
+    
+    if (query.includes('MATCH (r:Revision {workspace: $workspace, node_id: $nodeId})')) {
+      return {
+        records: revisions
+          .filter(revision => revision.nodeId === params.nodeId)
+          .map(revision => record({
+            id: revision.id,
+            operation: revision.operation,
+            changedFields: revision.changedFields,
+            previousValues: revision.previousValues,
+            changedBy: revision.changedBy,
+            timestamp: '2026-01-01T00:00:00Z'
+          }))
+      };
+    }
+    
+    throw new Error(`Unexpected query: ${query}`);
+  };
+  
+  return {
+    driver: { session: () => ({ run, close: async () => {} }) },
+    revisions
+  };
+}
+
+describe('domain revisions', () => {
+  test('a rename leaves a revision with the previous name', async () => {
+    const graph = createGraph();
+    const storage = new KnowledgeStorage(graph.driver);
+    const retrieval = new KnowledgeRetrieval(graph.driver);
+    
+    const renamed = await storage.renameDomain({ domain: 'Databases', newName: 'Data Stores', changedBy: 'tester' });
+    expect(renamed).toMatchObject({ success: true, previousPath: 'Databases', path: 'Data Stores' });
+    
+    const history = await retrieval.getKnowledgeHistory({ id: 'domain-1' });
+    expect(history.success).toBe(true);
+    expect(history.revisions).toHaveLength(1);
+    expect(history.revisions[0]).toMatchObject({
+      operation: 'update',
+      changedFields: ['name'],
+      changedBy: 'tester'
+    });
+    expect(history.revisions[0].previousValues.name).toBe('Databases');
+  });
+});
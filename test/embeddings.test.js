@@ -0,0 +1,66 @@
+// test/embeddings.test.js
+import { HashEmbeddingProvider, OpenAIEmbeddingProvider, createEmbeddingProvider } from '../knowledge/embeddings.js';
+import config from '../config.js';
+
+const cosine = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+// Neo4j reports cosine similarity as (1 + cosine) / 2
+const indexScore = (a, b) => (1 + cosine(a, b)) / 2;
+
+describe('HashEmbeddingProvider', () => {
+  const provider = new HashEmbeddingProvider({ dimension: 256 });
+  
+  test('produces vectors of the configured dimension', async () => {
+    expect(await provider.embed('Graph databases store relationships')).toHaveLength(256);
+    expect(new HashEmbeddingProvider().dimension).toBe(config.EMBEDDING_DIMENSION);
+  });
+  
+  test('is deterministic', async () => {
+    const text = 'Whole life insurance builds cash value';
+    
+    expect(await provider.embed(text)).toEqual(await provider.embed(text));
+    expect(await new HashEmbeddingProvider({ dimension: 256 }).embed(text)).toEqual(await provider.embed(text));
+  });
+  
+  test('normalizes vectors to unit length', async () => {
+    const vector = await provider.embed('Neo4j is a graph database');
+    
+    expect(Math.sqrt(cosine(vector, vector))).toBeCloseTo(1, 10);
+  });
+  
+  test('embeds empty text as the zero vector', async () => {
+    expect((await provider.embed('')).every(value => value === 0)).toBe(true);
+    expect((await provider.embed(null)).every(value => value === 0)).toBe(true);
+  });
+  
+  test('scores similar text above unrelated text, on either side of the similarity threshold', async () => {
+    // The threshold is calibrated at the configured dimension
+    const calibrated = new HashEmbeddingProvider();
+    const query = await calibrated.embed('graph database query language');
+    const similar = await calibrated.embed('Cypher is the query language of the Neo4j graph database');
+    const unrelated = await calibrated.embed('Whole life insurance policies accumulate cash value over time');
+    
+    expect(cosine(query, similar)).toBeGreaterThan(cosine(query, unrelated));
+    expect(indexScore(query, similar)).toBeGreaterThanOrEqual(config.SIMILARITY_THRESHOLDS.local);
+    expect(indexScore(query, unrelated)).toBeLessThan(config.SIMILARITY_THRESHOLDS.local);
+  });
+});
+
+describe('createEmbeddingProvider', () => {
+  test('creates the local provider with the given options', () => {
+    const provider = createEmbeddingProvider({ provider: 'local', dimension: 64 });
+    
+    expect(provider).toBeInstanceOf(HashEmbeddingProvider);
+    expect(provider.name).toBe('local');
+    expect(provider.dimension).toBe(64);
+  });
+  
+  test('creates the OpenAI provider only with an API key', () => {
+    expect(createEmbeddingProvider({ provider: 'openai', apiKey: 'test-key' })).toBeInstanceOf(OpenAIEmbeddingProvider);
+    expect(() => createEmbeddingProvider({ provider: 'openai', apiKey: '' })).toThrow('OPENAI_API_KEY is required');
+  });
+  
+  test('rejects unknown providers', () => {
+    expect(() => createEmbeddingProvider({ provider: 'word2vec' })).toThrow('Unknown embedding provider: word2vec');
+  });
+});
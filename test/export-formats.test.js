@@ -0,0 +1,331 @@
+// test/export-formats.test.js
+import neo4j from 'neo4j-driver';
+import { toGraphML, toJsonLd, toCypherScript, formatExport } from '../utils/export-formats.js';
+import { extractMetadata } from '../utils/metadata.js';
+
+const CREATED = neo4j.types.DateTime.fromStandardDate(new Date('2026-01-15T10:00:00Z'));
+
+/**
+ * A small exported subgraph: a concept with nested metadata, a fact about it
+ * and the source it was derived from
+ */
+function createGraph() {
+  return {
+    nodes: [
+      {
+        id: 'concept-1',
+        labels: ['Concept', 'Knowledge'],
+        properties: {
+          id: 'concept-1',
+          workspace: 'default',
+          name: 'Neo4j',
+          description: 'A "graph" database <ACID> & more',
+          confidence: 1,
+          access_count: neo4j.int(3),
+          created_date: CREATED,
+          metadata: { project: { name: 'apollo', phase: 2 }, tags: ['graph', 'db'] }
+        }
+      },
+      {
+        id: 'fact-1',
+        labels: ['Fact', 'Knowledge'],
+        properties: {
+          id: 'fact-1',
+          workspace: 'default',
+          statement: "Neo4j's Cypher\nis declarative \\ readable",
+          confidence: 0.85,
+          verified: true
+        }
+      },
+      {
+        id: 'source-1',
+        labels: ['Source'],
+        properties: { id: 'source-1', workspace: 'default', title: 'Report', url: 'https://example.com/report?a=1&b=2' }
+      }
+    ],
+    relationships: [
+      { type: 'ABOUT', startId: 'fact-1', endId: 'concept-1', properties: {} },
+      { type: 'DERIVED_FROM', startId: 'fact-1', endId: 'source-1', properties: { confidence: 0.9 } }
+    ]
+  };
+}
+
+/**
+ * Reads the Cypher literals the script writes back into JavaScript values.
+ * Temporal functions are kept as { fn, value }.
+ */
+function parseCypherValue(text) {
+  let position = 0;
+  
+  const skip = () => {
+    while (text[position] === ' ') {
+      position++;
+    }
+  };
+  const expect = char => {
+    skip();
+    if (text[position] !== char) {
+      throw new Error(`Expected ${char} at ${position} in ${text}`);
+    }
+    position++;
+  };
+  
+  const value = () => {
+    skip();
+    const char = text[position];
+    
+    if (char === "'") {
+      let result = '';
+      position++;
+      while (text[position] !== "'") {
+        if (text[position] === '\\') {
+          position++;
+          result += { n: '\n', r: '\r', t: '\t' }[text[position]] || text[position];
+        } else {
+          result += text[position];
+        }
+        position++;
+      }
+      position++;
+      return result;
+    }
+    
+    if (char === '[') {
+      position++;
+      const items = [];
+      skip();
+      while (text[position] !== ']') {
+        items.push(value());
+        skip();
+        if (text[position] === ',') {
+          position++;
+        }
+        skip();
+      }
+      position++;
+      return items;
+    }
+    
+    if (char === '{') {
+      position++;
+      const map = {};
+      skip();
+      while (text[position] !== '}') {
+        const key = text[position] === '`'
+          ? text.slice(position + 1, text.indexOf('`', position + 1))
+          : text.slice(position).match(/^[A-Za-z_][A-Za-z0-9_]*/)[0];
+        position += text[position] === '`' ? key.length + 2 : key.length;
+        expect(':');
+        map[key] = value();
+        skip();
+        if (text[position] === ',') {
+          position++;
+        }
+        skip();
+      }
+      position++;
+      return map;
+    }
+    
+    const token = text.slice(position).match(/^(-?\d+(\.\d+)?(e-?\d+)?|true|false|null|[a-z]+(?=\())/)[0];
+    position += token.length;
+    
+    if (text[position] === '(') {
+      position++;
+      const argument = value();
+      expect(')');
+      return { fn: token, value: argument };
+    }
+    if (['true', 'false', 'null'].includes(token)) {
+      return JSON.parse(token);
+    }
+    return token.includes('.') || token.includes('e') ? parseFloat(token) : neo4j.int(token);
+  };
+  
+  return value();
+}
+
+/**
+ * Replays a Cypher script into an in-memory database. Node patterns are the
+ * merge keys, so a MERGE finds a node already holding the same key.
+ */
+function replay(script, database = { nodes: new Map(), relationships: new Set() }) {
+  const patternKey = (label, map) => `${label} ${JSON.stringify(parseCypherValue(map))}`;
+  
+  for (const line of script.split('\n').filter(line => line && !line.startsWith('//'))) {
+    const node = line.match(/^MERGE \(n:(\w+) (\{.*?\})\)(?: ON CREATE SET n\.id = ('[^']*'))? SET ((?:n:\w+, )*)n \+= (\{.*\});$/);
+    if (node) {
+      const [, label, pattern, createdId, labels, map] = node;
+      const key = patternKey(label, pattern);
+      const existing = database.nodes.get(key) || {
+        labels: new Set([label]),
+        properties: { ...parseCypherValue(pattern), ...(createdId ? { id: parseCypherValue(createdId) } : {}) }
+      };
+      labels.split(', ').filter(Boolean).forEach(item => existing.labels.add(item.slice(2)));
+      Object.assign(existing.properties, parseCypherValue(map));
+      database.nodes.set(key, existing);
+      continue;
+    }
+    
+    const relationship = line.match(/^MATCH \(a:(\w+) (\{.*?\})\) MATCH \(b:(\w+) (\{.*?\})\) MERGE \(a\)-\[r:(\w+)\]->\(b\)(?: SET r \+= (\{.*\}))?;$/);
+    if (relationship) {
+      const [, startLabel, start, endLabel, end, type] = relationship;
+      const from = database.nodes.get(patternKey(startLabel, start));
+      const to = database.nodes.get(patternKey(endLabel, end));
+      if (from && to) {
+        database.relationships.add(`${from.properties.id}-${type}->${to.properties.id}`);
+      }
+      continue;
+    }
+    
+    throw new Error(`Unexpected statement: ${line}`);
+  }
+  
+  return database;
+}
+
+describe('toGraphML', () => {
+  test('escapes XML in attribute values and data', () => {
+    const graph = createGraph();
+    graph.nodes[0].id = 'concept-"1"&<2>';
+    graph.relationships[0].endId = 'concept-"1"&<2>';
+    graph.nodes[0].properties['metadata<x>'] = "it's";
+    
+    const graphml = toGraphML(graph);
+    
+    expect(graphml).toContain('<node id="concept-&quot;1&quot;&amp;&lt;2&gt;">');
+    expect(graphml).toContain('target="concept-&quot;1&quot;&amp;&lt;2&gt;"');
+    expect(graphml).toContain('<data key="n_description">A &quot;graph&quot; database &lt;ACID&gt; &amp; more</data>');
+    expect(graphml).toContain('<data key="n_url">https://example.com/report?a=1&amp;b=2</data>');
+    expect(graphml).toContain('<key id="n_metadata&lt;x&gt;" for="node" attr.name="metadata&lt;x&gt;" attr.type="string"/>');
+    expect(graphml).toContain('>it&apos;s</data>');
+    expect(graphml).not.toMatch(/<data[^>]*>[^<]*[<>"'][^<]*<\/data>/);
+  });
+  
+  test('declares typed keys and flattens nested metadata', () => {
+    const graphml = toGraphML(createGraph());
+    
+    expect(graphml).toContain('<key id="n_access_count" for="node" attr.name="access_count" attr.type="long"/>');
+    expect(graphml).toContain('<key id="n_confidence" for="node" attr.name="confidence" attr.type="double"/>');
+    expect(graphml).toContain('<key id="n_verified" for="node" attr.name="verified" attr.type="boolean"/>');
+    expect(graphml).toContain('<data key="n_metadata.project.name">apollo</data>');
+    expect(graphml).toContain('<data key="n_metadata.tags">[&quot;graph&quot;,&quot;db&quot;]</data>');
+    expect(graphml).toContain('<data key="n_labels">:Concept:Knowledge</data>');
+    expect(graphml).toContain('<data key="n_created_date">2026-01-15T10:00:00Z</data>');
+    expect(graphml).toContain('<edge id="e1" source="fact-1" target="source-1">');
+    expect(graphml).toContain('<data key="e_label">DERIVED_FROM</data>');
+  });
+});
+
+describe('toJsonLd', () => {
+  test('writes typed nodes with links, typed dates and metadata as JSON', () => {
+    const document = JSON.parse(toJsonLd(createGraph()));
+    const [concept, fact, source, statement] = document['@graph'];
+    
+    expect(document['@context']).toMatchObject({
+      skos: 'http://www.w3.org/2004/02/skos/core#',
+      statement: 'schema:text',
+      metadata: { '@id': 'urn:knowledge-graph:metadata', '@type': '@json' },
+      about: { '@id': 'https://schema.org/about', '@type': '@id' },
+      isBasedOn: { '@id': 'https://schema.org/isBasedOn', '@type': '@id' }
+    });
+    expect(concept).toMatchObject({
+      '@id': 'urn:uuid:concept-1',
+      '@type': ['skos:Concept', 'Knowledge'],
+      name: 'Neo4j',
+      access_count: 3,
+      created_date: { '@value': '2026-01-15T10:00:00Z', '@type': 'xsd:dateTime' },
+      metadata: { project: { name: 'apollo', phase: 2 }, tags: ['graph', 'db'] }
+    });
+    expect(fact).toMatchObject({
+      '@type': ['schema:Claim', 'Knowledge'],
+      about: ['urn:uuid:concept-1'],
+      isBasedOn: ['urn:uuid:source-1']
+    });
+    expect(source['@type']).toEqual(['schema:CreativeWork']);
+    expect(statement).toEqual({
+      '@type': 'rdf:Statement',
+      'rdf:subject': { '@id': 'urn:uuid:fact-1' },
+      'rdf:predicate': { '@id': 'https://schema.org/isBasedOn' },
+      'rdf:object': { '@id': 'urn:uuid:source-1' },
+      confidence: 0.9
+    });
+  });
+  
+  test('links relationship types without a standard term through the graph vocabulary', () => {
+    const graph = createGraph();
+    graph.relationships = [{ type: 'CONTRADICTS', startId: 'fact-1', endId: 'concept-1', properties: {} }];
+    
+    const document = JSON.parse(toJsonLd(graph));
+    
+    expect(document['@context'].CONTRADICTS).toEqual({ '@id': 'urn:knowledge-graph:CONTRADICTS', '@type': '@id' });
+    expect(document['@graph'][1].CONTRADICTS).toEqual(['urn:uuid:concept-1']);
+    expect(document['@graph']).toHaveLength(3);
+  });
+});
+
+describe('toCypherScript', () => {
+  test('escapes string literals and quotes identifiers', () => {
+    const script = toCypherScript(createGraph());
+    
+    expect(script).toContain("statement: 'Neo4j\\'s Cypher\\nis declarative \\\\ readable'");
+    expect(script).toContain('`metadata.project.name`: \'apollo\'');
+    expect(script).toContain("created_date: datetime('2026-01-15T10:00:00Z')");
+    expect(script).toContain('access_count: 3, confidence: 1.0');
+    
+    const { statement } = replay(script).nodes.get('Fact {"workspace":"default","id":"fact-1"}').properties;
+    expect(statement).toBe("Neo4j's Cypher\nis declarative \\ readable");
+  });
+  
+  test('merges on the natural key of a label and on the ID otherwise', () => {
+    const script = toCypherScript(createGraph(), { description: 'workspace=default, all knowledge' });
+    
+    expect(script).toContain('// Scope: workspace=default, all knowledge');
+    expect(script).toContain("MERGE (n:Concept {workspace: 'default', name: 'Neo4j'}) ON CREATE SET n.id = 'concept-1' SET n:Knowledge, n += {");
+    expect(script).toContain("MERGE (n:Fact {workspace: 'default', id: 'fact-1'}) SET n:Knowledge, n += {");
+    expect(script).toContain("MERGE (n:Source {workspace: 'default', id: 'source-1'}) SET n += {");
+    expect(script).toContain("MATCH (a:Fact {workspace: 'default', id: 'fact-1'}) MATCH (b:Concept {workspace: 'default', name: 'Neo4j'}) MERGE (a)-[r:ABOUT]->(b);");
+    expect(script).toContain('MERGE (a)-[r:DERIVED_FROM]->(b) SET r += {confidence: 0.9};');
+  });
+  
+  test('replays idempotently, also into a database holding the concept under another ID', () => {
+    const script = toCypherScript(createGraph());
+    
+    const once = replay(script);
+    const twice = replay(script, replay(script));
+    
+    expect(once.nodes.size).toBe(3);
+    expect(once.relationships).toEqual(new Set(['fact-1-ABOUT->concept-1', 'fact-1-DERIVED_FROM->source-1']));
+    expect([...twice.nodes.keys()]).toEqual([...once.nodes.keys()]);
+    expect(twice.relationships).toEqual(once.relationships);
+    
+    const existing = replay("MERGE (n:Concept {workspace: 'default', name: 'Neo4j'}) ON CREATE SET n.id = 'concept-9' SET n += {};\n");
+    const merged = replay(script, existing);
+    
+    expect(merged.nodes.size).toBe(3);
+    expect(merged.nodes.get('Concept {"workspace":"default","name":"Neo4j"}').properties.id).toBe('concept-9');
+    expect(merged.relationships).toContain('fact-1-ABOUT->concept-9');
+  });
+  
+  test('writes metadata back as metadata properties that read back as nested objects', () => {
+    const graph = createGraph();
+    
+    const { properties } = replay(toCypherScript(graph)).nodes.get('Concept {"workspace":"default","name":"Neo4j"}');
+    
+    expect(properties).not.toHaveProperty('metadata');
+    expect(Object.keys(properties).filter(key => key.startsWith('metadata.')).sort())
+      .toEqual(['metadata.project.name', 'metadata.project.phase', 'metadata.tags']);
+    expect(extractMetadata(properties)).toEqual({ project: { name: 'apollo', phase: 2 }, tags: ['graph', 'db'] });
+  });
+});
+
+describe('formatExport', () => {
+  test('dispatches on the format and rejects unknown ones', () => {
+    const graph = createGraph();
+    
+    expect(formatExport(graph, 'GraphML')).toBe(toGraphML(graph));
+    expect(formatExport(graph, 'json-ld')).toBe(toJsonLd(graph));
+    expect(formatExport(graph, 'cypher', { description: 'x' })).toBe(toCypherScript(graph, { description: 'x' }));
+    expect(() => formatExport(graph, 'csv')).toThrow('Unsupported export format: csv');
+  });
+});
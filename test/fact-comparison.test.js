@@ -0,0 +1,94 @@
+// test/fact-comparison.test.js
+import { statementTokens, statementKey, compareStatements } from '../utils/fact-comparison.js';
+
+describe('negation', () => {
+  test('flags a statement and its negation', () => {
+    expect(compareStatements('Neo4j supports ACID transactions', 'Neo4j does not support ACID transactions'))
+      .toMatchObject({ kind: 'negation' });
+    expect(compareStatements('The policy is taxable', "The policy isn't taxable")).toMatchObject({ kind: 'negation' });
+  });
+  
+  test('ignores a double negation', () => {
+    expect(compareStatements('The loan is limited', 'The loan is not not limited')).toBeNull();
+  });
+  
+  test('ignores statements that differ in more than the negation', () => {
+    expect(compareStatements('Neo4j supports ACID transactions', 'MongoDB does not support joins')).toBeNull();
+  });
+});
+
+describe('numeric', () => {
+  test('flags different numbers in the same statement', () => {
+    expect(compareStatements('The cluster has 3 replicas', 'The cluster has 5 replicas'))
+      .toMatchObject({ kind: 'numeric', reason: 'Different numbers: 3 vs 5' });
+    expect(compareStatements('The rate is 3%', 'The rate is 5%')).toMatchObject({ kind: 'numeric' });
+    expect(compareStatements('Sales reached 3,000 units', 'Sales reached 5,000 units')).toMatchObject({ kind: 'numeric' });
+  });
+  
+  test('treats the same number written differently as equal', () => {
+    expect(compareStatements('The limit is 1,000,000', 'The limit is 1.000.000')).toBeNull();
+    expect(compareStatements('The ratio is 2.5', 'The ratio is 2,5')).toBeNull();
+    expect(compareStatements('The total is 1,234.5', 'The total is 1.234,5')).toBeNull();
+  });
+  
+  test('does not flag numbers whose decimal separator is ambiguous', () => {
+    expect(compareStatements('Sales reached 1,000 units', 'Sales reached 1.000 units')).toBeNull();
+  });
+  
+  test('reads a leading zero as a decimal', () => {
+    expect(statementTokens('0.500')[0].values).toEqual(['0.5']);
+    expect(compareStatements('The ratio is 0.500', 'The ratio is 0,500')).toBeNull();
+  });
+  
+  test('ignores statements that differ in more than their numbers', () => {
+    expect(compareStatements('The cluster has 3 replicas', 'The cluster has 5 shards')).toBeNull();
+  });
+});
+
+describe('exclusive', () => {
+  test('flags opposite terms', () => {
+    expect(compareStatements('Encryption is enabled by default', 'Encryption is disabled by default'))
+      .toMatchObject({ kind: 'exclusive', reason: 'Opposite terms: enabled vs disabled' });
+    expect(compareStatements('The claim is true', 'The claim is false')).toMatchObject({ kind: 'exclusive' });
+  });
+  
+  test('flags opposite verbs in any matching inflection', () => {
+    expect(compareStatements('Revenue increased in 2020', 'Revenue decreased in 2020')).toMatchObject({ kind: 'exclusive' });
+    expect(compareStatements('Revenue is increasing', 'Revenue is decreasing')).toMatchObject({ kind: 'exclusive' });
+    expect(compareStatements('Prices rise in winter', 'Prices fall in winter')).toMatchObject({ kind: 'exclusive' });
+    expect(compareStatements('Prices rose in 2021', 'Prices fell in 2021')).toMatchObject({ kind: 'exclusive' });
+  });
+  
+  test('flags yes against no', () => {
+    expect(compareStatements('The answer is yes', 'The answer is no'))
+      .toMatchObject({ kind: 'exclusive', reason: 'Opposite terms: yes vs no' });
+  });
+  
+  test('flags different values of a definite attribute', () => {
+    expect(compareStatements('The capital of Australia is Canberra', 'The capital of Australia is Sydney'))
+      .toMatchObject({ kind: 'exclusive' });
+  });
+  
+  test('accepts a value that refines the other', () => {
+    expect(compareStatements('The capital of Australia is Canberra', 'The capital of Australia is Canberra city')).toBeNull();
+  });
+});
+
+describe('compareStatements', () => {
+  test('does not compare a statement with itself', () => {
+    expect(compareStatements('Neo4j is a graph database', 'neo4j is a graph database.')).toBeNull();
+    expect(compareStatements('', 'Neo4j is a graph database')).toBeNull();
+  });
+});
+
+describe('statementKey', () => {
+  test('is shared by statements differing in case, punctuation, plurals or number formatting', () => {
+    expect(statementKey('Neo4j supports ACID transactions')).toBe(statementKey('neo4j supports ACID transaction.'));
+    expect(statementKey('The ratio is 2.5')).toBe(statementKey('The ratio is 2,5'));
+  });
+  
+  test('differs for statements that differ in meaning', () => {
+    expect(statementKey('Neo4j supports ACID transactions')).not.toBe(statementKey('Neo4j does not support ACID transactions'));
+    expect(statementKey('The cluster has 3 replicas')).not.toBe(statementKey('The cluster has 5 replicas'));
+  });
+});
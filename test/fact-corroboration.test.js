@@ -0,0 +1,117 @@
+// test/fact-corroboration.test.js
+import KnowledgeStorage from '../knowledge/storage.js';
+
+/**
+ * Minimal stand-in for the database, answering the queries storing a fact
+ * without concepts, domain or mentions runs
+ */
+function createGraph() {
+  const facts = [];
+  const revisions = [];
+  const record = values => ({ get: key => values[key] });
+  const sameValidity = (fact, params) => fact.valid_from === params.validFrom && fact.valid_to === params.validTo;
+  
+  const run = async (query, params) => {
+    if (query.includes('MATCH (f:Fact {workspace: $workspace, statement_key: $statementKey})')) {
+      const fact = facts.find(item => item.statement_key === params.statementKey && sameValidity(item, params));
+      return { records: fact ? [record({ id: fact.id, properties: { ...fact } })] : [] };
+    }
+    
+    if (query.includes('CREATE (f:Knowledge:Fact')) {
+      const fact = {
+        id: `fact-${facts.length + 1}`,
+        statement: params.statement,
+        statement_key: params.statementKey,
+        source: params.source,
+        confidence: params.confidence,
+        asserted_confidence: params.confidence,
+        valid_from: params.validFrom,
+        valid_to: params.validTo,
+        ...params.metadata
+      };
+      facts.push(fact);
+      return { records: [record({ id: fact.id, statement: fact.statement })] };
+    }
+    
+    if (query.includes('f.asserted_confidence = CASE')) {
+      const fact = facts.find(item => item.id === params.factId);
+      Object.assign(fact, params.metadata, { asserted_confidence: Math.max(params.confidence, fact.asserted_confidence) });
+      return { records: [record({ id: fact.id, statement: fact.statement, properties: { ...fact } })] };
+    }
+    
+    if (query.includes('CREATE (r:Revision')) {
+      revisions.push(params);
+      return { records: [record({ id: `revision-${revisions.length}` })] };
+    }
+    
+    if (query.includes('-[:ABOUT]->(c:Concept)<-[:ABOUT]-(other:Fact')) {
+      return { records: [] };
+    }
+    
+    if (query.includes('coalesce(f.asserted_confidence, f.confidence) as asserted')) {
+      return {
+        records: facts
+          .filter(fact => params.factIds.includes(fact.id))
+          .map(fact => record({
+            id: fact.id,
+            asserted: fact.asserted_confidence,
+            confidence: fact.confidence,
+            createdDate: null,
+            verification: null,
+            sources: []
+          }))
+      };
+    }
+    
+    if (query.includes('UNWIND $updates as update')) {
+      for (const update of params.updates) {
+        facts.find(fact => fact.id === update.id).confidence = update.confidence;
+      }
+      return { records: [] };
+    }
+    
+    throw new Error(`Unexpected query: ${query}`);
+  };
+  
+  return {
+    driver: { session: () => ({ run, close: async () => {} }) },
+    facts,
+    revisions
+  };
+}
+
+describe('storeFact', () => {
+  test('corroborates a fact stored with the same statement instead of duplicating it', async () => {
+    const graph = createGraph();
+    const storage = new KnowledgeStorage(graph.driver);
+    
+    const first = await storage.storeFact({ statement: 'Neo4j supports ACID transactions', source: 'first', confidence: 0.6 });
+    const second = await storage.storeFact({
+      statement: 'neo4j supports ACID transaction.',
+      source: 'second',
+      confidence: 0.9,
+      metadata: { project: 'apollo' }
+    });
+    
+    expect(first).toMatchObject({ success: true, created: true });
+    expect(second).toMatchObject({ success: true, created: false, id: first.id });
+    expect(graph.facts).toHaveLength(1);
+    expect(graph.facts[0]).toMatchObject({ statement: 'Neo4j supports ACID transactions', asserted_confidence: 0.9 });
+    expect(second.confidence).toBeGreaterThan(first.confidence);
+    
+    expect(graph.revisions).toHaveLength(1);
+    expect(graph.revisions[0]).toMatchObject({ nodeId: first.id, changedBy: 'second' });
+  });
+  
+  test('stores a fact with a different validity separately', async () => {
+    const graph = createGraph();
+    const storage = new KnowledgeStorage(graph.driver);
+    
+    const current = await storage.storeFact({ statement: 'Alice is CEO of Acme', source: 'first' });
+    const past = await storage.storeFact({ statement: 'Alice is CEO of Acme', source: 'second', validTo: '2020-01-01' });
+    
+    expect(past).toMatchObject({ success: true, created: true });
+    expect(past.id).not.toBe(current.id);
+    expect(graph.facts).toHaveLength(2);
+  });
+});
@@ -0,0 +1,239 @@
+// test/import-parsers.test.js
+import { parseJsonLines, parseCsv, parseJsonLd, parseImport, detectFormat } from '../utils/import-parsers.js';
+import KnowledgeImporter from '../knowledge/importer.js';
+
+describe('parseJsonLines', () => {
+  test('parses one object per line and skips blank lines', () => {
+    const text = '{"type":"concept","name":"Neo4j"}\r\n\n  \n{"type":"fact","statement":"Neo4j is a graph database"}\n';
+    
+    expect(parseJsonLines(text)).toEqual({
+      rows: [
+        { rowNumber: 1, record: { type: 'concept', name: 'Neo4j' } },
+        { rowNumber: 4, record: { type: 'fact', statement: 'Neo4j is a graph database' } }
+      ],
+      errors: []
+    });
+  });
+  
+  test('reports invalid JSON and non-object lines with their line number', () => {
+    const { rows, errors } = parseJsonLines('{"type":"concept","name":"Neo4j"}\n{"type":\n[1, 2]\n"text"\nnull');
+    
+    expect(rows).toHaveLength(1);
+    expect(errors.map(error => error.rowNumber)).toEqual([2, 3, 4, 5]);
+    expect(errors[0].reason).toMatch(/^Invalid JSON: /);
+    expect(errors[1].reason).toBe('Invalid JSON: Line is not a JSON object');
+  });
+});
+
+describe('parseCsv', () => {
+  test('maps columns to fields and keeps unmapped headers as field names', () => {
+    const text = 'Term,Definition,domain\nNeo4j,A graph database,Technology\n';
+    const { rows, errors } = parseCsv(text, {
+      columnMapping: { Term: 'name', Definition: 'description' },
+      defaultType: 'concept'
+    });
+    
+    expect(errors).toEqual([]);
+    expect(rows).toEqual([
+      { rowNumber: 2, record: { type: 'concept', name: 'Neo4j', description: 'A graph database', domain: 'Technology' } }
+    ]);
+  });
+  
+  test('splits list fields, parses numbers and nests metadata columns', () => {
+    const text = [
+      'type,name,aliases,confidence,metadata.project,metadata.owner',
+      'concept,Neo4j, Neo4j DB ; Neo4j Graph ;;,0.8,apollo,',
+      ''
+    ].join('\n');
+    
+    const [row] = parseCsv(text).rows;
+    
+    expect(row.record).toEqual({
+      type: 'concept',
+      name: 'Neo4j',
+      aliases: ['Neo4j DB', 'Neo4j Graph'],
+      confidence: 0.8,
+      metadata: { project: 'apollo' }
+    });
+  });
+  
+  test('uses the given delimiter and list separator', () => {
+    const text = 'type;name;aliases\nconcept;Neo4j;Neo4j DB|Graph DB\n';
+    
+    const [row] = parseCsv(text, { delimiter: ';', listSeparator: '|' }).rows;
+    
+    expect(row.record).toEqual({ type: 'concept', name: 'Neo4j', aliases: ['Neo4j DB', 'Graph DB'] });
+  });
+  
+  test('handles quoted cells with delimiters, escaped quotes and line breaks', () => {
+    const text = 'type,statement,sources\r\nfact,"Neo4j stores ""nodes"", relationships\nand properties","a;b"\r\nfact,Cypher is declarative,\r\n';
+    
+    const { rows, errors } = parseCsv(text);
+    
+    expect(errors).toEqual([]);
+    expect(rows).toEqual([
+      { rowNumber: 2, record: { type: 'fact', statement: 'Neo4j stores "nodes", relationships\nand properties', sources: ['a', 'b'] } },
+      { rowNumber: 4, record: { type: 'fact', statement: 'Cypher is declarative' } }
+    ]);
+  });
+  
+  test('rejects rows with the wrong number of cells and skips empty ones', () => {
+    const text = 'type,name\nconcept,Neo4j,extra\n,\nconcept,Cypher';
+    
+    const { rows, errors } = parseCsv(text);
+    
+    expect(rows).toEqual([{ rowNumber: 4, record: { type: 'concept', name: 'Cypher' } }]);
+    expect(errors).toEqual([{ rowNumber: 2, reason: 'Expected 2 columns, found 3' }]);
+  });
+  
+  test('returns nothing for empty content', () => {
+    expect(parseCsv('')).toEqual({ rows: [], errors: [] });
+  });
+});
+
+describe('parseJsonLd', () => {
+  test('maps typed nodes of a @graph to rows by local type and property names', () => {
+    const document = {
+      '@context': { skos: 'http://www.w3.org/2004/02/skos/core#', schema: 'https://schema.org/' },
+      '@graph': [
+        {
+          '@id': 'ex:neo4j',
+          '@type': 'skos:Concept',
+          'skos:prefLabel': { '@value': 'Neo4j', '@language': 'en' },
+          'skos:definition': 'A graph database',
+          'skos:altLabel': ['Neo4j DB', { '@value': 'Neo4j Graph' }],
+          'skos:inScheme': { '@id': 'ex:technology' },
+          'skos:broader': [{ '@id': 'ex:database' }]
+        },
+        {
+          '@id': 'ex:claim-1',
+          '@type': 'https://schema.org/Claim',
+          'schema:text': 'Neo4j supports ACID transactions',
+          'schema:about': { '@id': 'ex:neo4j' },
+          'schema:isBasedOn': { '@id': 'https://example.com/report' },
+          confidence: '0.9'
+        },
+        {
+          '@id': 'https://example.com/report',
+          '@type': ['schema:Report'],
+          'schema:name': 'Report',
+          'schema:author': [{ '@id': 'ex:ada', name: 'Ada Lovelace' }, 'Alan Turing'],
+          'schema:datePublished': '2026-01-15'
+        }
+      ]
+    };
+    
+    const { rows, errors } = parseJsonLd(JSON.stringify(document));
+    
+    expect(errors).toEqual([]);
+    expect(rows).toEqual([
+      {
+        rowNumber: 1,
+        record: {
+          type: 'concept',
+          ref: 'ex:neo4j',
+          name: 'Neo4j',
+          description: 'A graph database',
+          aliases: ['Neo4j DB', 'Neo4j Graph'],
+          domain: 'ex:technology'
+        }
+      },
+      { rowNumber: 1, record: { type: 'relationship', from: 'ex:neo4j', to: 'ex:database', relationshipType: 'IS_A' } },
+      {
+        rowNumber: 2,
+        record: {
+          type: 'fact',
+          ref: 'ex:claim-1',
+          statement: 'Neo4j supports ACID transactions',
+          concepts: ['ex:neo4j'],
+          domain: undefined,
+          sources: ['https://example.com/report'],
+          confidence: 0.9
+        }
+      },
+      {
+        rowNumber: 3,
+        record: {
+          type: 'source',
+          ref: 'https://example.com/report',
+          title: 'Report',
+          url: 'https://example.com/report',
+          authors: ['Ada Lovelace', 'Alan Turing'],
+          publicationDate: '2026-01-15',
+          sourceType: 'Report'
+        }
+      }
+    ]);
+  });
+  
+  test('accepts a single node or an array of nodes', () => {
+    const node = { '@type': 'DefinedTermSet', name: 'Technology', description: 'Tech topics' };
+    const expected = [{ rowNumber: 1, record: { type: 'domain', ref: undefined, name: 'Technology', description: 'Tech topics' } }];
+    
+    expect(parseJsonLd(JSON.stringify(node)).rows).toEqual(expected);
+    expect(parseJsonLd(JSON.stringify([node])).rows).toEqual(expected);
+  });
+  
+  test('reports unsupported types and invalid documents', () => {
+    const { rows, errors } = parseJsonLd(JSON.stringify([{ '@type': 'schema:Person', name: 'Ada' }, { name: 'Untyped' }]));
+    
+    expect(rows).toEqual([]);
+    expect(errors).toEqual([
+      { rowNumber: 1, reason: 'Unsupported JSON-LD type: Person' },
+      { rowNumber: 2, reason: 'Unsupported JSON-LD type: none' }
+    ]);
+    expect(parseJsonLd('{"@graph": [').errors[0]).toMatchObject({ rowNumber: 0, reason: expect.stringMatching(/^Invalid JSON-LD: /) });
+  });
+});
+
+describe('parseImport', () => {
+  test('dispatches on the format and its aliases', () => {
+    expect(parseImport('{"type":"concept","name":"Neo4j"}', 'NDJSON').rows).toHaveLength(1);
+    expect(parseImport('type,name\nconcept,Neo4j', 'csv').rows).toHaveLength(1);
+    expect(parseImport('{"@type":"Concept","name":"Neo4j"}', 'json-ld').rows).toHaveLength(1);
+    expect(() => parseImport('', 'xml')).toThrow('Unsupported import format: xml');
+  });
+  
+  test('detects the format from the file extension', () => {
+    expect(detectFormat('data/concepts.CSV')).toBe('csv');
+    expect(detectFormat('graph.json')).toBe('jsonld');
+    expect(detectFormat('rows.ndjson')).toBe('jsonl');
+    expect(detectFormat('notes.txt')).toBeNull();
+    expect(detectFormat()).toBeNull();
+  });
+});
+
+describe('KnowledgeImporter rows', () => {
+  const importer = new KnowledgeImporter({}, { storage: {} });
+  
+  test('normalizes store-knowledge style rows', () => {
+    expect(importer.normalizeRecord({ contentType: 'Concept', content: 'Neo4j' }, 'import')).toEqual({
+      contentType: 'Concept',
+      content: 'Neo4j',
+      type: 'concept',
+      name: 'Neo4j',
+      source: 'import'
+    });
+    expect(importer.normalizeRecord({ type: 'fact', content: 'Neo4j is fast', statement: 'Neo4j is a graph database', source: 'crm' }, 'import'))
+      .toMatchObject({ statement: 'Neo4j is a graph database', source: 'crm' });
+    expect(importer.normalizeRecord({ type: 'relationship', relationship: 'RELATED_TO', from: 'a', to: 'b' }, 'import'))
+      .toMatchObject({ relationshipType: 'RELATED_TO' });
+    expect(importer.normalizeRecord({}, 'import')).toEqual({ type: '', source: 'import' });
+  });
+  
+  test('accepts complete rows', () => {
+    expect(importer.validateRecord({ type: 'concept', name: 'Neo4j', confidence: 0 })).toBeNull();
+    expect(importer.validateRecord({ type: 'source', url: 'https://example.com' })).toBeNull();
+    expect(importer.validateRecord({ type: 'relationship', relationshipType: 'IS_A', from: 'a', to: 'b', confidence: 1 })).toBeNull();
+  });
+  
+  test('rejects unknown types, missing fields and confidence out of range', () => {
+    expect(importer.validateRecord({ type: '' })).toBe('Unknown row type: none. Expected one of: domain, source, concept, fact, relationship');
+    expect(importer.validateRecord({ type: 'person' })).toMatch(/^Unknown row type: person\./);
+    expect(importer.validateRecord({ type: 'fact', statement: '   ' })).toBe('Missing required field: statement');
+    expect(importer.validateRecord({ type: 'domain' })).toBe('Missing required field: name');
+    expect(importer.validateRecord({ type: 'relationship', relationshipType: 'IS_A', from: 'a' })).toBe('Relationships need both from and to');
+    expect(importer.validateRecord({ type: 'concept', name: 'Neo4j', confidence: 1.5 })).toBe('Confidence must be between 0 and 1, got 1.5');
+    expect(importer.validateRecord({ type: 'concept', name: 'Neo4j', confidence: NaN })).toBe('Confidence must be between 0 and 1, got NaN');
+  });
+});
@@ -0,0 +1,106 @@
+// test/merge-concepts.test.js
+import KnowledgeStorage from '../knowledge/storage.js';
+
+/**
+ * Minimal stand-in for the database holding a concept and its duplicate.
+ * Writes are buffered per transaction and only applied when the
+ * transaction's work succeeds, so a failing step leaves nothing behind.
+ */
+function createGraph(options = {}) {
+  const { failOn = null } = options;
+  const concepts = {
+    'concept-1': { id: 'concept-1', workspace: 'default', name: 'Neo4j', confidence: 0.7 },
+    'concept-2': { id: 'concept-2', workspace: 'default', name: 'Neo4j Database', confidence: 0.9 }
+  };
+  const committed = { revisions: [], merged: [], aliases: [] };
+  const record = values => ({ get: key => values[key] });
+  
+  const transaction = pending => async (query, params) => {
+    if (failOn && query.includes(failOn)) {
+      throw new Error('Connection lost');
+    }
+    
+    if (query.includes('WHERE c.id = $canonicalId OR c.id IN $mergeIds')) {
+      return {
+        records: [params.canonicalId, ...params.mergeIds]
+          .filter(id => concepts[id])
+          .map(id => record({ properties: { ...concepts[id] } }))
+      };
+    }
+    
+    if (query.includes('CREATE (r:Revision')) {
+      pending.revisions.push(params.nodeId);
+      return { records: [record({ id: `revision-${pending.revisions.length}` })] };
+    }
+    
+    if (query.includes('apoc.refactor.mergeNodes')) {
+      pending.merged.push(...params.mergeIds);
+      return { records: [record({ properties: { ...concepts[params.canonicalId], ...params.updates } })] };
+    }
+    
+    if (query.includes('RETURN c.name as name')) {
+      return { records: [record({ name: concepts[params.conceptId].name })] };
+    }
+    
+    if (query.includes('MERGE (a:Alias')) {
+      pending.aliases.push(...params.aliases.map(alias => alias.name));
+      return { records: params.aliases.map(alias => record({ name: alias.name })) };
+    }
+    
+    if (query.includes('RETURN a.name as name ORDER BY name')) {
+      return { records: [...committed.aliases, ...pending.aliases].map(name => record({ name })) };
+    }
+    
+    throw new Error(`Unexpected query: ${query}`);
+  };
+  
+  const session = {
+    run: async () => {
+      throw new Error('Merges write in a transaction');
+    },
+    executeWrite: async work => {
+      const pending = { revisions: [], merged: [], aliases: [] };
+      const result = await work({ run: transaction(pending) });
+      for (const key of Object.keys(committed)) {
+        committed[key].push(...pending[key]);
+      }
+      return result;
+    },
+    close: async () => {}
+  };
+  
+  return {
+    driver: { session: () => session },
+    committed
+  };
+}
+
+describe('mergeConcepts', () => {
+  test('merges the duplicates into the canonical concept with their names as aliases', async () => {
+    const graph = createGraph();
+    const storage = new KnowledgeStorage(graph.driver);
+    
+    const result = await storage.mergeConcepts({ canonicalId: 'concept-1', duplicateIds: ['concept-2'], changedBy: 'tester' });
+    
+    expect(result).toMatchObject({
+      success: true,
+      id: 'concept-1',
+      name: 'Neo4j',
+      mergedIds: ['concept-2'],
+      aliases: ['Neo4j Database'],
+      confidence: 0.9
+    });
+    expect(graph.committed.revisions).toEqual(['concept-2', 'concept-1']);
+    expect(graph.committed.merged).toEqual(['concept-2']);
+  });
+  
+  test('leaves no merge revision behind when the merge fails', async () => {
+    const graph = createGraph({ failOn: 'MERGE (a:Alias' });
+    const storage = new KnowledgeStorage(graph.driver);
+    
+    const result = await storage.mergeConcepts({ canonicalId: 'concept-1', duplicateIds: ['concept-2'] });
+    
+    expect(result).toMatchObject({ success: false, error: 'Connection lost' });
+    expect(graph.committed).toEqual({ revisions: [], merged: [], aliases: [] });
+  });
+});
@@ -0,0 +1,53 @@
+// test/pagination.test.js
+import { queryFingerprint, encodeCursor, decodeCursor, toPageSize, pageInfo } from '../utils/pagination.js';
+
+describe('toPageSize', () => {
+  test('uses the fallback when no page size is given', () => {
+    expect(toPageSize(undefined, 10, 100)).toBe(10);
+    expect(toPageSize(null, 20, 100)).toBe(20);
+    expect(toPageSize('many', 10, 100)).toBe(10);
+  });
+  
+  test('keeps page sizes between 1 and the maximum', () => {
+    expect(toPageSize(0, 10, 100)).toBe(1);
+    expect(toPageSize(-5, 10, 100)).toBe(1);
+    expect(toPageSize(250, 10, 100)).toBe(100);
+    expect(toPageSize('25', 10, 100)).toBe(25);
+  });
+});
+
+describe('pageInfo', () => {
+  const fingerprint = queryFingerprint('search', { query: 'neo4j' });
+  
+  test('hands out a cursor to the next page while results remain', () => {
+    const info = pageInfo({ offset: 0, pageSize: 10, totalCount: 25, fingerprint });
+    
+    expect(info.totalCount).toBe(25);
+    expect(decodeCursor(info.nextCursor, fingerprint)).toBe(10);
+  });
+  
+  test('has no cursor on the last page', () => {
+    expect(pageInfo({ offset: 20, pageSize: 5, totalCount: 25, fingerprint }).nextCursor).toBeNull();
+  });
+  
+  test('has no cursor on an empty page', () => {
+    expect(pageInfo({ offset: 10, pageSize: 0, totalCount: 25, fingerprint }).nextCursor).toBeNull();
+  });
+});
+
+describe('cursors', () => {
+  test('are refused for a different query', () => {
+    const cursor = encodeCursor(10, queryFingerprint('search', { query: 'neo4j' }));
+    
+    expect(() => decodeCursor(cursor, queryFingerprint('search', { query: 'cypher' }))).toThrow('different query');
+  });
+  
+  test('fingerprint parameters regardless of key order', () => {
+    expect(queryFingerprint('paths', { a: 1, b: 2 })).toBe(queryFingerprint('paths', { b: 2, a: 1 }));
+  });
+  
+  test('reject malformed cursors', () => {
+    expect(() => decodeCursor('not a cursor', 'x')).toThrow('Invalid cursor');
+    expect(() => decodeCursor(encodeCursor(-1, 'x'), 'x')).toThrow('Invalid cursor');
+  });
+});
@@ -0,0 +1,140 @@
+// test/restore-revision.test.js
+import neo4j from 'neo4j-driver';
+import KnowledgeStorage from '../knowledge/storage.js';
+import { deriveConfidence } from '../utils/confidence.js';
+
+const SOURCES = [{ id: 'source-1', title: 'Report', url: 'https://example.com/report', reliability: 0.9, publicationDate: null, authors: [] }];
+
+/**
+ * Minimal stand-in for the database holding one fact cited from one source,
+ * and a revision taken before the fact was rejected and reasserted
+ */
+function createGraph() {
+  const fact = {
+    id: 'fact-1',
+    workspace: 'default',
+    statement: 'Neo4j supports ACID transactions',
+    statement_key: 'neo4j support acid transaction',
+    content: 'Neo4j supports ACID transactions',
+    asserted_confidence: 0.9,
+    confidence: 0.2,
+    verification_status: 'rejected',
+    rejected_date: neo4j.types.DateTime.fromStandardDate(new Date('2026-03-01T00:00:00Z'))
+  };
+  const previousValues = {
+    workspace: 'default',
+    statement: fact.statement,
+    statement_key: fact.statement_key,
+    content: fact.content,
+    asserted_confidence: 0.6,
+    confidence: 0.75,
+    verification_status: 'verified',
+    verified_date: '2026-01-15T00:00:00Z'
+  };
+  const revisions = [];
+  const transactions = [];
+  const record = values => ({ get: key => values[key] });
+  const properties = () => ({ ...fact });
+  
+  const run = async (query, params) => {
+    if (query.includes('MATCH (r:Revision {workspace: $workspace, id: $revisionId, node_id: $id})')) {
+      return { records: [record({ previousValues: JSON.stringify(previousValues), properties: properties(), labels: ['Knowledge', 'Fact'] })] };
+    }
+    
+    if (query.includes('SET n += $updates')) {
+      for (const [key, value] of Object.entries(params.updates)) {
+        if (value === null) {
+          delete fact[key];
+        } else {
+          fact[key] = value;
+        }
+      }
+      return { records: [record({ properties: properties() })] };
+    }
+    
+    if (query.includes('coalesce(f.asserted_confidence, f.confidence) as asserted')) {
+      return {
+        records: [record({
+          id: fact.id,
+          asserted: fact.asserted_confidence,
+          confidence: fact.confidence,
+          createdDate: null,
+          verification: fact.verification_status,
+          sources: SOURCES
+        })]
+      };
+    }
+    
+    if (query.includes('UNWIND $updates as update')) {
+      fact.confidence = params.updates[0].confidence;
+      return { records: [] };
+    }
+    
+    if (query.includes('RETURN n {.*, embedding: null} as properties')) {
+      return { records: [record({ properties: properties() })] };
+    }
+    
+    if (query.includes('CREATE (r:Revision')) {
+      revisions.push(params);
+      return { records: [record({ id: `revision-${revisions.length + 1}` })] };
+    }
+    
+    throw new Error(`Unexpected query: ${query}`);
+  };
+  
+  const session = {
+    run: async () => {
+      throw new Error('Restores write in a transaction');
+    },
+    executeWrite: async work => {
+      transactions.push(work);
+      return work({ run });
+    },
+    close: async () => {}
+  };
+  
+  return {
+    driver: { session: () => session },
+    fact,
+    revisions,
+    transactions
+  };
+}
+
+describe('restoreRevision', () => {
+  test('restores in one transaction and records the restore as a revision', async () => {
+    const graph = createGraph();
+    const storage = new KnowledgeStorage(graph.driver);
+    
+    const result = await storage.restoreRevision({ id: 'fact-1', revisionId: 'revision-1', changedBy: 'tester' });
+    
+    expect(result).toMatchObject({ success: true, id: 'fact-1', restoredFrom: 'revision-1', revisionId: 'revision-2' });
+    expect(graph.transactions).toHaveLength(1);
+    expect(graph.revisions).toHaveLength(1);
+    expect(graph.revisions[0]).toMatchObject({ nodeId: 'fact-1', operation: 'restore', changedBy: 'tester' });
+  });
+  
+  test('brings datetimes back as datetimes and clears those the snapshot lacks', async () => {
+    const graph = createGraph();
+    const storage = new KnowledgeStorage(graph.driver);
+    
+    const result = await storage.restoreRevision({ id: 'fact-1', revisionId: 'revision-1' });
+    
+    expect(neo4j.isDateTime(graph.fact.verified_date)).toBe(true);
+    expect(graph.fact.verified_date.toStandardDate().toISOString()).toBe('2026-01-15T00:00:00.000Z');
+    expect(graph.fact.rejected_date).toBeUndefined();
+    expect(result.restoredFields).toEqual(expect.arrayContaining(['verified_date', 'rejected_date', 'verification_status', 'asserted_confidence']));
+  });
+  
+  test('derives the confidence of a fact from its sources instead of copying it', async () => {
+    const graph = createGraph();
+    const storage = new KnowledgeStorage(graph.driver);
+    
+    await storage.restoreRevision({ id: 'fact-1', revisionId: 'revision-1' });
+    
+    const derived = deriveConfidence({ asserted: 0.6, sources: SOURCES, verification: 'verified' }).confidence;
+    expect(graph.fact.asserted_confidence).toBe(0.6);
+    expect(graph.fact.confidence).toBe(derived);
+    expect(graph.fact.confidence).not.toBe(0.75);
+  });
+});
@@ -0,0 +1,173 @@
+// test/search-filter.test.js
+import { compileFilter, contextFilterTree } from '../utils/search-filter.js';
+
+describe('compileFilter', () => {
+  test('compiles an empty filter to no condition', () => {
+    expect(compileFilter(null)).toEqual({ condition: null, params: {} });
+    expect(compileFilter({ and: [] }).condition).toBeNull();
+  });
+  
+  test('keeps values in parameters', () => {
+    const { condition, params } = compileFilter({ field: 'confidence', gte: 0.7, lt: 0.9 });
+    
+    expect(condition).toBe('(n.`confidence` >= $filter0 AND n.`confidence` < $filter1)');
+    expect(params).toEqual({ filter0: 0.7, filter1: 0.9 });
+  });
+  
+  test('uses the given variable and parameter prefix', () => {
+    const { condition, params } = compileFilter({ field: 'metadata.project', eq: 'apollo' }, { variable: 'm', paramPrefix: 'f' });
+    
+    expect(condition).toBe('$f0 IN (m.`metadata.project` + [])');
+    expect(params).toEqual({ f0: 'apollo' });
+  });
+  
+  describe('operators', () => {
+    test('rejects unknown operators', () => {
+      expect(() => compileFilter({ field: 'confidence', like: 'x' })).toThrow('got like');
+    });
+    
+    test('rejects a field condition without operators', () => {
+      expect(() => compileFilter({ field: 'confidence' })).toThrow('Invalid filter on confidence');
+    });
+    
+    test('limits special fields to their own operators', () => {
+      expect(() => compileFilter({ field: 'type', gt: 'Fact' })).toThrow('expected eq, in');
+      expect(() => compileFilter({ field: 'domain', contains: 'Data' })).toThrow('expected eq, in, exists');
+    });
+    
+    test('requires a list for in', () => {
+      expect(() => compileFilter({ field: 'tags', in: 'neo4j' })).toThrow('"in" needs a list of values');
+    });
+    
+    test('requires a boolean for exists', () => {
+      expect(() => compileFilter({ field: 'valid_to', exists: 'no' })).toThrow('"exists" needs true or false');
+      expect(compileFilter({ field: 'valid_to', exists: false }).condition).toBe('n.`valid_to` IS NULL');
+    });
+    
+    test('refuses unfilterable fields', () => {
+      expect(() => compileFilter({ field: 'embedding', exists: true })).toThrow('cannot filter on field "embedding"');
+      expect(() => compileFilter({ field: 'workspace', eq: 'other' })).toThrow('cannot filter on field "workspace"');
+    });
+    
+    test('only accepts includeSubdomains on the domain field', () => {
+      expect(() => compileFilter({ field: 'confidence', gte: 0.5, includeSubdomains: false }))
+        .toThrow('"includeSubdomains" only applies to the domain field');
+      expect(() => compileFilter({ field: 'domain', eq: 'Databases', includeSubdomains: 'no' }))
+        .toThrow('"includeSubdomains" needs true or false');
+    });
+    
+    test('follows sub-domains unless includeSubdomains is false', () => {
+      expect(compileFilter({ field: 'domain', eq: 'Databases' }).condition).toContain('[:SUBDOMAIN_OF*0..]');
+      expect(compileFilter({ field: 'domain', eq: 'Databases', includeSubdomains: false }).condition).toContain('[:SUBDOMAIN_OF*0..0]');
+    });
+    
+    test('matches types by their labels', () => {
+      const { condition, params } = compileFilter({ field: 'type', in: ['fact', 'concept'] });
+      
+      expect(condition).toBe('any(label IN labels(n) WHERE label IN $filter0)');
+      expect(params.filter0).toEqual(['Fact', 'Concept']);
+    });
+  });
+  
+  describe('nesting', () => {
+    test('combines and, or and not', () => {
+      const { condition, params } = compileFilter({
+        and: [
+          { field: 'confidence', gte: 0.5 },
+          {
+            or: [
+              { field: 'type', eq: 'Fact' },
+              { not: { field: 'valid_to', exists: true } }
+            ]
+          }
+        ]
+      });
+      
+      expect(condition).toBe(
+        '(n.`confidence` >= $filter0 AND (any(label IN labels(n) WHERE label IN $filter1) OR NOT (n.`valid_to` IS NOT NULL)))'
+      );
+      expect(params).toEqual({ filter0: 0.5, filter1: ['Fact'] });
+    });
+    
+    test('leaves out empty branches', () => {
+      expect(compileFilter({ and: [{ or: [] }, { field: 'confidence', gt: 0.1 }] }).condition).toBe('n.`confidence` > $filter0');
+      expect(compileFilter({ not: { and: [] } }).condition).toBeNull();
+    });
+    
+    test('rejects malformed combinations', () => {
+      expect(() => compileFilter({ and: { field: 'confidence', gt: 0 } })).toThrow('"and" needs a list of filters');
+      expect(() => compileFilter({ or: [], field: 'confidence' })).toThrow('"or" needs a list of filters and nothing else');
+      expect(() => compileFilter({ not: { field: 'confidence', gt: 0 }, and: [] })).toThrow('"and" needs a list');
+      expect(() => compileFilter({ and: [[]] })).toThrow('expected an object');
+      expect(() => compileFilter({})).toThrow('got an empty object');
+    });
+  });
+  
+  describe('relationships', () => {
+    test('follows the direction of a canonical type', () => {
+      expect(compileFilter({ relationship: 'IS_A', direction: 'out' }).condition).toBe('EXISTS { (n)-[r:`IS_A`]->(other) }');
+      expect(compileFilter({ relationship: 'IS_A', direction: 'in' }).condition).toBe('EXISTS { (n)<-[r:`IS_A`]-(other) }');
+      expect(compileFilter({ relationship: 'IS_A' }).condition).toBe('EXISTS { (n)-[r:`IS_A`]-(other) }');
+    });
+    
+    test('flips the direction of an inverse name', () => {
+      expect(compileFilter({ relationship: 'HAS_SUBTYPE', direction: 'out' }).condition).toBe('EXISTS { (n)<-[r:`IS_A`]-(other) }');
+      expect(compileFilter({ relationship: 'HAS_SUBTYPE', direction: 'in' }).condition).toBe('EXISTS { (n)-[r:`IS_A`]->(other) }');
+    });
+    
+    test('matches a target node by ID', () => {
+      const { condition, params } = compileFilter({ relationship: 'CITED_FROM', direction: 'out', target: 'source-1' });
+      
+      expect(condition).toBe('EXISTS { MATCH (n)-[r:`CITED_FROM`]->(other) WHERE other.id = $filter0 }');
+      expect(params).toEqual({ filter0: 'source-1' });
+    });
+    
+    test('matches any live relationship for "*"', () => {
+      const { condition } = compileFilter({ relationship: '*', direction: 'out' });
+      
+      expect(condition).toMatch(/^EXISTS \{ MATCH \(n\)-\[r\]->\(other\) WHERE /);
+    });
+    
+    test('rejects unknown types, directions and keys', () => {
+      expect(() => compileFilter({ relationship: 'LIKES' })).toThrow();
+      expect(() => compileFilter({ relationship: 'IS_A', direction: 'up' })).toThrow('direction must be out, in or any');
+      expect(() => compileFilter({ relationship: 'IS_A', field: 'confidence' })).toThrow('unknown keys field');
+    });
+  });
+});
+
+describe('contextFilterTree', () => {
+  test('returns null without context filters', () => {
+    expect(contextFilterTree()).toBeNull();
+    expect(contextFilterTree({ metadata: {} })).toBeNull();
+  });
+  
+  test('expresses every context filter as a condition', () => {
+    expect(contextFilterTree({
+      domain: 'Databases',
+      includeSubdomains: false,
+      contentType: 'fact',
+      minConfidence: 0,
+      maxConfidence: 0.8,
+      createdFrom: '2024-01-01',
+      metadata: { project: 'apollo', priority: { gte: 2 } }
+    })).toEqual({
+      and: [
+        { field: 'domain', eq: 'Databases', includeSubdomains: false },
+        { field: 'type', in: ['fact'] },
+        { field: 'confidence', gte: 0 },
+        { field: 'confidence', lt: 0.8 },
+        { field: 'created_date', gte: '2024-01-01' },
+        { field: 'metadata.project', eq: 'apollo' },
+        { field: 'metadata.priority', gte: 2 }
+      ]
+    });
+  });
+  
+  test('compiles with the filter compiler', () => {
+    const { condition, params } = compileFilter(contextFilterTree({ source: 'https://example.com', maxConfidence: 0.5 }));
+    
+    expect(condition).toBe('($filter0 IN (n.`source` + []) AND n.`confidence` < $filter1)');
+    expect(params).toEqual({ filter0: 'https://example.com', filter1: 0.5 });
+  });
+});
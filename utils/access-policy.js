@@ -0,0 +1,306 @@
+// utils/access-policy.js
+import { readFileSync } from "fs";
+import { parseDomainPath, formatDomainPath, domainName } from "./domain-path.js";
+
+/**
+ * Access policies map client identities to roles. A role permits tools, the
+ * operations those tools perform, the workspaces it works in and the domains
+ * it may change. Policies are read from a local JSON file (see
+ * access-policy.example.json); without a policy every client may do everything.
+ */
+
+/**
+ * Operations a role can be permitted, from reading to permanently removing
+ * knowledge; audit covers reading the audit log
+ */
+const OPERATIONS = ['read', 'create', 'update', 'review', 'curate', 'delete', 'purge', 'audit'];
+
+/**
+ * Operation performed by each tool
+ */
+const TOOL_OPERATIONS = {
+  'about': 'read',
+  'list-relationship-types': 'read',
+  'search-knowledge': 'read',
+  'explore-knowledge-graph': 'read',
+  'find-knowledge-paths': 'read',
+  'analyze-knowledge-gaps': 'read',
+  'list-contradictions': 'read',
+  'list-domains': 'read',
+  'list-deleted': 'read',
+  'knowledge-history': 'read',
+  'find-duplicate-concepts': 'read',
+  'trace-provenance': 'read',
+  'entity-knowledge': 'read',
+  'export-knowledge': 'read',
+  'store-knowledge': 'create',
+  'store-document-knowledge': 'create',
+  'process-mcp-output': 'create',
+  'import-knowledge': 'create',
+  'create-domain': 'create',
+  'update-knowledge': 'update',
+  'supersede-fact': 'update',
+  'verify-fact': 'review',
+  'reject-fact': 'review',
+  'set-source-reliability': 'review',
+  'recompute-confidence': 'review',
+  'merge-concepts': 'curate',
+  'rename-domain': 'curate',
+  'move-domain': 'curate',
+  'merge-domains': 'curate',
+  'delete-knowledge': 'delete',
+  'restore-deleted': 'delete',
+  'purge-deleted': 'purge',
+  'query-audit-log': 'audit'
+};
+
+/**
+ * Roles every policy starts from; a policy file may redefine them or add others
+ */
+const DEFAULT_ROLES = {
+  reader: { operations: ['read'] },
+  contributor: { operations: ['read', 'create', 'update'] },
+  curator: { operations: ['read', 'create', 'update', 'review', 'curate', 'delete'] },
+  admin: { operations: OPERATIONS }
+};
+
+/**
+ * Finds the operation a tool call performs
+ * @param {string} tool - Tool name
+ * @param {Object} args - Tool arguments
+ * @returns {string|null} - Operation, or null for a tool without an access rule
+ */
+function toolOperation(tool, args = {}) {
+  // Restoring a revision changes the node; listing revisions only reads it
+  if (tool === 'knowledge-history' && args.action === 'restore') {
+    return 'update';
+  }
+  
+  return TOOL_OPERATIONS[tool] || null;
+}
+
+/**
+ * Reads a list setting of a role, where "*" (the default) permits everything
+ * @param {*} value - Setting from the policy file
+ * @param {string} setting - Setting name, for error messages
+ * @param {string} name - Role or client name, for error messages
+ * @returns {string|string[]} - "*" or the listed names
+ */
+function parseList(value, setting, name) {
+  if (value === undefined || value === null || value === '*') {
+    return '*';
+  }
+  
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+    throw new Error(`Access policy: ${setting} of ${name} must be "*" or a list of names`);
+  }
+  
+  return value.includes('*') ? '*' : value;
+}
+
+/**
+ * Validates a role definition and fills in its defaults
+ * @param {string} name - Role name
+ * @param {Object} definition - Role from the policy file
+ * @returns {Object} - Role with tools, operations, workspaces and domains
+ */
+function parseRole(name, definition = {}) {
+  const operations = definition.operations === undefined ? ['read'] : parseList(definition.operations, 'operations', `role ${name}`);
+  const unknown = operations === '*' ? [] : operations.filter(operation => !OPERATIONS.includes(operation));
+  
+  if (unknown.length > 0) {
+    throw new Error(`Access policy: role ${name} has unknown operations ${unknown.join(', ')}. Use ${OPERATIONS.join(', ')}`);
+  }
+  
+  return {
+    name,
+    tools: parseList(definition.tools, 'tools', `role ${name}`),
+    operations: operations === '*' ? OPERATIONS : operations,
+    workspaces: parseList(definition.workspaces, 'workspaces', `role ${name}`),
+    domains: parseList(definition.domains, 'domains', `role ${name}`)
+  };
+}
+
+/**
+ * Validates a policy document
+ * @param {Object} document - Parsed policy file
+ * @returns {Object} - Policy with roles, clients and the role of unknown clients
+ */
+function parseAccessPolicy(document = {}) {
+  const roles = Object.fromEntries(
+    Object.entries({ ...DEFAULT_ROLES, ...(document.roles || {}) })
+      .map(([name, definition]) => [name, parseRole(name, definition)])
+  );
+  
+  const clients = Object.fromEntries(
+    Object.entries(document.clients || {}).map(([clientId, entry]) => {
+      const client = typeof entry === 'string' ? { role: entry } : entry || {};
+      
+      if (!roles[client.role]) {
+        throw new Error(`Access policy: client ${clientId} has unknown role ${client.role}`);
+      }
+      
+      return [clientId, {
+        role: client.role,
+        ...(client.workspaces !== undefined ? { workspaces: parseList(client.workspaces, 'workspaces', `client ${clientId}`) } : {}),
+        ...(client.domains !== undefined ? { domains: parseList(client.domains, 'domains', `client ${clientId}`) } : {})
+      }];
+    })
+  );
+  
+  const defaultRole = document.defaultRole || null;
+  if (defaultRole && !roles[defaultRole]) {
+    throw new Error(`Access policy: unknown default role ${defaultRole}`);
+  }
+  
+  return { roles, clients, defaultRole };
+}
+
+/**
+ * Reads an access policy file
+ * @param {string} filePath - Path of the JSON policy file
+ * @returns {Object} - Validated policy
+ */
+function loadAccessPolicy(filePath) {
+  let document;
+  
+  try {
+    document = JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read access policy ${filePath}: ${error.message}`);
+  }
+  
+  return parseAccessPolicy(document);
+}
+
+/**
+ * Reads the file mapping SSE access tokens to client identities
+ * @param {string} filePath - Path of the JSON file ({"<token>": "<client ID>", ...})
+ * @returns {Map} - Client identity of each token
+ */
+function loadClientTokens(filePath) {
+  let document;
+  
+  try {
+    document = JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read client tokens ${filePath}: ${error.message}`);
+  }
+  
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    throw new Error(`Client tokens ${filePath} must map tokens to client IDs`);
+  }
+  
+  for (const [token, clientId] of Object.entries(document)) {
+    if (token === '' || typeof clientId !== 'string' || clientId === '') {
+      throw new Error(`Client tokens ${filePath} must map non-empty tokens to client IDs`);
+    }
+  }
+  
+  return new Map(Object.entries(document));
+}
+
+/**
+ * Finds the role of a client, narrowed by the client's own workspaces and domains.
+ * Unidentified clients have none; identified clients the policy does not name get
+ * the default role.
+ * @param {Object} policy - Validated policy
+ * @param {string} clientId - Client identity, as configured on the server
+ * @returns {Object|null} - Effective role, or null when the client has none
+ */
+function resolveRole(policy, clientId) {
+  if (!clientId) {
+    return null;
+  }
+  
+  const client = policy.clients[clientId] || (policy.defaultRole ? { role: policy.defaultRole } : null);
+  
+  if (!client) {
+    return null;
+  }
+  
+  return {
+    ...policy.roles[client.role],
+    ...(client.workspaces ? { workspaces: client.workspaces } : {}),
+    ...(client.domains ? { domains: client.domains } : {})
+  };
+}
+
+/**
+ * Checks the tool, operation and workspaces of a call against a role
+ * @param {Object} role - Effective role
+ * @param {string} tool - Tool name
+ * @param {Object} args - Tool arguments
+ * @param {string} workspace - Workspace of the connection
+ * @returns {string|null} - Why the call is denied, or null when the role permits it
+ */
+function toolDenial(role, tool, args = {}, workspace) {
+  const operation = toolOperation(tool, args);
+  
+  if (!operation) {
+    return `Tool ${tool} has no access rule`;
+  }
+  
+  if (role.tools !== '*' && !role.tools.includes(tool)) {
+    return `Role ${role.name} may not use ${tool}`;
+  }
+  
+  if (!role.operations.includes(operation)) {
+    return `Role ${role.name} may not perform ${operation} operations (${tool})`;
+  }
+  
+  // Links into other workspaces write there too
+  const relationships = [...(args.relationships || []), ...(args.addRelationships || [])];
+  const workspaces = [args.workspace || workspace, ...relationships.map(rel => rel && rel.targetWorkspace)].filter(Boolean);
+  const denied = role.workspaces === '*' ? [] : workspaces.filter(name => !role.workspaces.includes(name));
+  
+  if (denied.length > 0) {
+    return `Role ${role.name} may not work in workspace ${denied[0]}`;
+  }
+  
+  return null;
+}
+
+/**
+ * Collects what a write call changes, for checking against the domains of a role
+ * @param {string} tool - Tool name
+ * @param {Object} args - Tool arguments
+ * @returns {Object} - Domain references named by the call and IDs of the nodes it changes
+ */
+function writeScope(tool, args = {}) {
+  const scopes = {
+    'store-knowledge': () => ({ domains: [args.metadata && args.metadata.domain] }),
+    'create-domain': () => ({
+      domains: [args.parent ? formatDomainPath([...parseDomainPath(args.parent), domainName(args.name)]) : args.name]
+    }),
+    'update-knowledge': () => ({ domains: [args.domain], nodeIds: [args.id] }),
+    'supersede-fact': () => ({ nodeIds: [args.oldFactId] }),
+    'knowledge-history': () => ({ nodeIds: [args.id] }),
+    'verify-fact': () => ({ nodeIds: [args.factId] }),
+    'reject-fact': () => ({ nodeIds: [args.factId] }),
+    'recompute-confidence': () => ({ domains: [args.domain] }),
+    'merge-concepts': () => ({ nodeIds: [args.canonicalId, ...(args.duplicateIds || [])] }),
+    'rename-domain': () => ({ domains: [args.domain] }),
+    'move-domain': () => ({ domains: [args.domain, args.parent] }),
+    'merge-domains': () => ({ domains: [args.target, ...(args.domains || [])] }),
+    'delete-knowledge': () => ({ nodeIds: [args.id] })
+  };
+  
+  const { domains = [], nodeIds = [] } = scopes[tool] ? scopes[tool]() : {};
+  
+  return {
+    domains: domains.filter(Boolean),
+    nodeIds: nodeIds.filter(Boolean)
+  };
+}
+
+export { OPERATIONS,
+  TOOL_OPERATIONS,
+  DEFAULT_ROLES,
+  toolOperation,
+  parseAccessPolicy,
+  loadAccessPolicy,
+  loadClientTokens,
+  resolveRole,
+  toolDenial,
+  writeScope };
@@ -0,0 +1,180 @@
+// utils/confidence.js
+import config from "../config.js";
+
+/**
+ * Confidence model for facts. A fact's confidence is derived from:
+ *
+ * - source reliability: each source the fact is cited from or derived from
+ *   is evidence with its reliability_score as strength
+ * - corroboration: sources are grouped so that sources sharing an author or
+ *   a web host count once (with the reliability of the best of them), and
+ *   the independent groups are combined with a noisy-OR, so every further
+ *   independent source raises the score: 1 - (1 - r1) * (1 - r2) * ...
+ * - age: the score halves every CONFIDENCE_HALF_LIFE_DAYS since the newest
+ *   source was published (or the fact was created), but never drops below
+ *   MIN_AGE_FACTOR of its value
+ *
+ * - verification: a fact verified by a reviewer loses VERIFICATION_BOOST of
+ *   its remaining doubt (0.6 becomes 0.8 with a boost of 0.5); a rejected
+ *   fact keeps only REJECTION_FACTOR of its score
+ *
+ * A fact without sources keeps the confidence it was asserted with, aged
+ * the same way.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Rounds a score for storage and display
+ * @param {number} value - Score
+ * @returns {number} - Score rounded to three decimals
+ */
+function roundScore(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Extracts the host of a source URL, the key for sources published together
+ * @param {string} url - Source URL
+ * @returns {string|null} - Lower-case host without "www.", or null for non-web URLs
+ */
+function sourceHost(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return ['http:', 'https:'].includes(protocol) && hostname ? hostname.toLowerCase().replace(/^www\./, '') : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Groups sources that are not independent of each other: sources sharing an
+ * author, or published on the same web host, end up in the same group
+ * @param {Object[]} sources - Sources with id, url, reliability and author IDs
+ * @returns {Object[][]} - Groups of dependent sources
+ */
+function independentSourceGroups(sources = []) {
+  const parent = sources.map((_, index) => index);
+  const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  const owners = new Map();
+  
+  sources.forEach((source, index) => {
+    const host = sourceHost(source.url);
+    const keys = [...(source.authors || []).map(author => `author:${author}`), ...(host ? [`host:${host}`] : [])];
+    
+    for (const key of keys) {
+      if (owners.has(key)) {
+        parent[find(index)] = find(owners.get(key));
+      } else {
+        owners.set(key, index);
+      }
+    }
+  });
+  
+  const groups = new Map();
+  sources.forEach((source, index) => {
+    const root = find(index);
+    groups.set(root, [...(groups.get(root) || []), source]);
+  });
+  
+  return [...groups.values()];
+}
+
+/**
+ * Computes how much a fact's confidence is reduced by its age
+ * @param {Date} referenceDate - Publication date of the newest source, or the fact's creation date
+ * @param {Date} now - Date the score is computed for
+ * @returns {Object} - Age in days and the factor applied to the score
+ */
+function ageFactor(referenceDate, now = new Date()) {
+  if (!referenceDate || Number.isNaN(referenceDate.getTime())) {
+    return { ageDays: null, factor: 1 };
+  }
+  
+  const ageDays = Math.max(0, Math.floor((now.getTime() - referenceDate.getTime()) / DAY_MS));
+  const factor = Math.max(config.MIN_AGE_FACTOR, Math.pow(0.5, ageDays / config.CONFIDENCE_HALF_LIFE_DAYS));
+  
+  return { ageDays, factor: roundScore(factor) };
+}
+
+/**
+ * Derives a fact's confidence from its sources, their independence and its age
+ * @param {Object} params - Evidence for the fact
+ * @param {number} params.asserted - Confidence the fact was stored with, used when it has no sources
+ * @param {Object[]} params.sources - Sources with id, title, url, reliability, publicationDate and author IDs
+ * @param {Date} params.createdDate - When the fact was stored
+ * @param {string} params.verification - Latest review verdict (verified or rejected), if any
+ * @param {Date} params.now - Date the score is computed for
+ * @returns {Object} - Confidence and the values it was derived from
+ */
+function deriveConfidence(params) {
+  const { asserted, sources = [], createdDate = null, verification = null, now = new Date() } = params;
+  
+  const scored = sources.map(source => ({
+    ...source,
+    reliability: typeof source.reliability === 'number' ? source.reliability : config.DEFAULT_SOURCE_RELIABILITY
+  }));
+  
+  const groups = independentSourceGroups(scored);
+  const groupScores = groups.map(group => Math.max(...group.map(source => source.reliability)));
+  
+  const sourceScore = groups.length > 0
+    ? 1 - groupScores.reduce((remaining, reliability) => remaining * (1 - reliability), 1)
+    : null;
+  const baseScore = sourceScore !== null ? sourceScore : (typeof asserted === 'number' ? asserted : config.DEFAULT_CONFIDENCE);
+  
+  const publicationDates = scored
+    .map(source => (source.publicationDate ? new Date(source.publicationDate) : null))
+    .filter(date => date && !Number.isNaN(date.getTime()));
+  const referenceDate = publicationDates.length > 0
+    ? new Date(Math.max(...publicationDates.map(date => date.getTime())))
+    : createdDate;
+  const age = ageFactor(referenceDate, now);
+  
+  const agedScore = baseScore * age.factor;
+  let confidence = agedScore;
+  if (verification === 'verified') {
+    confidence = 1 - (1 - agedScore) * (1 - config.VERIFICATION_BOOST);
+  } else if (verification === 'rejected') {
+    confidence = agedScore * config.REJECTION_FACTOR;
+  }
+  
+  return {
+    confidence: roundScore(confidence),
+    basis: sourceScore !== null ? 'sources' : 'asserted',
+    asserted: typeof asserted === 'number' ? asserted : null,
+    sources: scored.map(source => ({ id: source.id, title: source.title, reliability: source.reliability })),
+    independentSources: groups.length,
+    sourceScore: sourceScore !== null ? roundScore(sourceScore) : null,
+    referenceDate: referenceDate ? referenceDate.toISOString() : null,
+    ageDays: age.ageDays,
+    ageFactor: age.factor,
+    verification,
+    computedAt: now.toISOString()
+  };
+}
+
+/**
+ * Describes how a confidence score was derived, for display
+ * @param {Object} derivation - Result of deriveConfidence
+ * @returns {string} - One-line explanation
+ */
+function describeDerivation(derivation) {
+  if (!derivation) {
+    return 'asserted when stored (not derived)';
+  }
+  
+  const base = derivation.basis === 'sources'
+    ? `${derivation.sources.length} source(s) (${derivation.sources.map(source => `${source.title || source.id}: ${source.reliability}`).join(', ')}), ` +
+      `${derivation.independentSources} independent, combined ${derivation.sourceScore}`
+    : `asserted ${derivation.asserted}, no sources`;
+  const age = derivation.ageDays !== null ? ` × age factor ${derivation.ageFactor} (${derivation.ageDays} days)` : '';
+  const verification = derivation.verification ? `, ${derivation.verification} by a reviewer` : '';
+  
+  return `${base}${age}${verification} = ${derivation.confidence}`;
+}
+
+export { independentSourceGroups,
+  ageFactor,
+  deriveConfidence,
+  describeDerivation };
@@ -1,100 +1,1528 @@
 // utils/cypher-builder.js
+import neo4j from "neo4j-driver";
+import { relationshipRegistry } from "../schemas/relationship-registry.js";
+import { normalizeName, entityNameKey } from "./text-similarity.js";
+import { flattenMetadata } from "./metadata.js";
+import { statementKey } from "./fact-comparison.js";
+import { domainName } from "./domain-path.js";
 
 /**
- * Utility functions for dynamically building Cypher queries
+ * Utility functions for dynamically building Cypher queries.
+ * Queries are confined to a workspace through the $workspace parameter,
+ * which the workspace session running them supplies (see utils/workspace.js).
  */
 
 /**
- * Creates a query for storing a concept node
+ * Vector index holding the embeddings of all knowledge nodes
+ */
+const VECTOR_INDEX = 'knowledge_embedding';
+
+/**
+ * Fulltext index over the searchable text fields of knowledge nodes
+ */
+const FULLTEXT_INDEX = 'knowledge_fulltext';
+
+/**
+ * Text fields covered by the fulltext index
+ */
+const FULLTEXT_FIELDS = ['content', 'name', 'statement', 'description'];
+
+/**
+ * Label that replaces all labels of a soft-deleted node, so it drops out of
+ * every label-based query and index until it is restored
+ */
+const DELETED_LABEL = 'Deleted';
+
+/**
+ * Type that replaces the type of a soft-deleted relationship; the original
+ * type is kept in its relationship_type property
+ */
+const DELETED_RELATIONSHIP = 'DELETED_RELATIONSHIP';
+
+/**
+ * Quotes a label or relationship type read from the database for use in query text
+ * @param {string} name - Label or relationship type
+ * @returns {string} - Backtick-quoted name
+ */
+function quoteName(name) {
+  return `\`${String(name).replace(/`/g, '``')}\``;
+}
+
+/**
+ * Builds the condition that a relationship has not been soft-deleted.
+ * Needed wherever a pattern does not name the relationship types it follows.
+ * @param {string} variable - Variable of the relationship
+ * @returns {string} - Cypher condition
+ */
+function liveRelationshipCondition(variable) {
+  return `type(${variable}) <> '${DELETED_RELATIONSHIP}'`;
+}
+
+/**
+ * Coerces a caller-supplied traversal depth into a safe integer for variable-length patterns
+ * @param {*} value - Requested depth
+ * @param {number} fallback - Depth used when the value is not a positive integer
+ * @param {number} max - Largest depth allowed; deeper requests are cut to it
+ * @returns {number} - Positive integer depth
+ */
+function toPathLength(value, fallback = 5, max = Infinity) {
+  const depth = parseInt(value, 10);
+  return Math.min(Number.isInteger(depth) && depth > 0 ? depth : fallback, max);
+}
+
+/**
+ * Converts a caller-supplied date into a Neo4j datetime parameter
+ * @param {string|Date} value - ISO 8601 date or Date
+ * @param {string} field - Name of the parameter, used in the error message
+ * @returns {neo4j.DateTime|null} - Datetime, or null when no date was given
+ */
+function toDateTime(value, field = 'date') {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  
+  if (neo4j.isDateTime(value)) {
+    return value;
+  }
+  
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${field}: ${value}. Expected an ISO 8601 date`);
+  }
+  
+  return neo4j.types.DateTime.fromStandardDate(date);
+}
+
+/**
+ * Builds the valid_from / valid_to properties of a fact or relationship.
+ * Only the bounds that were given are returned, so updates leave the other
+ * bound untouched; null clears a bound.
+ * @param {Object} params - Validity bounds
+ * @param {string} params.validFrom - When the statement became true
+ * @param {string} params.validTo - When the statement stopped being true
+ * @returns {Object} - Properties to set
+ */
+function validityProperties(params) {
+  const { validFrom, validTo } = params;
+  const properties = {};
+  
+  if (validFrom !== undefined) {
+    properties.valid_from = toDateTime(validFrom, 'validFrom');
+  }
+  if (validTo !== undefined) {
+    properties.valid_to = toDateTime(validTo, 'validTo');
+  }
+  
+  if (properties.valid_from && properties.valid_to &&
+      properties.valid_from.toStandardDate() > properties.valid_to.toStandardDate()) {
+    throw new Error(`validFrom (${validFrom}) must not be after validTo (${validTo})`);
+  }
+  
+  return properties;
+}
+
+/**
+ * Builds the condition that a node or relationship was valid at the $asOf
+ * datetime. Elements without bounds are always valid.
+ * @param {string} variable - Variable of the node or relationship
+ * @returns {string} - Cypher condition
+ */
+function validAtCondition(variable) {
+  return `((${variable}.valid_from IS NULL OR ${variable}.valid_from <= $asOf) AND ` +
+    `(${variable}.valid_to IS NULL OR ${variable}.valid_to > $asOf))`;
+}
+
+/**
+ * Builds the search relevance of a node adjusted for review verdicts:
+ * verified facts close $verifiedRankBoost of the gap to 1 and rank as
+ * authoritative, rejected facts keep $rejectedRankFactor of their relevance
+ * @param {string} relevance - Cypher expression of the unadjusted relevance
+ * @param {string} variable - Variable of the node
+ * @returns {string} - Cypher expression
+ */
+function reviewedRelevance(relevance, variable = 'n') {
+  return `CASE ${variable}.verification_status ` +
+    `WHEN 'verified' THEN ${relevance} + (1 - ${relevance}) * $verifiedRankBoost ` +
+    `WHEN 'rejected' THEN ${relevance} * $rejectedRankFactor ` +
+    `ELSE ${relevance} END`;
+}
+
+/**
+ * Builds the condition that a node belongs to the $domain domain (a domain
+ * name) or, unless sub-domains are excluded, to one of its descendants
+ * @param {string} variable - Variable of the node
+ * @param {boolean} includeSubdomains - Also match nodes of descendant domains
+ * @returns {string} - Cypher condition
+ */
+function inDomainCondition(variable, includeSubdomains = true) {
+  return `EXISTS { (${variable})-[:BELONGS_TO]->(:Domain)-[:SUBDOMAIN_OF*0..${includeSubdomains ? '' : '0'}]->(:Domain {workspace: $workspace, name: $domain}) }`;
+}
+
+/**
+ * Builds the end of a paged query: sorts the rows, counts them and returns
+ * the $pageSize rows starting at $offset as page, with the count as totalCount
+ * (see utils/pagination.js)
+ * @param {string[]} columns - Variables making up a row
+ * @param {string} orderBy - Sort order, ending with a unique key so pages never overlap
+ * @param {string[]} summaries - Further return items computed over all rows
+ * @returns {string} - Cypher clauses
+ */
+function pageClause(columns, orderBy, summaries = []) {
+  return `
+    WITH ${columns.join(', ')}
+    ORDER BY ${orderBy}
+    WITH collect({${columns.map(column => `${column}: ${column}`).join(', ')}}) as rows
+    RETURN ${['size(rows) as totalCount', 'rows[$offset..$offset + $pageSize] as page', ...summaries].join(', ')}
+  `;
+}
+
+/**
+ * Converts a page position into parameters for pageClause
+ * @param {number} offset - Position of the first row of the page
+ * @param {number} pageSize - Number of rows on the page
+ * @returns {Object} - offset and pageSize parameters
+ */
+function pageParams(offset, pageSize) {
+  return {
+    offset: neo4j.int(offset),
+    pageSize: neo4j.int(pageSize)
+  };
+}
+
+/**
+ * Creates a query for storing a concept node. An existing concept of the same
+ * name takes on the new description, embedding and metadata and keeps the higher confidence.
  * @param {Object} params - Parameters for the concept
  * @returns {Object} - Cypher query and parameters
  */
-function createConceptQuery(params) {
-  const { name, description, source, confidence, metadata = {} } = params;
+function createConceptQuery(params) {
+  const { name, description, source, confidence, embedding = null, metadata = {} } = params;
+  
+  const query = `
+    MERGE (c:Concept {workspace: $workspace, name: $name})
+    ON CREATE SET 
+      c:Knowledge,
+      c.id = randomUUID(),
+      c.name_key = $nameKey,
+      c.content = $name,
+      c.contentType = 'concept',
+      c.description = $description,
+      c.source = $source,
+      c.confidence = $confidence,
+      c.created_date = datetime(),
+      c.last_updated = datetime(),
+      c.embedding = $embedding,
+      c += $metadata
+    ON MATCH SET
+      c:Knowledge,
+      c += $metadata,
+      c.content = coalesce(c.content, c.name),
+      c.name_key = $nameKey,
+      c.description = CASE WHEN $description IS NOT NULL AND $description <> '' THEN $description ELSE c.description END,
+      c.embedding = CASE WHEN $embedding IS NOT NULL THEN $embedding ELSE c.embedding END,
+      c.last_updated = datetime(),
+      c.confidence = CASE WHEN $confidence > c.confidence THEN $confidence ELSE c.confidence END
+    RETURN c.id as id, c.name as name, labels(c) as labels, c {.*, embedding: null} as properties
+  `;
+  
+  return {
+    query,
+    params: {
+      name,
+      nameKey: normalizeName(name),
+      description: description || name,
+      source,
+      confidence: confidence || 0.8,
+      embedding,
+      metadata: flattenMetadata(metadata)
+    }
+  };
+}
+
+/**
+ * Creates a query for finding the fact a new statement corroborates: a fact in the
+ * workspace with the same statement key (see utils/fact-comparison.js) and the same validity
+ * @param {Object} params - Statement, validFrom and validTo of the new fact
+ * @returns {Object} - Cypher query and parameters
+ */
+function matchingFactQuery(params) {
+  const { statement, validFrom = null, validTo = null } = params;
+  
+  const validity = validityProperties({ validFrom, validTo });
+  
+  const query = `
+    MATCH (f:Fact {workspace: $workspace, statement_key: $statementKey})
+    WHERE (f.valid_from = $validFrom OR (f.valid_from IS NULL AND $validFrom IS NULL))
+      AND (f.valid_to = $validTo OR (f.valid_to IS NULL AND $validTo IS NULL))
+    RETURN f.id as id, f {.*, embedding: null} as properties
+    ORDER BY f.created_date
+    LIMIT 1
+  `;
+  
+  return {
+    query,
+    params: {
+      statementKey: statementKey(statement),
+      validFrom: validity.valid_from,
+      validTo: validity.valid_to
+    }
+  };
+}
+
+/**
+ * Creates a query for storing a fact node
+ * @param {Object} params - Parameters for the fact
+ * @returns {Object} - Cypher query and parameters
+ */
+function createFactQuery(params) {
+  const { statement, source, confidence, factType = 'general', embedding = null, metadata = {}, validFrom = null, validTo = null } = params;
+  
+  const validity = validityProperties({ validFrom, validTo });
+  
+  const query = `
+    CREATE (f:Knowledge:Fact {
+      id: randomUUID(),
+      workspace: $workspace,
+      statement: $statement,
+      statement_key: $statementKey,
+      content: $statement,
+      contentType: 'fact',
+      source: $source,
+      confidence: $confidence,
+      asserted_confidence: $confidence,
+      fact_type: $factType,
+      created_date: datetime(),
+      verified_date: null,
+      valid_from: $validFrom,
+      valid_to: $validTo,
+      embedding: $embedding
+    })
+    SET f += $metadata
+    RETURN f.id as id, f.statement as statement, labels(f) as labels
+  `;
+  
+  return {
+    query,
+    params: {
+      statement,
+      statementKey: statementKey(statement),
+      source,
+      confidence: confidence || 0.8,
+      factType,
+      embedding,
+      validFrom: validity.valid_from,
+      validTo: validity.valid_to,
+      metadata: flattenMetadata(metadata)
+    }
+  };
+}
+
+/**
+ * Creates a query for asserting an existing fact again: the fact keeps its statement
+ * and the higher of the two asserted confidences, and takes on the new metadata
+ * @param {Object} params - ID of the fact and the confidence and metadata of the new assertion
+ * @returns {Object} - Cypher query and parameters
+ */
+function corroborateFactQuery(params) {
+  const { factId, confidence, metadata = {} } = params;
+  
+  const query = `
+    MATCH (f:Fact {workspace: $workspace, id: $factId})
+    SET f += $metadata,
+        f.asserted_confidence = CASE WHEN $confidence > coalesce(f.asserted_confidence, 0) THEN $confidence ELSE f.asserted_confidence END,
+        f.last_updated = datetime()
+    RETURN f.id as id, f.statement as statement, f {.*, embedding: null} as properties
+  `;
+  
+  return {
+    query,
+    params: {
+      factId,
+      confidence: confidence || 0.8,
+      metadata: flattenMetadata(metadata)
+    }
+  };
+}
+
+/**
+ * Creates a query for recording an immutable revision of a knowledge, source or domain node
+ * @param {Object} params - Parameters for the revision
+ * @returns {Object} - Cypher query and parameters
+ */
+function createRevisionQuery(params) {
+  const { nodeId, operation, changedFields, previousValues, changedBy } = params;
+  
+  const query = `
+    MATCH (n:Knowledge|Source|Domain {workspace: $workspace, id: $nodeId})
+    CREATE (r:Revision {
+      id: randomUUID(),
+      workspace: $workspace,
+      node_id: $nodeId,
+      operation: $operation,
+      changed_fields: $changedFields,
+      previous_values: $previousValues,
+      changed_by: $changedBy,
+      timestamp: datetime()
+    })
+    CREATE (n)-[:HAS_REVISION]->(r)
+    RETURN r.id as id
+  `;
+  
+  return {
+    query,
+    params: {
+      nodeId,
+      operation,
+      changedFields,
+      previousValues: JSON.stringify(previousValues),
+      changedBy: changedBy || 'unknown'
+    }
+  };
+}
+
+/**
+ * Creates a query for listing the revisions of a node, newest first
+ * @param {Object} params - Parameters for the history lookup
+ * @returns {Object} - Cypher query and parameters
+ */
+function nodeHistoryQuery(params) {
+  const { nodeId, limit = 20 } = params;
+  
+  const query = `
+    MATCH (r:Revision {workspace: $workspace, node_id: $nodeId})
+    RETURN r.id as id,
+           r.operation as operation,
+           r.changed_fields as changedFields,
+           r.previous_values as previousValues,
+           r.changed_by as changedBy,
+           toString(r.timestamp) as timestamp
+    ORDER BY r.timestamp DESC
+    LIMIT $limit
+  `;
+  
+  return {
+    query,
+    params: {
+      nodeId,
+      limit: neo4j.int(limit)
+    }
+  };
+}
+
+/**
+ * Builds the clauses that soft-delete the relationship bound to a variable:
+ * it is replaced by a DELETED_RELATIONSHIP between the same nodes that keeps
+ * its properties and original type, tagged with $deletionId and $deletedBy
+ * @param {string} variable - Variable of the relationship
+ * @returns {string} - Cypher clauses
+ */
+function softDeleteRelationshipClause(variable = 'r') {
+  return `
+    WITH ${variable}, startNode(${variable}) as deletedFrom, endNode(${variable}) as deletedTo
+    CREATE (deletedFrom)-[deleted:${DELETED_RELATIONSHIP}]->(deletedTo)
+    SET deleted = properties(${variable}),
+        deleted.relationship_type = type(${variable}),
+        deleted.deleted_date = datetime(),
+        deleted.deleted_by = $deletedBy,
+        deleted.deletion_id = $deletionId
+    DELETE ${variable}
+  `;
+}
+
+/**
+ * Creates a query that soft-deletes knowledge and source nodes: each node
+ * keeps its properties and remembers its labels, which are replaced by the
+ * Deleted label, and its relationships (except its revision history) are
+ * soft-deleted with it
+ * @param {Object} params - Deletion parameters
+ * @param {string[]} params.nodeIds - IDs of the nodes to delete
+ * @param {string[]} params.labels - Every label carried by the nodes
+ * @param {string} params.deletionId - ID shared by everything removed in one deletion
+ * @param {string} params.deletedBy - Who deleted the nodes
+ * @returns {Object} - Cypher query and parameters
+ */
+function softDeleteNodesQuery(params) {
+  const { nodeIds, labels = [], deletionId, deletedBy = null } = params;
+  
+  const query = `
+    MATCH (n:Knowledge|Source)
+    WHERE n.workspace = $workspace AND n.id IN $nodeIds
+    SET n.deleted_labels = labels(n),
+        n.deleted_date = datetime(),
+        n.deleted_by = $deletedBy,
+        n.deletion_id = $deletionId
+    WITH collect(n) as nodes
+    CALL {
+      WITH nodes
+      UNWIND nodes as n
+      MATCH (n)-[r]-()
+      WHERE NOT type(r) IN ['${DELETED_RELATIONSHIP}', 'HAS_REVISION']
+      WITH DISTINCT r
+      ${softDeleteRelationshipClause('r')}
+      RETURN count(*) as relationshipCount
+    }
+    UNWIND nodes as n
+    REMOVE n${labels.map(label => `:${quoteName(label)}`).join('')}
+    SET n:${DELETED_LABEL}
+    RETURN count(n) as nodeCount, relationshipCount
+  `;
+  
+  return {
+    query,
+    params: {
+      nodeIds,
+      deletionId,
+      deletedBy
+    }
+  };
+}
+
+/**
+ * Creates a query listing the contents of the recycle bin, one row per
+ * deletion, newest first. Relationships deleted along with a node are only
+ * counted; relationships removed on their own are listed.
+ * @param {Object} params - Listing parameters
+ * @param {number} params.limit - Maximum number of deletions to return
+ * @returns {Object} - Cypher query and parameters
+ */
+function listDeletedQuery(params) {
+  const { limit = 20 } = params;
+  
+  const query = `
+    CALL {
+      MATCH (n:${DELETED_LABEL} {workspace: $workspace})
+      RETURN n.deletion_id as deletionId,
+             n.deleted_date as deletedDate,
+             n.deleted_by as deletedBy,
+             n {
+               .id,
+               type: [label IN n.deleted_labels WHERE label <> 'Knowledge'][0],
+               name: coalesce(n.name, n.statement, n.title, n.content)
+             } as node,
+             null as relationship
+      UNION ALL
+      MATCH (a)-[d:${DELETED_RELATIONSHIP}]->(b)
+      WHERE a.workspace = $workspace OR b.workspace = $workspace
+      RETURN d.deletion_id as deletionId,
+             d.deleted_date as deletedDate,
+             d.deleted_by as deletedBy,
+             null as node,
+             CASE WHEN a:${DELETED_LABEL} OR b:${DELETED_LABEL} THEN null ELSE {
+               type: d.relationship_type,
+               from: coalesce(a.name, a.statement, a.title, a.id),
+               to: coalesce(b.name, b.statement, b.title, b.id)
+             } END as relationship
+    }
+    WITH deletionId,
+         min(deletedDate) as deletedDate,
+         head(collect(deletedBy)) as deletedBy,
+         collect(node) as nodes,
+         collect(relationship) as relationships,
+         sum(CASE WHEN node IS NULL THEN 1 ELSE 0 END) as relationshipCount
+    RETURN deletionId,
+           toString(deletedDate) as deletedDate,
+           deletedBy,
+           nodes,
+           relationships,
+           relationshipCount
+    ORDER BY deletedDate DESC
+    LIMIT $limit
+  `;
+  
+  return {
+    query,
+    params: {
+      limit: neo4j.int(limit)
+    }
+  };
+}
+
+/**
+ * Creates a query that gives soft-deleted nodes their labels back
+ * @param {Object} params - Restore parameters
+ * @param {string[]} params.nodeIds - IDs of the nodes, which all carried the same labels
+ * @param {string[]} params.labels - Labels the nodes had before they were deleted
+ * @returns {Object} - Cypher query and parameters
+ */
+function restoreNodesQuery(params) {
+  const { nodeIds, labels } = params;
+  
+  const query = `
+    MATCH (n:${DELETED_LABEL} {workspace: $workspace})
+    WHERE n.id IN $nodeIds
+    REMOVE n:${DELETED_LABEL}, n.deleted_labels, n.deleted_date, n.deleted_by, n.deletion_id
+    SET n${labels.map(label => `:${quoteName(label)}`).join('')}
+    RETURN n.id as id, labels(n) as labels
+  `;
+  
+  return {
+    query,
+    params: {
+      nodeIds
+    }
+  };
+}
+
+/**
+ * Creates a query that turns the soft-deleted relationships of one type and
+ * deletion back into relationships of their original type. Relationships
+ * with an end that is still deleted are left alone.
+ * @param {Object} params - Restore parameters
+ * @param {string} params.deletionId - ID of the deletion
+ * @param {string} params.type - Original relationship type
+ * @returns {Object} - Cypher query and parameters
+ */
+function restoreRelationshipsQuery(params) {
+  const { deletionId, type } = params;
+  
+  const query = `
+    MATCH (a)-[d:${DELETED_RELATIONSHIP} {deletion_id: $deletionId, relationship_type: $type}]->(b)
+    WHERE NOT a:${DELETED_LABEL} AND NOT b:${DELETED_LABEL} AND
+          (a.workspace = $workspace OR b.workspace = $workspace)
+    CREATE (a)-[r:${quoteName(type)}]->(b)
+    SET r = properties(d)
+    REMOVE r.relationship_type, r.deleted_date, r.deleted_by, r.deletion_id
+    DELETE d
+    RETURN count(r) as restored, collect(DISTINCT a.id) as startIds
+  `;
+  
+  return {
+    query,
+    params: {
+      deletionId,
+      type
+    }
+  };
+}
+
+/**
+ * Creates a query that hands the soft-deleted relationships between restored
+ * nodes and nodes still in the recycle bin over to the deletion of the
+ * latter, so they come back when those nodes are restored
+ * @param {Object} params - Reassignment parameters
+ * @param {string} params.deletionId - ID of the deletion the nodes were restored from
+ * @param {string[]} params.nodeIds - IDs of the restored nodes
+ * @returns {Object} - Cypher query and parameters
+ */
+function reassignDeletedRelationshipsQuery(params) {
+  const { deletionId, nodeIds } = params;
+  
+  const query = `
+    MATCH (n)-[d:${DELETED_RELATIONSHIP} {deletion_id: $deletionId}]-(other:${DELETED_LABEL})
+    WHERE n.workspace = $workspace AND n.id IN $nodeIds AND NOT n:${DELETED_LABEL}
+    SET d.deletion_id = other.deletion_id,
+        d.deleted_date = other.deleted_date,
+        d.deleted_by = other.deleted_by
+    RETURN count(d) as reassigned
+  `;
+  
+  return {
+    query,
+    params: {
+      deletionId,
+      nodeIds
+    }
+  };
+}
+
+/**
+ * Creates a query that permanently removes soft-deleted nodes and
+ * relationships (one node, one deletion or every deletion before a date),
+ * along with the aliases, processing steps and verifications left behind.
+ * A null $workspace purges in every workspace.
+ * @param {Object} params - Purge parameters
+ * @param {string} params.nodeId - ID of the deleted node to purge
+ * @param {string} params.deletionId - ID of the deletion to purge
+ * @param {string} params.before - Purge everything deleted before this date (ISO 8601)
+ * @returns {Object} - Cypher query and parameters
+ */
+function purgeDeletedQuery(params) {
+  const { nodeId = null, deletionId = null, before = null } = params;
+  
+  const query = `
+    CALL {
+      MATCH (a)-[d:${DELETED_RELATIONSHIP}]->(b)
+      WHERE (d.deletion_id = $deletionId OR d.deleted_date < $before) AND
+            ($workspace IS NULL OR a.workspace = $workspace OR b.workspace = $workspace)
+      DELETE d
+      RETURN count(d) as purgedRelationships
+    }
+    CALL {
+      MATCH (n:${DELETED_LABEL})
+      WHERE (n.id = $nodeId OR n.deletion_id = $deletionId OR n.deleted_date < $before) AND
+            ($workspace IS NULL OR n.workspace = $workspace)
+      WITH n, n.id as purgedId
+      DETACH DELETE n
+      RETURN count(n) as purgedNodes, collect(purgedId) as purgedIds
+    }
+    CALL {
+      MATCH (orphan:Alias|AIProcessing)
+      WHERE ($workspace IS NULL OR orphan.workspace = $workspace) AND NOT EXISTS { (orphan)--() }
+      DELETE orphan
+      RETURN count(orphan) as purgedAliasesAndSteps
+    }
+    CALL {
+      MATCH (v:Verification)
+      WHERE ($workspace IS NULL OR v.workspace = $workspace) AND NOT EXISTS { ()-[:HAS_VERIFICATION|${DELETED_RELATIONSHIP}]->(v) }
+      DETACH DELETE v
+      RETURN count(v) as purgedVerifications
+    }
+    RETURN purgedNodes, purgedIds, purgedRelationships
+  `;
+  
+  return {
+    query,
+    params: {
+      nodeId,
+      deletionId,
+      before: toDateTime(before, 'before')
+    }
+  };
+}
+
+/**
+ * Creates a query for recording the AI models or steps that processed a source.
+ * Each step becomes an AIProcessing node linked to the source and to every
+ * knowledge node produced from it.
+ * @param {Object} params - Parameters for the processing chain
+ * @param {string} params.sourceId - ID of the processed source
+ * @param {Object[]} params.steps - Steps in order, each with model, instructions and optional timestamp
+ * @param {string[]} params.producedIds - IDs of the knowledge nodes produced by the chain
+ * @returns {Object} - Cypher query and parameters
+ */
+function createProcessingChainQuery(params) {
+  const { sourceId, steps = [], producedIds = [] } = params;
+  
+  const query = `
+    MATCH (s:Source {workspace: $workspace, id: $sourceId})
+    WITH s, randomUUID() as chainId
+    UNWIND $steps as step
+    CREATE (p:AIProcessing {
+      id: randomUUID(),
+      workspace: $workspace,
+      chain_id: chainId,
+      model: step.model,
+      step_order: step.order,
+      instructions: step.instructions,
+      timestamp: CASE WHEN step.timestamp IS NULL THEN datetime() ELSE datetime(step.timestamp) END
+    })
+    CREATE (s)-[:PROCESSED_BY]->(p)
+    WITH p
+    CALL {
+      WITH p
+      MATCH (k:Knowledge) WHERE k.workspace = $workspace AND k.id IN $producedIds
+      MERGE (k)-[:PROCESSED_BY]->(p)
+    }
+    RETURN p.id as id, p.chain_id as chainId, p.model as model, p.step_order as stepOrder
+    ORDER BY stepOrder
+  `;
+  
+  return {
+    query,
+    params: {
+      sourceId,
+      steps: steps.map((step, index) => ({
+        model: step.model,
+        order: neo4j.int(index + 1),
+        instructions: step.instructions || null,
+        timestamp: step.timestamp ? new Date(step.timestamp).toISOString() : null
+      })),
+      producedIds
+    }
+  };
+}
+
+/**
+ * Creates a query for listing the AI processing steps that touched a knowledge node,
+ * either directly or through the sources it was derived from
+ * @param {Object} params - Parameters for the provenance trace
+ * @returns {Object} - Cypher query and parameters
+ */
+function provenanceQuery(params) {
+  const { nodeId } = params;
+  
+  const query = `
+    MATCH (n:Knowledge {workspace: $workspace, id: $nodeId})
+    CALL {
+      WITH n
+      MATCH (n)-[:PROCESSED_BY]->(p:AIProcessing)
+      RETURN p
+      UNION
+      WITH n
+      MATCH (n)-[:DERIVED_FROM|CITED_FROM]->(:Source)-[:PROCESSED_BY]->(p:AIProcessing)
+      RETURN p
+    }
+    OPTIONAL MATCH (s:Source)-[:PROCESSED_BY]->(p)
+    WITH p, collect(DISTINCT s {.id, .title}) as sources
+    RETURN p.id as id,
+           p.chain_id as chainId,
+           p.model as model,
+           p.step_order as stepOrder,
+           p.instructions as instructions,
+           toString(p.timestamp) as timestamp,
+           sources
+    ORDER BY p.timestamp ASC, p.step_order ASC
+  `;
+  
+  return {
+    query,
+    params: {
+      nodeId
+    }
+  };
+}
+
+/**
+ * Creates a query for the facts a fact may contradict: facts about the same
+ * concepts whose validity overlaps and that are not already linked to it as
+ * a contradiction or a superseded version
+ * @param {Object} params - Candidate parameters
+ * @returns {Object} - Cypher query and parameters
+ */
+function contradictionCandidatesQuery(params) {
+  const { factId, limit = 200 } = params;
+  
+  const query = `
+    MATCH (f:Fact {workspace: $workspace, id: $factId})-[:ABOUT]->(c:Concept)<-[:ABOUT]-(other:Fact {workspace: $workspace})
+    WHERE other <> f AND
+          NOT (f)-[:CONTRADICTS|SUPERSEDED_BY]-(other) AND
+          (f.valid_from IS NULL OR other.valid_to IS NULL OR f.valid_from < other.valid_to) AND
+          (f.valid_to IS NULL OR other.valid_from IS NULL OR other.valid_from < f.valid_to)
+    WITH f, other, collect(DISTINCT c.name) as sharedConcepts
+    RETURN f.statement as statement,
+           other.id as id,
+           other.statement as otherStatement,
+           sharedConcepts
+    LIMIT $limit
+  `;
+  
+  return {
+    query,
+    params: {
+      factId,
+      limit: neo4j.int(limit)
+    }
+  };
+}
+
+/**
+ * Creates a query recording a detected contradiction between two facts
+ * @param {Object} params - Contradiction parameters
+ * @returns {Object} - Cypher query and parameters
+ */
+function createContradictionQuery(params) {
+  const { factId, otherId, kind, reason } = params;
+  
+  const query = `
+    MATCH (f:Fact {workspace: $workspace, id: $factId})
+    MATCH (other:Fact {workspace: $workspace, id: $otherId})
+    MERGE (f)-[r:CONTRADICTS]->(other)
+    ON CREATE SET 
+      r.kind = $kind,
+      r.reason = $reason,
+      r.detected_by = 'contradiction-detector',
+      r.detected_date = datetime()
+    RETURN type(r) as relationship
+  `;
+  
+  return {
+    query,
+    params: {
+      factId,
+      otherId,
+      kind,
+      reason
+    }
+  };
+}
+
+/**
+ * Creates a query listing contradictions between facts. A contradiction is
+ * open while neither fact has been superseded or has stopped being valid.
+ * @param {Object} params - Listing parameters
+ * @returns {Object} - Cypher query and parameters
+ */
+function listContradictionsQuery(params) {
+  const { domain = null, conceptId = null, includeResolved = false, includeSubdomains = true, limit = 50 } = params;
+  
+  const query = `
+    MATCH (a:Fact {workspace: $workspace})-[r:CONTRADICTS]->(b:Fact)
+    WHERE ($domain IS NULL OR ${inDomainCondition('a', includeSubdomains)} OR
+                              ${inDomainCondition('b', includeSubdomains)}) AND
+          ($conceptId IS NULL OR EXISTS { (a)-[:ABOUT]->(:Concept {id: $conceptId}) } OR
+                                 EXISTS { (b)-[:ABOUT]->(:Concept {id: $conceptId}) })
+    WITH a, r, b,
+         NOT (EXISTS { (a)-[:SUPERSEDED_BY]->() } OR EXISTS { (b)-[:SUPERSEDED_BY]->() } OR
+              coalesce(a.valid_to <= datetime(), false) OR coalesce(b.valid_to <= datetime(), false)) as open
+    WHERE $includeResolved OR open
+    RETURN a {.id, .statement, .source, .confidence, .verification_status} as fact,
+           b {.id, .statement, .source, .confidence, .verification_status} as otherFact,
+           r.kind as kind,
+           r.reason as reason,
+           toString(r.detected_date) as detectedDate,
+           open,
+           [(a)-[:ABOUT]->(c:Concept)<-[:ABOUT]-(b) | c.name] as sharedConcepts
+    ORDER BY r.detected_date DESC
+    LIMIT $limit
+  `;
+  
+  return {
+    query,
+    params: {
+      domain: domainName(domain),
+      conceptId,
+      includeResolved,
+      limit: neo4j.int(limit)
+    }
+  };
+}
+
+/**
+ * Creates a query for the evidence behind facts' confidence: the confidence
+ * each fact was asserted with and the sources it is cited from or derived from
+ * @param {Object} params - Evidence parameters
+ * @returns {Object} - Cypher query and parameters
+ */
+function factEvidenceQuery(params) {
+  const { factIds } = params;
+  
+  const query = `
+    MATCH (f:Fact)
+    WHERE f.workspace = $workspace AND f.id IN $factIds
+    OPTIONAL MATCH (f)-[:CITED_FROM|DERIVED_FROM]->(s:Source)
+    WITH f, collect(DISTINCT s) as sources
+    RETURN f.id as id,
+           coalesce(f.asserted_confidence, f.confidence) as asserted,
+           f.confidence as confidence,
+           f.created_date as createdDate,
+           f.verification_status as verification,
+           [s IN sources | s {
+             .id, .title, .url,
+             reliability: s.reliability_score,
+             publicationDate: s.publication_date,
+             authors: [(s)-[:AUTHORED_BY]->(e) | e.id]
+           }] as sources
+  `;
+  
+  return {
+    query,
+    params: {
+      factIds
+    }
+  };
+}
+
+/**
+ * Creates a query storing recomputed fact confidences with their derivation
+ * @param {Object} params - Update parameters
+ * @param {Object[]} params.updates - Fact ID, confidence and derivation (JSON text) per fact
+ * @returns {Object} - Cypher query and parameters
+ */
+function updateConfidenceQuery(params) {
+  const { updates } = params;
+  
+  const query = `
+    UNWIND $updates as update
+    MATCH (f:Fact {workspace: $workspace, id: update.id})
+    SET f.asserted_confidence = coalesce(f.asserted_confidence, f.confidence),
+        f.confidence = update.confidence,
+        f.confidence_derivation = update.derivation,
+        f.confidence_updated = datetime()
+    RETURN count(f) as updated
+  `;
+  
+  return {
+    query,
+    params: {
+      updates
+    }
+  };
+}
+
+/**
+ * Creates a query recording a review verdict on a fact: an immutable
+ * Verification node, optionally linked to the source the fact was checked
+ * against, and the latest verdict on the fact itself
+ * @param {Object} params - Verification parameters
+ * @returns {Object} - Cypher query and parameters
+ */
+function createVerificationQuery(params) {
+  const { factId, verdict, sourceId = null, verifiedBy, notes = null } = params;
+  
+  const query = `
+    MATCH (f:Fact {workspace: $workspace, id: $factId})
+    OPTIONAL MATCH (s:Source {workspace: $workspace, id: $sourceId})
+    CREATE (v:Verification {
+      id: randomUUID(),
+      workspace: $workspace,
+      fact_id: $factId,
+      verdict: $verdict,
+      verified_by: $verifiedBy,
+      notes: $notes,
+      verified_date: datetime()
+    })
+    CREATE (f)-[:HAS_VERIFICATION]->(v)
+    FOREACH (source IN CASE WHEN s IS NULL THEN [] ELSE [s] END |
+      CREATE (v)-[:VERIFIED_AGAINST]->(source)
+    )
+    SET f.verification_status = $verdict,
+        f.verified_by = $verifiedBy,
+        f.verified_date = CASE WHEN $verdict = 'verified' THEN v.verified_date ELSE null END,
+        f.rejected_date = CASE WHEN $verdict = 'rejected' THEN v.verified_date ELSE null END,
+        f.last_updated = datetime()
+    RETURN v.id as id,
+           toString(v.verified_date) as verifiedDate,
+           f {.*, embedding: null} as properties
+  `;
+  
+  return {
+    query,
+    params: {
+      factId,
+      verdict,
+      sourceId,
+      verifiedBy,
+      notes
+    }
+  };
+}
+
+/**
+ * Creates a query appending an AuditEvent for one tool call. Audit events
+ * are never changed once written.
+ * @param {Object} params - Event parameters
+ * @param {string} params.tool - Tool name
+ * @param {string} params.caller - Identity of the calling client
+ * @param {string} params.arguments - Redacted arguments as JSON text
+ * @param {number} params.durationMs - How long the call took
+ * @param {string} params.outcome - success, error or denied
+ * @param {string} params.error - Error message of a failed or denied call
+ * @param {string[]} params.nodeIds - IDs of the nodes the call created or changed
+ * @param {string[]} params.relationships - Relationships the call created or removed ("startId-[:TYPE]->endId")
+ * @returns {Object} - Cypher query and parameters
+ */
+function createAuditEventQuery(params) {
+  const {
+    tool,
+    caller = null,
+    arguments: args = null,
+    durationMs = 0,
+    outcome,
+    error = null,
+    nodeIds = [],
+    relationships = []
+  } = params;
+  
+  const query = `
+    CREATE (e:AuditEvent {
+      id: randomUUID(),
+      workspace: $workspace,
+      timestamp: datetime(),
+      tool: $tool,
+      caller: $caller,
+      arguments: $arguments,
+      duration_ms: $durationMs,
+      outcome: $outcome,
+      error: $error,
+      node_ids: $nodeIds,
+      relationships: $relationships
+    })
+    RETURN e.id as id
+  `;
+  
+  return {
+    query,
+    params: {
+      tool,
+      caller,
+      arguments: args,
+      durationMs: neo4j.int(Math.round(durationMs)),
+      outcome,
+      error,
+      nodeIds,
+      relationships
+    }
+  };
+}
+
+/**
+ * Creates a query listing audit events, newest first
+ * @param {Object} params - Filter parameters
+ * @param {string} params.since - Only events at or after this date (ISO 8601)
+ * @param {string} params.until - Only events at or before this date (ISO 8601)
+ * @param {string} params.tool - Only calls of this tool
+ * @param {string} params.caller - Only calls by this client
+ * @param {string} params.nodeId - Only calls that created or changed this node
+ * @param {string} params.outcome - Only calls with this outcome
+ * @param {number} params.limit - Maximum number of events
+ * @returns {Object} - Cypher query and parameters
+ */
+function auditEventsQuery(params) {
+  const {
+    since = null,
+    until = null,
+    tool = null,
+    caller = null,
+    nodeId = null,
+    outcome = null,
+    limit = 50
+  } = params;
+  
+  const query = `
+    MATCH (e:AuditEvent {workspace: $workspace})
+    WHERE ($since IS NULL OR e.timestamp >= $since)
+      AND ($until IS NULL OR e.timestamp <= $until)
+      AND ($tool IS NULL OR e.tool = $tool)
+      AND ($caller IS NULL OR e.caller = $caller)
+      AND ($nodeId IS NULL OR $nodeId IN e.node_ids)
+      AND ($outcome IS NULL OR e.outcome = $outcome)
+    RETURN e {.*, timestamp: toString(e.timestamp)} as event
+    ORDER BY e.timestamp DESC
+    LIMIT $limit
+  `;
+  
+  return {
+    query,
+    params: {
+      since: toDateTime(since, 'since'),
+      until: toDateTime(until, 'until'),
+      tool,
+      caller,
+      nodeId,
+      outcome,
+      limit: neo4j.int(limit)
+    }
+  };
+}
+
+/**
+ * Creates a query for connecting a fact to a concept
+ * @param {Object} params - Parameters for the relationship
+ * @returns {Object} - Cypher query and parameters
+ */
+function createFactConceptRelationQuery(params) {
+  const { factId, conceptId, relationshipType = 'ABOUT' } = params;
+  
+  const { type, reversed } = relationshipRegistry.resolve(
+    relationshipType,
+    ['Knowledge', 'Fact'],
+    ['Knowledge', 'Concept']
+  );
+  
+  const query = `
+    MATCH (f:Fact {workspace: $workspace, id: $factId})
+    MATCH (c:Concept {workspace: $workspace, id: $conceptId})
+    MERGE ${reversed ? `(c)-[r:${type}]->(f)` : `(f)-[r:${type}]->(c)`}
+    RETURN f.id as factId, c.id as conceptId, type(r) as relationship
+  `;
+  
+  return {
+    query,
+    params: {
+      factId,
+      conceptId
+    }
+  };
+}
+
+/**
+ * Creates a query for attaching alternative names to a concept.
+ * An alias shared by several concepts points at each of them.
+ * @param {Object} params - Parameters for the aliases
+ * @returns {Object} - Cypher query and parameters
+ */
+function addAliasesQuery(params) {
+  const { conceptId, aliases = [] } = params;
+  
+  const query = `
+    MATCH (c:Concept {workspace: $workspace, id: $conceptId})
+    UNWIND $aliases as alias
+    MERGE (a:Alias {workspace: $workspace, key: alias.key})
+    ON CREATE SET 
+      a.id = randomUUID(),
+      a.name = alias.name,
+      a.created_date = datetime()
+    MERGE (a)-[:ALIAS_OF]->(c)
+    RETURN a.name as name
+  `;
+  
+  return {
+    query,
+    params: {
+      conceptId,
+      aliases: aliases.map(name => ({ key: normalizeName(name), name }))
+    }
+  };
+}
+
+/**
+ * Creates a query for detaching alternative names from a concept.
+ * Aliases no longer pointing at any concept (including concepts in the
+ * recycle bin) are deleted.
+ * @param {Object} params - Parameters for the aliases
+ * @returns {Object} - Cypher query and parameters
+ */
+function removeAliasesQuery(params) {
+  const { conceptId, aliases = [] } = params;
+  
+  const query = `
+    MATCH (a:Alias)-[r:ALIAS_OF]->(:Concept {workspace: $workspace, id: $conceptId})
+    WHERE a.key IN $keys
+    DELETE r
+    WITH a, a.name as name
+    CALL {
+      WITH a
+      WITH a WHERE NOT EXISTS { (a)-[:ALIAS_OF|${DELETED_RELATIONSHIP}]->() }
+      DELETE a
+    }
+    RETURN name
+  `;
+  
+  return {
+    query,
+    params: {
+      conceptId,
+      keys: aliases.map(normalizeName)
+    }
+  };
+}
+
+/**
+ * Creates a query that merges one level of a domain path: the domain is
+ * created when missing and placed under the parent domain when it has no
+ * parent yet (and the parent is not one of its descendants). The returned
+ * parent tells the caller whether the domain ended up where the path says.
+ * @param {Object} params - Parameters for the domain
+ * @param {string} params.name - Domain name
+ * @param {string} params.parentId - ID of the parent domain, or null for a top-level domain
+ * @param {string} params.description - Description set when the domain has none
+ * @returns {Object} - Cypher query and parameters
+ */
+function ensureDomainQuery(params) {
+  const { name, parentId = null, description = null } = params;
   
   const query = `
-    MERGE (c:Concept {name: $name})
-    ON CREATE SET 
-      c.id = randomUUID(),
-      c.description = $description,
-      c.source = $source,
-      c.confidence = $confidence,
-      c.created_date = datetime(),
-      c.last_updated = datetime(),
-      c.metadata = $metadata
-    ON MATCH SET
-      c.description = CASE WHEN $description IS NOT NULL AND $description <> '' THEN $description ELSE c.description END,
-      c.last_updated = datetime(),
-      c.confidence = CASE WHEN $confidence > c.confidence THEN $confidence ELSE c.confidence END
-    RETURN c.id as id, c.name as name, labels(c) as labels
+    OPTIONAL MATCH (existing:Domain {workspace: $workspace, name: $name})
+    WITH existing IS NULL as created
+    MERGE (d:Domain {workspace: $workspace, name: $name})
+    ON CREATE SET
+      d.id = randomUUID(),
+      d.created_date = datetime()
+    SET d.description = coalesce(d.description, $description)
+    WITH d, created
+    OPTIONAL MATCH (p:Domain {workspace: $workspace, id: $parentId})
+    WHERE NOT EXISTS { (d)-[:SUBDOMAIN_OF]->(:Domain) } AND
+          NOT EXISTS { (p)-[:SUBDOMAIN_OF*0..]->(d) }
+    FOREACH (_ IN CASE WHEN p IS NULL THEN [] ELSE [1] END |
+      MERGE (d)-[:SUBDOMAIN_OF]->(p)
+    )
+    WITH d, created
+    OPTIONAL MATCH (d)-[:SUBDOMAIN_OF]->(parent:Domain)
+    RETURN d.id as id,
+           d.name as name,
+           created,
+           parent.id as parentId,
+           parent.name as parentName
   `;
   
   return {
     query,
     params: {
       name,
-      description: description || name,
-      source,
-      confidence: confidence || 0.8,
-      metadata: JSON.stringify(metadata)
+      parentId,
+      description
     }
   };
 }
 
 /**
- * Creates a query for storing a fact node
- * @param {Object} params - Parameters for the fact
+ * Creates a query for a domain and its path from the top-level domain
+ * @param {Object} params - Lookup parameters
+ * @param {string} params.name - Domain name
  * @returns {Object} - Cypher query and parameters
  */
-function createFactQuery(params) {
-  const { statement, source, confidence, factType = 'general', metadata = {} } = params;
+function findDomainQuery(params) {
+  const { name } = params;
   
   const query = `
-    CREATE (f:Fact {
-      id: randomUUID(),
-      statement: $statement,
-      source: $source,
-      confidence: $confidence,
-      fact_type: $factType,
-      created_date: datetime(),
-      verified_date: null,
-      metadata: $metadata
-    })
-    RETURN f.id as id, f.statement as statement, labels(f) as labels
+    MATCH (d:Domain {workspace: $workspace, name: $name})
+    MATCH p = (d)-[:SUBDOMAIN_OF*0..]->(top:Domain)
+    WHERE NOT EXISTS { (top)-[:SUBDOMAIN_OF]->(:Domain) }
+    RETURN d.id as id,
+           d.name as name,
+           properties(d) as properties,
+           [n IN reverse(nodes(p)) | n.name] as path
+    LIMIT 1
   `;
   
   return {
     query,
     params: {
-      statement,
-      source,
-      confidence: confidence || 0.8,
-      factType,
-      metadata: JSON.stringify(metadata)
+      name
     }
   };
 }
 
 /**
- * Creates a query for connecting a fact to a concept
- * @param {Object} params - Parameters for the relationship
+ * Creates a query listing domains with their paths and how much knowledge
+ * belongs to each domain directly and together with its descendants
+ * @param {Object} params - Listing parameters
+ * @param {string} params.root - Only list this domain (name or path) and its descendants
  * @returns {Object} - Cypher query and parameters
  */
-function createFactConceptRelationQuery(params) {
-  const { factId, conceptId, relationshipType = 'ABOUT' } = params;
+function listDomainsQuery(params) {
+  const { root = null } = params;
   
   const query = `
-    MATCH (f:Fact {id: $factId})
-    MATCH (c:Concept {id: $conceptId})
-    MERGE (f)-[r:${relationshipType}]->(c)
-    RETURN f.id as factId, c.id as conceptId, type(r) as relationship
+    MATCH (d:Domain {workspace: $workspace})
+    WHERE $root IS NULL OR EXISTS { (d)-[:SUBDOMAIN_OF*0..]->(:Domain {name: $root}) }
+    MATCH p = (d)-[:SUBDOMAIN_OF*0..]->(top:Domain)
+    WHERE NOT EXISTS { (top)-[:SUBDOMAIN_OF]->(:Domain) }
+    RETURN d.id as id,
+           d.name as name,
+           d.description as description,
+           [n IN reverse(nodes(p)) | n.name] as path,
+           COUNT { (d)<-[:BELONGS_TO]-(:Knowledge) } as knowledgeCount,
+           COUNT {
+             MATCH (k:Knowledge)
+             WHERE EXISTS { (k)-[:BELONGS_TO]->(:Domain)-[:SUBDOMAIN_OF*0..]->(d) }
+           } as totalKnowledgeCount
   `;
   
   return {
     query,
     params: {
-      factId,
-      conceptId
+      root: domainName(root)
+    }
+  };
+}
+
+/**
+ * Creates a query listing the domains knowledge nodes belong to, directly or
+ * through a sub-domain, by name
+ * @param {Object} params - Lookup parameters
+ * @param {string[]} params.nodeIds - IDs of the nodes
+ * @returns {Object} - Cypher query and parameters
+ */
+function nodeDomainsQuery(params) {
+  const { nodeIds = [] } = params;
+  
+  const query = `
+    MATCH (n:Knowledge|Source)
+    WHERE n.workspace = $workspace AND n.id IN $nodeIds
+    OPTIONAL MATCH (n)-[:BELONGS_TO]->(:Domain)-[:SUBDOMAIN_OF*0..]->(d:Domain)
+    RETURN n.id as id, collect(DISTINCT d.name) as domains
+  `;
+  
+  return {
+    query,
+    params: {
+      nodeIds
+    }
+  };
+}
+
+/**
+ * Creates a query that places a domain under a new parent domain, or makes
+ * it a top-level domain. The caller checks that the move creates no cycle.
+ * @param {Object} params - Move parameters
+ * @param {string} params.domainId - ID of the domain to move
+ * @param {string} params.parentId - ID of the new parent domain, or null
+ * @returns {Object} - Cypher query and parameters
+ */
+function moveDomainQuery(params) {
+  const { domainId, parentId = null } = params;
+  
+  const query = `
+    MATCH (d:Domain {workspace: $workspace, id: $domainId})
+    OPTIONAL MATCH (d)-[old:SUBDOMAIN_OF]->(:Domain)
+    DELETE old
+    WITH DISTINCT d
+    OPTIONAL MATCH (p:Domain {workspace: $workspace, id: $parentId})
+    FOREACH (_ IN CASE WHEN p IS NULL THEN [] ELSE [1] END |
+      MERGE (d)-[:SUBDOMAIN_OF]->(p)
+    )
+    RETURN d.id as id
+  `;
+  
+  return {
+    query,
+    params: {
+      domainId,
+      parentId
+    }
+  };
+}
+
+/**
+ * Creates a query that merges a domain into another: its knowledge (also
+ * knowledge in the recycle bin) and its sub-domains move to the target and
+ * the domain is deleted. The caller
+ * checks that the target is not a descendant of the merged domain.
+ * @param {Object} params - Merge parameters
+ * @param {string} params.sourceId - ID of the domain merged away
+ * @param {string} params.targetId - ID of the domain that remains
+ * @returns {Object} - Cypher query and parameters
+ */
+function mergeDomainsQuery(params) {
+  const { sourceId, targetId } = params;
+  
+  const query = `
+    MATCH (s:Domain {workspace: $workspace, id: $sourceId}), (t:Domain {workspace: $workspace, id: $targetId})
+    CALL {
+      WITH s, t
+      MATCH (n)-[old:BELONGS_TO]->(s)
+      MERGE (n)-[:BELONGS_TO]->(t)
+      DELETE old
+      RETURN count(n) as movedKnowledge
+    }
+    CALL {
+      WITH s, t
+      MATCH (child:Domain)-[old:SUBDOMAIN_OF]->(s)
+      MERGE (child)-[:SUBDOMAIN_OF]->(t)
+      DELETE old
+      RETURN count(child) as movedSubdomains
+    }
+    CALL {
+      WITH s, t
+      MATCH (n)-[old:${DELETED_RELATIONSHIP} {relationship_type: 'BELONGS_TO'}]->(s)
+      CREATE (n)-[moved:${DELETED_RELATIONSHIP}]->(t)
+      SET moved = properties(old)
+      DELETE old
+      RETURN count(moved) as movedDeleted
+    }
+    SET t.description = coalesce(t.description, s.description)
+    DETACH DELETE s
+    RETURN movedKnowledge, movedSubdomains
+  `;
+  
+  return {
+    query,
+    params: {
+      sourceId,
+      targetId
+    }
+  };
+}
+
+/**
+ * Node labels of the entity types that can author sources or be mentioned by facts
+ */
+const ENTITY_LABELS = {
+  person: 'Person',
+  organization: 'Organization'
+};
+
+/**
+ * Resolves a caller-supplied entity type to its node label
+ * @param {string} entityType - Entity type (person or organization)
+ * @returns {string} - Node label
+ */
+function toEntityLabel(entityType = 'person') {
+  const label = ENTITY_LABELS[String(entityType).toLowerCase()];
+  if (!label) {
+    throw new Error(`Unknown entity type: ${entityType}. Expected one of: ${Object.keys(ENTITY_LABELS).join(', ')}`);
+  }
+  return label;
+}
+
+/**
+ * Creates a query for finding or creating a person or organization by name.
+ * Names that differ only in case or punctuation refer to the same entity.
+ * @param {Object} params - Parameters for the entity
+ * @returns {Object} - Cypher query and parameters
+ */
+function mergeEntityQuery(params) {
+  const { name, entityType = 'person' } = params;
+  
+  const query = `
+    MERGE (e:${toEntityLabel(entityType)} {workspace: $workspace, name_key: $nameKey})
+    ON CREATE SET 
+      e.id = randomUUID(),
+      e.name = $name,
+      e.created_date = datetime()
+    RETURN e.id as id, e.name as name, labels(e)[0] as type
+  `;
+  
+  return {
+    query,
+    params: {
+      name: String(name).trim(),
+      nameKey: entityNameKey(name)
+    }
+  };
+}
+
+/**
+ * Creates a query for the knowledge coming from or about a person or organization:
+ * "from" follows sources they authored, "about" follows facts that mention them
+ * @param {Object} params - Parameters for the entity lookup
+ * @param {string} params.entityId - ID of the person or organization
+ * @param {string} params.direction - from, about or both
+ * @returns {Object} - Cypher query and parameters
+ */
+function entityKnowledgeQuery(params) {
+  const { entityId, direction = 'both', limit = 20 } = params;
+  
+  const query = `
+    MATCH (e:Person|Organization {workspace: $workspace, id: $entityId})
+    CALL {
+      WITH e
+      MATCH (k:Knowledge)-[:DERIVED_FROM|CITED_FROM]->(s:Source)-[:AUTHORED_BY]->(e)
+      WHERE $direction IN ['from', 'both']
+      RETURN k, 'from' as relation, s.title as via
+      UNION
+      WITH e
+      MATCH (k:Knowledge)-[:MENTIONS]->(e)
+      WHERE $direction IN ['about', 'both']
+      RETURN k, 'about' as relation, null as via
+    }
+    WITH k, collect(DISTINCT relation) as relations, collect(DISTINCT via) as sources
+    RETURN k.id as id,
+           k.content as content,
+           k.contentType as contentType,
+           k.confidence as confidence,
+           relations,
+           sources
+    ORDER BY coalesce(k.confidence, 0) DESC
+    LIMIT $limit
+  `;
+  
+  return {
+    query,
+    params: {
+      entityId,
+      direction,
+      limit: neo4j.int(limit)
+    }
+  };
+}
+
+/**
+ * Creates a query for the facet values of search hits: domains, source,
+ * subtype, confidence and creation month of each hit
+ * @param {Object} params - Parameters for the facets
+ * @param {string[]} params.nodeIds - IDs of every hit of the search
+ * @returns {Object} - Cypher query and parameters
+ */
+function searchFacetsQuery(params) {
+  const { nodeIds = [] } = params;
+  
+  const query = `
+    MATCH (n:Knowledge {workspace: $workspace})
+    WHERE n.id IN $nodeIds
+    RETURN n.id as id,
+           [(n)-[:BELONGS_TO]->(d:Domain) | d.name] as domains,
+           n.source as source,
+           [label IN labels(n) WHERE label <> 'Knowledge'][0] as contentType,
+           n.confidence as confidence,
+           CASE WHEN n.created_date IS NULL THEN null ELSE substring(toString(n.created_date), 0, 7) END as createdMonth
+  `;
+  
+  return {
+    query,
+    params: {
+      nodeIds
     }
   };
 }
@@ -102,6 +1530,10 @@ function createFactConceptRelationQuery(params) {
 /**
  * Creates a query for finding paths between concepts
  * @param {Object} params - Parameters for the path finding
+ * @param {string} params.conceptA - ID of the first (resolved) concept
+ * @param {string} params.conceptB - ID of the second (resolved) concept
+ * @param {number} params.offset - Number of paths to skip, shortest first
+ * @param {number} params.pageSize - Number of paths to return
  * @returns {Object} - Cypher query and parameters
  */
 function findPathsQuery(params) {
@@ -110,53 +1542,247 @@ function findPathsQuery(params) {
     conceptB, 
     maxPathLength = 5, 
     relationshipTypes = [],
-    includePathNodes = true
+    asOf = null,
+    offset = 0,
+    pageSize = 10,
+    maxLength = Infinity,
+    countLimit = 1000
   } = params;
   
-  // Build relationship filter
-  const relFilter = relationshipTypes.length > 0 
-    ? `[r:${relationshipTypes.join('|')}*1..${maxPathLength}]`
-    : `[r*1..${maxPathLength}]`;
+  // Build relationship filter from registered types only
+  const types = relationshipRegistry.validateTypes(relationshipTypes);
+  const depth = toPathLength(maxPathLength, 5, maxLength);
+  const relFilter = types.length > 0 
+    ? `[r:${types.join('|')}*1..${depth}]`
+    : `[r*1..${depth}]`;
   
-  // Determine how to match the concept nodes
-  const isUuid = (str) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(str);
+  // Paths of equal length are ordered by the IDs along them
+  const query = `
+    MATCH (a:Knowledge {workspace: $workspace, id: $conceptA}), (b:Knowledge {workspace: $workspace, id: $conceptB})
+    MATCH path = (a)-${relFilter}-(b)
+    WHERE all(rel IN relationships(path) WHERE ${liveRelationshipCondition('rel')}) AND ($asOf IS NULL OR (
+      all(node IN nodes(path) WHERE ${validAtCondition('node')}) AND
+      all(rel IN relationships(path) WHERE ${validAtCondition('rel')})
+    ))
+    WITH path LIMIT $countLimit
+    WITH [rel in relationships(path) | type(rel)] as relTypes,
+         length(path) as pathLength,
+         [node in nodes(path) | {id: node.id, name: CASE WHEN node.name IS NOT NULL THEN node.name ELSE node.statement END, type: labels(node)[0]}] as pathNodes
+    ${pageClause(['relTypes', 'pathLength', 'pathNodes'], 'pathLength ASC, [node in pathNodes | node.id], relTypes')}
+  `;
   
-  const matchA = isUuid(conceptA) 
-    ? '(a:Concept {id: $conceptA})'
-    : '(a:Concept) WHERE a.name = $conceptA OR a.name CONTAINS $conceptA';
-    
-  const matchB = isUuid(conceptB)
-    ? '(b:Concept {id: $conceptB})'
-    : '(b:Concept) WHERE b.name = $conceptB OR b.name CONTAINS $conceptB';
+  return {
+    query,
+    params: {
+      conceptA,
+      conceptB,
+      maxPathLength: depth,
+      countLimit: neo4j.int(countLimit),
+      asOf: toDateTime(asOf, 'asOf'),
+      ...pageParams(offset, pageSize)
+    }
+  };
+}
+
+/**
+ * Creates a query for finding the nodes of the workspace most similar to an
+ * embedding. The index holds every workspace, so it reads $fetchCount hits and
+ * keeps the workspace's; exhausted tells whether reading more could find others.
+ * @param {Object} params - Parameters for the vector search
+ * @returns {Object} - Cypher query and parameters
+ */
+function vectorSearchQuery(params) {
+  const { embedding, candidateCount = 50, fetchCount = candidateCount, threshold = 0 } = params;
   
-  let query = `
-    MATCH ${matchA}, ${matchB}
-    MATCH path = (a)-${relFilter}-(b)
-    WITH path, relationships(path) as rels, length(path) as pathLength
+  const query = `
+    CALL db.index.vector.queryNodes('${VECTOR_INDEX}', $fetchCount, $embedding) YIELD node, score
+    WITH collect({id: node.id, score: score, workspace: node.workspace}) as hits
+    RETURN size(hits) < $fetchCount OR last(hits).score < $threshold as exhausted,
+           [hit IN hits WHERE hit.score >= $threshold AND hit.workspace = $workspace | {id: hit.id, score: hit.score}][..$candidateCount] as matches
   `;
   
-  // Add return statement based on includePathNodes
-  if (includePathNodes) {
-    query += `
-      RETURN path, rels, pathLength,
-             [node in nodes(path) | {id: node.id, name: CASE WHEN node.name IS NOT NULL THEN node.name ELSE node.statement END, type: labels(node)[0]}] as pathNodes
-      ORDER BY pathLength ASC
-      LIMIT 10
-    `;
+  return {
+    query,
+    params: {
+      embedding,
+      candidateCount: neo4j.int(candidateCount),
+      fetchCount: neo4j.int(fetchCount),
+      threshold
+    }
+  };
+}
+
+/**
+ * Escapes every character and operator word Lucene gives a meaning, so the
+ * text is searched for as plain words
+ * @param {string} text - User query
+ * @returns {string} - Lucene expression without query syntax
+ */
+function escapeLucene(text) {
+  return text
+    .replace(/[\\+\-!():^[\]"{}~*?|&/]/g, '\\$&')
+    .replace(/\b(AND|OR|NOT)\b/g, word => word.toLowerCase());
+}
+
+/**
+ * Checks that an expression is well-formed Lucene syntax: balanced quotes and
+ * parentheses, + and - prefixing a term, ~ and ^ following one, no wildcard
+ * starting a term and boolean operators between terms
+ * @param {string} expression - Lucene expression
+ * @returns {boolean} - Whether Lucene can parse the expression
+ */
+function isValidLuceneSyntax(expression) {
+  const isTermChar = char => Boolean(char) && !/[\s()"+\-~^*:]/.test(char);
+  let depth = 0;
+  let inPhrase = false;
+  let previous = '';
+  
+  for (let i = 0; i < expression.length; i++) {
+    const char = expression[i];
+    const next = expression[i + 1];
+    
+    if (char === '\\') {
+      i++;
+      previous = 'a';
+      continue;
+    }
+    
+    if (char === '"') {
+      inPhrase = !inPhrase;
+    } else if (inPhrase) {
+      continue;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      if (depth === 0 || previous === '(') {
+        return false;
+      }
+      depth--;
+    } else if (char === '+' || char === '-') {
+      // An operator before a term, or a hyphen inside a word ("state-of-the-art")
+      const startsTerm = (previous === '' || /[\s(]/.test(previous)) && (isTermChar(next) || next === '"' || next === '(');
+      const joinsWords = isTermChar(previous) && isTermChar(next);
+      if (!startsTerm && !joinsWords) {
+        return false;
+      }
+    } else if (char === '~' || char === '^') {
+      const follows = isTermChar(previous) || previous === '"' || (char === '^' && previous === ')');
+      const rest = expression.slice(i + 1).match(/^[0-9.]*/)[0];
+      const end = expression[i + 1 + rest.length];
+      if (!follows || (char === '^' && rest === '') || (end !== undefined && !/[\s)]/.test(end))) {
+        return false;
+      }
+      i += rest.length;
+    } else if (char === '*') {
+      if (!isTermChar(previous) && previous !== '*') {
+        return false;
+      }
+    } else if (char === ':') {
+      if (!isTermChar(previous) || !(isTermChar(next) || next === '"' || next === '(')) {
+        return false;
+      }
+    }
+    
+    previous = char;
+  }
+  
+  if (inPhrase || depth !== 0) {
+    return false;
+  }
+  
+  // AND and OR need a term on both sides, NOT one after it
+  const words = expression.replace(/\\./g, 'a').split(/[\s()]+/).filter(Boolean);
+  return words.every((word, index) => {
+    if (!['AND', 'OR', 'NOT'].includes(word)) {
+      return true;
+    }
+    const after = words[index + 1];
+    const before = words[index - 1];
+    const followed = after !== undefined && !['AND', 'OR'].includes(after);
+    return word === 'NOT' ? followed : followed && before !== undefined && !['AND', 'OR', 'NOT'].includes(before);
+  });
+}
+
+/**
+ * Builds a Lucene query string for the knowledge fulltext index.
+ * Phrases, boolean operators, wildcards and fuzzy terms are passed through;
+ * text that would not parse as Lucene syntax (unbalanced parentheses, a stray
+ * operator) is searched for as plain words instead.
+ * When the query does not target fields explicitly it is applied to every
+ * indexed field with the configured per-field boosts.
+ * @param {string} text - User query
+ * @param {Object} options - Query options
+ * @param {Object} options.fieldBoosts - Boost factor per indexed field
+ * @param {boolean} options.phrase - Whether to match the whole text as one phrase
+ * @param {boolean} options.literal - Whether to search for the text as plain words, ignoring query syntax
+ * @param {string[]} options.fields - Indexed fields to search (defaults to all)
+ * @returns {string} - Lucene query string
+ */
+function buildFulltextQuery(text, options = {}) {
+  const { fieldBoosts = {}, phrase = false, literal = false, fields = FULLTEXT_FIELDS } = options;
+  
+  let expression;
+  if (phrase) {
+    expression = `"${text.replace(/["\\]/g, '\\$&')}"`;
+  } else if (literal) {
+    expression = escapeLucene(text);
   } else {
-    query += `
-      RETURN path, rels, pathLength
-      ORDER BY pathLength ASC
-      LIMIT 10
-    `;
+    // Escape characters Lucene would reject, keeping the supported query syntax
+    expression = text.replace(/[\\/\[\]{}!?&|]/g, '\\$&');
+    
+    // Drop quotes that would leave a phrase unterminated
+    if ((expression.match(/"/g) || []).length % 2 !== 0) {
+      expression = expression.replace(/"/g, '');
+    }
+    
+    // Explicit field queries such as name:neo4j are used as written
+    const fieldPattern = new RegExp(`\\b(${FULLTEXT_FIELDS.join('|')}):`);
+    const explicitFields = fieldPattern.test(expression);
+    if (!explicitFields) {
+      expression = expression.replace(/:/g, '\\:');
+    }
+    
+    // Text that is not valid query syntax is searched for as plain words
+    if (!isValidLuceneSyntax(expression)) {
+      return buildFulltextQuery(text, { ...options, literal: true });
+    }
+    
+    if (explicitFields) {
+      return expression;
+    }
   }
   
+  return fields
+    .map(field => {
+      const boost = fieldBoosts[field];
+      return boost && boost !== 1 ? `${field}:(${expression})^${boost}` : `${field}:(${expression})`;
+    })
+    .join(' OR ');
+}
+
+/**
+ * Creates a query for searching the knowledge fulltext index within the
+ * workspace. Like vectorSearchQuery it reads $fetchCount hits of every
+ * workspace, keeps the workspace's and tells whether the index is exhausted.
+ * @param {Object} params - Parameters for the fulltext search
+ * @returns {Object} - Cypher query and parameters
+ */
+function fulltextSearchQuery(params) {
+  const { luceneQuery, limit = 100, fetchCount = limit } = params;
+  
+  const query = `
+    CALL db.index.fulltext.queryNodes('${FULLTEXT_INDEX}', $luceneQuery, {limit: $fetchCount}) YIELD node, score
+    WITH collect({id: node.id, score: score, workspace: node.workspace}) as hits
+    RETURN size(hits) < $fetchCount as exhausted,
+           [hit IN hits WHERE hit.workspace = $workspace | {id: hit.id, score: hit.score}][..$limit] as matches
+  `;
+  
   return {
     query,
     params: {
-      conceptA,
-      conceptB,
-      maxPathLength
+      luceneQuery,
+      limit: neo4j.int(limit),
+      fetchCount: neo4j.int(fetchCount)
     }
   };
 }
@@ -164,19 +1790,25 @@ function findPathsQuery(params) {
 /**
  * Creates a query for analyzing knowledge gaps
  * @param {Object} params - Parameters for the gap analysis
+ * @param {string} params.domain - Domain name or path
+ * @param {string} params.conceptId - Optional ID of a (resolved) concept to focus the analysis on
+ * @param {boolean} params.includeSubdomains - Also analyze the knowledge of descendant domains
  * @returns {Object} - Cypher query and parameters
  */
 function analyzeGapsQuery(params) {
-  const { domain, analysisType, threshold = 0.7 } = params;
+  const { domain, analysisType, threshold = 0.7, conceptId = null, includeSubdomains = true } = params;
   
   let query = "";
   
   switch (analysisType) {
     case "missing-connections":
       query = `
-        MATCH (d:Domain {name: $domain})<-[:BELONGS_TO]-(c:Concept)
-        MATCH (c2:Concept)-[:BELONGS_TO]->(d)
-        WHERE c <> c2 AND NOT (c)-[]-(c2)
+        MATCH (c:Concept {workspace: $workspace})
+        WHERE ${inDomainCondition('c', includeSubdomains)} AND
+              ($conceptId IS NULL OR c.id = $conceptId)
+        MATCH (c2:Concept {workspace: $workspace})
+        WHERE ${inDomainCondition('c2', includeSubdomains)} AND
+              c <> c2 AND NOT EXISTS { (c)-[r]-(c2) WHERE ${liveRelationshipCondition('r')} }
         WITH c, c2,
              CASE
                WHEN c.keywords IS NOT NULL AND c2.keywords IS NOT NULL 
@@ -192,10 +1824,12 @@ function analyzeGapsQuery(params) {
       
     case "weak-areas":
       query = `
-        MATCH (d:Domain {name: $domain})<-[:BELONGS_TO]-(c:Concept)
+        MATCH (c:Concept {workspace: $workspace})
+        WHERE ${inDomainCondition('c', includeSubdomains)} AND
+              ($conceptId IS NULL OR c.id = $conceptId)
         WITH c, 
-             size((c)-[]->()) as outDegree,
-             size((c)<-[]-()) as inDegree,
+             COUNT { (c)-[r]->() WHERE ${liveRelationshipCondition('r')} } as outDegree,
+             COUNT { (c)<-[r]-() WHERE ${liveRelationshipCondition('r')} } as inDegree,
              c.confidence as confidence
         WHERE outDegree + inDegree < 3 OR confidence < $threshold
         RETURN c.name as concept, 
@@ -209,8 +1843,10 @@ function analyzeGapsQuery(params) {
       
     case "outdated-content":
       query = `
-        MATCH (d:Domain {name: $domain})<-[:BELONGS_TO]-(c:Concept)
-        WHERE c.last_updated IS NOT NULL AND 
+        MATCH (c:Concept {workspace: $workspace})
+        WHERE ${inDomainCondition('c', includeSubdomains)} AND
+              ($conceptId IS NULL OR c.id = $conceptId) AND
+              c.last_updated IS NOT NULL AND 
               duration.between(c.last_updated, datetime()).days > 90
         WITH c, duration.between(c.last_updated, datetime()).days as daysSinceUpdate
         RETURN c.name as concept,
@@ -222,6 +1858,33 @@ function analyzeGapsQuery(params) {
       `;
       break;
       
+    case "unverified-claims":
+      // Impact: how much other knowledge relies on the fact, and whether it is disputed
+      query = `
+        MATCH (f:Fact {workspace: $workspace})
+        WHERE ${inDomainCondition('f', includeSubdomains)} AND
+              ($conceptId IS NULL OR EXISTS { (f)-[:ABOUT]->(:Concept {id: $conceptId}) }) AND
+              f.verification_status IS NULL AND
+              (f.valid_to IS NULL OR f.valid_to > datetime()) AND
+              NOT EXISTS { (f)-[:SUPERSEDED_BY]->() }
+        WITH f,
+             COUNT { (f)-[r]-(:Knowledge) WHERE ${liveRelationshipCondition('r')} } as connectionCount,
+             COUNT { (f)-[:CONTRADICTS]-() } as contradictionCount,
+             COUNT { (f)-[:CITED_FROM|DERIVED_FROM]->(:Source) } as sourceCount
+        WHERE coalesce(f.confidence, 0.5) >= $threshold OR contradictionCount > 0
+        RETURN f.id as id,
+               f.statement as statement,
+               f.source as source,
+               f.confidence as confidence,
+               connectionCount,
+               contradictionCount,
+               sourceCount,
+               connectionCount + 2 * contradictionCount as impact
+        ORDER BY impact DESC, confidence DESC
+        LIMIT 20
+      `;
+      break;
+      
     default:
       throw new Error(`Unknown analysis type: ${analysisType}`);
   }
@@ -229,14 +1892,184 @@ function analyzeGapsQuery(params) {
   return {
     query,
     params: {
-      domain,
-      threshold
+      domain: domainName(domain),
+      threshold,
+      conceptId
+    }
+  };
+}
+
+/**
+ * Node labels pulled into an export as context for the selected nodes
+ */
+const EXPORT_CONTEXT_LABELS = ['Source', 'Domain', 'Alias', 'Person', 'Organization', 'AIProcessing', 'Verification'];
+
+/**
+ * Creates a query for the nodes of a scoped export. Scopes combine: a node
+ * is selected when it matches every given scope. Sources, domains, aliases,
+ * people, organizations, processing steps and verifications linked to a
+ * selected node are included as context so the exported subgraph is
+ * self-contained.
+ * @param {Object} params - Export scope
+ * @param {string} params.domain - Domain name or path; selects the domain and the knowledge belonging to it
+ * @param {boolean} params.includeSubdomains - Whether the domain scope covers descendant domains
+ * @param {string} params.source - Source ID, URL or source system; selects the source and the knowledge derived or cited from it
+ * @param {string} params.label - Node label, e.g. Concept
+ * @param {string} params.since - Earliest creation date (ISO 8601)
+ * @param {string} params.until - Latest creation date (ISO 8601)
+ * @param {boolean} params.includeContext - Whether to add linked context nodes
+ * @param {boolean} params.includeRevisions - Whether to add the revision history of exported nodes
+ * @param {boolean} params.includeEmbeddings - Whether to export embedding vectors
+ * @returns {Object} - Cypher query and parameters
+ */
+function exportNodesQuery(params) {
+  const {
+    domain = null,
+    source = null,
+    label = null,
+    since = null,
+    until = null,
+    includeSubdomains = true,
+    includeContext = true,
+    includeRevisions = false,
+    includeEmbeddings = false
+  } = params;
+  
+  const query = `
+    MATCH (n)
+    WHERE n.workspace = $workspace AND n.id IS NOT NULL
+      AND ($label IS NULL OR $label IN labels(n))
+      AND ($label = 'Revision' OR NOT n:Revision)
+      AND NOT n:${DELETED_LABEL}
+      AND NOT n:AuditEvent
+      AND ($domain IS NULL
+           OR (n:Domain AND EXISTS { (n)-[:SUBDOMAIN_OF*0..${includeSubdomains ? '' : '0'}]->(:Domain {name: $domain}) })
+           OR ${inDomainCondition('n', includeSubdomains)})
+      AND ($source IS NULL
+           OR (n:Source AND (n.id = $source OR n.url = $source))
+           OR n.source = $source
+           OR EXISTS {
+             MATCH (n)-[:DERIVED_FROM|CITED_FROM]->(s:Source)
+             WHERE s.id = $source OR s.url = $source
+           })
+      AND ($since IS NULL OR coalesce(n.created_date, n.timestamp) >= datetime($since))
+      AND ($until IS NULL OR coalesce(n.created_date, n.timestamp) <= datetime($until))
+    WITH collect(n) as selected
+    CALL {
+      WITH selected
+      UNWIND selected as n
+      OPTIONAL MATCH (n)-[r]-(m)
+      WHERE ${liveRelationshipCondition('r')} AND m.workspace = $workspace
+        AND (($includeContext AND any(label IN labels(m) WHERE label IN $contextLabels))
+         OR ($includeRevisions AND m:Revision))
+      RETURN collect(DISTINCT m) as context
+    }
+    UNWIND selected + context as node
+    WITH DISTINCT node
+    RETURN node.id as id, 
+           labels(node) as labels, 
+           ${includeEmbeddings ? 'properties(node)' : 'node {.*, embedding: null}'} as properties
+    ORDER BY id
+  `;
+  
+  return {
+    query,
+    params: {
+      domain: domainName(domain),
+      source,
+      label,
+      since,
+      until,
+      includeContext,
+      includeRevisions,
+      contextLabels: EXPORT_CONTEXT_LABELS
+    }
+  };
+}
+
+/**
+ * Creates a query for the relationships between exported nodes
+ * @param {Object} params - Parameters for the relationship export
+ * @param {string[]} params.nodeIds - IDs of the exported nodes
+ * @returns {Object} - Cypher query and parameters
+ */
+function exportRelationshipsQuery(params) {
+  const { nodeIds = [] } = params;
+  
+  const query = `
+    MATCH (a)-[r]->(b)
+    WHERE a.id IN $nodeIds AND b.id IN $nodeIds AND ${liveRelationshipCondition('r')}
+    RETURN type(r) as type, 
+           a.id as startId, 
+           b.id as endId, 
+           properties(r) as properties
+    ORDER BY type, startId, endId
+  `;
+  
+  return {
+    query,
+    params: {
+      nodeIds
     }
   };
 }
 
-export { createConceptQuery,
+export { VECTOR_INDEX,
+  DELETED_LABEL,
+  DELETED_RELATIONSHIP,
+  quoteName,
+  liveRelationshipCondition,
+  toPathLength,
+  toDateTime,
+  validityProperties,
+  validAtCondition,
+  reviewedRelevance,
+  inDomainCondition,
+  pageClause,
+  pageParams,
+  FULLTEXT_INDEX,
+  FULLTEXT_FIELDS,
+  createConceptQuery,
+  matchingFactQuery,
   createFactQuery,
+  corroborateFactQuery,
   createFactConceptRelationQuery,
+  createVerificationQuery,
+  createAuditEventQuery,
+  auditEventsQuery,
+  factEvidenceQuery,
+  updateConfidenceQuery,
+  contradictionCandidatesQuery,
+  createContradictionQuery,
+  listContradictionsQuery,
+  addAliasesQuery,
+  removeAliasesQuery,
+  ensureDomainQuery,
+  findDomainQuery,
+  listDomainsQuery,
+  nodeDomainsQuery,
+  moveDomainQuery,
+  mergeDomainsQuery,
+  ENTITY_LABELS,
+  toEntityLabel,
+  mergeEntityQuery,
+  entityKnowledgeQuery,
+  createRevisionQuery,
+  nodeHistoryQuery,
+  softDeleteRelationshipClause,
+  softDeleteNodesQuery,
+  listDeletedQuery,
+  restoreNodesQuery,
+  restoreRelationshipsQuery,
+  reassignDeletedRelationshipsQuery,
+  purgeDeletedQuery,
+  createProcessingChainQuery,
+  provenanceQuery,
+  searchFacetsQuery,
   findPathsQuery,
-  analyzeGapsQuery };
\ No newline at end of file
+  vectorSearchQuery,
+  buildFulltextQuery,
+  fulltextSearchQuery,
+  analyzeGapsQuery,
+  exportNodesQuery,
+  exportRelationshipsQuery };
\ No newline at end of file
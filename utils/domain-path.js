@@ -0,0 +1,49 @@
+// utils/domain-path.js
+
+/**
+ * Domains form a tree through SUBDOMAIN_OF relationships. Domain names are
+ * unique, so a domain can be referred to by its name ("Graph") or by its
+ * path from the top-level domain ("Technology > Databases > Graph"); a path
+ * also says where a new domain belongs when it is created.
+ */
+
+/**
+ * Separator between the levels of a domain path
+ */
+const DOMAIN_PATH_SEPARATOR = '>';
+
+/**
+ * Splits a domain reference into the names along its path
+ * @param {string} reference - Domain name or path
+ * @returns {string[]} - Names from the top-level domain down to the domain itself
+ */
+function parseDomainPath(reference) {
+  return String(reference || '')
+    .split(DOMAIN_PATH_SEPARATOR)
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Joins domain names into a path for display
+ * @param {string[]} names - Names from the top-level domain down
+ * @returns {string} - Domain path
+ */
+function formatDomainPath(names = []) {
+  return names.join(` ${DOMAIN_PATH_SEPARATOR} `);
+}
+
+/**
+ * Extracts the name of the domain a reference points to
+ * @param {string} reference - Domain name or path
+ * @returns {string|null} - Name of the last domain in the path, or null for an empty reference
+ */
+function domainName(reference) {
+  const names = parseDomainPath(reference);
+  return names.length > 0 ? names[names.length - 1] : null;
+}
+
+export { DOMAIN_PATH_SEPARATOR,
+  parseDomainPath,
+  formatDomainPath,
+  domainName };
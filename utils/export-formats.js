@@ -0,0 +1,571 @@
+// utils/export-formats.js
+import neo4j from "neo4j-driver";
+import { flattenMetadata } from "./metadata.js";
+
+/**
+ * Serializers turning an exported subgraph into GraphML, JSON-LD or a
+ * Cypher script.
+ *
+ * Every serializer takes a graph { nodes, relationships } where a node is
+ * { id, labels, properties } and a relationship is
+ * { type, startId, endId, properties }. Property values are kept as the
+ * driver returned them (Neo4j integers and temporal values) so each format
+ * can write them with their original type; metadata is collected into a
+ * nested object.
+ */
+
+/**
+ * Namespace for knowledge graph terms that have no standard vocabulary
+ */
+const KG_VOCAB = 'urn:knowledge-graph:';
+
+/**
+ * Prefixes used by the JSON-LD export
+ */
+const JSON_LD_PREFIXES = {
+  skos: 'http://www.w3.org/2004/02/skos/core#',
+  schema: 'https://schema.org/',
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  xsd: 'http://www.w3.org/2001/XMLSchema#'
+};
+
+/**
+ * Node labels written as standard JSON-LD types
+ */
+const JSON_LD_LABEL_TYPES = {
+  Concept: 'skos:Concept',
+  Fact: 'schema:Claim',
+  Source: 'schema:CreativeWork',
+  Domain: 'skos:ConceptScheme',
+  Person: 'schema:Person',
+  Organization: 'schema:Organization'
+};
+
+/**
+ * Properties written with standard JSON-LD terms
+ */
+const JSON_LD_PROPERTY_TERMS = {
+  id: 'schema:identifier',
+  name: 'schema:name',
+  description: 'schema:description',
+  statement: 'schema:text',
+  url: 'schema:url',
+  title: 'schema:headline'
+};
+
+/**
+ * Relationship types written as standard JSON-LD link terms, keyed by the
+ * compact term used in the document
+ */
+const JSON_LD_RELATIONSHIP_TERMS = {
+  IS_A: ['broader', 'skos:broader'],
+  RELATED_TO: ['related', 'skos:related'],
+  BELONGS_TO: ['inScheme', 'skos:inScheme'],
+  PART_OF: ['isPartOf', 'schema:isPartOf'],
+  ABOUT: ['about', 'schema:about'],
+  AUTHORED_BY: ['author', 'schema:author'],
+  MENTIONS: ['mentions', 'schema:mentions'],
+  DERIVED_FROM: ['isBasedOn', 'schema:isBasedOn'],
+  CITED_FROM: ['citation', 'schema:citation']
+};
+
+/**
+ * Properties exported as nested JSON values. A Cypher replay flattens
+ * metadata back into metadata.* properties and writes the others as JSON text.
+ */
+const JSON_PROPERTIES = ['metadata', 'previous_values', 'confidence_derivation'];
+
+/**
+ * Checks whether a value is a Neo4j temporal value
+ * @param {*} value - Property value
+ * @returns {boolean} - True for dates, times, datetimes and durations
+ */
+function isTemporal(value) {
+  return neo4j.isDateTime(value) || neo4j.isDate(value) || neo4j.isLocalDateTime(value) ||
+    neo4j.isTime(value) || neo4j.isLocalTime(value) || neo4j.isDuration(value);
+}
+
+/**
+ * Checks whether a value is a nested object (as opposed to a driver value)
+ * @param {*} value - Property value
+ * @returns {boolean} - True for plain objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !neo4j.isInt(value) && !isTemporal(value);
+}
+
+/**
+ * Converts a property value to a JSON value, writing temporal values as ISO strings
+ * @param {*} value - Property value
+ * @returns {*} - JSON value
+ */
+function toJsonValue(value) {
+  if (neo4j.isInt(value)) {
+    return value.toNumber();
+  }
+  if (isTemporal(value)) {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toJsonValue);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toJsonValue(item)]));
+  }
+  return value;
+}
+
+/**
+ * Picks a human-readable caption for a node
+ * @param {Object} node - Exported node
+ * @returns {string} - Caption
+ */
+function nodeCaption(node) {
+  const { name, statement, title, content } = node.properties;
+  return String(name ?? statement ?? title ?? content ?? node.id);
+}
+
+/**
+ * Escapes text for XML content and attribute values
+ * @param {*} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Flattens nested objects into dotted keys (metadata.topic) and converts
+ * values GraphML cannot hold (lists, temporal values) to text
+ * @param {Object} properties - Node or relationship properties
+ * @param {string} prefix - Key prefix for nested objects
+ * @returns {Object} - Flat properties with scalar values
+ */
+function flattenProperties(properties, prefix = '') {
+  const flat = {};
+  
+  for (const [key, value] of Object.entries(properties)) {
+    if (value === null || value === undefined) {
+      continue;
+    }
+    
+    if (isPlainObject(value)) {
+      Object.assign(flat, flattenProperties(value, `${prefix}${key}.`));
+    } else if (Array.isArray(value)) {
+      flat[`${prefix}${key}`] = JSON.stringify(toJsonValue(value));
+    } else {
+      flat[`${prefix}${key}`] = neo4j.isInt(value) ? value : toJsonValue(value);
+    }
+  }
+  
+  return flat;
+}
+
+/**
+ * Determines the GraphML attribute type of a scalar value
+ * @param {*} value - Flattened property value
+ * @returns {string} - boolean, long, double or string
+ */
+function graphMLType(value) {
+  if (typeof value === 'boolean') {
+    return 'boolean';
+  }
+  if (neo4j.isInt(value)) {
+    return 'long';
+  }
+  if (typeof value === 'number') {
+    return 'double';
+  }
+  return 'string';
+}
+
+/**
+ * Collects the GraphML keys for a set of flattened elements. A key whose
+ * values have different types is declared with the widest type that fits.
+ * @param {Object[]} elements - Flattened properties of nodes or relationships
+ * @returns {Map} - Attribute name to GraphML type
+ */
+function collectGraphMLKeys(elements) {
+  const keys = new Map();
+  
+  for (const properties of elements) {
+    for (const [name, value] of Object.entries(properties)) {
+      const type = graphMLType(value);
+      const known = keys.get(name);
+      
+      if (!known || known === type) {
+        keys.set(name, type);
+      } else if (['long', 'double'].includes(known) && ['long', 'double'].includes(type)) {
+        keys.set(name, 'double');
+      } else {
+        keys.set(name, 'string');
+      }
+    }
+  }
+  
+  return new Map([...keys.entries()].sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Writes a subgraph as GraphML, readable by Gephi, yEd and networkx. Node
+ * labels are stored in a `labels` attribute, relationship types in `label`,
+ * and nested metadata is flattened into dotted attribute names.
+ * @param {Object} graph - Exported nodes and relationships
+ * @returns {string} - GraphML document
+ */
+function toGraphML(graph) {
+  const nodes = graph.nodes.map(node => ({
+    id: node.id,
+    data: {
+      label: nodeCaption(node),
+      labels: `:${node.labels.join(':')}`,
+      ...flattenProperties(node.properties)
+    }
+  }));
+  
+  const relationships = graph.relationships.map((relationship, index) => ({
+    id: `e${index}`,
+    source: relationship.startId,
+    target: relationship.endId,
+    data: {
+      label: relationship.type,
+      ...flattenProperties(relationship.properties)
+    }
+  }));
+  
+  const nodeKeys = collectGraphMLKeys(nodes.map(node => node.data));
+  const edgeKeys = collectGraphMLKeys(relationships.map(relationship => relationship.data));
+  
+  const keyLines = (keys, domain, prefix) => [...keys.entries()].map(([name, type]) =>
+    `  <key id="${prefix}_${escapeXml(name)}" for="${domain}" attr.name="${escapeXml(name)}" attr.type="${type}"/>`
+  );
+  
+  const dataLines = (data, prefix) => Object.entries(data)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, value]) => `      <data key="${prefix}_${escapeXml(name)}">${escapeXml(toJsonValue(value))}</data>`);
+  
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+    ...keyLines(nodeKeys, 'node', 'n'),
+    ...keyLines(edgeKeys, 'edge', 'e'),
+    '  <graph id="knowledge" edgedefault="directed">',
+    ...nodes.flatMap(node => [
+      `    <node id="${escapeXml(node.id)}">`,
+      ...dataLines(node.data, 'n'),
+      '    </node>'
+    ]),
+    ...relationships.flatMap(relationship => [
+      `    <edge id="${relationship.id}" source="${escapeXml(relationship.source)}" target="${escapeXml(relationship.target)}">`,
+      ...dataLines(relationship.data, 'e'),
+      '    </edge>'
+    ]),
+    '  </graph>',
+    '</graphml>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Converts a property value to a JSON-LD value, typing temporal values with XSD
+ * @param {*} value - Property value
+ * @returns {*} - JSON-LD value
+ */
+function toJsonLdValue(value) {
+  if (neo4j.isDate(value)) {
+    return { '@value': value.toString(), '@type': 'xsd:date' };
+  }
+  if (neo4j.isDuration(value)) {
+    return { '@value': value.toString(), '@type': 'xsd:duration' };
+  }
+  if (neo4j.isTime(value) || neo4j.isLocalTime(value)) {
+    return { '@value': value.toString(), '@type': 'xsd:time' };
+  }
+  if (isTemporal(value)) {
+    return { '@value': value.toString(), '@type': 'xsd:dateTime' };
+  }
+  if (Array.isArray(value)) {
+    return value.map(toJsonLdValue);
+  }
+  return toJsonValue(value);
+}
+
+/**
+ * Builds the compact term and full IRI used for a relationship type
+ * @param {string} type - Relationship type
+ * @returns {Object} - Compact term and IRI
+ */
+function relationshipTerm(type) {
+  const [term, iri] = JSON_LD_RELATIONSHIP_TERMS[type] || [type, `${KG_VOCAB}${type}`];
+  const [prefix, local] = iri.split(/:(.*)/);
+  return { term, iri: JSON_LD_PREFIXES[prefix] ? `${JSON_LD_PREFIXES[prefix]}${local}` : iri };
+}
+
+/**
+ * Writes a subgraph as a JSON-LD document. Concepts, facts, sources and
+ * domains use SKOS and schema.org types, relationships become links between
+ * nodes, and metadata is kept as a JSON literal. Relationships that carry
+ * properties are also written as rdf:Statement nodes so the properties are
+ * not lost.
+ * @param {Object} graph - Exported nodes and relationships
+ * @returns {string} - JSON-LD document
+ */
+function toJsonLd(graph) {
+  const nodeIri = id => `urn:uuid:${id}`;
+  
+  const context = {
+    '@vocab': KG_VOCAB,
+    ...JSON_LD_PREFIXES,
+    ...JSON_LD_PROPERTY_TERMS,
+    ...Object.fromEntries(JSON_PROPERTIES.map(name => [name, { '@id': `${KG_VOCAB}${name}`, '@type': '@json' }]))
+  };
+  
+  const documents = new Map();
+  
+  for (const node of graph.nodes) {
+    const document = {
+      '@id': nodeIri(node.id),
+      '@type': node.labels.map(label => JSON_LD_LABEL_TYPES[label] || label)
+    };
+    
+    for (const [key, value] of Object.entries(node.properties).sort(([a], [b]) => a.localeCompare(b))) {
+      if (value === null || value === undefined) {
+        continue;
+      }
+      document[key] = JSON_PROPERTIES.includes(key) ? toJsonValue(value) : toJsonLdValue(value);
+    }
+    
+    documents.set(node.id, document);
+  }
+  
+  const statements = [];
+  
+  for (const relationship of graph.relationships) {
+    const { term, iri } = relationshipTerm(relationship.type);
+    context[term] = { '@id': iri, '@type': '@id' };
+    
+    const document = documents.get(relationship.startId);
+    document[term] = [...(document[term] || []), nodeIri(relationship.endId)];
+    
+    const properties = Object.entries(relationship.properties).filter(([, value]) => value !== null);
+    if (properties.length > 0) {
+      statements.push({
+        '@type': 'rdf:Statement',
+        'rdf:subject': { '@id': nodeIri(relationship.startId) },
+        'rdf:predicate': { '@id': iri },
+        'rdf:object': { '@id': nodeIri(relationship.endId) },
+        ...Object.fromEntries(properties.map(([key, value]) => [key, toJsonLdValue(value)]))
+      });
+    }
+  }
+  
+  return JSON.stringify({
+    '@context': context,
+    '@graph': [...documents.values(), ...statements]
+  }, null, 2) + '\n';
+}
+
+/**
+ * Property used to merge nodes of each label in a Cypher replay. Labels with
+ * a natural unique key merge on it so the script also works against a
+ * database that already holds the same concepts under other IDs. Keys are
+ * unique per workspace, so every merge also matches the node's workspace.
+ */
+const CYPHER_MERGE_KEYS = {
+  Concept: 'name',
+  Alias: 'key',
+  Person: 'name_key',
+  Organization: 'name_key',
+  Domain: 'name'
+};
+
+/**
+ * Quotes a property key or label for Cypher when needed
+ * @param {string} name - Identifier
+ * @returns {string} - Safe identifier
+ */
+function cypherIdentifier(name) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : `\`${String(name).replace(/`/g, '``')}\``;
+}
+
+/**
+ * Writes a property value as a Cypher literal
+ * @param {*} value - Property value
+ * @returns {string} - Cypher literal
+ */
+function cypherLiteral(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (neo4j.isInt(value)) {
+    return value.toString();
+  }
+  if (typeof value === 'number') {
+    // The driver returns floats as numbers; keep them floats on replay
+    return Number.isInteger(value) ? `${value}.0` : String(value);
+  }
+  if (typeof value === 'boolean') {
+    return String(value);
+  }
+  if (neo4j.isDateTime(value)) {
+    return `datetime('${value.toString()}')`;
+  }
+  if (neo4j.isLocalDateTime(value)) {
+    return `localdatetime('${value.toString()}')`;
+  }
+  if (neo4j.isDate(value)) {
+    return `date('${value.toString()}')`;
+  }
+  if (neo4j.isTime(value)) {
+    return `time('${value.toString()}')`;
+  }
+  if (neo4j.isLocalTime(value)) {
+    return `localtime('${value.toString()}')`;
+  }
+  if (neo4j.isDuration(value)) {
+    return `duration('${value.toString()}')`;
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(cypherLiteral).join(', ')}]`;
+  }
+  if (isPlainObject(value)) {
+    // Neo4j properties cannot hold maps, so nested values go back as JSON text
+    return cypherLiteral(JSON.stringify(toJsonValue(value)));
+  }
+  
+  const escaped = String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t');
+  return `'${escaped}'`;
+}
+
+/**
+ * Writes a property map as a Cypher map literal
+ * @param {Object} properties - Properties to write
+ * @returns {string} - Cypher map literal
+ */
+function cypherMap(properties) {
+  const entries = Object.entries(properties)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${cypherIdentifier(key)}: ${cypherLiteral(value)}`);
+  return `{${entries.join(', ')}}`;
+}
+
+/**
+ * Chooses the label and key a node is merged on in a Cypher replay
+ * @param {Object} node - Exported node
+ * @returns {Object} - Merge label, key, value and the node's workspace
+ */
+function cypherMergeKey(node) {
+  const workspace = node.properties.workspace ?? null;
+  const keyed = node.labels.find(label => CYPHER_MERGE_KEYS[label] && node.properties[CYPHER_MERGE_KEYS[label]] != null);
+  
+  if (keyed) {
+    return { label: keyed, key: CYPHER_MERGE_KEYS[keyed], value: node.properties[CYPHER_MERGE_KEYS[keyed]], workspace };
+  }
+  
+  const label = node.labels.find(name => name !== 'Knowledge') || node.labels[0];
+  return { label, key: 'id', value: node.id, workspace };
+}
+
+/**
+ * Writes a subgraph as an idempotent Cypher script of MERGE statements.
+ * Running it twice, or against a database that already holds part of the
+ * subgraph, leaves a single copy of every node and relationship.
+ * @param {Object} graph - Exported nodes and relationships
+ * @param {Object} options - Script options
+ * @param {string} options.description - Comment describing the export scope
+ * @returns {string} - Cypher script, one statement per line
+ */
+function toCypherScript(graph, options = {}) {
+  const { description } = options;
+  const mergeKeys = new Map(graph.nodes.map(node => [node.id, cypherMergeKey(node)]));
+  const pattern = (variable, { label, key, value, workspace }) => {
+    const scope = workspace !== null ? `workspace: ${cypherLiteral(workspace)}, ` : '';
+    return `(${variable}:${cypherIdentifier(label)} {${scope}${cypherIdentifier(key)}: ${cypherLiteral(value)}})`;
+  };
+  
+  const lines = [
+    '// Knowledge graph export: replay with cypher-shell or Neo4j Browser.',
+    '// Statements are idempotent MERGEs and can be run repeatedly.',
+    ...(description ? [`// Scope: ${description}`] : []),
+    `// ${graph.nodes.length} nodes, ${graph.relationships.length} relationships`,
+    ''
+  ];
+  
+  for (const node of graph.nodes) {
+    const mergeKey = mergeKeys.get(node.id);
+    const { metadata = {}, ...properties } = node.properties;
+    Object.assign(properties, flattenMetadata(metadata));
+    delete properties[mergeKey.key];
+    delete properties.workspace;
+    const otherLabels = node.labels.filter(label => label !== mergeKey.label);
+    
+    const clauses = [`MERGE ${pattern('n', mergeKey)}`];
+    if (mergeKey.key !== 'id') {
+      delete properties.id;
+      clauses.push(`ON CREATE SET n.id = ${cypherLiteral(node.id)}`);
+    }
+    clauses.push(`SET ${otherLabels.map(label => `n:${cypherIdentifier(label)}, `).join('')}n += ${cypherMap(properties)}`);
+    
+    lines.push(`${clauses.join(' ')};`);
+  }
+  
+  if (graph.relationships.length > 0) {
+    lines.push('');
+  }
+  
+  for (const relationship of graph.relationships) {
+    const clauses = [
+      `MATCH ${pattern('a', mergeKeys.get(relationship.startId))}`,
+      `MATCH ${pattern('b', mergeKeys.get(relationship.endId))}`,
+      `MERGE (a)-[r:${cypherIdentifier(relationship.type)}]->(b)`
+    ];
+    
+    const properties = cypherMap(relationship.properties);
+    if (properties !== '{}') {
+      clauses.push(`SET r += ${properties}`);
+    }
+    
+    lines.push(`${clauses.join(' ')};`);
+  }
+  
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Formats an exported subgraph
+ * @param {Object} graph - Exported nodes and relationships
+ * @param {string} format - graphml, jsonld or cypher
+ * @param {Object} options - Format specific options (see toCypherScript)
+ * @returns {string} - Serialized graph
+ */
+function formatExport(graph, format, options = {}) {
+  switch (String(format).toLowerCase()) {
+    case 'graphml':
+      return toGraphML(graph);
+    case 'jsonld':
+    case 'json-ld':
+      return toJsonLd(graph);
+    case 'cypher':
+      return toCypherScript(graph, options);
+    default:
+      throw new Error(`Unsupported export format: ${format}. Expected one of: graphml, jsonld, cypher`);
+  }
+}
+
+export { JSON_PROPERTIES,
+  toGraphML,
+  toJsonLd,
+  toCypherScript,
+  formatExport };
@@ -0,0 +1,319 @@
+// utils/fact-comparison.js
+import { stemToken } from "./text-similarity.js";
+
+/**
+ * Heuristics that decide whether two fact statements make conflicting claims.
+ * Statements are compared token by token, so only statements phrased alike
+ * are flagged:
+ *
+ * - negation: the statements differ only by a negation ("X supports Y" vs "X does not support Y")
+ * - numeric: the statements differ only in their numbers ("... has 3 replicas" vs "... has 5 replicas")
+ * - exclusive: the statements differ by a pair of opposites ("... increased ..." vs "... decreased ...",
+ *   "... is yes" vs "... is no"),
+ *   or give different values to the same definite attribute ("The capital of X is A" vs "... is B")
+ */
+
+/**
+ * Words that negate a statement
+ */
+const NEGATIONS = ['not', 'no', 'never', 'none', 'neither', 'nor', 'without'];
+
+/**
+ * Auxiliary verbs that only appear to carry a negation ("does not support")
+ */
+const AUXILIARIES = ['do', 'does', 'did'].map(stemToken);
+
+/**
+ * Verbs that assign a value to the subject
+ */
+const COPULAS = ['is', 'are', 'was', 'were', 'equals'].map(stemToken);
+
+/**
+ * Verbs with opposite meanings, compared in the same inflection ("increased" vs "decreased")
+ */
+const EXCLUSIVE_VERBS = [
+  ['increase', 'decrease'],
+  ['rise', 'fall'],
+  ['grow', 'shrink'],
+  ['include', 'exclude'],
+  ['enable', 'disable'],
+  ['allow', 'forbid'],
+  ['accept', 'reject'],
+  ['succeed', 'fail'],
+  ['win', 'lose']
+];
+
+/**
+ * Words with mutually exclusive meanings, including irregular forms of the verbs above
+ */
+const EXCLUSIVE_PAIRS = [
+  ['true', 'false'],
+  ['yes', 'no'],
+  ['always', 'never'],
+  ['rose', 'fell'],
+  ['risen', 'fallen'],
+  ['grew', 'shrank'],
+  ['grown', 'shrunk'],
+  ['won', 'lost'],
+  ['higher', 'lower'],
+  ['more', 'less'],
+  ['greater', 'smaller'],
+  ['larger', 'smaller'],
+  ['faster', 'slower'],
+  ['before', 'after'],
+  ['above', 'below'],
+  ['minimum', 'maximum'],
+  ['first', 'last'],
+  ['earlier', 'later'],
+  ['legal', 'illegal'],
+  ['allowed', 'forbidden'],
+  ['permitted', 'prohibited'],
+  ['possible', 'impossible'],
+  ['valid', 'invalid'],
+  ['safe', 'unsafe'],
+  ['enabled', 'disabled'],
+  ['supported', 'unsupported'],
+  ['compatible', 'incompatible'],
+  ['required', 'optional'],
+  ['mandatory', 'optional'],
+  ['public', 'private'],
+  ['open', 'closed'],
+  ['positive', 'negative'],
+  ['synchronous', 'asynchronous']
+];
+
+/**
+ * Forms a regular verb takes: base, third person, past and present participle
+ * @param {string} verb - Base form
+ * @returns {string[]} - Inflected forms
+ */
+function inflections(verb) {
+  return verb.endsWith('e')
+    ? [verb, `${verb}s`, `${verb}d`, `${verb.slice(0, -1)}ing`]
+    : [verb, `${verb}s`, `${verb}ed`, `${verb}ing`];
+}
+
+const EXCLUSIVE_KEYS = new Set(
+  [
+    ...EXCLUSIVE_PAIRS,
+    ...EXCLUSIVE_VERBS.flatMap(([a, b]) => inflections(a).map((form, index) => [form, inflections(b)[index]]))
+  ].flatMap(([a, b]) => [`${stemToken(a)}|${stemToken(b)}`, `${stemToken(b)}|${stemToken(a)}`])
+);
+
+const NUMBER_PATTERN = /^\d+(?:[.,]\d+)*%?$/;
+
+/**
+ * Parses a number token ("1,000", "2.5", "1.000.000", "40%"). A single separator
+ * followed by exactly three digits ("1,000" or "1.000") may group thousands or
+ * mark decimals, so such numbers have two readings, the English one first.
+ * @param {string} token - Number token
+ * @returns {number[]} - Possible numeric values
+ */
+function numberValues(token) {
+  const cleaned = token.replace('%', '');
+  const marks = cleaned.match(/[.,]/g) || [];
+  
+  if (marks.length === 0) {
+    return [parseFloat(cleaned)];
+  }
+  
+  // "1,234.5" and "1.234,5": the last mark is the decimal one, the others group thousands
+  if (new Set(marks).size > 1) {
+    const decimal = cleaned.lastIndexOf(marks[marks.length - 1]);
+    return [parseFloat(`${cleaned.slice(0, decimal).replace(/[.,]/g, '')}.${cleaned.slice(decimal + 1)}`)];
+  }
+  
+  // "1,000,000" and "1.000.000": a repeated mark groups thousands
+  if (marks.length > 1) {
+    return [parseFloat(cleaned.replace(/[.,]/g, ''))];
+  }
+  
+  const [whole, fraction] = cleaned.split(marks[0]);
+  const decimalValue = parseFloat(`${whole}.${fraction}`);
+  
+  if (fraction.length !== 3 || /^0+$/.test(whole)) {
+    return [decimalValue];
+  }
+  
+  const groupedValue = parseFloat(`${whole}${fraction}`);
+  return marks[0] === ',' ? [groupedValue, decimalValue] : [decimalValue, groupedValue];
+}
+
+/**
+ * Splits a statement into case-folded tokens, keeping numbers whole and
+ * expanding contractions so "isn't" and "is not" compare equal. Each token
+ * keeps its text for reasons and a comparison key: the singular form of a
+ * word or the value of a number (numbers also list every value they may mean).
+ * @param {string} statement - Fact statement
+ * @returns {Object[]} - Tokens with text and key
+ */
+function statementTokens(statement) {
+  const expanded = String(statement || '')
+    .toLowerCase()
+    .replace(/[’']/g, "'")
+    .replace(/\bwon't\b/g, 'will not')
+    .replace(/\bcan't\b|\bcannot\b/g, 'can not')
+    .replace(/n't\b/g, ' not');
+  
+  return (expanded.match(/\d+(?:[.,]\d+)*%?|\p{L}[\p{L}\p{N}]*/gu) || [])
+    .map(text => {
+      if (!NUMBER_PATTERN.test(text)) {
+        return { text, key: stemToken(text), number: false };
+      }
+      
+      const unit = text.endsWith('%') ? '%' : '';
+      const values = numberValues(text).map(value => `${value}${unit}`);
+      return { text, key: values[0], values, number: true };
+    });
+}
+
+/**
+ * Normalizes a fact statement into the key facts are matched by: statements
+ * that only differ in case, punctuation, plural forms or the formatting of
+ * their numbers share a key, as they do not conflict either
+ * @param {string} statement - Fact statement
+ * @returns {string} - Statement key
+ */
+function statementKey(statement) {
+  return statementTokens(statement).map(token => token.key).join(' ');
+}
+
+/**
+ * Checks whether two token lists are identical
+ * @param {Object[]} a - First token list
+ * @param {Object[]} b - Second token list
+ * @returns {boolean} - True when equal
+ */
+function sameTokens(a, b) {
+  return a.length === b.length && a.every((token, index) => token.key === b[index].key);
+}
+
+/**
+ * Checks whether a token is a negation
+ * @param {Object} token - Token
+ * @returns {boolean} - True for negations
+ */
+function isNegation(token) {
+  return NEGATIONS.includes(token.key);
+}
+
+/**
+ * Detects statements that differ only by a negation
+ * @param {Object[]} a - Tokens of the first statement
+ * @param {Object[]} b - Tokens of the second statement
+ * @returns {Object|null} - Conflict, or null
+ */
+function negationConflict(a, b) {
+  const negationsA = a.filter(isNegation).length;
+  const negationsB = b.filter(isNegation).length;
+  
+  if (negationsA % 2 === negationsB % 2) {
+    return null;
+  }
+  
+  const core = tokens => tokens.filter(token => !isNegation(token) && !AUXILIARIES.includes(token.key));
+  
+  if (core(a).length === 0 || !sameTokens(core(a), core(b))) {
+    return null;
+  }
+  
+  return {
+    kind: 'negation',
+    reason: 'One statement negates the other'
+  };
+}
+
+/**
+ * Detects statements that differ only in their numbers
+ * @param {Object[]} a - Tokens of the first statement
+ * @param {Object[]} b - Tokens of the second statement
+ * @returns {Object|null} - Conflict, or null
+ */
+function numericConflict(a, b) {
+  const template = tokens => tokens.map(token => (token.number ? { key: '#' } : token));
+  
+  if (!a.some(token => token.number) || !sameTokens(template(a), template(b))) {
+    return null;
+  }
+  
+  // Numbers that may be equal under another reading of their separators do not conflict
+  const mismatches = a
+    .map((token, index) => [token, b[index]])
+    .filter(([tokenA, tokenB]) => tokenA.number && !tokenA.values.some(value => tokenB.values.includes(value)));
+  
+  if (mismatches.length === 0) {
+    return null;
+  }
+  
+  return {
+    kind: 'numeric',
+    reason: `Different numbers: ${mismatches.map(([tokenA, tokenB]) => `${tokenA.text} vs ${tokenB.text}`).join(', ')}`
+  };
+}
+
+/**
+ * Detects statements that differ by a pair of opposites, or that give
+ * different values to the same definite attribute
+ * @param {Object[]} a - Tokens of the first statement
+ * @param {Object[]} b - Tokens of the second statement
+ * @returns {Object|null} - Conflict, or null
+ */
+function exclusiveConflict(a, b) {
+  if (a.length === b.length) {
+    const differences = a
+      .map((token, index) => [token, b[index]])
+      .filter(([tokenA, tokenB]) => tokenA.key !== tokenB.key);
+    
+    if (differences.length === 1 && EXCLUSIVE_KEYS.has(`${differences[0][0].key}|${differences[0][1].key}`)) {
+      return {
+        kind: 'exclusive',
+        reason: `Opposite terms: ${differences[0][0].text} vs ${differences[0][1].text}`
+      };
+    }
+  }
+  
+  // "The <attribute> of <subject> is <value>" can only have one value
+  const copulaA = a.findIndex(token => COPULAS.includes(token.key));
+  const copulaB = b.findIndex(token => COPULAS.includes(token.key));
+  
+  if (copulaA < 2 || copulaA !== copulaB || a[0].key !== 'the' || !sameTokens(a.slice(0, copulaA + 1), b.slice(0, copulaB + 1))) {
+    return null;
+  }
+  
+  const valueA = a.slice(copulaA + 1);
+  const valueB = b.slice(copulaB + 1);
+  const contains = (tokens, others) => others.every(other => tokens.some(token => token.key === other.key));
+  
+  // A value that contains the other is a refinement, not a conflict
+  if (valueA.length === 0 || valueB.length === 0 || valueA.some(isNegation) || valueB.some(isNegation) ||
+      contains(valueA, valueB) || contains(valueB, valueA)) {
+    return null;
+  }
+  
+  return {
+    kind: 'exclusive',
+    reason: `Different values for "${a.slice(0, copulaA).map(token => token.text).join(' ')}": ` +
+      `${valueA.map(token => token.text).join(' ')} vs ${valueB.map(token => token.text).join(' ')}`
+  };
+}
+
+/**
+ * Compares two fact statements for conflicting claims
+ * @param {string} statementA - First statement
+ * @param {string} statementB - Second statement
+ * @returns {Object|null} - Kind (negation, numeric, exclusive) and reason of the conflict, or null
+ */
+function compareStatements(statementA, statementB) {
+  const a = statementTokens(statementA);
+  const b = statementTokens(statementB);
+  
+  if (a.length === 0 || b.length === 0 || sameTokens(a, b)) {
+    return null;
+  }
+  
+  return negationConflict(a, b) || numericConflict(a, b) || exclusiveConflict(a, b);
+}
+
+export { statementTokens,
+  statementKey,
+  compareStatements };
@@ -0,0 +1,379 @@
+// utils/import-parsers.js
+
+/**
+ * Parsers turning import files into uniform import rows.
+ *
+ * Every parser returns { rows, errors }. A row is { rowNumber, record } where
+ * record is a plain object with a `type` (concept, fact, source, domain or
+ * relationship) and the fields KnowledgeImporter understands. Errors are
+ * { rowNumber, reason } for input that could not be parsed at all.
+ */
+
+/**
+ * Fields holding lists; CSV cells for them are split on the list separator
+ */
+const LIST_FIELDS = ['aliases', 'concepts', 'mentions', 'sources', 'authors'];
+
+/**
+ * Fields holding numbers; CSV cells for them are parsed as floats
+ */
+const NUMBER_FIELDS = ['confidence', 'reliability'];
+
+/**
+ * Parses JSON Lines: one JSON object per non-empty line
+ * @param {string} text - File content
+ * @returns {Object} - Parsed rows and parse errors
+ */
+function parseJsonLines(text) {
+  const rows = [];
+  const errors = [];
+  
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+    
+    try {
+      const record = JSON.parse(line);
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        throw new Error('Line is not a JSON object');
+      }
+      rows.push({ rowNumber: index + 1, record });
+    } catch (error) {
+      errors.push({ rowNumber: index + 1, reason: `Invalid JSON: ${error.message}` });
+    }
+  });
+  
+  return { rows, errors };
+}
+
+/**
+ * Splits CSV text into records of cells (RFC 4180 quoting)
+ * @param {string} text - CSV content
+ * @param {string} delimiter - Cell delimiter
+ * @returns {Object[]} - Records with their line number and cells
+ */
+function splitCsv(text, delimiter) {
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      cells.push(cell);
+      records.push({ line: recordLine, cells });
+      cells = [];
+      cell = '';
+      line++;
+      recordLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  
+  if (cell !== '' || cells.length > 0) {
+    cells.push(cell);
+    records.push({ line: recordLine, cells });
+  }
+  
+  return records.filter(record => record.cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parses CSV with a header row. Columns are mapped to import fields with
+ * `columnMapping` ({ "Term": "name", "Synonyms": "aliases" }); unmapped
+ * columns keep their header as field name. Rows without a type column get
+ * `defaultType`.
+ * @param {string} text - File content
+ * @param {Object} options - CSV options
+ * @param {Object} options.columnMapping - Header to field name mapping
+ * @param {string} options.defaultType - Row type used when no type column is present
+ * @param {string} options.delimiter - Cell delimiter
+ * @param {string} options.listSeparator - Separator for list fields inside a cell
+ * @returns {Object} - Parsed rows and parse errors
+ */
+function parseCsv(text, options = {}) {
+  const { columnMapping = {}, defaultType, delimiter = ',', listSeparator = ';' } = options;
+  
+  const [header, ...records] = splitCsv(text, delimiter);
+  const rows = [];
+  const errors = [];
+  
+  if (!header) {
+    return { rows, errors };
+  }
+  
+  const fields = header.cells.map(column => columnMapping[column.trim()] || column.trim());
+  
+  for (const { line, cells } of records) {
+    if (cells.length !== fields.length) {
+      errors.push({ rowNumber: line, reason: `Expected ${fields.length} columns, found ${cells.length}` });
+      continue;
+    }
+    
+    const record = defaultType ? { type: defaultType } : {};
+    
+    fields.forEach((field, index) => {
+      const value = cells[index].trim();
+      if (value === '' || !field) {
+        return;
+      }
+      
+      if (LIST_FIELDS.includes(field)) {
+        record[field] = value.split(listSeparator).map(item => item.trim()).filter(Boolean);
+      } else if (NUMBER_FIELDS.includes(field)) {
+        record[field] = parseFloat(value);
+      } else if (field.startsWith('metadata.')) {
+        record.metadata = { ...record.metadata, [field.slice('metadata.'.length)]: value };
+      } else {
+        record[field] = value;
+      }
+    });
+    
+    rows.push({ rowNumber: line, record });
+  }
+  
+  return { rows, errors };
+}
+
+/**
+ * JSON-LD types mapped to import row types. Types are compared by local name,
+ * so "skos:Concept", "schema:DefinedTerm" and full IRIs all match.
+ */
+const JSON_LD_TYPES = {
+  Concept: 'concept',
+  DefinedTerm: 'concept',
+  Thing: 'concept',
+  Claim: 'fact',
+  Statement: 'fact',
+  Fact: 'fact',
+  CreativeWork: 'source',
+  Article: 'source',
+  ScholarlyArticle: 'source',
+  NewsArticle: 'source',
+  Book: 'source',
+  Report: 'source',
+  WebPage: 'source',
+  Dataset: 'source',
+  DigitalDocument: 'source',
+  DefinedTermSet: 'domain',
+  ConceptScheme: 'domain',
+  Domain: 'domain'
+};
+
+/**
+ * Relationship properties recognized on JSON-LD nodes, by local name
+ */
+const JSON_LD_RELATIONSHIPS = {
+  broader: 'IS_A',
+  narrower: 'HAS_SUBTYPE',
+  related: 'RELATED_TO',
+  isPartOf: 'PART_OF',
+  hasPart: 'HAS_PART'
+};
+
+/**
+ * Strips the prefix or namespace from a JSON-LD term
+ * @param {string} term - Compact or expanded term
+ * @returns {string} - Local name
+ */
+function localName(term) {
+  return String(term).split(/[#/:]/).pop();
+}
+
+/**
+ * Reads the values of a JSON-LD property as plain strings or references
+ * @param {*} value - Property value
+ * @returns {Array<string|Object>} - Literal strings and { ref } objects
+ */
+function jsonLdValues(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  
+  return (Array.isArray(value) ? value : [value]).map(item => {
+    if (item && typeof item === 'object') {
+      if (item['@value'] !== undefined) {
+        return String(item['@value']);
+      }
+      if (item['@id']) {
+        return { ref: item['@id'], name: item.name };
+      }
+      return item.name ? String(item.name) : null;
+    }
+    return String(item);
+  }).filter(item => item !== null);
+}
+
+/**
+ * Parses a JSON-LD document (an object, an array of objects or an @graph).
+ * Nodes reference each other through @id, which becomes the row's `ref`.
+ * @param {string} text - File content
+ * @returns {Object} - Parsed rows and parse errors
+ */
+function parseJsonLd(text) {
+  const rows = [];
+  const errors = [];
+  
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (error) {
+    return { rows, errors: [{ rowNumber: 0, reason: `Invalid JSON-LD: ${error.message}` }] };
+  }
+  
+  const nodes = Array.isArray(document) ? document : (document['@graph'] || [document]);
+  
+  nodes.forEach((node, index) => {
+    const rowNumber = index + 1;
+    
+    // Index properties by local name so prefixes and full IRIs both work
+    const properties = {};
+    for (const [key, value] of Object.entries(node || {})) {
+      if (!key.startsWith('@')) {
+        properties[localName(key)] = value;
+      }
+    }
+    
+    const first = (...names) => {
+      for (const name of names) {
+        const [value] = jsonLdValues(properties[name]).filter(item => typeof item === 'string');
+        if (value !== undefined) {
+          return value;
+        }
+      }
+      return undefined;
+    };
+    const refs = name => jsonLdValues(properties[name]).map(item => (typeof item === 'string' ? item : item.ref));
+    
+    const types = jsonLdValues(node?.['@type']).map(localName);
+    const type = types.map(name => JSON_LD_TYPES[name]).find(Boolean);
+    
+    if (!type) {
+      errors.push({ rowNumber, reason: `Unsupported JSON-LD type: ${types.join(', ') || 'none'}` });
+      return;
+    }
+    
+    const record = { type, ref: node['@id'] };
+    const domains = refs('inDefinedTermSet').concat(refs('inScheme'));
+    
+    switch (type) {
+      case 'concept':
+        record.name = first('prefLabel', 'name', 'label');
+        record.description = first('definition', 'description', 'comment');
+        record.aliases = jsonLdValues(properties.altLabel).concat(jsonLdValues(properties.alternateName))
+          .filter(item => typeof item === 'string');
+        record.domain = domains[0];
+        break;
+      
+      case 'fact':
+        record.statement = first('text', 'claimText', 'description', 'name');
+        record.concepts = refs('about');
+        record.domain = domains[0];
+        break;
+      
+      case 'source':
+        record.title = first('headline', 'name', 'title');
+        record.url = first('url') || node['@id'];
+        record.authors = jsonLdValues(properties.author).concat(jsonLdValues(properties.creator))
+          .map(author => (typeof author === 'string' ? author : author.name))
+          .filter(Boolean);
+        record.publicationDate = first('datePublished', 'issued', 'date');
+        record.sourceType = types[0];
+        break;
+      
+      case 'domain':
+        record.name = first('name', 'prefLabel', 'title', 'label');
+        record.description = first('description', 'definition');
+        break;
+    }
+    
+    const sources = refs('isBasedOn').concat(refs('citation'), refs('source'));
+    if (sources.length > 0) {
+      record.sources = sources;
+    }
+    
+    const confidence = first('confidence');
+    if (confidence !== undefined) {
+      record.confidence = parseFloat(confidence);
+    }
+    
+    rows.push({ rowNumber, record });
+    
+    // Links to other nodes become relationship rows
+    for (const [property, relationshipType] of Object.entries(JSON_LD_RELATIONSHIPS)) {
+      for (const target of refs(property)) {
+        rows.push({
+          rowNumber,
+          record: { type: 'relationship', from: node['@id'] || record.name, to: target, relationshipType }
+        });
+      }
+    }
+  });
+  
+  return { rows, errors };
+}
+
+/**
+ * Parses import content in the given format
+ * @param {string} text - File content
+ * @param {string} format - jsonl, csv or jsonld
+ * @param {Object} options - Format specific options (see parseCsv)
+ * @returns {Object} - Parsed rows and parse errors
+ */
+function parseImport(text, format, options = {}) {
+  switch (String(format).toLowerCase()) {
+    case 'jsonl':
+    case 'ndjson':
+      return parseJsonLines(text);
+    case 'csv':
+      return parseCsv(text, options);
+    case 'jsonld':
+    case 'json-ld':
+      return parseJsonLd(text);
+    default:
+      throw new Error(`Unsupported import format: ${format}. Expected one of: jsonl, csv, jsonld`);
+  }
+}
+
+/**
+ * Guesses the import format from a file name
+ * @param {string} filePath - Path of the import file
+ * @returns {string|null} - Format name, or null when the extension is unknown
+ */
+function detectFormat(filePath = '') {
+  const extension = String(filePath).toLowerCase().split('.').pop();
+  const formats = { jsonl: 'jsonl', ndjson: 'jsonl', csv: 'csv', jsonld: 'jsonld', json: 'jsonld' };
+  return formats[extension] || null;
+}
+
+export { parseJsonLines,
+  parseCsv,
+  parseJsonLd,
+  parseImport,
+  detectFormat };
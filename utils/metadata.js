@@ -0,0 +1,136 @@
+// utils/metadata.js
+import neo4j from "neo4j-driver";
+
+/**
+ * Metadata is stored as typed node properties rather than one JSON string,
+ * so it can be filtered and indexed. The flattening rule:
+ *
+ * - every key is prefixed with "metadata." ({project: "x"} -> metadata.project)
+ * - nested objects are flattened with dots ({project: {name: "x"}} -> metadata.project.name)
+ * - strings, numbers and booleans keep their type; whole numbers become integers
+ * - lists of strings, numbers or booleans become list properties
+ * - lists mixing types or holding objects are stored as JSON text
+ * - null removes the property; empty objects are not stored
+ */
+
+/**
+ * Prefix of the node properties holding metadata
+ */
+const METADATA_PREFIX = 'metadata.';
+
+/**
+ * Checks whether a node property holds metadata
+ * @param {string} key - Property name
+ * @returns {boolean} - True for metadata properties
+ */
+function isMetadataProperty(key) {
+  return key.startsWith(METADATA_PREFIX);
+}
+
+/**
+ * Converts a metadata value to a property value of the matching type
+ * @param {*} value - Metadata value
+ * @returns {*} - Property value
+ */
+function toPropertyValue(value) {
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    return neo4j.int(value);
+  }
+  
+  if (Array.isArray(value)) {
+    const types = new Set(value.map(item => typeof item));
+    const homogeneous = types.size <= 1 && ['string', 'number', 'boolean', undefined].includes([...types][0]);
+    
+    if (!homogeneous) {
+      return JSON.stringify(value);
+    }
+    
+    // Keep a list of numbers a single type: integers only when every item is one
+    return types.has('number') && !value.every(Number.isInteger) ? value : value.map(toPropertyValue);
+  }
+  
+  return value;
+}
+
+/**
+ * Flattens a metadata object into prefixed, typed node properties
+ * @param {Object} metadata - Metadata object
+ * @param {string} prefix - Property prefix of the current nesting level
+ * @returns {Object} - Node properties
+ */
+function flattenMetadata(metadata = {}, prefix = METADATA_PREFIX) {
+  const properties = {};
+  
+  for (const [key, value] of Object.entries(metadata || {})) {
+    if (value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+      Object.assign(properties, flattenMetadata(value, `${prefix}${key}.`));
+    } else if (value instanceof Date) {
+      properties[`${prefix}${key}`] = value.toISOString();
+    } else if (value !== undefined) {
+      properties[`${prefix}${key}`] = value === null ? null : toPropertyValue(value);
+    }
+  }
+  
+  return properties;
+}
+
+/**
+ * Rebuilds the nested metadata object from node properties
+ * @param {Object} properties - Node properties
+ * @returns {Object} - Metadata object
+ */
+function extractMetadata(properties = {}) {
+  const metadata = {};
+  
+  for (const [key, value] of Object.entries(properties)) {
+    if (!isMetadataProperty(key) || value === null || value === undefined) {
+      continue;
+    }
+    
+    const path = key.slice(METADATA_PREFIX.length).split('.');
+    let target = metadata;
+    
+    for (const part of path.slice(0, -1)) {
+      // A scalar and a nested value under the same key: the nested value wins
+      if (target[part] === null || typeof target[part] !== 'object' || Array.isArray(target[part])) {
+        target[part] = {};
+      }
+      target = target[part];
+    }
+    
+    target[path[path.length - 1]] = neo4j.isInt(value)
+      ? value.toNumber()
+      : Array.isArray(value) ? value.map(item => (neo4j.isInt(item) ? item.toNumber() : item)) : value;
+  }
+  
+  return metadata;
+}
+
+/**
+ * Computes the property changes that merge new metadata into a node. Each
+ * top-level key replaces the previous value of that key as a whole, so
+ * properties nested under a replaced key are removed.
+ * @param {Object} previousProperties - Current node properties
+ * @param {Object} metadata - Metadata to merge
+ * @returns {Object} - Property updates for SET n += $updates (null removes a property)
+ */
+function metadataUpdates(previousProperties = {}, metadata = {}) {
+  const updates = {};
+  
+  for (const key of Object.keys(metadata)) {
+    const property = `${METADATA_PREFIX}${key}`;
+    for (const existing of Object.keys(previousProperties)) {
+      if (existing === property || existing.startsWith(`${property}.`)) {
+        updates[existing] = null;
+      }
+    }
+  }
+  
+  return { ...updates, ...flattenMetadata(metadata) };
+}
+
+export { METADATA_PREFIX,
+  isMetadataProperty,
+  flattenMetadata,
+  extractMetadata,
+  metadataUpdates };
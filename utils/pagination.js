@@ -0,0 +1,105 @@
+// utils/pagination.js
+import { createHash } from "crypto";
+
+/**
+ * Paged results hand out opaque cursors. A cursor records where the next
+ * page starts and a fingerprint of the query it belongs to, so it cannot be
+ * replayed against a different query. Results are ordered with a tie-breaker
+ * on node IDs, so every page of the same query sees the same order.
+ */
+
+/**
+ * Fingerprints the parameters that decide which results a query returns and
+ * in which order (not the page size)
+ * @param {string} kind - Kind of query (search, explore, paths)
+ * @param {Object} params - Query parameters
+ * @returns {string} - Short hash of the kind and parameters
+ */
+function queryFingerprint(kind, params = {}) {
+  // Sorted keys, so the same parameters always hash the same
+  const canonical = JSON.stringify(params, (key, value) => (
+    value && typeof value === 'object' && !Array.isArray(value)
+      ? Object.fromEntries(Object.keys(value).sort().map(name => [name, value[name]]))
+      : value
+  ));
+  
+  return createHash('sha256').update(`${kind}:${canonical}`).digest('hex').slice(0, 16);
+}
+
+/**
+ * Creates the cursor of the page starting at an offset
+ * @param {number} offset - Position of the first result of the page
+ * @param {string} fingerprint - Fingerprint of the query
+ * @returns {string} - Opaque cursor
+ */
+function encodeCursor(offset, fingerprint) {
+  return Buffer.from(JSON.stringify({ offset, fingerprint })).toString('base64url');
+}
+
+/**
+ * Reads a cursor handed out for a query
+ * @param {string} cursor - Cursor from a previous page, or nothing for the first page
+ * @param {string} fingerprint - Fingerprint of the query the cursor is used with
+ * @returns {number} - Offset of the page the cursor points to
+ */
+function decodeCursor(cursor, fingerprint) {
+  if (!cursor) {
+    return 0;
+  }
+  
+  let state;
+  try {
+    state = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+  
+  if (!state || !Number.isInteger(state.offset) || state.offset < 0) {
+    throw new Error('Invalid cursor');
+  }
+  
+  if (state.fingerprint !== fingerprint) {
+    throw new Error('The cursor belongs to a different query; repeat the original parameters with it');
+  }
+  
+  return state.offset;
+}
+
+/**
+ * Coerces a caller-supplied page size into a whole number of results between 1 and max
+ * @param {*} value - Requested page size
+ * @param {number} fallback - Page size used when none is given
+ * @param {number} max - Largest page size allowed
+ * @returns {number} - Page size
+ */
+function toPageSize(value, fallback, max) {
+  const size = value === undefined || value === null ? fallback : parseInt(value, 10);
+  return Math.min(Math.max(Number.isInteger(size) ? size : fallback, 1), max);
+}
+
+/**
+ * Describes where a page lies in the full result set
+ * @param {Object} params - Page parameters
+ * @param {number} params.offset - Position of the first result of the page
+ * @param {number} params.pageSize - Number of results on the page
+ * @param {number} params.totalCount - Number of results of the query
+ * @param {string} params.fingerprint - Fingerprint of the query
+ * @returns {Object} - Total count, offset and the cursor of the next page (null on the last page)
+ */
+function pageInfo(params) {
+  const { offset, pageSize, totalCount, fingerprint } = params;
+  const nextOffset = offset + pageSize;
+  
+  return {
+    totalCount,
+    offset,
+    // An empty page cannot advance, so it never hands out a cursor to itself
+    nextCursor: pageSize > 0 && nextOffset < totalCount ? encodeCursor(nextOffset, fingerprint) : null
+  };
+}
+
+export { queryFingerprint,
+  encodeCursor,
+  decodeCursor,
+  toPageSize,
+  pageInfo };
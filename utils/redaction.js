@@ -0,0 +1,46 @@
+// utils/redaction.js
+
+/**
+ * Replacement for the values of secret arguments
+ */
+const REDACTED = '[redacted]';
+
+/**
+ * Prepares tool arguments for the audit log: values under secret-looking keys
+ * are replaced and long text is shortened, at any depth
+ * @param {*} value - Tool arguments (or a value inside them)
+ * @param {Object} options - Redaction options
+ * @param {string[]} options.keys - Key fragments marking secrets (matched case-insensitively)
+ * @param {number} options.maxLength - Longest text kept in full
+ * @returns {*} - Redacted copy
+ */
+function redactArguments(value, options = {}) {
+  const { keys = [], maxLength = 500 } = options;
+  const fragments = keys.map(key => key.toLowerCase());
+  
+  const redact = item => {
+    if (typeof item === 'string') {
+      return item.length > maxLength ? `${item.slice(0, maxLength)}… (${item.length} characters)` : item;
+    }
+    
+    if (Array.isArray(item)) {
+      return item.map(redact);
+    }
+    
+    if (item && typeof item === 'object') {
+      return Object.fromEntries(
+        Object.entries(item).map(([key, nested]) => [
+          key,
+          fragments.some(fragment => key.toLowerCase().includes(fragment)) ? REDACTED : redact(nested)
+        ])
+      );
+    }
+    
+    return item;
+  };
+  
+  return redact(value);
+}
+
+export { REDACTED,
+  redactArguments };
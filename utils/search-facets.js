@@ -0,0 +1,93 @@
+// utils/search-facets.js
+
+/**
+ * Facets summarize every hit of a search, not just the page returned: how
+ * many hits fall in each domain, source, node type, confidence band and
+ * creation month. Each facet value carries the contextFilters that narrow
+ * the search down to it.
+ */
+
+/**
+ * Facets in the order they are reported
+ */
+const FACETS = ['domain', 'source', 'contentType', 'confidence', 'createdMonth'];
+
+/**
+ * Finds the confidence band a confidence falls in
+ * @param {number} confidence - Node confidence
+ * @param {Object[]} bands - Bands with name, min (inclusive) and max (exclusive)
+ * @returns {Object|null} - Matching band, or null when there is none
+ */
+function confidenceBand(confidence, bands) {
+  return bands.find(band =>
+    (band.min === undefined || confidence >= band.min) &&
+    (band.max === undefined || confidence < band.max)
+  ) || null;
+}
+
+/**
+ * Builds the contextFilters selecting one calendar month of creation dates
+ * @param {string} month - Month as YYYY-MM
+ * @returns {Object} - createdFrom (inclusive) and createdBefore (exclusive) dates
+ */
+function monthFilter(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const next = monthNumber === 12 ? `${year + 1}-01` : `${year}-${String(monthNumber + 1).padStart(2, '0')}`;
+  
+  return {
+    createdFrom: `${month}-01`,
+    createdBefore: `${next}-01`
+  };
+}
+
+/**
+ * Counts search hits per facet value
+ * @param {Object[]} hits - One entry per hit with domains, source, contentType, confidence and createdMonth
+ * @param {Object[]} bands - Confidence bands (see config.CONFIDENCE_BANDS)
+ * @returns {Object} - Per facet, its values with hit count and drill-down contextFilters, most frequent first
+ */
+function buildFacets(hits, bands) {
+  const counts = Object.fromEntries(FACETS.map(facet => [facet, new Map()]));
+  
+  const count = (facet, value, filter) => {
+    const entry = counts[facet].get(value) || { value, count: 0, filter };
+    entry.count++;
+    counts[facet].set(value, entry);
+  };
+  
+  for (const hit of hits) {
+    // A hit in several domains counts once for each
+    for (const domain of new Set(hit.domains || [])) {
+      count('domain', domain, { domain, includeSubdomains: false });
+    }
+    
+    if (hit.source) {
+      count('source', hit.source, { source: hit.source });
+    }
+    
+    if (hit.contentType) {
+      count('contentType', hit.contentType, { contentType: hit.contentType });
+    }
+    
+    const band = typeof hit.confidence === 'number' ? confidenceBand(hit.confidence, bands) : null;
+    if (band) {
+      count('confidence', band.name, {
+        ...(band.min !== undefined ? { minConfidence: band.min } : {}),
+        ...(band.max !== undefined ? { maxConfidence: band.max } : {})
+      });
+    }
+    
+    if (hit.createdMonth) {
+      count('createdMonth', hit.createdMonth, monthFilter(hit.createdMonth));
+    }
+  }
+  
+  return Object.fromEntries(FACETS.map(facet => [
+    facet,
+    [...counts[facet].values()].sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)))
+  ]));
+}
+
+export { FACETS,
+  confidenceBand,
+  buildFacets };
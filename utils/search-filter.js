@@ -0,0 +1,321 @@
+// utils/search-filter.js
+import { quoteName, liveRelationshipCondition, toDateTime } from "./cypher-builder.js";
+import { relationshipRegistry } from "../schemas/relationship-registry.js";
+import { domainName } from "./domain-path.js";
+import { METADATA_PREFIX } from "./metadata.js";
+
+/**
+ * Search filters are trees that compile to one parameterized Cypher condition
+ * on the searched node. A filter is either a combination:
+ *
+ * - {and: [filter, ...]}, {or: [filter, ...]}, {not: filter}
+ *
+ * or a condition on a field, holding one or more operators that must all hold:
+ *
+ * - {field: "confidence", gte: 0.7, lt: 0.9}
+ * - {field: "type", in: ["Fact", "Concept"]}
+ * - {field: "content", contains: "neo4j"}
+ * - {field: "metadata.project", eq: "apollo"}
+ * - {field: "domain", eq: "Technology > Databases", includeSubdomains: false}
+ * - {field: "sources", eq: "https://example.com/report"}
+ * - {field: "valid_to", exists: false}
+ *
+ * or a condition on relationships of the node:
+ *
+ * - {relationship: "CITED_FROM", direction: "out", target: "<node-id>"}
+ *
+ * Fields are node properties (metadata keys prefixed with "metadata.") plus
+ * type (the node's subtype label), domain (the domains it belongs to,
+ * including sub-domains unless includeSubdomains is false) and sources (the
+ * sources it is cited from or derived from, matched by ID or URL, or by URL
+ * and title for contains). Values never reach the query text.
+ */
+
+/**
+ * Operators a field condition may use
+ */
+const FIELD_OPERATORS = ['eq', 'in', 'gt', 'gte', 'lt', 'lte', 'contains', 'exists'];
+
+/**
+ * Operators of each special field
+ */
+const SPECIAL_FIELD_OPERATORS = {
+  type: ['eq', 'in'],
+  domain: ['eq', 'in', 'exists'],
+  sources: ['eq', 'in', 'contains', 'exists']
+};
+
+/**
+ * Node properties holding datetimes; their filter values are parsed as ISO 8601 dates
+ */
+const DATE_FIELDS = ['created_date', 'last_updated', 'valid_from', 'valid_to', 'verified_date', 'rejected_date', 'processing_date', 'confidence_updated'];
+
+/**
+ * Properties that cannot be filtered on
+ */
+const UNFILTERABLE_FIELDS = ['embedding', 'workspace'];
+
+/**
+ * Capitalizes a content type into its label, as stored
+ * @param {string} type - Content type (e.g. "fact")
+ * @returns {string} - Label (e.g. "Fact")
+ */
+function typeLabel(type) {
+  return String(type).charAt(0).toUpperCase() + String(type).slice(1);
+}
+
+/**
+ * Compiles a search filter into a Cypher condition
+ * @param {Object} filter - Filter tree (see above)
+ * @param {Object} options - Compile options
+ * @param {string} options.variable - Node variable the condition applies to
+ * @param {string} options.paramPrefix - Prefix for the generated query parameters
+ * @returns {Object} - Condition (null for an empty filter) and its parameters
+ */
+function compileFilter(filter, options = {}) {
+  const { variable = 'n', paramPrefix = 'filter' } = options;
+  const params = {};
+  let index = 0;
+  
+  const param = value => {
+    const name = `${paramPrefix}${index++}`;
+    params[name] = value;
+    return `$${name}`;
+  };
+  
+  const compileField = node => {
+    const { field } = node;
+    const operators = Object.keys(node).filter(key => !['field', 'includeSubdomains'].includes(key));
+    const allowed = SPECIAL_FIELD_OPERATORS[field] || FIELD_OPERATORS;
+    
+    if (typeof field !== 'string' || field === '' || UNFILTERABLE_FIELDS.includes(field)) {
+      throw new Error(`Invalid filter: cannot filter on field ${JSON.stringify(field)}`);
+    }
+    
+    const unknown = operators.filter(operator => !allowed.includes(operator));
+    if (operators.length === 0 || unknown.length > 0) {
+      throw new Error(`Invalid filter on ${field}: expected ${allowed.join(', ')}${unknown.length > 0 ? `, got ${unknown.join(', ')}` : ''}`);
+    }
+    
+    if ('includeSubdomains' in node && (field !== 'domain' || typeof node.includeSubdomains !== 'boolean')) {
+      throw new Error(field === 'domain'
+        ? 'Invalid filter on domain: "includeSubdomains" needs true or false'
+        : `Invalid filter on ${field}: "includeSubdomains" only applies to the domain field`);
+    }
+    
+    const listOf = (operator, value) => {
+      if (!Array.isArray(value)) {
+        throw new Error(`Invalid filter on ${field}: "${operator}" needs a list of values`);
+      }
+      return value;
+    };
+    
+    const conditions = operators.map(operator => {
+      const value = node[operator];
+      
+      if (operator === 'exists' && typeof value !== 'boolean') {
+        throw new Error(`Invalid filter on ${field}: "exists" needs true or false`);
+      }
+      
+      switch (field) {
+        case 'type': {
+          const labels = (operator === 'in' ? listOf(operator, value) : [value]).map(typeLabel);
+          return `any(label IN labels(${variable}) WHERE label IN ${param(labels)})`;
+        }
+        
+        case 'domain': {
+          if (operator === 'exists') {
+            return `${value ? '' : 'NOT '}EXISTS { (${variable})-[:BELONGS_TO]->(:Domain) }`;
+          }
+          
+          const names = (operator === 'in' ? listOf(operator, value) : [value]).map(domainName);
+          const depth = node.includeSubdomains === false ? '0' : '';
+          return `EXISTS { MATCH (${variable})-[:BELONGS_TO]->(:Domain)-[:SUBDOMAIN_OF*0..${depth}]->(d:Domain {workspace: $workspace}) WHERE d.name IN ${param(names)} }`;
+        }
+        
+        case 'sources': {
+          const pattern = `(${variable})-[:CITED_FROM|DERIVED_FROM]->(s:Source)`;
+          
+          if (operator === 'exists') {
+            return `${value ? '' : 'NOT '}EXISTS { ${pattern} }`;
+          }
+          
+          if (operator === 'contains') {
+            const text = param(String(value).toLowerCase());
+            return `EXISTS { MATCH ${pattern} WHERE toLower(s.url) CONTAINS ${text} OR toLower(s.title) CONTAINS ${text} }`;
+          }
+          
+          const references = param(operator === 'in' ? listOf(operator, value) : [value]);
+          return `EXISTS { MATCH ${pattern} WHERE s.id IN ${references} OR s.url IN ${references} }`;
+        }
+        
+        default: {
+          const property = `${variable}.${quoteName(field)}`;
+          const toValue = item => (DATE_FIELDS.includes(field) ? toDateTime(item, field) : item);
+          
+          switch (operator) {
+            case 'eq':
+              // List properties (tags and the like) match when they contain the value
+              return `${param(toValue(value))} IN (${property} + [])`;
+            case 'in':
+              return `any(value IN (${property} + []) WHERE value IN ${param(listOf(operator, value).map(toValue))})`;
+            case 'gt':
+              return `${property} > ${param(toValue(value))}`;
+            case 'gte':
+              return `${property} >= ${param(toValue(value))}`;
+            case 'lt':
+              return `${property} < ${param(toValue(value))}`;
+            case 'lte':
+              return `${property} <= ${param(toValue(value))}`;
+            case 'contains':
+              return `toLower(toString(${property})) CONTAINS toLower(${param(String(value))})`;
+            case 'exists':
+              return value ? `${property} IS NOT NULL` : `${property} IS NULL`;
+          }
+        }
+      }
+    });
+    
+    return conditions.length > 1 ? `(${conditions.join(' AND ')})` : conditions[0];
+  };
+  
+  const compileRelationship = node => {
+    const { relationship, direction = 'any', target } = node;
+    const unknown = Object.keys(node).filter(key => !['relationship', 'direction', 'target'].includes(key));
+    
+    if (unknown.length > 0) {
+      throw new Error(`Invalid relationship filter: unknown keys ${unknown.join(', ')}. Expected relationship, direction and target`);
+    }
+    
+    if (!['out', 'in', 'any'].includes(direction)) {
+      throw new Error(`Invalid relationship filter: direction must be out, in or any, got ${direction}`);
+    }
+    
+    // "*" matches any relationship; inverse names flip the direction
+    const { type, reversed } = relationship === '*' ? { type: null, reversed: false } : relationshipRegistry.lookup(relationship);
+    const outgoing = reversed ? direction === 'in' : direction === 'out';
+    const incoming = reversed ? direction === 'out' : direction === 'in';
+    
+    const rel = `[r${type ? `:${quoteName(type)}` : ''}]`;
+    const pattern = `(${variable})${incoming ? '<' : ''}-${rel}-${outgoing ? '>' : ''}(other)`;
+    const conditions = type ? [] : [liveRelationshipCondition('r')];
+    
+    if (target !== undefined) {
+      conditions.push(`other.id = ${param(target)}`);
+    }
+    
+    return conditions.length > 0
+      ? `EXISTS { MATCH ${pattern} WHERE ${conditions.join(' AND ')} }`
+      : `EXISTS { ${pattern} }`;
+  };
+  
+  const compile = node => {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      throw new Error(`Invalid filter: expected an object, got ${JSON.stringify(node)}`);
+    }
+    
+    if ('and' in node || 'or' in node) {
+      const combinator = 'and' in node ? 'and' : 'or';
+      const children = node[combinator];
+      
+      if (Object.keys(node).length !== 1 || !Array.isArray(children)) {
+        throw new Error(`Invalid filter: "${combinator}" needs a list of filters and nothing else`);
+      }
+      
+      const compiled = children.map(compile).filter(Boolean);
+      if (compiled.length === 0) {
+        return null;
+      }
+      
+      return compiled.length === 1 ? compiled[0] : `(${compiled.join(` ${combinator.toUpperCase()} `)})`;
+    }
+    
+    if ('not' in node) {
+      if (Object.keys(node).length !== 1) {
+        throw new Error('Invalid filter: "not" takes a single filter and nothing else');
+      }
+      
+      const compiled = compile(node.not);
+      return compiled ? `NOT (${compiled})` : null;
+    }
+    
+    if ('relationship' in node) {
+      return compileRelationship(node);
+    }
+    
+    if ('field' in node) {
+      return compileField(node);
+    }
+    
+    throw new Error(`Invalid filter: expected and, or, not, field or relationship, got ${Object.keys(node).join(', ') || 'an empty object'}`);
+  };
+  
+  return {
+    condition: filter ? compile(filter) : null,
+    params
+  };
+}
+
+/**
+ * Expresses the contextFilters of search-knowledge as a filter tree
+ * @param {Object} contextFilters - domain, includeSubdomains, source, contentType, minConfidence,
+ *                                  maxConfidence, createdFrom, createdBefore and metadata
+ * @returns {Object|null} - Filter requiring every given context filter, or null when none is given
+ */
+function contextFilterTree(contextFilters = {}) {
+  const {
+    domain,
+    includeSubdomains,
+    source,
+    contentType,
+    minConfidence,
+    maxConfidence,
+    createdFrom,
+    createdBefore,
+    metadata = {}
+  } = contextFilters;
+  
+  const conditions = [];
+  
+  if (domain) {
+    conditions.push({ field: 'domain', eq: domain, ...(includeSubdomains === false ? { includeSubdomains: false } : {}) });
+  }
+  
+  if (source) {
+    conditions.push({ field: 'source', eq: source });
+  }
+  
+  if (contentType) {
+    conditions.push({ field: 'type', in: Array.isArray(contentType) ? contentType : [contentType] });
+  }
+  
+  if (minConfidence !== undefined && minConfidence !== null) {
+    conditions.push({ field: 'confidence', gte: minConfidence });
+  }
+  
+  if (maxConfidence !== undefined && maxConfidence !== null) {
+    conditions.push({ field: 'confidence', lt: maxConfidence });
+  }
+  
+  if (createdFrom) {
+    conditions.push({ field: 'created_date', gte: createdFrom });
+  }
+  
+  if (createdBefore) {
+    conditions.push({ field: 'created_date', lt: createdBefore });
+  }
+  
+  for (const [key, expression] of Object.entries(metadata)) {
+    const operators = expression !== null && typeof expression === 'object' && !Array.isArray(expression)
+      ? expression
+      : { eq: expression };
+    
+    conditions.push({ field: `${METADATA_PREFIX}${key}`, ...operators });
+  }
+  
+  return conditions.length > 0 ? { and: conditions } : null;
+}
+
+export { FIELD_OPERATORS,
+  compileFilter,
+  contextFilterTree };
@@ -0,0 +1,130 @@
+// utils/text-similarity.js
+
+/**
+ * String normalization and similarity helpers used for entity resolution
+ */
+
+/**
+ * Reduces a plural English token to its singular form
+ * @param {string} token - Lower-case token
+ * @returns {string} - Stemmed token
+ */
+function stemToken(token) {
+  if (token.length <= 3) {
+    return token;
+  }
+  if (token.endsWith('ies') && token.length > 4) {
+    return `${token.slice(0, -3)}y`;
+  }
+  if (/(ss|x|ch|sh|zz)es$/.test(token)) {
+    return token.slice(0, -2);
+  }
+  if (token.endsWith('s') && !/(ss|us|is)$/.test(token)) {
+    return token.slice(0, -1);
+  }
+  return token;
+}
+
+/**
+ * Splits a name into case-folded, singularized tokens
+ * @param {string} name - Concept name
+ * @returns {string[]} - Normalized tokens
+ */
+function nameTokens(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .split(' ')
+    .filter(Boolean)
+    .map(stemToken);
+}
+
+/**
+ * Normalizes a concept name so case and plural variants compare equal
+ * @param {string} name - Concept name
+ * @returns {string} - Normalized name
+ */
+function normalizeName(name) {
+  return nameTokens(name).join(' ');
+}
+
+/**
+ * Normalizes the name of a person or organization so case, punctuation and
+ * spacing variants compare equal. Unlike normalizeName nothing is singularized:
+ * "Andrews" and "Andrew" are different people.
+ * @param {string} name - Person or organization name
+ * @returns {string} - Normalized name
+ */
+function entityNameKey(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Computes the Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Edit distance
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Scores how likely two names refer to the same concept
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {Object} - Score between 0 and 1 and the reason behind it
+ */
+function nameSimilarity(a, b) {
+  const tokensA = nameTokens(a);
+  const tokensB = nameTokens(b);
+  const normalizedA = tokensA.join(' ');
+  const normalizedB = tokensB.join(' ');
+
+  if (!normalizedA || !normalizedB) {
+    return { score: 0, reason: 'empty name' };
+  }
+
+  if (normalizedA === normalizedB) {
+    return { score: 1, reason: 'case or plural variant' };
+  }
+
+  // "Neo4j" vs "Neo4j Database": one name extends the other
+  const [shorter, longer] = tokensA.length <= tokensB.length ? [tokensA, tokensB] : [tokensB, tokensA];
+  if (shorter.every(token => longer.includes(token))) {
+    return {
+      score: 0.7 + 0.2 * (shorter.length / longer.length),
+      reason: 'one name contains the other'
+    };
+  }
+
+  const distance = editDistance(normalizedA, normalizedB);
+  return {
+    score: 1 - distance / Math.max(normalizedA.length, normalizedB.length),
+    reason: 'similar spelling'
+  };
+}
+
+export { stemToken,
+  nameTokens,
+  normalizeName,
+  entityNameKey,
+  editDistance,
+  nameSimilarity };
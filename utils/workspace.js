@@ -0,0 +1,83 @@
+// utils/workspace.js
+import config from "../config.js";
+
+/**
+ * Workspaces divide one database between teams. Every node carries the
+ * workspace it was written in, names (concepts, domains, aliases, people and
+ * organizations) are unique within a workspace, and every query runs in a
+ * workspace session that supplies the $workspace parameter the query is
+ * confined to. Relationships only cross workspaces where they were created
+ * explicitly across them.
+ */
+
+/**
+ * Workspace of the data written before workspaces existed
+ */
+const DEFAULT_WORKSPACE = 'default';
+
+/**
+ * Allowed workspace names: letters, digits, dots, dashes and underscores
+ */
+const WORKSPACE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+/**
+ * Resolves the workspace a call works in
+ * @param {string} workspace - Workspace requested by the call
+ * @returns {string} - Requested workspace, or the connection's workspace (config.WORKSPACE) when none was given
+ */
+function resolveWorkspace(workspace) {
+  const name = workspace === undefined || workspace === null || workspace === ''
+    ? config.WORKSPACE
+    : String(workspace).trim();
+  
+  if (!WORKSPACE_PATTERN.test(name)) {
+    throw new Error(`Invalid workspace: ${name}. Use up to 64 letters, digits, dots, dashes or underscores`);
+  }
+  
+  return name;
+}
+
+/**
+ * Wraps a session or transaction so that every query run through it receives
+ * the workspace as $workspace. A session that is already scoped is returned
+ * as is when no other workspace is requested. An invalid workspace name
+ * fails the first query, so callers report it like any other query error.
+ * @param {neo4j.Session|neo4j.Transaction} session - Open session or transaction
+ * @param {string} workspace - Workspace to scope to (defaults to the connection's workspace)
+ * @returns {Object} - Session-like object with run, executeRead, executeWrite and close
+ */
+function workspaceSession(session, workspace) {
+  if (session.workspace !== undefined && (workspace === undefined || workspace === null || workspace === session.workspace)) {
+    return session;
+  }
+  
+  let name = null;
+  let failure = null;
+  
+  try {
+    name = resolveWorkspace(workspace);
+    if (session.workspace !== undefined) {
+      throw new Error(`Cannot work in workspace ${name} inside a transaction of workspace ${session.workspace}`);
+    }
+  } catch (error) {
+    failure = error;
+  }
+  
+  return {
+    workspace: name,
+    run: (query, params = {}) => (failure
+      ? Promise.reject(failure)
+      : session.run(query, { ...params, workspace: name })),
+    executeRead: work => (failure
+      ? Promise.reject(failure)
+      : session.executeRead(tx => work(workspaceSession(tx, name)))),
+    executeWrite: work => (failure
+      ? Promise.reject(failure)
+      : session.executeWrite(tx => work(workspaceSession(tx, name)))),
+    close: () => session.close()
+  };
+}
+
+export { DEFAULT_WORKSPACE,
+  resolveWorkspace,
+  workspaceSession };